@@ -6,6 +6,14 @@ const http = require("http"); // THÊM
 const { env, validateEnv } = require("./src/config/env");
 const { initializeDatabase } = require("./src/config/database");
 const { initSocket } = require("./src/config/socket"); // SỬA đường dẫn
+const AutoDispatchService = require("./src/services/auto_dispatch");
+const RescueRequestSlaService = require("./src/services/rescue_request_sla");
+const TeamRosterService = require("./src/services/team_roster");
+const NotificationDispatcher = require("./src/services/notification_dispatcher");
+const RescueRequestService = require("./src/services/rescue_request");
+const RescueRequestTeamService = require("./src/services/rescue_request_team");
+const IdempotencyService = require("./src/services/idempotency");
+const SupplyExpiryService = require("./src/services/supply_expiry");
 
 validateEnv();
 
@@ -48,10 +56,31 @@ const startServer = async () => {
     await initializeDatabase();
     console.log("❤️  Database initialized successfully");
 
+    const backfilled = await RescueRequestService.backfillTrackingCodes();
+    if (backfilled > 0) {
+      console.log(
+        `🔖 Assigned tracking codes to ${backfilled} rescue requests`,
+      );
+    }
+
+    const leadRows = await RescueRequestTeamService.backfillLegacyAssignments();
+    if (leadRows > 0) {
+      console.log(
+        `👥 Created team assignments for ${leadRows} rescue requests`,
+      );
+    }
+
     // THÊM: khởi tạo socket
     initSocket(server);
     console.log("🔌 Socket.io initialized");
 
+    AutoDispatchService.startWatcher();
+    RescueRequestSlaService.startWatcher();
+    TeamRosterService.startWatcher();
+    NotificationDispatcher.startWorker();
+    IdempotencyService.startWatcher();
+    SupplyExpiryService.startWatcher();
+
     // SỬA: dùng server.listen thay vì app.listen
     server.listen(env.PORT, () => {
       console.log(`🚀 Server is running on port ${env.PORT}`);
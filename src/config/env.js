@@ -93,6 +93,8 @@ const env = {
   // Server Configuration
   NODE_ENV: process.env.NODE_ENV || "development",
   PORT: parseInt(process.env.PORT) || 3000,
+  // Múi giờ nghiệp vụ: "hôm nay" khi so hạn sử dụng, lịch hết hạn...
+  TIMEZONE: process.env.APP_TIMEZONE || "Asia/Ho_Chi_Minh",
 
   // Database Configuration
   DATABASE: getDatabaseConfig(),
@@ -122,6 +124,110 @@ const env = {
     FROM_NAME: process.env.MAIL_FROM_NAME || "WDP Food Relief",
     FROM_EMAIL: process.env.MAIL_FROM_EMAIL || "noreply@wdpfoodrelief.com",
   },
+
+  // Auto-dispatch cho yêu cầu urgent
+  AUTO_DISPATCH: {
+    ENABLED: process.env.AUTO_DISPATCH_ENABLED === "true",
+    ACCEPT_TIMEOUT_MINUTES:
+      parseInt(process.env.AUTO_DISPATCH_ACCEPT_TIMEOUT_MINUTES) || 10,
+    MAX_ATTEMPTS: parseInt(process.env.AUTO_DISPATCH_MAX_ATTEMPTS) || 3,
+    SWEEP_INTERVAL_SECONDS:
+      parseInt(process.env.AUTO_DISPATCH_SWEEP_INTERVAL_SECONDS) || 30,
+  },
+
+  // SLA theo giai đoạn xử lý yêu cầu (ngưỡng theo priority: xem services/rescue_request_sla.js)
+  SLA: {
+    ENABLED: process.env.SLA_ENABLED === "true",
+    SWEEP_INTERVAL_SECONDS:
+      parseInt(process.env.SLA_SWEEP_INTERVAL_SECONDS) || 60,
+    ESCALATE_PRIORITY: process.env.SLA_ESCALATE_PRIORITY !== "false",
+  },
+
+  // Phát hiện yêu cầu trùng lặp khi tạo mới
+  DUPLICATE_DETECTION: {
+    WINDOW_HOURS: parseInt(process.env.DUPLICATE_WINDOW_HOURS) || 6,
+    RADIUS_METERS: parseInt(process.env.DUPLICATE_RADIUS_METERS) || 300,
+    MIN_SCORE: parseInt(process.env.DUPLICATE_MIN_SCORE) || 50,
+  },
+
+  // Gửi thông báo: kênh bật toàn hệ thống, retry queue, Expo receipts
+  NOTIFICATIONS: {
+    CHANNELS: (process.env.NOTIFICATION_CHANNELS || "expo,socket,email")
+      .split(",")
+      .map((c) => c.trim())
+      .filter(Boolean),
+    WORKER_ENABLED: process.env.NOTIFICATION_WORKER_ENABLED !== "false",
+    WORKER_INTERVAL_SECONDS:
+      parseInt(process.env.NOTIFICATION_WORKER_INTERVAL_SECONDS) || 15,
+    MAX_ATTEMPTS: parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5,
+    RETRY_BASE_SECONDS:
+      parseInt(process.env.NOTIFICATION_RETRY_BASE_SECONDS) || 30,
+    RECEIPT_DELAY_MINUTES:
+      parseInt(process.env.NOTIFICATION_RECEIPT_DELAY_MINUTES) || 15,
+    EXPO_ACCESS_TOKEN: process.env.EXPO_ACCESS_TOKEN || "",
+    LOG_FILE: process.env.NOTIFICATION_LOG_FILE || "",
+  },
+
+  // Tra cứu công khai theo tracking code
+  PUBLIC_TRACKING: {
+    // Tốc độ ước tính của đội (xuồng / xe trong vùng ngập) để tính ETA
+    ETA_SPEED_KMH: parseFloat(process.env.TRACKING_ETA_SPEED_KMH) || 15,
+  },
+
+  // Tiếp nhận yêu cầu qua SMS (webhook từ gateway)
+  SMS: {
+    WEBHOOK_SECRET: process.env.SMS_WEBHOOK_SECRET || "",
+    // Tin nhắn giống hệt từ cùng số trong khoảng này → trả lại mã cũ
+    DUPLICATE_WINDOW_MINUTES:
+      parseInt(process.env.SMS_DUPLICATE_WINDOW_MINUTES) || 30,
+  },
+
+  // Ca trực thành viên đội cứu hộ
+  ROSTER: {
+    // Cho phép check-in sớm trước giờ bắt đầu ca có lịch
+    CHECK_IN_EARLY_MINUTES:
+      parseInt(process.env.ROSTER_CHECK_IN_EARLY_MINUTES) || 30,
+    // Quá giờ kết thúc ca bao lâu thì hệ thống tự check-out
+    AUTO_CHECK_OUT_GRACE_MINUTES:
+      parseInt(process.env.ROSTER_AUTO_CHECK_OUT_GRACE_MINUTES) || 60,
+    MAX_SHIFT_HOURS: parseInt(process.env.ROSTER_MAX_SHIFT_HOURS) || 24,
+    SWEEP_ENABLED: process.env.ROSTER_SWEEP_ENABLED !== "false",
+    SWEEP_INTERVAL_SECONDS:
+      parseInt(process.env.ROSTER_SWEEP_INTERVAL_SECONDS) || 300,
+  },
+
+  // Giới hạn mệt mỏi khi phân công đội (xem services/team_workload.js)
+  FATIGUE: {
+    // off | warn (ghi cảnh báo vào lịch sử phân công) | block
+    ENFORCEMENT: ["off", "warn", "block"].includes(
+      process.env.FATIGUE_ENFORCEMENT,
+    )
+      ? process.env.FATIGUE_ENFORCEMENT
+      : "warn",
+    MAX_MISSION_HOURS_24H:
+      parseFloat(process.env.FATIGUE_MAX_MISSION_HOURS_24H) || 12,
+    MAX_CONSECUTIVE_MISSIONS:
+      parseInt(process.env.FATIGUE_MAX_CONSECUTIVE_MISSIONS) || 4,
+    MIN_REST_MINUTES: parseInt(process.env.FATIGUE_MIN_REST_MINUTES) || 240,
+  },
+
+  // Khóa idempotency của client (header Idempotency-Key, sync offline)
+  IDEMPOTENCY: {
+    // Giữ khóa đủ lâu cho thiết bị mất mạng nhiều ngày
+    TTL_HOURS: parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 168,
+    SWEEP_INTERVAL_SECONDS:
+      parseInt(process.env.IDEMPOTENCY_SWEEP_INTERVAL_SECONDS) || 3600,
+  },
+
+  // Hàng hết hạn trong kho (xem services/supply_expiry.js)
+  SUPPLY_EXPIRY: {
+    // Tự hủy phần còn lại của lô quá hạn sử dụng
+    SWEEP_ENABLED: process.env.SUPPLY_EXPIRY_SWEEP_ENABLED !== "false",
+    SWEEP_INTERVAL_SECONDS:
+      parseInt(process.env.SUPPLY_EXPIRY_SWEEP_INTERVAL_SECONDS) || 3600,
+    CALENDAR_DEFAULT_DAYS:
+      parseInt(process.env.SUPPLY_EXPIRY_CALENDAR_DEFAULT_DAYS) || 30,
+  },
 };
 
 // Validation function to check required environment variables
@@ -2,6 +2,101 @@ const { Server } = require("socket.io");
 
 let io = null;
 
+// Room bản đồ điều phối: nhận vị trí trực tiếp của các đội
+const MAP_ROOM = "tracking:map";
+const STAFF_ROLES = ["admin", "coordinator", "manager"];
+const ROLE_ROOMS = ["admin", "coordinator", "manager", "rescue_team", "user"];
+
+/**
+ * Token khi handshake: `auth: { token }` (khuyến nghị), header
+ * Authorization: Bearer ... hoặc query ?token=
+ */
+const extractToken = (handshake) => {
+  const header = handshake.headers?.authorization;
+  const token =
+    handshake.auth?.token ||
+    (header ? header.replace("Bearer ", "") : null) ||
+    handshake.query?.token;
+  return token ? String(token).replace("Bearer ", "") : null;
+};
+
+/**
+ * Kiểm tra user có được vào room không:
+ * - user:<id>            chính user đó
+ * - role:<role>          đúng role (admin vào được mọi role room);
+ *                        room role của chính mình được join sẵn khi kết nối
+ * - rescue_request:<id>  admin/coordinator/manager, người gửi yêu cầu,
+ *                        đội đang / từng được giao
+ * - team:<id>            admin/coordinator/manager, tài khoản trưởng đội
+ * - tracking:map         admin/coordinator/manager
+ */
+const canJoinRoom = async (user, room) => {
+  if (typeof room !== "string" || !room) return false;
+  if (room === MAP_ROOM) return STAFF_ROLES.includes(user.role);
+
+  const separator = room.indexOf(":");
+  if (separator <= 0) return false;
+  const type = room.slice(0, separator);
+  const id = room.slice(separator + 1);
+  if (!id) return false;
+
+  const { db } = require("./database");
+  try {
+    switch (type) {
+      case "user":
+        return id === String(user.id);
+      case "role":
+        return (
+          ROLE_ROOMS.includes(id) && (id === user.role || user.role === "admin")
+        );
+      case "rescue_request": {
+        if (STAFF_ROLES.includes(user.role)) return true;
+        const request = await db.RescueRequest.findByPk(id, {
+          attributes: [
+            "id",
+            "user_id",
+            "assigned_team_id",
+            "assignment_history",
+          ],
+        });
+        if (!request) return false;
+        if (request.user_id && request.user_id === user.id) return true;
+        if (user.role !== "rescue_team") return false;
+        const team = await db.RescueTeam.findOne({
+          where: { user_id: user.id },
+          attributes: ["id"],
+        });
+        if (!team) return false;
+        // Đội lead, đội hỗ trợ, hoặc đội từng được phân công
+        const RescueRequestTeamService = require("../services/rescue_request_team");
+        return await RescueRequestTeamService.isTeamOnRequest(
+          request,
+          team.id,
+          { includePast: true },
+        );
+      }
+      case "team": {
+        if (STAFF_ROLES.includes(user.role)) return true;
+        if (user.role !== "rescue_team") return false;
+        const team = await db.RescueTeam.findOne({
+          where: { id, user_id: user.id },
+          attributes: ["id"],
+        });
+        return !!team;
+      }
+      default:
+        return false;
+    }
+  } catch (error) {
+    // id sai định dạng (không phải UUID)...
+    return false;
+  }
+};
+
+const reply = (ack, payload) => {
+  if (typeof ack === "function") ack(payload);
+};
+
 const initSocket = (httpServer) => {
   io = new Server(httpServer, {
     cors: {
@@ -11,14 +106,95 @@ const initSocket = (httpServer) => {
     },
   });
 
+  // Xác thực JWT khi handshake — kết nối không có token hợp lệ bị từ chối
+  io.use(async (socket, next) => {
+    try {
+      const token = extractToken(socket.handshake);
+      if (!token) return next(new Error("No authentication token provided"));
+      const UserService = require("../services/user");
+      socket.data.user = await UserService.verifyToken(token);
+      next();
+    } catch (error) {
+      next(new Error("Authentication failed"));
+    }
+  });
+
   io.on("connection", (socket) => {
-    console.log("Socket connected:", socket.id);
+    const user = socket.data.user;
+    socket.join([`user:${user.id}`, `role:${user.role}`]);
+    console.log(
+      `Socket connected: ${socket.id} (user:${user.id}, ${user.role})`,
+    );
+
+    const joinRoom = async (room) => {
+      if (!(await canJoinRoom(user, room))) {
+        console.warn(`Socket ${socket.id} denied room ${room}`);
+        return false;
+      }
+      socket.join(room);
+      return true;
+    };
+
+    // { room } hoặc { rooms: [...] }. Giữ tương thích { user_id } cũ:
+    // chỉ chấp nhận user_id của chính mình (đã tự join khi kết nối).
+    socket.on("join", async (payload, ack) => {
+      const { rooms: list, room, user_id } = payload || {};
+      const rooms = [
+        ...(Array.isArray(list) ? list : []),
+        ...(room ? [room] : []),
+        ...(user_id ? [`user:${user_id}`] : []),
+      ];
+      if (rooms.length === 0) {
+        return reply(ack, { success: false, error: "No room provided" });
+      }
+      const joined = [];
+      const denied = [];
+      for (const room of rooms) {
+        ((await joinRoom(room)) ? joined : denied).push(room);
+      }
+      reply(ack, {
+        success: denied.length === 0,
+        data: { joined, denied },
+        ...(denied.length > 0 && { error: "Access denied" }),
+      });
+    });
+
+    socket.on("leave", (payload, ack) => {
+      const { room } = payload || {};
+      // Không cho rời room riêng để không mất thông báo cá nhân
+      if (room && room !== `user:${user.id}`) socket.leave(room);
+      reply(ack, { success: true });
+    });
+
+    // Coordinator mở bản đồ theo dõi đội
+    socket.on("map:subscribe", async (_payload, ack) => {
+      const joined = await joinRoom(MAP_ROOM);
+      reply(
+        ack,
+        joined ? { success: true } : { success: false, error: "Access denied" },
+      );
+    });
+
+    socket.on("map:unsubscribe", (_payload, ack) => {
+      socket.leave(MAP_ROOM);
+      reply(ack, { success: true });
+    });
 
-    // Client gửi user_id để join room riêng
-    socket.on("join", ({ user_id }) => {
-      if (user_id) {
-        socket.join(`user:${user_id}`);
-        console.log(`Socket ${socket.id} joined room user:${user_id}`);
+    // Đội cứu hộ gửi GPS: { latitude, longitude, accuracy, heading, speed, recorded_at }
+    socket.on("team:location", async (payload, ack) => {
+      try {
+        if (user.role !== "rescue_team") {
+          throw new Error("Access denied");
+        }
+        const TeamLocationService = require("../services/team_location");
+        const result = await TeamLocationService.recordLocation(
+          user.id,
+          payload || {},
+          { source: "socket" },
+        );
+        reply(ack, { success: true, data: result });
+      } catch (error) {
+        reply(ack, { success: false, error: error.message });
       }
     });
 
@@ -35,4 +211,4 @@ const getIO = () => {
   return io;
 };
 
-module.exports = { initSocket, getIO };
+module.exports = { initSocket, getIO, canJoinRoom, MAP_ROOM };
@@ -3,8 +3,8 @@ const ImportBatchService = require("../services/import_batch");
 class ImportBatchController {
   static async getAllBatches(req, res) {
     try {
-      const { page = 1, limit = 20, source, status } = req.query;
-      const filters = { source, status };
+      const { page = 1, limit = 20, source, status, warehouse_id } = req.query;
+      const filters = { source, status, warehouse_id };
       Object.keys(filters).forEach(
         (k) => filters[k] === undefined && delete filters[k],
       );
@@ -52,6 +52,25 @@ class ImportBatchController {
     }
   }
 
+  // Truy vết: hàng của đợt nhập đã đến đội / nhiệm vụ nào
+  static async getBatchTrace(req, res) {
+    try {
+      const trace = await ImportBatchService.getBatchTrace(req.params.id);
+      res.status(200).json({
+        success: true,
+        message: "Import batch trace retrieved successfully",
+        data: trace,
+      });
+    } catch (error) {
+      const statusCode = error.message === "Import batch not found" ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: "Failed to retrieve batch trace",
+        error: error.message,
+      });
+    }
+  }
+
   static async createBatch(req, res) {
     try {
       const managerId = req.user.id;
@@ -76,7 +95,9 @@ class ImportBatchController {
     try {
       const { id } = req.params;
       const managerId = req.user?.id || null;
-      const batch = await ImportBatchService.completeBatch(id, managerId);
+      const batch = await ImportBatchService.completeBatch(id, managerId, {
+        warehouse_id: req.body?.warehouse_id,
+      });
       res.status(200).json({
         success: true,
         message: "Batch completed successfully. Stock has been updated.",
@@ -131,10 +152,101 @@ class ImportBatchController {
     }
   }
 
+  // Hủy hàng của một lô: hư hỏng, thất lạc, hết hạn
+  static async writeOffItem(req, res) {
+    try {
+      const { id, itemId } = req.params;
+      const managerId = req.user?.id || null;
+      const writeOff = await ImportBatchService.writeOffItem(
+        id,
+        itemId,
+        req.body,
+        managerId,
+      );
+      res.status(201).json({
+        success: true,
+        message: "Items written off successfully",
+        data: writeOff.toJSON(),
+      });
+    } catch (error) {
+      const statusCode = error.message.includes("not found") ? 404 : 400;
+      res
+        .status(statusCode)
+        .json({
+          success: false,
+          message: "Failed to write off items",
+          error: error.message,
+        });
+    }
+  }
+
+  static async getWriteOffs(req, res) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        reason,
+        supply_id,
+        batch_id,
+        from,
+        to,
+      } = req.query;
+      const filters = { reason, supply_id, batch_id, from, to };
+      Object.keys(filters).forEach(
+        (k) => filters[k] === undefined && delete filters[k],
+      );
+
+      const result = await ImportBatchService.getWriteOffs(
+        filters,
+        page,
+        limit,
+      );
+      res.status(200).json({
+        success: true,
+        message: "Write-offs retrieved successfully",
+        data: result.write_offs,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      res
+        .status(400)
+        .json({
+          success: false,
+          message: "Failed to retrieve write-offs",
+          error: error.message,
+        });
+    }
+  }
+
+  static async getExpiryCalendar(req, res) {
+    try {
+      const { days, province_city } = req.query;
+      const calendar = await ImportBatchService.getExpiryCalendar({
+        days,
+        province_city,
+      });
+      res.status(200).json({
+        success: true,
+        message: "Expiry calendar retrieved successfully",
+        data: calendar,
+      });
+    } catch (error) {
+      res
+        .status(400)
+        .json({
+          success: false,
+          message: "Failed to retrieve expiry calendar",
+          error: error.message,
+        });
+    }
+  }
+
   static async getStockBySupply(req, res) {
     try {
       const { id } = req.params;
-      const stock = await ImportBatchService.getStockBySupply(id);
+      const stock = await ImportBatchService.getStockBySupply(id, {
+        warehouse_id: req.query.warehouse_id,
+      });
       res.status(200).json({
         success: true,
         message: "Stock retrieved successfully",
@@ -153,7 +265,9 @@ class ImportBatchController {
 
   static async getWarehouseOverview(req, res) {
     try {
-      const overview = await ImportBatchService.getWarehouseOverview();
+      const overview = await ImportBatchService.getWarehouseOverview({
+        warehouse_id: req.query.warehouse_id,
+      });
       res.status(200).json({
         success: true,
         message: "Warehouse overview retrieved successfully",
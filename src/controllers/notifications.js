@@ -0,0 +1,130 @@
+const NotificationService = require("../services/notification");
+
+class NotificationController {
+  /**
+   * Danh sách thông báo của user hiện tại (mới nhất trước)
+   */
+  static async getMyNotifications(req, res) {
+    try {
+      const { page = 1, limit = 20, unread_only, type, since } = req.query;
+      const result = await NotificationService.getNotifications(
+        req.user.id,
+        { unread_only, type, since },
+        page,
+        limit,
+      );
+      res.status(200).json({
+        success: true,
+        message: "Notifications retrieved successfully",
+        data: result,
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: "Failed to retrieve notifications",
+        error: error.message,
+      });
+    }
+  }
+
+  static async getUnreadCount(req, res) {
+    try {
+      const count = await NotificationService.getUnreadCount(req.user.id);
+      res.status(200).json({
+        success: true,
+        message: "Unread count retrieved successfully",
+        data: { unread_count: count },
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: "Failed to retrieve unread count",
+        error: error.message,
+      });
+    }
+  }
+
+  static async markAsRead(req, res) {
+    try {
+      const { id } = req.params;
+      const notification = await NotificationService.markAsRead(
+        id,
+        req.user.id,
+      );
+      res.status(200).json({
+        success: true,
+        message: "Notification marked as read",
+        data: notification.toJSON(),
+      });
+    } catch (error) {
+      const statusCode = error.message === "Notification not found" ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: "Failed to mark notification as read",
+        error: error.message,
+      });
+    }
+  }
+
+  static async getPreferences(req, res) {
+    try {
+      const preferences = await NotificationService.getPreferences(req.user.id);
+      res.status(200).json({
+        success: true,
+        message: "Notification preferences retrieved successfully",
+        data: preferences,
+      });
+    } catch (error) {
+      const statusCode = error.message === "User not found" ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: "Failed to retrieve notification preferences",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Body: { channels: { expo, email, socket }, types: { <type>: [channel] | null } }
+   */
+  static async updatePreferences(req, res) {
+    try {
+      const { channels, types } = req.body || {};
+      const preferences = await NotificationService.updatePreferences(
+        req.user.id,
+        { channels, types },
+      );
+      res.status(200).json({
+        success: true,
+        message: "Notification preferences updated successfully",
+        data: preferences,
+      });
+    } catch (error) {
+      const statusCode = error.message === "User not found" ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: "Failed to update notification preferences",
+        error: error.message,
+      });
+    }
+  }
+
+  static async markAllAsRead(req, res) {
+    try {
+      const result = await NotificationService.markAllAsRead(req.user.id);
+      res.status(200).json({
+        success: true,
+        message: "All notifications marked as read",
+        data: result,
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: "Failed to mark notifications as read",
+        error: error.message,
+      });
+    }
+  }
+}
+
+module.exports = NotificationController;
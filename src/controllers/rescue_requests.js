@@ -1,4 +1,6 @@
 const RescueRequestService = require("../services/rescue_request");
+const TeamLocationService = require("../services/team_location");
+const { wantsGeoJSON, toFeatureCollection } = require("../utils/geo");
 
 class RescueRequestController {
   static async createRescueRequest(req, res) {
@@ -84,8 +86,24 @@ class RescueRequestController {
         district,
         priority,
         user_id,
+        parent_request_id,
+        near,
+        radius_km,
+        bbox,
+        sort,
       } = req.query;
-      const filters = { status, category, district, priority, user_id };
+      const filters = {
+        status,
+        category,
+        district,
+        priority,
+        user_id,
+        parent_request_id,
+        near,
+        radius_km,
+        bbox,
+        sort,
+      };
       Object.keys(filters).forEach(
         (key) => filters[key] === undefined && delete filters[key],
       );
@@ -94,6 +112,16 @@ class RescueRequestController {
         page,
         limit,
       );
+      if (wantsGeoJSON(req)) {
+        return res
+          .status(200)
+          .type("application/geo+json")
+          .json(
+            toFeatureCollection(result.requests, {
+              extra: { pagination: result.pagination },
+            }),
+          );
+      }
       res
         .status(200)
         .json({
@@ -207,10 +235,370 @@ class RescueRequestController {
     }
   }
 
+  static async mergeRescueRequests(req, res) {
+    try {
+      const { id } = req.params;
+      const { duplicate_ids, num_people_strategy, notes } = req.body;
+      const request = await RescueRequestService.mergeRescueRequests(
+        id,
+        duplicate_ids,
+        req.user.id,
+        { numPeopleStrategy: num_people_strategy || "max", notes },
+      );
+      res.status(200).json({
+        success: true,
+        message: "Rescue requests merged successfully",
+        data: request.toJSON(),
+      });
+    } catch (error) {
+      const statusCode =
+        error.message === "Rescue request not found" ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: "Failed to merge rescue requests",
+        error: error.message,
+      });
+    }
+  }
+
+  static async splitRescueRequest(req, res) {
+    try {
+      const { id } = req.params;
+      const { children, reason } = req.body;
+      const result = await RescueRequestService.splitRescueRequest(
+        id,
+        req.user.id,
+        { children, reason },
+      );
+      res.status(201).json({
+        success: true,
+        message: "Rescue request split successfully",
+        data: result,
+      });
+    } catch (error) {
+      const statusCode =
+        error.message === "Rescue request not found"
+          ? 404
+          : error.message.includes("Only coordinators")
+            ? 403
+            : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: "Failed to split rescue request",
+        error: error.message,
+      });
+    }
+  }
+
+  static async getTimeline(req, res) {
+    try {
+      const { id } = req.params;
+      const { event } = req.query;
+      const result = await RescueRequestService.getTimeline(id, { event });
+      res.status(200).json({
+        success: true,
+        message: "Timeline retrieved successfully",
+        data: result,
+      });
+    } catch (error) {
+      const statusCode =
+        error.message === "Rescue request not found" ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: "Failed to retrieve timeline",
+        error: error.message,
+      });
+    }
+  }
+
+  // Vật tư đã dùng cho nhiệm vụ đến từ đợt nhập / nhà tài trợ nào
+  static async getProvenance(req, res) {
+    try {
+      const result = await RescueRequestService.getProvenance(req.params.id);
+      res.status(200).json({
+        success: true,
+        message: "Supply provenance retrieved successfully",
+        data: result,
+      });
+    } catch (error) {
+      const statusCode =
+        error.message === "Rescue request not found" ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: "Failed to retrieve supply provenance",
+        error: error.message,
+      });
+    }
+  }
+
+  static async getTriage(req, res) {
+    try {
+      const result = await RescueRequestService.getTriage(req.params.id);
+      res.status(200).json({
+        success: true,
+        message: "Triage retrieved successfully",
+        data: result,
+      });
+    } catch (error) {
+      const statusCode =
+        error.message === "Rescue request not found" ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: "Failed to retrieve triage",
+        error: error.message,
+      });
+    }
+  }
+
+  static async recomputeTriage(req, res) {
+    try {
+      const result = await RescueRequestService.recomputeTriage(
+        req.params.id,
+        req.user,
+      );
+      res.status(200).json({
+        success: true,
+        message: "Triage recomputed successfully",
+        data: result,
+      });
+    } catch (error) {
+      const statusCode =
+        error.message === "Rescue request not found" ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: "Failed to recompute triage",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Coordinator ghi đè priority đề xuất. Body: { priority, reason }
+   */
+  static async overrideTriagePriority(req, res) {
+    try {
+      const { priority, reason } = req.body;
+      const result = await RescueRequestService.overrideTriagePriority(
+        req.params.id,
+        req.user,
+        { priority, reason },
+      );
+      res.status(200).json({
+        success: true,
+        message: "Priority overridden successfully",
+        data: result,
+      });
+    } catch (error) {
+      const statusCode =
+        error.message === "Rescue request not found" ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: "Failed to override priority",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Các đội trên yêu cầu (lead + hỗ trợ, kèm lịch sử phân công)
+   */
+  static async getRequestTeams(req, res) {
+    try {
+      const result = await RescueRequestService.getRequestTeams(req.params.id);
+      res.status(200).json({
+        success: true,
+        message: "Request teams retrieved successfully",
+        data: result,
+      });
+    } catch (error) {
+      const statusCode =
+        error.message === "Rescue request not found" ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: "Failed to get request teams",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Thêm đội hỗ trợ. Body: { team_id, task? }
+   */
+  static async addSupportTeam(req, res) {
+    try {
+      const { team_id, task, override_fatigue } = req.body || {};
+      const assignment = await RescueRequestService.addSupportTeam(
+        req.params.id,
+        team_id,
+        req.user.id,
+        { task, overrideFatigue: override_fatigue === true },
+      );
+      res.status(201).json({
+        success: true,
+        message: "Support team added. Waiting for team confirmation.",
+        data: assignment.toJSON(),
+      });
+    } catch (error) {
+      const statusCode = [
+        "Rescue request not found",
+        "Team not found",
+      ].includes(error.message)
+        ? 404
+        : error.message.includes("Only coordinators")
+          ? 403
+          : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: "Failed to add support team",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Gỡ đội hỗ trợ khỏi yêu cầu. Body: { reason }
+   */
+  static async releaseSupportTeam(req, res) {
+    try {
+      const { reason } = req.body || {};
+      const result = await RescueRequestService.releaseSupportTeam(
+        req.params.id,
+        req.params.teamId,
+        req.user.id,
+        reason,
+      );
+      res.status(200).json({
+        success: true,
+        message: "Support team released successfully",
+        data: result,
+      });
+    } catch (error) {
+      const statusCode = [
+        "Rescue request not found",
+        "Team is not assigned to this request",
+      ].includes(error.message)
+        ? 404
+        : error.message.includes("Only coordinators")
+          ? 403
+          : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: "Failed to release support team",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Phát lại lộ trình GPS của đội cho nhiệm vụ (hỗ trợ GeoJSON)
+   */
+  static async getMissionTrack(req, res) {
+    try {
+      const { id } = req.params;
+      const track = await RescueRequestService.getMissionTrack(id, req.user);
+      if (wantsGeoJSON(req)) {
+        return res
+          .status(200)
+          .type("application/geo+json")
+          .json(TeamLocationService.trackToGeoJSON(track));
+      }
+      res.status(200).json({
+        success: true,
+        message: "Mission track retrieved successfully",
+        data: track,
+      });
+    } catch (error) {
+      const statusCode =
+        error.message === "Rescue request not found"
+          ? 404
+          : error.message === "This mission is not assigned to your team"
+            ? 403
+            : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: "Failed to retrieve mission track",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Tra cứu công khai: GET /track/:code?phone_number=...
+   */
+  static async trackByCode(req, res) {
+    try {
+      const { code } = req.params;
+      const phone = req.query.phone_number || req.query.phone;
+      const view = await RescueRequestService.getPublicTrackingView(
+        code,
+        phone,
+      );
+      res.status(200).json({
+        success: true,
+        message: "Rescue request status retrieved successfully",
+        data: view,
+      });
+    } catch (error) {
+      const statusCode =
+        error.message === "Rescue request not found" ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: "Failed to track rescue request",
+        error: error.message,
+      });
+    }
+  }
+
+  static async getAllowedActions(req, res) {
+    try {
+      const { id } = req.params;
+      const result = await RescueRequestService.getAllowedActions(
+        id,
+        req.user.id,
+      );
+      res.status(200).json({
+        success: true,
+        message: "Allowed actions retrieved successfully",
+        data: result,
+      });
+    } catch (error) {
+      const statusCode =
+        error.message === "Rescue request not found" ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: "Failed to retrieve allowed actions",
+        error: error.message,
+      });
+    }
+  }
+
+  static async getRecommendedTeams(req, res) {
+    try {
+      const { id } = req.params;
+      const { limit } = req.query;
+      const result = await RescueRequestService.getRecommendedTeams(id, {
+        limit,
+      });
+      res.status(200).json({
+        success: true,
+        message: "Recommended teams retrieved successfully",
+        data: result,
+      });
+    } catch (error) {
+      const statusCode =
+        error.message === "Rescue request not found" ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: "Failed to retrieve recommended teams",
+        error: error.message,
+      });
+    }
+  }
+
   static async assignTeam(req, res) {
     try {
       const { id } = req.params;
-      const { team_id, reason } = req.body;
+      const { team_id, reason, override_fatigue } = req.body;
       if (!team_id)
         return res
           .status(400)
@@ -220,6 +608,7 @@ class RescueRequestController {
         team_id,
         req.user.id,
         reason,
+        { overrideFatigue: override_fatigue === true },
       );
       res
         .status(200)
@@ -247,6 +636,36 @@ class RescueRequestController {
     }
   }
 
+  static async stopAutoDispatch(req, res) {
+    try {
+      const { id } = req.params;
+      const { reason } = req.body || {};
+      const AutoDispatchService = require("../services/auto_dispatch");
+      const request = await AutoDispatchService.stopByCoordinator(
+        id,
+        req.user.id,
+        reason,
+      );
+      res.status(200).json({
+        success: true,
+        message: "Auto-dispatch stopped",
+        data: request.toJSON(),
+      });
+    } catch (error) {
+      const statusCode =
+        error.message === "Rescue request not found"
+          ? 404
+          : error.message.includes("Only coordinators")
+            ? 403
+            : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: "Failed to stop auto-dispatch",
+        error: error.message,
+      });
+    }
+  }
+
   // THÊM MỚI: Team xác nhận nhận nhiệm vụ
   static async teamAcceptMission(req, res) {
     try {
@@ -552,7 +971,10 @@ class RescueRequestController {
   static async deleteRescueRequest(req, res) {
     try {
       const { id } = req.params;
-      const result = await RescueRequestService.deleteRescueRequest(id);
+      const result = await RescueRequestService.deleteRescueRequest(
+        id,
+        req.user,
+      );
       res.status(200).json({ success: true, message: result.message });
     } catch (error) {
       const statusCode =
@@ -567,6 +989,24 @@ class RescueRequestController {
     }
   }
 
+  static async getSlaReport(req, res) {
+    try {
+      const { from, to } = req.query;
+      const report = await RescueRequestService.getSlaReport({ from, to });
+      res.status(200).json({
+        success: true,
+        message: "SLA report retrieved successfully",
+        data: report,
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: "Failed to retrieve SLA report",
+        error: error.message,
+      });
+    }
+  }
+
   static async getStatistics(req, res) {
     try {
       const stats = await RescueRequestService.getStatistics();
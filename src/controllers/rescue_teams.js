@@ -1,4 +1,6 @@
 const RescueTeamService = require("../services/rescue_team");
+const TeamRosterService = require("../services/team_roster");
+const { wantsGeoJSON, toFeatureCollection } = require("../utils/geo");
 
 class RescueTeamController {
   /**
@@ -41,12 +43,20 @@ class RescueTeamController {
         status,
         specialization,
         district,
+        near,
+        radius_km,
+        bbox,
+        sort,
       } = req.query;
 
       const filters = {
         status,
         specialization,
         district,
+        near,
+        radius_km,
+        bbox,
+        sort,
       };
 
       // Remove undefined filters
@@ -56,6 +66,17 @@ class RescueTeamController {
 
       const result = await RescueTeamService.getAllTeams(filters, page, limit);
 
+      if (wantsGeoJSON(req)) {
+        return res
+          .status(200)
+          .type("application/geo+json")
+          .json(
+            toFeatureCollection(result.teams, {
+              extra: { pagination: result.pagination },
+            }),
+          );
+      }
+
       res.status(200).json({
         success: true,
         message: "Teams retrieved successfully",
@@ -153,6 +174,401 @@ class RescueTeamController {
     }
   }
 
+  /**
+   * Rescue team gửi vị trí hiện tại (hoặc mảng `points` gửi bù)
+   */
+  static async updateMyLocation(req, res) {
+    try {
+      const points = Array.isArray(req.body.points)
+        ? req.body.points
+        : req.body;
+      const result = await RescueTeamService.updateMyLocation(
+        req.user.id,
+        points,
+      );
+
+      res.status(200).json({
+        success: true,
+        message: "Location updated successfully",
+        data: result,
+      });
+    } catch (error) {
+      const statusCode =
+        error.message === "No team associated with this account" ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: "Failed to update location",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Nhiệm vụ, số giờ làm nhiệm vụ và giới hạn mệt mỏi (?hours=24)
+   */
+  static async getWorkload(req, res) {
+    try {
+      const teamId =
+        req.params.id ||
+        (await TeamRosterService.getTeamIdForUser(req.user.id));
+      const workload = await RescueTeamService.getWorkload(teamId, {
+        hours: req.query.hours,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Workload retrieved successfully",
+        data: workload,
+      });
+    } catch (error) {
+      const statusCode = [
+        "Team not found",
+        "No team associated with this account",
+      ].includes(error.message)
+        ? 404
+        : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: "Failed to retrieve workload",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Hiệu suất đội: tỉ lệ nhận / từ chối, thời gian nhận và hoàn thành,
+   * xác nhận của người dân, vật tư mỗi nhiệm vụ
+   */
+  static async getPerformance(req, res) {
+    try {
+      const teamId =
+        req.params.id ||
+        (await TeamRosterService.getTeamIdForUser(req.user.id));
+      const { from, to } = req.query;
+      const performance = await RescueTeamService.getPerformance(teamId, {
+        from,
+        to,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Team performance retrieved successfully",
+        data: performance,
+      });
+    } catch (error) {
+      const statusCode = [
+        "Team not found",
+        "No team associated with this account",
+      ].includes(error.message)
+        ? 404
+        : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: "Failed to retrieve team performance",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Xếp hạng đội theo hiệu suất trong kỳ
+   */
+  static async getLeaderboard(req, res) {
+    try {
+      const { from, to, district, sort_by, limit, min_missions } = req.query;
+      const leaderboard = await RescueTeamService.getLeaderboard({
+        from,
+        to,
+        district,
+        sort_by,
+        limit,
+        min_missions,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Team leaderboard retrieved successfully",
+        data: leaderboard,
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: "Failed to retrieve team leaderboard",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Thành viên đang trực, danh sách thành viên, ca 24h tới
+   */
+  static async getRoster(req, res) {
+    try {
+      const roster = await TeamRosterService.getRoster(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: "Roster retrieved successfully",
+        data: roster,
+      });
+    } catch (error) {
+      const statusCode = error.message === "Team not found" ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: "Failed to retrieve roster",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Rescue team xem roster của đội mình
+   */
+  static async getMyRoster(req, res) {
+    try {
+      const teamId = await TeamRosterService.getTeamIdForUser(req.user.id);
+      const roster = await TeamRosterService.getRoster(teamId);
+
+      res.status(200).json({
+        success: true,
+        message: "Roster retrieved successfully",
+        data: roster,
+      });
+    } catch (error) {
+      const statusCode =
+        error.message === "No team associated with this account" ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: "Failed to retrieve roster",
+        error: error.message,
+      });
+    }
+  }
+
+  static async getMembers(req, res) {
+    try {
+      const members = await TeamRosterService.listMembers(req.params.id, {
+        includeInactive: req.query.include_inactive === "true",
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Members retrieved successfully",
+        data: members.map((m) => m.toJSON()),
+        count: members.length,
+      });
+    } catch (error) {
+      const statusCode = error.message === "Team not found" ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: "Failed to retrieve members",
+        error: error.message,
+      });
+    }
+  }
+
+  static async addMember(req, res) {
+    try {
+      const member = await TeamRosterService.addMember(req.params.id, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: "Member added successfully",
+        data: member.toJSON(),
+      });
+    } catch (error) {
+      const statusCode = error.message === "Team not found" ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: "Failed to add member",
+        error: error.message,
+      });
+    }
+  }
+
+  static async updateMember(req, res) {
+    try {
+      const { id, memberId } = req.params;
+      const member = await TeamRosterService.updateMember(
+        id,
+        memberId,
+        req.body,
+      );
+
+      res.status(200).json({
+        success: true,
+        message: "Member updated successfully",
+        data: member.toJSON(),
+      });
+    } catch (error) {
+      const statusCode = error.message === "Member not found" ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: "Failed to update member",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Ngừng hoạt động thành viên (giữ lịch sử ca trực)
+   */
+  static async deactivateMember(req, res) {
+    try {
+      const { id, memberId } = req.params;
+      const member = await TeamRosterService.deactivateMember(
+        id,
+        memberId,
+        req.user,
+        req.body?.reason,
+      );
+
+      res.status(200).json({
+        success: true,
+        message: "Member deactivated successfully",
+        data: member.toJSON(),
+      });
+    } catch (error) {
+      const statusCode = error.message === "Member not found" ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: "Failed to deactivate member",
+        error: error.message,
+      });
+    }
+  }
+
+  static async getShifts(req, res) {
+    try {
+      const { from, to, status, member_id } = req.query;
+      const shifts = await TeamRosterService.listShifts(req.params.id, {
+        from,
+        to,
+        status,
+        member_id,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Shifts retrieved successfully",
+        data: shifts.map((s) => s.toJSON()),
+        count: shifts.length,
+      });
+    } catch (error) {
+      const statusCode = error.message === "Team not found" ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: "Failed to retrieve shifts",
+        error: error.message,
+      });
+    }
+  }
+
+  static async createShifts(req, res) {
+    try {
+      const shifts = await TeamRosterService.createShifts(
+        req.params.id,
+        req.body,
+        req.user,
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Shifts scheduled successfully",
+        data: shifts.map((s) => s.toJSON()),
+      });
+    } catch (error) {
+      const statusCode = [
+        "Team not found",
+        "Member not found",
+        "Shift not found",
+        "No team associated with this account",
+      ].includes(error.message)
+        ? 404
+        : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: "Failed to schedule shifts",
+        error: error.message,
+      });
+    }
+  }
+
+  static async cancelShift(req, res) {
+    try {
+      const { id, shiftId } = req.params;
+      const shift = await TeamRosterService.cancelShift(
+        id,
+        shiftId,
+        req.body?.reason,
+      );
+
+      res.status(200).json({
+        success: true,
+        message: "Shift cancelled successfully",
+        data: shift.toJSON(),
+      });
+    } catch (error) {
+      const statusCode = error.message === "Shift not found" ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: "Failed to cancel shift",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Check-in / check-out thành viên. Coordinator / manager dùng
+   * /:id/members/:memberId/..., trưởng nhóm dùng /me/members/:memberId/...
+   */
+  static async checkInMember(req, res) {
+    await RescueTeamController.handleAttendance(req, res, "checkIn");
+  }
+
+  static async checkOutMember(req, res) {
+    await RescueTeamController.handleAttendance(req, res, "checkOut");
+  }
+
+  static async handleAttendance(req, res, action) {
+    try {
+      const teamId =
+        req.params.id ||
+        (await TeamRosterService.getTeamIdForUser(req.user.id));
+      const shift = await TeamRosterService[action](
+        teamId,
+        req.params.memberId,
+        req.user,
+      );
+
+      res.status(200).json({
+        success: true,
+        message:
+          action === "checkIn"
+            ? "Member checked in successfully"
+            : "Member checked out successfully",
+        data: shift.toJSON(),
+      });
+    } catch (error) {
+      const statusCode = [
+        "Team not found",
+        "Member not found",
+        "Shift not found",
+        "No team associated with this account",
+      ].includes(error.message)
+        ? 404
+        : 400;
+      res.status(statusCode).json({
+        success: false,
+        message:
+          action === "checkIn"
+            ? "Failed to check in member"
+            : "Failed to check out member",
+        error: error.message,
+      });
+    }
+  }
+
   /**
    * Delete team (Admin only)
    */
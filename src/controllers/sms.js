@@ -0,0 +1,39 @@
+const SmsIntakeService = require("../services/sms_intake");
+
+class SmsController {
+  /**
+   * Webhook tin nhắn đến. Nhận JSON hoặc form-urlencoded; tên trường theo
+   * nhiều gateway: from | sender | msisdn, text | body | message.
+   * Trả 200 kèm `reply` cả khi sai cú pháp (gateway thường retry khi != 2xx).
+   * `?format=text` hoặc Accept: text/plain → chỉ trả nội dung tin trả lời.
+   */
+  static async inbound(req, res) {
+    try {
+      const payload = { ...req.query, ...(req.body || {}) };
+      const result = await SmsIntakeService.handleInbound({
+        from: payload.from || payload.sender || payload.msisdn,
+        text: payload.text ?? payload.body ?? payload.message,
+      });
+
+      const wantsText =
+        req.query.format === "text" ||
+        req.accepts(["application/json", "text/plain"]) === "text/plain";
+      if (wantsText) {
+        return res.status(200).type("text/plain").send(result.reply);
+      }
+      res.status(200).json({
+        success: true,
+        message: "SMS processed",
+        data: result,
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: "Failed to process SMS",
+        error: error.message,
+      });
+    }
+  }
+}
+
+module.exports = SmsController;
@@ -116,7 +116,7 @@ class SupplyController {
   static async distributeSupply(req, res) {
     try {
       const { id } = req.params;
-      const { team_id, quantity, notes } = req.body;
+      const { team_id, quantity, notes, warehouse_id } = req.body;
       const managerId = req.user.id;
 
       if (!team_id || !quantity) {
@@ -132,6 +132,7 @@ class SupplyController {
         quantity,
         managerId,
         notes,
+        warehouse_id || null,
       );
 
       res.status(200).json({
@@ -214,8 +215,14 @@ class SupplyController {
 
   static async getDistributions(req, res) {
     try {
-      const { page = 1, limit = 20, team_id, supply_id } = req.query;
-      const filters = { team_id, supply_id };
+      const {
+        page = 1,
+        limit = 20,
+        team_id,
+        supply_id,
+        warehouse_id,
+      } = req.query;
+      const filters = { team_id, supply_id, warehouse_id };
       Object.keys(filters).forEach(
         (k) => filters[k] === undefined && delete filters[k],
       );
@@ -0,0 +1,62 @@
+const TeamSyncService = require("../services/team_sync");
+
+const NOT_FOUND_ERRORS = [
+  "User not found",
+  "No team associated with this account",
+];
+
+class SyncController {
+  /**
+   * Gửi hàng đợi thao tác ghi lại khi offline. Luôn trả 200 nếu batch hợp
+   * lệ — kết quả từng thao tác (applied / conflict / failed / skipped)
+   * nằm trong `results`.
+   */
+  static async applyBatch(req, res) {
+    try {
+      const { operations, stop_on_error } = req.body || {};
+      const result = await TeamSyncService.applyBatch(req.user.id, {
+        operations,
+        stop_on_error: stop_on_error === true,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Sync batch processed",
+        data: result,
+      });
+    } catch (error) {
+      const statusCode = NOT_FOUND_ERRORS.includes(error.message) ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: "Failed to process sync batch",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Thay đổi của đội từ mốc `since` (server_time của lần sync trước)
+   */
+  static async getChanges(req, res) {
+    try {
+      const changes = await TeamSyncService.getChanges(req.user.id, {
+        since: req.query.since,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Changes retrieved successfully",
+        data: changes,
+      });
+    } catch (error) {
+      const statusCode = NOT_FOUND_ERRORS.includes(error.message) ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: "Failed to retrieve changes",
+        error: error.message,
+      });
+    }
+  }
+}
+
+module.exports = SyncController;
@@ -1,15 +1,44 @@
 const VehicleService = require("../services/vehicle");
+const { wantsGeoJSON, toFeatureCollection } = require("../utils/geo");
 
 class VehicleController {
   static async getAllVehicles(req, res) {
     try {
-      const { page = 1, limit = 20, status, type, province_city } = req.query;
-      const filters = { status, type, province_city };
+      const {
+        page = 1,
+        limit = 20,
+        status,
+        type,
+        province_city,
+        near,
+        radius_km,
+        bbox,
+        sort,
+      } = req.query;
+      const filters = {
+        status,
+        type,
+        province_city,
+        near,
+        radius_km,
+        bbox,
+        sort,
+      };
       Object.keys(filters).forEach(
         (k) => filters[k] === undefined && delete filters[k],
       );
 
       const result = await VehicleService.getAllVehicles(filters, page, limit);
+      if (wantsGeoJSON(req)) {
+        return res
+          .status(200)
+          .type("application/geo+json")
+          .json(
+            toFeatureCollection(result.vehicles, {
+              extra: { pagination: result.pagination },
+            }),
+          );
+      }
       res.status(200).json({
         success: true,
         message: "Vehicles retrieved successfully",
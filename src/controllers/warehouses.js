@@ -0,0 +1,291 @@
+const WarehouseService = require("../services/warehouse");
+const WarehouseTransferService = require("../services/warehouse_transfer");
+
+class WarehouseController {
+  static async getAllWarehouses(req, res) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        province_city,
+        district,
+        manager_id,
+        near,
+        radius_km,
+        bbox,
+        sort,
+      } = req.query;
+      const filters = {
+        province_city,
+        district,
+        manager_id,
+        near,
+        radius_km,
+        bbox,
+        sort,
+      };
+      Object.keys(filters).forEach(
+        (k) => filters[k] === undefined && delete filters[k],
+      );
+
+      const result = await WarehouseService.getAllWarehouses(
+        filters,
+        page,
+        limit,
+      );
+      res.status(200).json({
+        success: true,
+        message: "Warehouses retrieved successfully",
+        data: result.warehouses,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: "Failed to retrieve warehouses",
+        error: error.message,
+      });
+    }
+  }
+
+  static async getWarehouseById(req, res) {
+    try {
+      const warehouse = await WarehouseService.getWarehouseById(req.params.id);
+      res.status(200).json({
+        success: true,
+        message: "Warehouse retrieved successfully",
+        data: warehouse.toJSON(),
+      });
+    } catch (error) {
+      const statusCode = error.message === "Warehouse not found" ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: "Failed to retrieve warehouse",
+        error: error.message,
+      });
+    }
+  }
+
+  static async createWarehouse(req, res) {
+    try {
+      const warehouse = await WarehouseService.createWarehouse(req.body);
+      res.status(201).json({
+        success: true,
+        message: "Warehouse created successfully",
+        data: warehouse.toJSON(),
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: "Failed to create warehouse",
+        error: error.message,
+      });
+    }
+  }
+
+  static async updateWarehouse(req, res) {
+    try {
+      const warehouse = await WarehouseService.updateWarehouse(
+        req.params.id,
+        req.body,
+      );
+      res.status(200).json({
+        success: true,
+        message: "Warehouse updated successfully",
+        data: warehouse.toJSON(),
+      });
+    } catch (error) {
+      const statusCode = error.message === "Warehouse not found" ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: "Failed to update warehouse",
+        error: error.message,
+      });
+    }
+  }
+
+  static async deleteWarehouse(req, res) {
+    try {
+      const result = await WarehouseService.deleteWarehouse(req.params.id);
+      res.status(200).json({ success: true, message: result.message });
+    } catch (error) {
+      const statusCode = error.message === "Warehouse not found" ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: "Failed to delete warehouse",
+        error: error.message,
+      });
+    }
+  }
+
+  static async getWarehouseStock(req, res) {
+    try {
+      const stock = await WarehouseService.getWarehouseStock(req.params.id);
+      res.status(200).json({
+        success: true,
+        message: "Warehouse stock retrieved successfully",
+        data: stock,
+      });
+    } catch (error) {
+      const statusCode = error.message === "Warehouse not found" ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: "Failed to retrieve warehouse stock",
+        error: error.message,
+      });
+    }
+  }
+
+  // ==================== TRANSFERS ====================
+
+  static async getTransfers(req, res) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        status,
+        warehouse_id,
+        from_warehouse_id,
+        to_warehouse_id,
+      } = req.query;
+      const filters = {
+        status,
+        warehouse_id,
+        from_warehouse_id,
+        to_warehouse_id,
+      };
+      Object.keys(filters).forEach(
+        (k) => filters[k] === undefined && delete filters[k],
+      );
+
+      const result = await WarehouseTransferService.getTransfers(
+        filters,
+        page,
+        limit,
+      );
+      res.status(200).json({
+        success: true,
+        message: "Warehouse transfers retrieved successfully",
+        data: result.transfers,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: "Failed to retrieve warehouse transfers",
+        error: error.message,
+      });
+    }
+  }
+
+  static async getTransferById(req, res) {
+    try {
+      const transfer = await WarehouseTransferService.getTransferById(
+        req.params.transferId,
+      );
+      res.status(200).json({
+        success: true,
+        message: "Warehouse transfer retrieved successfully",
+        data: transfer.toJSON(),
+      });
+    } catch (error) {
+      const statusCode =
+        error.message === "Warehouse transfer not found" ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: "Failed to retrieve warehouse transfer",
+        error: error.message,
+      });
+    }
+  }
+
+  static async createTransfer(req, res) {
+    try {
+      const transfer = await WarehouseTransferService.createTransfer(
+        req.body,
+        req.user.id,
+      );
+      res.status(201).json({
+        success: true,
+        message: "Warehouse transfer requested successfully",
+        data: transfer.toJSON(),
+      });
+    } catch (error) {
+      const statusCode = error.message === "Warehouse not found" ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: "Failed to request warehouse transfer",
+        error: error.message,
+      });
+    }
+  }
+
+  static async dispatchTransfer(req, res) {
+    try {
+      const transfer = await WarehouseTransferService.dispatchTransfer(
+        req.params.transferId,
+        req.user.id,
+      );
+      res.status(200).json({
+        success: true,
+        message: "Warehouse transfer dispatched successfully",
+        data: transfer.toJSON(),
+      });
+    } catch (error) {
+      const statusCode =
+        error.message === "Warehouse transfer not found" ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: "Failed to dispatch warehouse transfer",
+        error: error.message,
+      });
+    }
+  }
+
+  static async receiveTransfer(req, res) {
+    try {
+      const transfer = await WarehouseTransferService.receiveTransfer(
+        req.params.transferId,
+        req.user.id,
+      );
+      res.status(200).json({
+        success: true,
+        message: "Warehouse transfer received successfully",
+        data: transfer.toJSON(),
+      });
+    } catch (error) {
+      const statusCode =
+        error.message === "Warehouse transfer not found" ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: "Failed to receive warehouse transfer",
+        error: error.message,
+      });
+    }
+  }
+
+  static async cancelTransfer(req, res) {
+    try {
+      const transfer = await WarehouseTransferService.cancelTransfer(
+        req.params.transferId,
+        req.user.id,
+        req.body?.reason,
+      );
+      res.status(200).json({
+        success: true,
+        message: "Warehouse transfer cancelled successfully",
+        data: transfer.toJSON(),
+      });
+    } catch (error) {
+      const statusCode =
+        error.message === "Warehouse transfer not found" ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: "Failed to cancel warehouse transfer",
+        error: error.message,
+      });
+    }
+  }
+}
+
+module.exports = WarehouseController;
@@ -1,4 +1,6 @@
+const crypto = require("crypto");
 const UserService = require("../services/user");
+const { env } = require("../config/env");
 
 /**
  * Optional authentication middleware
@@ -350,6 +352,59 @@ const requireManager = async (req, res, next) => {
     });
   }
 };
+/**
+ * Require one of the given roles, e.g. requireRoles(["admin", "manager"])
+ * Handles both authentication AND authorization
+ */
+const requireRoles =
+  (roles, message = "Access denied") =>
+  async (req, res, next) => {
+    try {
+      const authHeader = req.headers.authorization;
+      if (!authHeader) {
+        return res.status(401).json({
+          success: false,
+          message: "No authentication token provided",
+        });
+      }
+      const token = authHeader.replace("Bearer ", "");
+      const user = await UserService.verifyToken(token);
+      req.user = user;
+      if (!roles.includes(user.role)) {
+        return res.status(403).json({ success: false, message });
+      }
+      next();
+    } catch (error) {
+      res.status(401).json({
+        success: false,
+        message: "Authentication failed",
+        error: error.message,
+      });
+    }
+  };
+/**
+ * Webhook SMS từ gateway: xác thực bằng shared secret (header
+ * X-Webhook-Secret hoặc ?secret=) thay cho JWT.
+ */
+const requireSmsWebhookSecret = (req, res, next) => {
+  const expected = env.SMS.WEBHOOK_SECRET;
+  if (!expected) {
+    return res
+      .status(503)
+      .json({ success: false, message: "SMS intake is not configured" });
+  }
+  const provided = String(
+    req.headers["x-webhook-secret"] || req.query.secret || "",
+  );
+  const a = Buffer.from(provided);
+  const b = Buffer.from(expected);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    return res
+      .status(401)
+      .json({ success: false, message: "Invalid webhook secret" });
+  }
+  next();
+};
 module.exports = {
   optionalAuth,
   requireAuth,
@@ -359,4 +414,6 @@ module.exports = {
   requireRescueTeam,
   requireAdminOrCoordinatorOrRescueTeam,
   requireManager,
+  requireRoles,
+  requireSmsWebhookSecret,
 };
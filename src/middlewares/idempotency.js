@@ -0,0 +1,97 @@
+const IdempotencyService = require("../services/idempotency");
+const UserService = require("../services/user");
+
+const MUTATING_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+
+/**
+ * Header `Idempotency-Key` cho mọi request ghi (POST/PUT/PATCH/DELETE).
+ * Lần đầu: giữ khóa, chạy route, lưu response 2xx. Gửi lại cùng khóa và
+ * cùng nội dung → trả response đã lưu (header Idempotent-Replayed: true),
+ * route không chạy lại. Cùng khóa khác nội dung → 422; request trước còn
+ * đang chạy → 409. Response lỗi không được lưu để client retry được.
+ *
+ * Mount trước các route nên tự đọc user từ token (route vẫn tự xác thực).
+ * Request multipart (upload) bỏ qua vì không hash được nội dung file.
+ */
+const idempotency = async (req, res, next) => {
+  const key = req.get("Idempotency-Key");
+  if (
+    !key ||
+    !MUTATING_METHODS.includes(req.method) ||
+    req.is("multipart/form-data")
+  ) {
+    return next();
+  }
+
+  let userId = null;
+  const authHeader = req.headers.authorization;
+  if (authHeader) {
+    try {
+      const user = await UserService.verifyToken(
+        authHeader.replace("Bearer ", ""),
+      );
+      userId = user.id;
+    } catch (e) {
+      // Token sai: route sẽ trả 401, khóa được bỏ khi response lỗi
+    }
+  }
+
+  let reservation;
+  try {
+    reservation = await IdempotencyService.begin(userId, key, {
+      scope: `${req.method} ${req.path}`,
+      payload: { query: req.query, body: req.body ?? null },
+      fingerprint: userId ? null : [req.ip, req.get("User-Agent") || null],
+    });
+  } catch (error) {
+    const statusCode = error.message.includes("different request")
+      ? 422
+      : error.message.includes("still being processed")
+        ? 409
+        : 400;
+    return res.status(statusCode).json({
+      success: false,
+      message: "Idempotency key rejected",
+      error: error.message,
+    });
+  }
+
+  if (reservation.replay) {
+    res.set("Idempotent-Replayed", "true");
+    return res.status(reservation.replay.status).json(reservation.replay.body);
+  }
+
+  // Lưu response trước khi gửi: nếu lưu sau, server chết giữa chừng thì
+  // retry sẽ chạy lại thao tác
+  let settled = false;
+  const stopKeepAlive = IdempotencyService.keepAlive(reservation.record);
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    res.json = sendJson;
+    settled = true;
+    stopKeepAlive();
+    const store =
+      res.statusCode >= 200 && res.statusCode < 300
+        ? IdempotencyService.complete(reservation.record, res.statusCode, body)
+        : IdempotencyService.release(reservation.record);
+    store
+      .catch((error) =>
+        console.error("Failed to store idempotent response:", error),
+      )
+      .finally(() => sendJson(body));
+    return res;
+  };
+  // Route trả response không qua res.json (hoặc client ngắt kết nối)
+  res.on("close", () => {
+    if (settled) return;
+    settled = true;
+    stopKeepAlive();
+    IdempotencyService.release(reservation.record).catch((error) =>
+      console.error("Failed to release idempotency key:", error),
+    );
+  });
+
+  next();
+};
+
+module.exports = { idempotency };
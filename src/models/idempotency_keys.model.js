@@ -0,0 +1,90 @@
+/**
+ * Khóa idempotency do client sinh cho mỗi thao tác ghi. Gửi lại cùng khóa
+ * (mất mạng, retry) thì trả lại kết quả đã lưu thay vì thực hiện lần nữa.
+ * Khóa là duy nhất theo user; khóa của khách (user_id null) đã được băm
+ * theo scope + client nên duy nhất toàn bảng (xem IdempotencyService).
+ */
+module.exports = (sequelize, DataTypes) => {
+  const IdempotencyKey = sequelize.define(
+    "IdempotencyKey",
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      key: {
+        type: DataTypes.STRING(128),
+        allowNull: false,
+      },
+      user_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: "null = request không đăng nhập (vd. người dân gửi yêu cầu)",
+      },
+      scope: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        comment: "Nơi dùng khóa, vd. sync:team_report_execution",
+      },
+      request_hash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        comment:
+          "sha256 của nội dung thao tác — cùng khóa khác nội dung bị từ chối",
+      },
+      status: {
+        type: DataTypes.ENUM("processing", "completed"),
+        allowNull: false,
+        defaultValue: "processing",
+      },
+      response_status: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      response_body: {
+        type: DataTypes.JSON,
+        allowNull: true,
+      },
+      client_timestamp: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: "Thời điểm client thực hiện thao tác (có thể lúc offline)",
+      },
+      completed_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      expires_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+    },
+    {
+      tableName: "idempotency_keys",
+      timestamps: true,
+      indexes: [
+        { unique: true, fields: ["user_id", "key"] },
+        // Unique trên (user_id, key) không chặn được các dòng user_id null
+        {
+          name: "idempotency_keys_guest_key_unique",
+          unique: true,
+          fields: ["key"],
+          where: { user_id: null },
+        },
+        { fields: ["expires_at"] },
+      ],
+    },
+  );
+
+  IdempotencyKey.associate = function (models) {
+    IdempotencyKey.belongsTo(models.User, {
+      foreignKey: "user_id",
+      as: "user",
+      onDelete: "CASCADE",
+    });
+  };
+
+  return IdempotencyKey;
+};
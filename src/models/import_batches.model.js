@@ -48,6 +48,11 @@ module.exports = (sequelize, DataTypes) => {
         allowNull: false,
         comment: "Manager tạo phiếu nhập",
       },
+      warehouse_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: "Kho nhận hàng (null = đợt nhập trước khi có nhiều kho)",
+      },
     },
     {
       tableName: "import_batches",
@@ -61,9 +66,15 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: "created_by",
       as: "manager",
     });
+    ImportBatch.belongsTo(models.Warehouse, {
+      foreignKey: "warehouse_id",
+      as: "warehouse",
+    });
+    // Chỉ các lô nhập gốc — lô tách ra khi chuyển kho không tính là nhập thêm
     ImportBatch.hasMany(models.SupplyImport, {
       foreignKey: "batch_id",
       as: "items",
+      scope: { source_import_id: null },
     });
     ImportBatch.hasMany(models.CharityHistory, {
       foreignKey: "import_batch_id",
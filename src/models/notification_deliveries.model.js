@@ -0,0 +1,97 @@
+/**
+ * Hàng đợi gửi thông báo: mỗi Notification × kênh (expo, email, socket,
+ * log) là một bản ghi, được retry với backoff cho tới khi gửi xong hoặc
+ * hết số lần thử. Với Expo lưu thêm ticket id để đối chiếu receipt.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const NotificationDelivery = sequelize.define(
+    "NotificationDelivery",
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      notification_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      user_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      channel: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        comment: "expo, email, socket, log",
+      },
+      status: {
+        type: DataTypes.ENUM("pending", "sent", "delivered", "failed", "dead"),
+        allowNull: false,
+        defaultValue: "pending",
+        comment:
+          "sent = kênh đã nhận (Expo ticket ok), delivered = đã xác nhận (receipt), failed = chờ retry, dead = bỏ",
+      },
+      target: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: "Push token / email tại thời điểm gửi",
+      },
+      attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      next_attempt_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      last_error: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      provider_ticket_id: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: "Expo push ticket id",
+      },
+      sent_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      delivered_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      receipt_checked_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: "notification_deliveries",
+      timestamps: true,
+      indexes: [
+        { fields: ["status", "next_attempt_at"] },
+        { fields: ["channel", "status"] },
+        { fields: ["notification_id"] },
+      ],
+    },
+  );
+
+  NotificationDelivery.associate = function (models) {
+    NotificationDelivery.belongsTo(models.Notification, {
+      foreignKey: "notification_id",
+      as: "notification",
+      onDelete: "CASCADE",
+    });
+    NotificationDelivery.belongsTo(models.User, {
+      foreignKey: "user_id",
+      as: "user",
+      onDelete: "CASCADE",
+    });
+  };
+
+  return NotificationDelivery;
+};
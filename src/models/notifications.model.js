@@ -0,0 +1,66 @@
+/**
+ * Thông báo in-app của từng user — lưu lại mọi thông báo backend gửi
+ * (push / socket) để người dùng mất sóng xem lại được.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const Notification = sequelize.define(
+    "Notification",
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      user_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      type: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        defaultValue: "general",
+        comment: "mission_assigned, supply_distributed, ... (= data.type)",
+      },
+      title: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+      },
+      body: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      data: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        defaultValue: null,
+      },
+      read_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: "notifications",
+      timestamps: true,
+      indexes: [
+        { fields: ["user_id", "created_at"] },
+        { fields: ["user_id", "read_at"] },
+      ],
+    },
+  );
+
+  Notification.associate = function (models) {
+    Notification.belongsTo(models.User, {
+      foreignKey: "user_id",
+      as: "user",
+      onDelete: "CASCADE",
+    });
+    Notification.hasMany(models.NotificationDelivery, {
+      foreignKey: "notification_id",
+      as: "deliveries",
+    });
+  };
+
+  return Notification;
+};
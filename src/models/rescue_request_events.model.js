@@ -0,0 +1,81 @@
+/**
+ * Timeline sự kiện của RescueRequest — append-only, không sửa / xoá.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const RescueRequestEvent = sequelize.define(
+    "RescueRequestEvent",
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      rescue_request_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      event: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        comment: "created, approve, assign_team, team_accept, ...",
+      },
+      actor_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: "null = guest hoặc hệ thống (auto-dispatch, job nền)",
+      },
+      actor_role: {
+        type: DataTypes.STRING(30),
+        allowNull: false,
+        defaultValue: "system",
+      },
+      from_status: {
+        type: DataTypes.STRING(30),
+        allowNull: true,
+      },
+      to_status: {
+        type: DataTypes.STRING(30),
+        allowNull: true,
+      },
+      payload: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        defaultValue: null,
+      },
+    },
+    {
+      tableName: "rescue_request_events",
+      timestamps: true,
+      updatedAt: false,
+      indexes: [
+        { fields: ["rescue_request_id", "created_at"] },
+        { fields: ["actor_id"] },
+        { fields: ["event"] },
+      ],
+      hooks: {
+        beforeUpdate() {
+          throw new Error("Rescue request events are append-only");
+        },
+        beforeDestroy() {
+          throw new Error("Rescue request events are append-only");
+        },
+      },
+    },
+  );
+
+  RescueRequestEvent.associate = function (models) {
+    RescueRequestEvent.belongsTo(models.RescueRequest, {
+      foreignKey: "rescue_request_id",
+      as: "rescue_request",
+      onDelete: "CASCADE",
+    });
+    RescueRequestEvent.belongsTo(models.User, {
+      foreignKey: "actor_id",
+      as: "actor",
+      onDelete: "SET NULL",
+    });
+  };
+
+  return RescueRequestEvent;
+};
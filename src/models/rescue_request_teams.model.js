@@ -0,0 +1,115 @@
+/**
+ * Phân công đội cho yêu cầu cứu hộ — một yêu cầu lớn có thể có nhiều đội.
+ * Đội "lead" luôn trùng RescueRequest.assigned_team_id; các đội "support"
+ * nhận / từ chối / báo cáo độc lập. Status của yêu cầu suy ra từ các dòng
+ * đang hoạt động (xem RescueRequestTeamService.deriveStatus).
+ */
+module.exports = (sequelize, DataTypes) => {
+  const RescueRequestTeam = sequelize.define(
+    "RescueRequestTeam",
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      rescue_request_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      team_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      role: {
+        type: DataTypes.ENUM("lead", "support"),
+        allowNull: false,
+        defaultValue: "support",
+      },
+      status: {
+        type: DataTypes.ENUM(
+          "assigned", // chờ đội xác nhận
+          "accepted", // đội đang làm nhiệm vụ
+          "reported", // đã báo cáo hoàn thành, chờ coordinator xác nhận
+          "completed",
+          "rejected", // đội từ chối
+          "failed", // đội báo cáo không thực hiện được
+          "released", // coordinator gỡ đội / đổi đội / không xác nhận báo cáo
+        ),
+        allowNull: false,
+        defaultValue: "assigned",
+      },
+      task: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: "Phần việc coordinator giao cho đội (vd. sơ tán tầng 3-5)",
+      },
+      assigned_by: {
+        type: DataTypes.UUID,
+        allowNull: true,
+      },
+      assigned_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      responded_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      reject_reason: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      team_report: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment:
+          "{ executed, outcome, unmet_people_count, partial_reason, report_notes, report_media_urls, reported_at, reported_by }",
+      },
+      reported_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      ended_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment:
+          "Thời điểm kết thúc (completed / rejected / failed / released)",
+      },
+      end_reason: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: "rescue_request_teams",
+      timestamps: true,
+      indexes: [
+        { fields: ["rescue_request_id", "status"] },
+        { fields: ["team_id", "status"] },
+      ],
+    },
+  );
+
+  RescueRequestTeam.associate = function (models) {
+    RescueRequestTeam.belongsTo(models.RescueRequest, {
+      foreignKey: "rescue_request_id",
+      as: "rescue_request",
+      onDelete: "CASCADE",
+    });
+    RescueRequestTeam.belongsTo(models.RescueTeam, {
+      foreignKey: "team_id",
+      as: "team",
+      onDelete: "CASCADE",
+    });
+    RescueRequestTeam.belongsTo(models.User, {
+      foreignKey: "assigned_by",
+      as: "assigner",
+      onDelete: "SET NULL",
+    });
+  };
+
+  return RescueRequestTeam;
+};
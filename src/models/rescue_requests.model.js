@@ -1,3 +1,5 @@
+const { generateTrackingCode } = require("../utils");
+
 module.exports = (sequelize, DataTypes) => {
   const RescueRequest = sequelize.define(
     "RescueRequest",
@@ -43,9 +45,11 @@ module.exports = (sequelize, DataTypes) => {
           "verified",
           "assigned", // ← THÊM MỚI: chờ team xác nhận
           "on_mission",
+          "awaiting_confirmation", // team đã báo cáo, chờ coordinator xác nhận
           "completed",
           "partially_completed",
           "rejected",
+          "merged", // đã gộp vào yêu cầu khác (merged_into_id)
         ),
         allowNull: false,
         defaultValue: "new",
@@ -106,6 +110,13 @@ module.exports = (sequelize, DataTypes) => {
         allowNull: false,
         defaultValue: [],
       },
+      auto_dispatch: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        defaultValue: null,
+        comment:
+          "Trạng thái auto-dispatch { active, attempts, tried_team_ids, started_at, last_attempt_at, stopped_at, stopped_by, stop_reason }",
+      },
       team_reject_reason: {
         // ← THÊM MỚI: lý do team từ chối
         type: DataTypes.TEXT,
@@ -143,6 +154,93 @@ module.exports = (sequelize, DataTypes) => {
         defaultValue: [],
         comment: "Ảnh minh chứng báo cáo không hoàn thành",
       },
+      status_changed_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: "Thời điểm chuyển sang status hiện tại (mốc tính SLA)",
+      },
+      sla_breaches: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: [],
+        comment:
+          "Array { stage, status, priority, target_minutes, started_at, breached_at, elapsed_minutes, team_id, escalated_from, escalated_to }",
+      },
+      possible_duplicates: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        defaultValue: [],
+        comment:
+          "Các yêu cầu có thể trùng lúc tạo: Array { id, score, reasons, distance_m, similarity }",
+      },
+      merged_into_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: "Yêu cầu chính mà yêu cầu này đã được gộp vào",
+      },
+      merged_request_ids: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: [],
+        comment: "Các yêu cầu trùng đã gộp vào yêu cầu này",
+      },
+      merged_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      parent_request_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment:
+          "Yêu cầu gốc mà nhiệm vụ con này được tách ra (POST /:id/split)",
+      },
+      root_request_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment:
+          "Yêu cầu đầu tiên của cả nhóm (tách nhiều cấp) — để thống kê không đếm trùng",
+      },
+      split_progress: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment:
+          "Tiến độ các nhiệm vụ con: { children_total, open_children, completed_children, closed_children, by_status, people_total, people_rescued, people_open, updated_at }",
+      },
+      vulnerability_flags: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: [],
+        comment: "children | elderly | disabled | injured | pregnant",
+      },
+      water_level: {
+        type: DataTypes.ENUM("none", "ankle", "knee", "waist", "chest", "roof"),
+        allowNull: true,
+      },
+      hazard_flags: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: [],
+        comment:
+          "trapped | rising_water | strong_current | electrical | landslide | building_collapse | isolated",
+      },
+      triage: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment:
+          "{ score, suggested_priority, breakdown: [{ factor, points, detail }], version, computed_at, override? }",
+      },
+      tracking_code: {
+        type: DataTypes.STRING(12),
+        allowNull: true,
+        unique: true,
+        comment: "Mã tra cứu ngắn gửi cho người dân (SMS, tra cứu công khai)",
+      },
+      source: {
+        type: DataTypes.ENUM("app", "sms"),
+        allowNull: false,
+        defaultValue: "app",
+        comment: "Kênh tiếp nhận yêu cầu",
+      },
       /** Danh sách nhu yếu phẩm — bắt buộc khi category = relief (mobile/BE validate) */
       relief_needs: {
         type: DataTypes.JSON,
@@ -163,7 +261,23 @@ module.exports = (sequelize, DataTypes) => {
         { fields: ["user_id"] },
         { fields: ["assigned_team_id"] },
         { fields: ["created_at"] },
+        { fields: ["phone_number"] },
+        { fields: ["merged_into_id"] },
+        { fields: ["parent_request_id"] },
+        { fields: ["root_request_id"] },
       ],
+      hooks: {
+        beforeCreate(request) {
+          if (!request.tracking_code) {
+            request.tracking_code = generateTrackingCode();
+          }
+        },
+        beforeSave(request) {
+          if (request.isNewRecord || request.changed("status")) {
+            request.status_changed_at = new Date();
+          }
+        },
+      },
     },
   );
 
@@ -192,6 +306,36 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: "rescue_request_id",
       as: "supply_usages",
     });
+    RescueRequest.belongsTo(models.RescueRequest, {
+      foreignKey: "merged_into_id",
+      as: "merged_into",
+      onDelete: "SET NULL",
+    });
+    RescueRequest.hasMany(models.RescueRequest, {
+      foreignKey: "merged_into_id",
+      as: "merged_requests",
+    });
+    RescueRequest.belongsTo(models.RescueRequest, {
+      foreignKey: "parent_request_id",
+      as: "parent_request",
+      onDelete: "SET NULL",
+    });
+    RescueRequest.hasMany(models.RescueRequest, {
+      foreignKey: "parent_request_id",
+      as: "sub_requests",
+    });
+    RescueRequest.hasMany(models.RescueRequestEvent, {
+      foreignKey: "rescue_request_id",
+      as: "events",
+    });
+    RescueRequest.hasMany(models.TeamLocation, {
+      foreignKey: "rescue_request_id",
+      as: "team_locations",
+    });
+    RescueRequest.hasMany(models.RescueRequestTeam, {
+      foreignKey: "rescue_request_id",
+      as: "team_assignments",
+    });
   };
 
   return RescueRequest;
@@ -39,7 +39,15 @@ module.exports = (sequelize, DataTypes) => {
         allowNull: false,
         defaultValue: 0,
         validate: { min: 0 },
-        comment: "Số thành viên sẵn sàng",
+        comment:
+          "Số thành viên sẵn sàng (roster_managed: số thành viên đang trong ca)",
+      },
+      roster_managed: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment:
+          "Đội đã khai báo thành viên — available_members / status suy ra từ ca trực",
       },
       status: {
         type: DataTypes.ENUM("available", "on_mission", "unavailable"),
@@ -51,6 +59,21 @@ module.exports = (sequelize, DataTypes) => {
         allowNull: false,
         comment: "Quận/Huyện tại TP.HCM",
       },
+      latitude: {
+        type: DataTypes.DECIMAL(10, 8),
+        allowNull: true,
+        validate: { min: -90, max: 90 },
+        comment: "Vị trí hiện tại / điểm tập kết của đội",
+      },
+      longitude: {
+        type: DataTypes.DECIMAL(11, 8),
+        allowNull: true,
+        validate: { min: -180, max: 180 },
+      },
+      location_updated_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
       equipment: {
         type: DataTypes.JSON,
         allowNull: true,
@@ -76,7 +99,26 @@ module.exports = (sequelize, DataTypes) => {
         { fields: ["specialization"] },
         { fields: ["district"] },
         { fields: ["user_id"] },
+        { fields: ["latitude", "longitude"] },
       ],
+      hooks: {
+        beforeSave(team, options) {
+          // Ngoài lúc làm nhiệm vụ, đội chỉ sẵn sàng khi có người đang trực.
+          // Chỉ suy ra khi số người trực / status đổi; manager tự đặt status
+          // (updateTeam truyền statusOverride, vd. tạm ngừng) thì giữ nguyên.
+          if (!team.roster_managed || team.status === "on_mission") return;
+          if (options?.statusOverride && team.changed("status")) return;
+          if (
+            !team.changed("status") &&
+            !team.changed("available_members") &&
+            !team.changed("roster_managed")
+          ) {
+            return;
+          }
+          team.status =
+            team.available_members > 0 ? "available" : "unavailable";
+        },
+      },
     },
   );
 
@@ -94,6 +136,22 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: "team_id",
       as: "supply_usages",
     });
+    RescueTeam.hasMany(models.TeamLocation, {
+      foreignKey: "team_id",
+      as: "locations",
+    });
+    RescueTeam.hasMany(models.RescueRequestTeam, {
+      foreignKey: "team_id",
+      as: "request_assignments",
+    });
+    RescueTeam.hasMany(models.TeamMember, {
+      foreignKey: "team_id",
+      as: "members",
+    });
+    RescueTeam.hasMany(models.TeamShift, {
+      foreignKey: "team_id",
+      as: "shifts",
+    });
   };
 
   return RescueTeam;
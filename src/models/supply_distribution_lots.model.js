@@ -0,0 +1,89 @@
+/**
+ * Phân bổ một phiếu xuất (SupplyDistribution) vào các lô nhập
+ * (SupplyImport) đã trừ theo FIFO. `remaining` là phần đội còn giữ, chưa
+ * báo cáo sử dụng — SupplyUsage trừ dần từ đây (xem SupplyUsageLot).
+ */
+module.exports = (sequelize, DataTypes) => {
+  const SupplyDistributionLot = sequelize.define(
+    "SupplyDistributionLot",
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      distribution_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      import_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: "Lô nhập (SupplyImport)",
+      },
+      batch_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: "Đợt nhập của lô (lưu sẵn để truy vết theo đợt)",
+      },
+      supply_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      team_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      quantity: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: { min: 1 },
+      },
+      remaining: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: "Số lượng đội còn giữ (chưa báo cáo sử dụng)",
+      },
+    },
+    {
+      tableName: "supply_distribution_lots",
+      timestamps: true,
+      indexes: [
+        { fields: ["distribution_id"] },
+        { fields: ["batch_id"] },
+        { fields: ["team_id", "supply_id"] },
+      ],
+    },
+  );
+
+  SupplyDistributionLot.associate = function (models) {
+    SupplyDistributionLot.belongsTo(models.SupplyDistribution, {
+      foreignKey: "distribution_id",
+      as: "distribution",
+      onDelete: "CASCADE",
+    });
+    SupplyDistributionLot.belongsTo(models.SupplyImport, {
+      foreignKey: "import_id",
+      as: "import",
+    });
+    SupplyDistributionLot.belongsTo(models.ImportBatch, {
+      foreignKey: "batch_id",
+      as: "batch",
+    });
+    SupplyDistributionLot.belongsTo(models.Supply, {
+      foreignKey: "supply_id",
+      as: "supply",
+    });
+    SupplyDistributionLot.belongsTo(models.RescueTeam, {
+      foreignKey: "team_id",
+      as: "team",
+    });
+    SupplyDistributionLot.hasMany(models.SupplyUsageLot, {
+      foreignKey: "distribution_lot_id",
+      as: "usage_lots",
+    });
+  };
+
+  return SupplyDistributionLot;
+};
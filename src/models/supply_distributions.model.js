@@ -25,6 +25,11 @@ module.exports = (sequelize, DataTypes) => {
         allowNull: false,
         comment: "Manager thực hiện phân phối",
       },
+      warehouse_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: "Kho xuất hàng",
+      },
       notes: {
         type: DataTypes.TEXT,
         allowNull: true,
@@ -49,6 +54,14 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: "distributed_by",
       as: "manager",
     });
+    SupplyDistribution.belongsTo(models.Warehouse, {
+      foreignKey: "warehouse_id",
+      as: "warehouse",
+    });
+    SupplyDistribution.hasMany(models.SupplyDistributionLot, {
+      foreignKey: "distribution_id",
+      as: "lots",
+    });
   };
 
   return SupplyDistribution;
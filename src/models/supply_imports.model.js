@@ -44,6 +44,21 @@ module.exports = (sequelize, DataTypes) => {
         type: DataTypes.TEXT,
         allowNull: true,
       },
+      warehouse_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: "Kho đang chứa lô (null = trước khi có nhiều kho)",
+      },
+      source_import_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: "Lô gốc của đợt nhập, nếu lô này được tách ra khi chuyển kho",
+      },
+      expired_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: "Thời điểm job hết hạn xử lý lô (phần còn lại đã bị hủy)",
+      },
     },
     {
       tableName: "supply_imports",
@@ -60,6 +75,18 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: "supply_id",
       as: "supply",
     });
+    SupplyImport.belongsTo(models.Warehouse, {
+      foreignKey: "warehouse_id",
+      as: "warehouse",
+    });
+    SupplyImport.belongsTo(models.SupplyImport, {
+      foreignKey: "source_import_id",
+      as: "source_import",
+    });
+    SupplyImport.hasMany(models.SupplyWriteOff, {
+      foreignKey: "import_id",
+      as: "write_offs",
+    });
   };
 
   return SupplyImport;
@@ -0,0 +1,79 @@
+/**
+ * Phần của một báo cáo sử dụng (SupplyUsage) lấy từ lô đội đã nhận
+ * (SupplyDistributionLot). Usage của hàng nhận trước khi có truy vết lô
+ * không có dòng ở đây (phần "untraced" trong báo cáo provenance).
+ */
+module.exports = (sequelize, DataTypes) => {
+  const SupplyUsageLot = sequelize.define(
+    "SupplyUsageLot",
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      usage_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      distribution_lot_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      import_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      batch_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      rescue_request_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: "Nhiệm vụ của usage (lưu sẵn để truy vết theo nhiệm vụ)",
+      },
+      quantity: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: { min: 1 },
+      },
+    },
+    {
+      tableName: "supply_usage_lots",
+      timestamps: true,
+      indexes: [
+        { fields: ["usage_id"] },
+        { fields: ["batch_id"] },
+        { fields: ["rescue_request_id"] },
+      ],
+    },
+  );
+
+  SupplyUsageLot.associate = function (models) {
+    SupplyUsageLot.belongsTo(models.SupplyUsage, {
+      foreignKey: "usage_id",
+      as: "usage",
+      onDelete: "CASCADE",
+    });
+    SupplyUsageLot.belongsTo(models.SupplyDistributionLot, {
+      foreignKey: "distribution_lot_id",
+      as: "distribution_lot",
+    });
+    SupplyUsageLot.belongsTo(models.SupplyImport, {
+      foreignKey: "import_id",
+      as: "import",
+    });
+    SupplyUsageLot.belongsTo(models.ImportBatch, {
+      foreignKey: "batch_id",
+      as: "batch",
+    });
+    SupplyUsageLot.belongsTo(models.RescueRequest, {
+      foreignKey: "rescue_request_id",
+      as: "rescue_request",
+    });
+  };
+
+  return SupplyUsageLot;
+};
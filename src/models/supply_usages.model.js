@@ -67,6 +67,10 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: "reported_by",
       as: "reporter",
     });
+    SupplyUsage.hasMany(models.SupplyUsageLot, {
+      foreignKey: "usage_id",
+      as: "lots",
+    });
   };
 
   return SupplyUsage;
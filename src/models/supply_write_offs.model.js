@@ -0,0 +1,80 @@
+/**
+ * Phiếu hủy / xuất bỏ hàng khỏi kho (hết hạn, hư hỏng, thất lạc). Trừ vào
+ * `remaining` của một lô nhập (SupplyImport). Phiếu do job hết hạn tạo tự
+ * động có `created_by` = null.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const SupplyWriteOff = sequelize.define(
+    "SupplyWriteOff",
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      import_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: "Lô nhập bị trừ",
+      },
+      batch_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: "Đợt nhập của lô (lưu sẵn để truy vết theo đợt)",
+      },
+      supply_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      quantity: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: { min: 1 },
+      },
+      reason: {
+        type: DataTypes.ENUM("expired", "damaged", "lost"),
+        allowNull: false,
+      },
+      notes: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      created_by: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: "Manager lập phiếu (null = job hết hạn tự động)",
+      },
+    },
+    {
+      tableName: "supply_write_offs",
+      timestamps: true,
+      indexes: [
+        { fields: ["supply_id"] },
+        { fields: ["batch_id"] },
+        { fields: ["reason"] },
+      ],
+    },
+  );
+
+  SupplyWriteOff.associate = function (models) {
+    SupplyWriteOff.belongsTo(models.SupplyImport, {
+      foreignKey: "import_id",
+      as: "import",
+    });
+    SupplyWriteOff.belongsTo(models.ImportBatch, {
+      foreignKey: "batch_id",
+      as: "batch",
+    });
+    SupplyWriteOff.belongsTo(models.Supply, {
+      foreignKey: "supply_id",
+      as: "supply",
+    });
+    SupplyWriteOff.belongsTo(models.User, {
+      foreignKey: "created_by",
+      as: "manager",
+    });
+  };
+
+  return SupplyWriteOff;
+};
@@ -0,0 +1,82 @@
+/**
+ * Breadcrumb GPS của đội trong lúc làm nhiệm vụ (phát lại lộ trình).
+ */
+module.exports = (sequelize, DataTypes) => {
+  const TeamLocation = sequelize.define(
+    "TeamLocation",
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      team_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      rescue_request_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: "Nhiệm vụ đội đang thực hiện khi gửi vị trí",
+      },
+      latitude: {
+        type: DataTypes.DECIMAL(10, 8),
+        allowNull: false,
+        validate: { min: -90, max: 90 },
+      },
+      longitude: {
+        type: DataTypes.DECIMAL(11, 8),
+        allowNull: false,
+        validate: { min: -180, max: 180 },
+      },
+      accuracy_m: {
+        type: DataTypes.FLOAT,
+        allowNull: true,
+      },
+      heading: {
+        type: DataTypes.FLOAT,
+        allowNull: true,
+        comment: "Hướng di chuyển (độ, 0 = Bắc)",
+      },
+      speed_mps: {
+        type: DataTypes.FLOAT,
+        allowNull: true,
+      },
+      recorded_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        comment: "Thời điểm thiết bị ghi nhận vị trí",
+      },
+      source: {
+        type: DataTypes.ENUM("socket", "rest"),
+        allowNull: false,
+        defaultValue: "socket",
+      },
+    },
+    {
+      tableName: "team_locations",
+      timestamps: true,
+      updatedAt: false,
+      indexes: [
+        { fields: ["rescue_request_id", "team_id", "recorded_at"] },
+        { fields: ["team_id", "recorded_at"] },
+      ],
+    },
+  );
+
+  TeamLocation.associate = function (models) {
+    TeamLocation.belongsTo(models.RescueTeam, {
+      foreignKey: "team_id",
+      as: "team",
+      onDelete: "CASCADE",
+    });
+    TeamLocation.belongsTo(models.RescueRequest, {
+      foreignKey: "rescue_request_id",
+      as: "rescue_request",
+      onDelete: "CASCADE",
+    });
+  };
+
+  return TeamLocation;
+};
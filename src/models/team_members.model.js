@@ -0,0 +1,70 @@
+/**
+ * Thành viên của đội cứu hộ (không nhất thiết có tài khoản — tài khoản đội
+ * vẫn là RescueTeam.user_id của trưởng nhóm).
+ */
+module.exports = (sequelize, DataTypes) => {
+  const TeamMember = sequelize.define(
+    "TeamMember",
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      team_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      full_name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        validate: { notEmpty: true },
+      },
+      phone_number: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+      },
+      skills: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: [],
+        comment: "Array string, vd. boi_cuu_ho, so_cuu, lai_xuong",
+      },
+      certifications: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: [],
+        comment: "Array { name, issued_by?, number?, expires_at? }",
+      },
+      status: {
+        type: DataTypes.ENUM("active", "inactive"),
+        allowNull: false,
+        defaultValue: "active",
+      },
+      notes: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: "team_members",
+      timestamps: true,
+      indexes: [{ fields: ["team_id", "status"] }],
+    },
+  );
+
+  TeamMember.associate = function (models) {
+    TeamMember.belongsTo(models.RescueTeam, {
+      foreignKey: "team_id",
+      as: "team",
+      onDelete: "CASCADE",
+    });
+    TeamMember.hasMany(models.TeamShift, {
+      foreignKey: "member_id",
+      as: "shifts",
+    });
+  };
+
+  return TeamMember;
+};
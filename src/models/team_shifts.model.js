@@ -0,0 +1,100 @@
+/**
+ * Ca trực của một thành viên. Ca đang `checked_in` là thành viên đang trực —
+ * RescueTeam.available_members / status suy ra từ các ca này
+ * (xem TeamRosterService.refreshTeam).
+ */
+module.exports = (sequelize, DataTypes) => {
+  const TeamShift = sequelize.define(
+    "TeamShift",
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      team_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      member_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      starts_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      ends_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: "null = ca đột xuất (check-in không có lịch)",
+      },
+      scheduled: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      status: {
+        type: DataTypes.ENUM(
+          "scheduled",
+          "checked_in",
+          "checked_out",
+          "missed", // hết ca mà không check-in
+          "cancelled",
+        ),
+        allowNull: false,
+        defaultValue: "scheduled",
+      },
+      checked_in_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      checked_out_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      checked_in_by: {
+        type: DataTypes.UUID,
+        allowNull: true,
+      },
+      checked_out_by: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: "null khi hệ thống tự check-out sau giờ kết thúc ca",
+      },
+      created_by: {
+        type: DataTypes.UUID,
+        allowNull: true,
+      },
+      notes: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: "team_shifts",
+      timestamps: true,
+      indexes: [
+        { fields: ["team_id", "status"] },
+        { fields: ["member_id", "status"] },
+        { fields: ["starts_at"] },
+      ],
+    },
+  );
+
+  TeamShift.associate = function (models) {
+    TeamShift.belongsTo(models.RescueTeam, {
+      foreignKey: "team_id",
+      as: "team",
+      onDelete: "CASCADE",
+    });
+    TeamShift.belongsTo(models.TeamMember, {
+      foreignKey: "member_id",
+      as: "member",
+      onDelete: "CASCADE",
+    });
+  };
+
+  return TeamShift;
+};
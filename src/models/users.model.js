@@ -51,6 +51,13 @@ module.exports = (sequelize, DataTypes) => {
         allowNull: true,
         defaultValue: null,
       },
+      notification_preferences: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        defaultValue: null,
+        comment:
+          "{ channels: { expo, email, socket }, types: { <type>: [channel, ...] } }",
+      },
     },
     {
       tableName: "users",
@@ -86,6 +93,11 @@ module.exports = (sequelize, DataTypes) => {
       as: "volunteerRegistrations",
       onDelete: "CASCADE",
     });
+    User.hasMany(models.Notification, {
+      foreignKey: "user_id",
+      as: "notifications",
+      onDelete: "CASCADE",
+    });
   };
 
   return User;
@@ -48,6 +48,17 @@ module.exports = (sequelize, DataTypes) => {
         type: DataTypes.STRING(100),
         allowNull: false,
       },
+      latitude: {
+        type: DataTypes.DECIMAL(10, 8),
+        allowNull: true,
+        validate: { min: -90, max: 90 },
+        comment: "Vị trí đỗ / tập kết phương tiện",
+      },
+      longitude: {
+        type: DataTypes.DECIMAL(11, 8),
+        allowNull: true,
+        validate: { min: -180, max: 180 },
+      },
       notes: {
         type: DataTypes.TEXT,
         allowNull: true,
@@ -57,6 +68,7 @@ module.exports = (sequelize, DataTypes) => {
       tableName: "vehicles",
       timestamps: true,
       paranoid: true,
+      indexes: [{ fields: ["latitude", "longitude"] }],
     },
   );
 
@@ -0,0 +1,52 @@
+/**
+ * Mặt hàng và số lượng yêu cầu chuyển trong một phiếu chuyển kho.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const WarehouseTransferItem = sequelize.define(
+    "WarehouseTransferItem",
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      transfer_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      supply_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      quantity: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: { min: 1 },
+      },
+    },
+    {
+      tableName: "warehouse_transfer_items",
+      timestamps: true,
+      indexes: [{ fields: ["transfer_id"] }],
+    },
+  );
+
+  WarehouseTransferItem.associate = function (models) {
+    WarehouseTransferItem.belongsTo(models.WarehouseTransfer, {
+      foreignKey: "transfer_id",
+      as: "transfer",
+      onDelete: "CASCADE",
+    });
+    WarehouseTransferItem.belongsTo(models.Supply, {
+      foreignKey: "supply_id",
+      as: "supply",
+    });
+    WarehouseTransferItem.hasMany(models.WarehouseTransferLot, {
+      foreignKey: "transfer_item_id",
+      as: "lots",
+    });
+  };
+
+  return WarehouseTransferItem;
+};
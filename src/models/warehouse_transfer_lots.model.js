@@ -0,0 +1,81 @@
+/**
+ * Phần lấy từ một lô ở kho nguồn khi xuất chuyển kho (FIFO theo hạn SD).
+ * Khi kho đích nhận, mỗi dòng sinh một lô mới (`received_import_id`) giữ
+ * nguyên đợt nhập, hạn sử dụng và tình trạng của lô gốc.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const WarehouseTransferLot = sequelize.define(
+    "WarehouseTransferLot",
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      transfer_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      transfer_item_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      import_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: "Lô ở kho nguồn bị trừ",
+      },
+      batch_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: "Đợt nhập của lô (lưu sẵn để truy vết theo đợt)",
+      },
+      supply_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      quantity: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: { min: 1 },
+      },
+      received_import_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: "Lô mới tạo ở kho đích khi nhận hàng",
+      },
+    },
+    {
+      tableName: "warehouse_transfer_lots",
+      timestamps: true,
+      indexes: [{ fields: ["transfer_id"] }, { fields: ["batch_id"] }],
+    },
+  );
+
+  WarehouseTransferLot.associate = function (models) {
+    WarehouseTransferLot.belongsTo(models.WarehouseTransfer, {
+      foreignKey: "transfer_id",
+      as: "transfer",
+      onDelete: "CASCADE",
+    });
+    WarehouseTransferLot.belongsTo(models.WarehouseTransferItem, {
+      foreignKey: "transfer_item_id",
+      as: "item",
+    });
+    WarehouseTransferLot.belongsTo(models.SupplyImport, {
+      foreignKey: "import_id",
+      as: "import",
+    });
+    WarehouseTransferLot.belongsTo(models.SupplyImport, {
+      foreignKey: "received_import_id",
+      as: "received_import",
+    });
+    WarehouseTransferLot.belongsTo(models.ImportBatch, {
+      foreignKey: "batch_id",
+      as: "batch",
+    });
+  };
+
+  return WarehouseTransferLot;
+};
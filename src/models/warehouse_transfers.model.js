@@ -0,0 +1,114 @@
+/**
+ * Phiếu chuyển kho: requested → in_transit (kho nguồn xuất, trừ lô) →
+ * received (kho đích nhận, tạo lô mới). Có thể hủy khi chưa nhận; hủy lúc
+ * đang vận chuyển thì hàng trả lại lô nguồn.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const WarehouseTransfer = sequelize.define(
+    "WarehouseTransfer",
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      from_warehouse_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      to_warehouse_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      status: {
+        type: DataTypes.ENUM(
+          "requested",
+          "in_transit",
+          "received",
+          "cancelled",
+        ),
+        allowNull: false,
+        defaultValue: "requested",
+      },
+      notes: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      requested_by: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      dispatched_by: {
+        type: DataTypes.UUID,
+        allowNull: true,
+      },
+      dispatched_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      received_by: {
+        type: DataTypes.UUID,
+        allowNull: true,
+      },
+      received_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      cancelled_by: {
+        type: DataTypes.UUID,
+        allowNull: true,
+      },
+      cancelled_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      cancel_reason: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: "warehouse_transfers",
+      timestamps: true,
+      indexes: [
+        { fields: ["status"] },
+        { fields: ["from_warehouse_id"] },
+        { fields: ["to_warehouse_id"] },
+      ],
+    },
+  );
+
+  WarehouseTransfer.associate = function (models) {
+    WarehouseTransfer.belongsTo(models.Warehouse, {
+      foreignKey: "from_warehouse_id",
+      as: "from_warehouse",
+    });
+    WarehouseTransfer.belongsTo(models.Warehouse, {
+      foreignKey: "to_warehouse_id",
+      as: "to_warehouse",
+    });
+    WarehouseTransfer.belongsTo(models.User, {
+      foreignKey: "requested_by",
+      as: "requester",
+    });
+    WarehouseTransfer.belongsTo(models.User, {
+      foreignKey: "dispatched_by",
+      as: "dispatcher",
+    });
+    WarehouseTransfer.belongsTo(models.User, {
+      foreignKey: "received_by",
+      as: "receiver",
+    });
+    WarehouseTransfer.hasMany(models.WarehouseTransferItem, {
+      foreignKey: "transfer_id",
+      as: "items",
+    });
+    WarehouseTransfer.hasMany(models.WarehouseTransferLot, {
+      foreignKey: "transfer_id",
+      as: "lots",
+    });
+  };
+
+  return WarehouseTransfer;
+};
@@ -0,0 +1,82 @@
+/**
+ * Kho hàng: nơi đợt nhập được nhập vào và phiếu xuất cho đội lấy hàng ra.
+ * Lô nhập (SupplyImport) nằm ở đúng một kho; chuyển kho tách lô sang kho
+ * đích (xem WarehouseTransfer).
+ */
+module.exports = (sequelize, DataTypes) => {
+  const Warehouse = sequelize.define(
+    "Warehouse",
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      name: {
+        type: DataTypes.STRING(200),
+        allowNull: false,
+        comment: "Tên kho, VD: Kho Quận 7",
+      },
+      province_city: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+      },
+      district: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+      },
+      address: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+      },
+      latitude: {
+        type: DataTypes.DECIMAL(10, 8),
+        allowNull: true,
+        validate: { min: -90, max: 90 },
+        comment: "Vị trí kho — dùng chọn kho gần đội nhất khi xuất hàng",
+      },
+      longitude: {
+        type: DataTypes.DECIMAL(11, 8),
+        allowNull: true,
+        validate: { min: -180, max: 180 },
+      },
+      manager_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: "Manager phụ trách kho",
+      },
+      notes: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: "warehouses",
+      timestamps: true,
+      paranoid: true,
+      indexes: [
+        { fields: ["province_city"] },
+        { fields: ["latitude", "longitude"] },
+      ],
+    },
+  );
+
+  Warehouse.associate = function (models) {
+    Warehouse.belongsTo(models.User, {
+      foreignKey: "manager_id",
+      as: "manager",
+      onDelete: "SET NULL",
+    });
+    Warehouse.hasMany(models.ImportBatch, {
+      foreignKey: "warehouse_id",
+      as: "import_batches",
+    });
+    Warehouse.hasMany(models.SupplyImport, {
+      foreignKey: "warehouse_id",
+      as: "lots",
+    });
+  };
+
+  return Warehouse;
+};
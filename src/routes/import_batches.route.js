@@ -1,33 +1,8 @@
 const express = require("express");
 const ImportBatchController = require("../controllers/import_batches");
-const { requireManager } = require("../middlewares/auth");
-const UserService = require("../services/user");
+const { requireManager, requireRoles } = require("../middlewares/auth");
 
-const requireViewAccess = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
-      return res
-        .status(401)
-        .json({ success: false, message: "No authentication token provided" });
-    }
-    const token = authHeader.replace("Bearer ", "");
-    const user = await UserService.verifyToken(token);
-    req.user = user;
-    if (!["admin", "coordinator", "manager"].includes(user.role)) {
-      return res.status(403).json({ success: false, message: "Access denied" });
-    }
-    next();
-  } catch (error) {
-    res
-      .status(401)
-      .json({
-        success: false,
-        message: "Authentication failed",
-        error: error.message,
-      });
-  }
-};
+const requireViewAccess = requireRoles(["admin", "coordinator", "manager"]);
 
 const router = express.Router();
 
@@ -45,9 +20,25 @@ router.get(
   ImportBatchController.getStockBySupply,
 );
 
+// Lịch hết hạn theo tỉnh/thành (?days=&province_city=)
+router.get(
+  "/expiry-calendar",
+  requireViewAccess,
+  ImportBatchController.getExpiryCalendar,
+);
+
+// Phiếu hủy hàng (hết hạn, hư hỏng, thất lạc)
+router.get("/write-offs", requireViewAccess, ImportBatchController.getWriteOffs);
+
 // CRUD đợt nhập
 router.get("/", requireViewAccess, ImportBatchController.getAllBatches);
 router.get("/:id", requireViewAccess, ImportBatchController.getBatchById);
+// Truy vết hàng của đợt nhập tới đội / nhiệm vụ
+router.get(
+  "/:id/trace",
+  requireViewAccess,
+  ImportBatchController.getBatchTrace,
+);
 router.post("/", requireManager, ImportBatchController.createBatch);
 
 // Hoàn tất đợt nhập
@@ -65,4 +56,11 @@ router.delete(
   ImportBatchController.removeItemFromBatch,
 );
 
+// Hủy hàng của một lô trong kho (đợt nhập đã hoàn tất)
+router.post(
+  "/:id/items/:itemId/write-off",
+  requireManager,
+  ImportBatchController.writeOffItem,
+);
+
 module.exports = router;
@@ -1,4 +1,5 @@
 const express = require("express");
+const { idempotency } = require("../middlewares/idempotency");
 const router = express.Router();
 
 const usersRoute = require("./users.route");
@@ -13,6 +14,13 @@ const charityRoute = require("./charity.route");
 const charityCampaignRoutes = require("./charity_campaign.route");
 const volunteerRegistrationsRoute = require("./volunteer_registrations.route");
 const volunteerCampaignsRoute = require("./volunteer_campaigns.route");
+const notificationsRoute = require("./notifications.route");
+const smsRoute = require("./sms.route");
+const syncRoute = require("./sync.route");
+const warehousesRoute = require("./warehouses.route");
+
+// Header Idempotency-Key cho mọi request ghi (retry không tạo bản ghi trùng)
+router.use(idempotency);
 
 router.use("/charity-campaigns", charityCampaignRoutes);
 router.use("/vehicle-requests", vehicleRequestsRoute);
@@ -26,5 +34,9 @@ router.use("/import-batches", importBatchesRoute);
 router.use("/charity", charityRoute);
 router.use("/volunteer-registrations", volunteerRegistrationsRoute);
 router.use("/volunteer-campaigns", volunteerCampaignsRoute);
+router.use("/notifications", notificationsRoute);
+router.use("/sms", smsRoute);
+router.use("/sync", syncRoute);
+router.use("/warehouses", warehousesRoute);
 
 module.exports = router;
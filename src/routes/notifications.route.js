@@ -0,0 +1,19 @@
+const express = require("express");
+const NotificationController = require("../controllers/notifications");
+const { requireAuth } = require("../middlewares/auth");
+
+const router = express.Router();
+
+// Thông báo của user hiện tại
+router.get("/", requireAuth, NotificationController.getMyNotifications);
+router.get("/unread-count", requireAuth, NotificationController.getUnreadCount);
+router.get("/preferences", requireAuth, NotificationController.getPreferences);
+router.put(
+  "/preferences",
+  requireAuth,
+  NotificationController.updatePreferences,
+);
+router.post("/read-all", requireAuth, NotificationController.markAllAsRead);
+router.patch("/:id/read", requireAuth, NotificationController.markAsRead);
+
+module.exports = router;
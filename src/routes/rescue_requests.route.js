@@ -6,11 +6,24 @@ const {
   requireAdminOrCoordinator,
   requireRescueTeam,
   requireAdminOrCoordinatorOrRescueTeam,
+  requireRoles,
 } = require("../middlewares/auth");
 
+// Coordinator / Admin / Manager (quản lý kho xem truy vết vật tư)
+const requireAdminOrCoordinatorOrManager = requireRoles([
+  "admin",
+  "coordinator",
+  "manager",
+]);
+
 const router = express.Router();
 
 router.get("/stats/summary", RescueRequestController.getStatistics);
+router.get(
+  "/stats/sla",
+  requireAdminOrCoordinator,
+  RescueRequestController.getSlaReport,
+);
 router.get(
   "/stats/tactical-map",
   RescueRequestController.getTacticalMapStats,
@@ -23,7 +36,43 @@ router.get(
 router.get("/", optionalAuth, RescueRequestController.getAllRescueRequests);
 router.post("/", optionalAuth, RescueRequestController.createRescueRequest);
 router.post("/link-to-me", requireAuth, RescueRequestController.linkToMe);
+router.get("/track/:code", RescueRequestController.trackByCode);
 router.get("/:id", RescueRequestController.getRescueRequestById);
+router.get(
+  "/:id/timeline",
+  requireAdminOrCoordinator,
+  RescueRequestController.getTimeline,
+);
+router.get(
+  "/:id/provenance",
+  requireAdminOrCoordinatorOrManager,
+  RescueRequestController.getProvenance,
+);
+router.get(
+  "/:id/triage",
+  requireAdminOrCoordinator,
+  RescueRequestController.getTriage,
+);
+router.post(
+  "/:id/triage/recompute",
+  requireAdminOrCoordinator,
+  RescueRequestController.recomputeTriage,
+);
+router.post(
+  "/:id/triage/override",
+  requireAdminOrCoordinator,
+  RescueRequestController.overrideTriagePriority,
+);
+router.get(
+  "/:id/track",
+  requireAdminOrCoordinatorOrRescueTeam,
+  RescueRequestController.getMissionTrack,
+);
+router.get(
+  "/:id/allowed-actions",
+  requireAuth,
+  RescueRequestController.getAllowedActions,
+);
 router.post(
   "/:id/approve",
   requireAdminOrCoordinator,
@@ -34,11 +83,46 @@ router.post(
   requireAdminOrCoordinator,
   RescueRequestController.rejectRescueRequest,
 );
+router.get(
+  "/:id/recommended-teams",
+  requireAdminOrCoordinator,
+  RescueRequestController.getRecommendedTeams,
+);
+router.post(
+  "/:id/merge",
+  requireAdminOrCoordinator,
+  RescueRequestController.mergeRescueRequests,
+);
+router.post(
+  "/:id/split",
+  requireAdminOrCoordinator,
+  RescueRequestController.splitRescueRequest,
+);
 router.post(
   "/:id/assign-team",
   requireAdminOrCoordinator,
   RescueRequestController.assignTeam,
 );
+router.get(
+  "/:id/teams",
+  requireAdminOrCoordinatorOrRescueTeam,
+  RescueRequestController.getRequestTeams,
+);
+router.post(
+  "/:id/teams",
+  requireAdminOrCoordinator,
+  RescueRequestController.addSupportTeam,
+);
+router.post(
+  "/:id/teams/:teamId/release",
+  requireAdminOrCoordinator,
+  RescueRequestController.releaseSupportTeam,
+);
+router.post(
+  "/:id/auto-dispatch/stop",
+  requireAdminOrCoordinator,
+  RescueRequestController.stopAutoDispatch,
+);
 
 // THÊM MỚI: Team xác nhận / từ chối nhiệm vụ
 router.post(
@@ -3,34 +3,15 @@ const RescueTeamController = require("../controllers/rescue_teams");
 const {
   requireAdminOrCoordinator,
   requireManager,
+  requireRescueTeam,
+  requireRoles,
 } = require("../middlewares/auth");
 
-const requireAdminOrCoordinatorOrManager = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
-      return res
-        .status(401)
-        .json({ success: false, message: "No authentication token provided" });
-    }
-    const token = authHeader.replace("Bearer ", "");
-    const UserService = require("../services/user");
-    const user = await UserService.verifyToken(token);
-    req.user = user;
-    if (!["admin", "coordinator", "manager"].includes(user.role)) {
-      return res.status(403).json({ success: false, message: "Access denied" });
-    }
-    next();
-  } catch (error) {
-    res
-      .status(401)
-      .json({
-        success: false,
-        message: "Authentication failed",
-        error: error.message,
-      });
-  }
-};
+const requireAdminOrCoordinatorOrManager = requireRoles([
+  "admin",
+  "coordinator",
+  "manager",
+]);
 
 const router = express.Router();
 
@@ -41,6 +22,43 @@ router.get(
   RescueTeamController.getAvailableTeams,
 );
 
+// Xếp hạng hiệu suất các đội (Coordinator/Admin/Manager)
+router.get(
+  "/leaderboard",
+  requireAdminOrCoordinatorOrManager,
+  RescueTeamController.getLeaderboard,
+);
+
+// Rescue team gửi vị trí GPS (REST fallback của socket team:location)
+router.post(
+  "/me/location",
+  requireRescueTeam,
+  RescueTeamController.updateMyLocation,
+);
+
+// Trưởng nhóm xem ca trực, check-in / check-out thành viên của đội mình
+router.get("/me/roster", requireRescueTeam, RescueTeamController.getMyRoster);
+router.get(
+  "/me/workload",
+  requireRescueTeam,
+  RescueTeamController.getWorkload,
+);
+router.get(
+  "/me/performance",
+  requireRescueTeam,
+  RescueTeamController.getPerformance,
+);
+router.post(
+  "/me/members/:memberId/check-in",
+  requireRescueTeam,
+  RescueTeamController.checkInMember,
+);
+router.post(
+  "/me/members/:memberId/check-out",
+  requireRescueTeam,
+  RescueTeamController.checkOutMember,
+);
+
 // Get all teams (Coordinator/Admin/Manager)
 router.get(
   "/",
@@ -64,4 +82,62 @@ router.put("/:id", requireManager, RescueTeamController.updateTeam);
 // Delete team (Manager only)
 router.delete("/:id", requireManager, RescueTeamController.deleteTeam);
 
+// Nhiệm vụ / giờ làm nhiệm vụ gần đây so với giới hạn mệt mỏi
+router.get(
+  "/:id/workload",
+  requireAdminOrCoordinatorOrManager,
+  RescueTeamController.getWorkload,
+);
+
+// Hiệu suất của đội trong kỳ (from/to)
+router.get(
+  "/:id/performance",
+  requireAdminOrCoordinatorOrManager,
+  RescueTeamController.getPerformance,
+);
+
+// Roster: thành viên + ca trực (Coordinator/Admin/Manager xem, Manager quản lý)
+router.get(
+  "/:id/roster",
+  requireAdminOrCoordinatorOrManager,
+  RescueTeamController.getRoster,
+);
+router.get(
+  "/:id/members",
+  requireAdminOrCoordinatorOrManager,
+  RescueTeamController.getMembers,
+);
+router.post("/:id/members", requireManager, RescueTeamController.addMember);
+router.put(
+  "/:id/members/:memberId",
+  requireManager,
+  RescueTeamController.updateMember,
+);
+router.delete(
+  "/:id/members/:memberId",
+  requireManager,
+  RescueTeamController.deactivateMember,
+);
+router.post(
+  "/:id/members/:memberId/check-in",
+  requireAdminOrCoordinatorOrManager,
+  RescueTeamController.checkInMember,
+);
+router.post(
+  "/:id/members/:memberId/check-out",
+  requireAdminOrCoordinatorOrManager,
+  RescueTeamController.checkOutMember,
+);
+router.get(
+  "/:id/shifts",
+  requireAdminOrCoordinatorOrManager,
+  RescueTeamController.getShifts,
+);
+router.post("/:id/shifts", requireManager, RescueTeamController.createShifts);
+router.post(
+  "/:id/shifts/:shiftId/cancel",
+  requireManager,
+  RescueTeamController.cancelShift,
+);
+
 module.exports = router;
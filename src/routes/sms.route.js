@@ -0,0 +1,10 @@
+const express = require("express");
+const SmsController = require("../controllers/sms");
+const { requireSmsWebhookSecret } = require("../middlewares/auth");
+
+const router = express.Router();
+
+// Webhook từ SMS gateway (tiếp nhận yêu cầu cứu hộ, tra cứu theo mã)
+router.post("/inbound", requireSmsWebhookSecret, SmsController.inbound);
+
+module.exports = router;
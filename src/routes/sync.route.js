@@ -0,0 +1,11 @@
+const express = require("express");
+const SyncController = require("../controllers/sync");
+const { requireRescueTeam } = require("../middlewares/auth");
+
+const router = express.Router();
+
+// App đội cứu hộ: gửi thao tác offline, lấy thay đổi từ lần sync trước
+router.post("/batch", requireRescueTeam, SyncController.applyBatch);
+router.get("/changes", requireRescueTeam, SyncController.getChanges);
+
+module.exports = router;
@@ -5,36 +5,16 @@ const {
   requireManager,
   requireAdminOrCoordinator,
   requireRescueTeam,
+  requireRoles,
 } = require("../middlewares/auth");
-const UserService = require("../services/user");
 
 // Sửa: thêm rescue_team vào danh sách được phép xem
-const requireViewAccess = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
-      return res
-        .status(401)
-        .json({ success: false, message: "No authentication token provided" });
-    }
-    const token = authHeader.replace("Bearer ", "");
-    const user = await UserService.verifyToken(token);
-    req.user = user;
-    // Thêm "rescue_team" vào đây
-    if (
-      !["admin", "coordinator", "manager", "rescue_team"].includes(user.role)
-    ) {
-      return res.status(403).json({ success: false, message: "Access denied" });
-    }
-    next();
-  } catch (error) {
-    res.status(401).json({
-      success: false,
-      message: "Authentication failed",
-      error: error.message,
-    });
-  }
-};
+const requireViewAccess = requireRoles([
+  "admin",
+  "coordinator",
+  "manager",
+  "rescue_team",
+]);
 
 const router = express.Router();
 
@@ -0,0 +1,47 @@
+const express = require("express");
+const WarehouseController = require("../controllers/warehouses");
+const { requireManager, requireRoles } = require("../middlewares/auth");
+
+const requireViewAccess = requireRoles(["admin", "coordinator", "manager"]);
+
+const router = express.Router();
+
+// Chuyển kho (phải trước /:id): requested → in_transit → received
+router.get("/transfers", requireViewAccess, WarehouseController.getTransfers);
+router.post("/transfers", requireManager, WarehouseController.createTransfer);
+router.get(
+  "/transfers/:transferId",
+  requireViewAccess,
+  WarehouseController.getTransferById,
+);
+router.post(
+  "/transfers/:transferId/dispatch",
+  requireManager,
+  WarehouseController.dispatchTransfer,
+);
+router.post(
+  "/transfers/:transferId/receive",
+  requireManager,
+  WarehouseController.receiveTransfer,
+);
+router.post(
+  "/transfers/:transferId/cancel",
+  requireManager,
+  WarehouseController.cancelTransfer,
+);
+
+// CRUD kho
+router.get("/", requireViewAccess, WarehouseController.getAllWarehouses);
+router.get("/:id", requireViewAccess, WarehouseController.getWarehouseById);
+router.post("/", requireManager, WarehouseController.createWarehouse);
+router.put("/:id", requireManager, WarehouseController.updateWarehouse);
+router.delete("/:id", requireManager, WarehouseController.deleteWarehouse);
+
+// Tồn kho từng mặt hàng của kho
+router.get(
+  "/:id/stock",
+  requireViewAccess,
+  WarehouseController.getWarehouseStock,
+);
+
+module.exports = router;
@@ -0,0 +1,331 @@
+const { Op } = require("sequelize");
+const { db, transaction } = require("../config/database");
+const { env } = require("../config/env");
+const RescueRequestStateMachine = require("./rescue_request_state");
+const RescueRequestEventService = require("./rescue_request_event");
+const RescueRequestTeamService = require("./rescue_request_team");
+
+const SYSTEM_CTX = { user: { id: null, role: "system" } };
+
+let sweepTimer = null;
+
+/**
+ * Auto-dispatch cho yêu cầu urgent: tự xác minh, chọn đội tốt nhất theo
+ * RescueTeamService.getRecommendedTeams và chuyển thẳng sang "assigned".
+ * Nếu đội không team-accept trong ACCEPT_TIMEOUT_MINUTES thì chuyển sang
+ * ứng viên kế tiếp. Coordinator có thể override bất cứ lúc nào
+ * (assign-team thủ công, reject, hoặc POST /:id/auto-dispatch/stop).
+ */
+class AutoDispatchService {
+  static get RescueRequestModel() {
+    return db.RescueRequest;
+  }
+
+  static isEnabled() {
+    return env.AUTO_DISPATCH.ENABLED;
+  }
+
+  /**
+   * Bắt đầu auto-dispatch cho request vừa tạo (status "new").
+   */
+  static async startForRequest(requestId) {
+    try {
+      if (!this.isEnabled()) return null;
+
+      const request = await this.RescueRequestModel.findByPk(requestId);
+      if (!request) throw new Error("Rescue request not found");
+      if (
+        request.priority !== "urgent" ||
+        !RescueRequestStateMachine.check(request, "approve", SYSTEM_CTX).allowed
+      ) {
+        return null;
+      }
+
+      const now = new Date();
+      const fromStatus = request.status;
+      await transaction(async (t) => {
+        await request.update(
+          {
+            status: "pending_verification",
+            verified_at: now,
+            notes: "Auto-verified by auto-dispatch (urgent request)",
+            auto_dispatch: {
+              active: true,
+              attempts: 0,
+              tried_team_ids: [],
+              started_at: now,
+              last_attempt_at: null,
+              stopped_at: null,
+              stopped_by: null,
+              stop_reason: null,
+            },
+          },
+          { transaction: t },
+        );
+        await RescueRequestEventService.log(request, "approve", {
+          fromStatus,
+          payload: { auto_dispatch: true },
+          transaction: t,
+        });
+      });
+
+      return await this.dispatchNext(requestId, "auto_dispatch_started");
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Giao request cho ứng viên kế tiếp chưa thử. Gọi khi bắt đầu, khi đội
+   * từ chối, hoặc khi đội không xác nhận trong thời gian chờ.
+   */
+  static async dispatchNext(requestId, trigger = "timeout") {
+    try {
+      const RescueRequestService = require("./rescue_request");
+      const RescueTeamService = require("./rescue_team");
+
+      const request = await RescueRequestService.getRescueRequestById(requestId);
+      const state = request.auto_dispatch;
+      if (!state?.active) return null;
+
+      if (!["pending_verification", "assigned"].includes(request.status)) {
+        return await this.stop(request, null, `status_${request.status}`);
+      }
+
+      const attempts = parseInt(state.attempts) || 0;
+      const triedTeamIds = Array.isArray(state.tried_team_ids)
+        ? [...state.tried_team_ids]
+        : [];
+      if (
+        request.assigned_team_id &&
+        !triedTeamIds.includes(request.assigned_team_id)
+      ) {
+        triedTeamIds.push(request.assigned_team_id);
+      }
+
+      if (attempts >= env.AUTO_DISPATCH.MAX_ATTEMPTS) {
+        await this.releaseTimedOutTeam(request, trigger);
+        return await this.stop(request, null, "max_attempts_reached", {
+          tried_team_ids: triedTeamIds,
+        });
+      }
+
+      const recommendations = await RescueTeamService.getRecommendedTeams(
+        request,
+        { limit: 50, excludeFatigued: true, excludePending: true },
+      );
+      const candidate = recommendations.find(
+        (r) =>
+          !triedTeamIds.includes(r.team.id) &&
+          r.team.specialization === request.category,
+      );
+
+      if (!candidate) {
+        await this.releaseTimedOutTeam(request, trigger);
+        return await this.stop(request, null, "no_available_team", {
+          tried_team_ids: triedTeamIds,
+        });
+      }
+
+      const team = await db.RescueTeam.findByPk(candidate.team.id);
+      const now = new Date();
+
+      await RescueRequestService.applyTeamAssignment(request, team, {
+        assignedBy: null,
+        reason:
+          trigger === "auto_dispatch_started"
+            ? "Auto-dispatch"
+            : `Auto-dispatch fallback (${trigger})`,
+        autoDispatch: {
+          ...state,
+          attempts: attempts + 1,
+          tried_team_ids: [...triedTeamIds, team.id],
+          last_attempt_at: now,
+        },
+        historyExtra: {
+          auto_dispatch: true,
+          attempt: attempts + 1,
+          trigger,
+          score: candidate.score,
+        },
+      });
+
+      console.log(
+        `🤖 Auto-dispatch: request ${requestId} → team ${team.name} (attempt ${attempts + 1}, ${trigger})`,
+      );
+      return request;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Khi hết ứng viên mà request vẫn đang "assigned" cho đội không phản hồi,
+   * trả request về pending_verification để coordinator xử lý.
+   */
+  static async releaseTimedOutTeam(request, trigger) {
+    if (request.status !== "assigned" || trigger !== "timeout") return;
+    const releasedTeamId = request.assigned_team_id;
+    const reason = "Team did not accept within auto-dispatch timeout";
+    await transaction(async (t) => {
+      // Đội hỗ trợ (nếu có) lên làm lead thay vì trả về chờ phân công
+      const next = await RescueRequestTeamService.handOverLead(
+        request,
+        { status: "released", end_reason: reason },
+        { transaction: t },
+      );
+      await request.update(
+        {
+          status: "pending_verification",
+          assigned_team_id: null,
+          assigned_at: null,
+          team_reject_reason: reason,
+          ...next,
+        },
+        { transaction: t },
+      );
+      await RescueRequestEventService.log(request, "auto_dispatch_timeout", {
+        fromStatus: "assigned",
+        payload: {
+          released_team_id: releasedTeamId,
+          promoted_team_id: next?.assigned_team_id || null,
+        },
+        transaction: t,
+      });
+    });
+  }
+
+  /**
+   * Dừng auto-dispatch. stoppedBy = null nghĩa là hệ thống tự dừng.
+   */
+  static async stop(request, stoppedBy = null, reason = null, extra = {}) {
+    try {
+      const state = request.auto_dispatch || {};
+      await transaction(async (t) => {
+        await request.update(
+          {
+            auto_dispatch: {
+              ...state,
+              ...extra,
+              active: false,
+              stopped_at: new Date(),
+              stopped_by: stoppedBy,
+              stop_reason: reason,
+            },
+          },
+          { transaction: t },
+        );
+        await RescueRequestEventService.log(request, "auto_dispatch_stopped", {
+          actor: stoppedBy
+            ? await db.User.findByPk(stoppedBy, { transaction: t })
+            : null,
+          fromStatus: request.status,
+          payload: { reason, attempts: state.attempts || 0 },
+          transaction: t,
+        });
+      });
+
+      if (!stoppedBy) {
+        await this.notifyCoordinatorsDispatchStopped(request, reason);
+      }
+      return request;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Coordinator/Admin tắt auto-dispatch của một request.
+   */
+  static async stopByCoordinator(requestId, coordinatorId, reason = null) {
+    try {
+      const RescueRequestService = require("./rescue_request");
+      const request = await RescueRequestService.getRescueRequestById(requestId);
+      if (!request.auto_dispatch?.active) {
+        throw new Error("Auto-dispatch is not active for this request");
+      }
+      const coordinator = await db.User.findByPk(coordinatorId);
+      if (!coordinator) throw new Error("Coordinator not found");
+      if (!["coordinator", "admin"].includes(coordinator.role)) {
+        throw new Error("Only coordinators or admins can stop auto-dispatch");
+      }
+      return await this.stop(
+        request,
+        coordinatorId,
+        reason ? String(reason).trim() : "coordinator_override",
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  static async notifyCoordinatorsDispatchStopped(request, reason) {
+    try {
+      const NotificationService = require("./notification");
+      const coordinators = await db.User.findAll({
+        where: { role: { [Op.in]: ["coordinator", "admin"] } },
+      });
+      for (const coordinator of coordinators) {
+        await NotificationService.notify(
+          coordinator,
+          "⚠️ Auto-dispatch dừng",
+          `Yêu cầu khẩn cấp tại ${request.district} cần phân công thủ công (${reason}).`,
+          {
+            type: "auto_dispatch_stopped",
+            rescue_request_id: request.id,
+            reason,
+          },
+        );
+      }
+    } catch (e) {
+      console.error("Failed to notify coordinators auto_dispatch_stopped:", e);
+    }
+  }
+
+  /**
+   * Quét các request auto-dispatch đang "assigned" quá thời gian chờ.
+   */
+  static async sweepTimeouts() {
+    try {
+      const timeoutMs = env.AUTO_DISPATCH.ACCEPT_TIMEOUT_MINUTES * 60 * 1000;
+      const candidates = await this.RescueRequestModel.findAll({
+        where: {
+          status: "assigned",
+          auto_dispatch: { [Op.ne]: null },
+          assigned_at: { [Op.lte]: new Date(Date.now() - timeoutMs) },
+        },
+        attributes: ["id", "auto_dispatch"],
+      });
+
+      for (const request of candidates) {
+        if (!request.auto_dispatch?.active) continue;
+        try {
+          await this.dispatchNext(request.id, "timeout");
+        } catch (e) {
+          console.error(`Auto-dispatch timeout failed for ${request.id}:`, e);
+        }
+      }
+    } catch (error) {
+      console.error("Auto-dispatch sweep failed:", error);
+    }
+  }
+
+  static startWatcher() {
+    if (!this.isEnabled() || sweepTimer) return;
+    sweepTimer = setInterval(
+      () => this.sweepTimeouts(),
+      env.AUTO_DISPATCH.SWEEP_INTERVAL_SECONDS * 1000,
+    );
+    sweepTimer.unref();
+    console.log(
+      `🤖 Auto-dispatch watcher started (timeout ${env.AUTO_DISPATCH.ACCEPT_TIMEOUT_MINUTES}m)`,
+    );
+  }
+
+  static stopWatcher() {
+    if (sweepTimer) clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+}
+
+module.exports = AutoDispatchService;
@@ -147,8 +147,9 @@ class CharityService {
     // Tổng hợp items từ supply_imports (quantity nhập ban đầu).
     const histories = await Promise.all(
       rows.map(async (h) => {
+        // Chỉ lô gốc — lô tách ra khi chuyển kho không phải hàng nhập thêm
         const itemsRaw = await this.SupplyImportModel.findAll({
-          where: { batch_id: h.import_batch_id },
+          where: { batch_id: h.import_batch_id, source_import_id: null },
           attributes: ["supply_id", "quantity"],
           include: [
             {
@@ -0,0 +1,202 @@
+const crypto = require("crypto");
+const { Op } = require("sequelize");
+const { db } = require("../config/database");
+const { env } = require("../config/env");
+
+const MAX_KEY_LENGTH = 128;
+// Khóa "processing" không được gia hạn quá lâu (server chết giữa chừng)
+// được coi là bỏ dở; thao tác còn chạy gia hạn mỗi HEARTBEAT_SECONDS
+const STALE_PROCESSING_MINUTES = 5;
+const HEARTBEAT_SECONDS = 60;
+
+let sweepTimer = null;
+
+/**
+ * Khóa idempotency: giữ khóa trước khi thực hiện thao tác, lưu kết quả sau
+ * khi xong. Client gửi lại cùng khóa (retry sau khi mất mạng) nhận lại kết
+ * quả cũ thay vì thao tác bị thực hiện hai lần.
+ */
+class IdempotencyService {
+  static get IdempotencyKeyModel() {
+    return db.IdempotencyKey;
+  }
+
+  static hash(value) {
+    return crypto
+      .createHash("sha256")
+      .update(JSON.stringify(value ?? null))
+      .digest("hex");
+  }
+
+  static validateKey(key) {
+    if (
+      typeof key !== "string" ||
+      key.trim().length === 0 ||
+      key.length > MAX_KEY_LENGTH
+    ) {
+      throw new Error(
+        `Idempotency key must be a non-empty string of at most ${MAX_KEY_LENGTH} characters`,
+      );
+    }
+    return key.trim();
+  }
+
+  /**
+   * Khóa lưu trong DB. Request không đăng nhập không có user để phân vùng:
+   * khóa được băm cùng scope + dấu vân tay client (IP, user-agent) để khách
+   * này không dùng lại / đọc được kết quả của khách khác.
+   */
+  static storageKey(userId, key, { scope, fingerprint = null } = {}) {
+    if (userId) return key;
+    return `guest:${crypto
+      .createHash("sha256")
+      .update(JSON.stringify([scope, fingerprint, key]))
+      .digest("hex")}`;
+  }
+
+  /**
+   * Giữ khóa cho user (null = request không đăng nhập, cần `fingerprint`).
+   * Trả { record, replay }: replay khác null nghĩa là khóa đã hoàn thành
+   * trước đó → { status, body } đã lưu.
+   * Khóa đang xử lý hoặc dùng lại với nội dung khác → throw.
+   */
+  static async begin(
+    userId,
+    key,
+    { scope, payload = null, clientTimestamp = null, fingerprint = null } = {},
+  ) {
+    const normalizedKey = this.storageKey(userId, this.validateKey(key), {
+      scope,
+      fingerprint,
+    });
+    const requestHash = this.hash({ scope, payload });
+    const now = new Date();
+    const where = { user_id: userId, key: normalizedKey };
+
+    let existing = await this.IdempotencyKeyModel.findOne({ where });
+    const staleBefore = new Date(
+      now.getTime() - STALE_PROCESSING_MINUTES * 60 * 1000,
+    );
+    if (
+      existing &&
+      (existing.expires_at <= now ||
+        (existing.status === "processing" && existing.updated_at < staleBefore))
+    ) {
+      // Xóa có điều kiện: hai retry cùng lúc chỉ một bên chiếm được khóa
+      const removed = await this.IdempotencyKeyModel.destroy({
+        where: {
+          id: existing.id,
+          [Op.or]: [
+            { expires_at: { [Op.lte]: now } },
+            { status: "processing", updated_at: { [Op.lt]: staleBefore } },
+          ],
+        },
+      });
+      existing = removed
+        ? null
+        : await this.IdempotencyKeyModel.findOne({ where });
+    }
+    if (!existing) {
+      try {
+        const record = await this.IdempotencyKeyModel.create({
+          key: normalizedKey,
+          user_id: userId,
+          scope,
+          request_hash: requestHash,
+          client_timestamp: clientTimestamp,
+          expires_at: new Date(
+            now.getTime() + env.IDEMPOTENCY.TTL_HOURS * 60 * 60 * 1000,
+          ),
+        });
+        return { record, replay: null };
+      } catch (error) {
+        // Hai request cùng khóa tới đồng thời: request sau đọc lại bản ghi
+        if (error.name !== "SequelizeUniqueConstraintError") throw error;
+        existing = await this.IdempotencyKeyModel.findOne({ where });
+        if (!existing) throw error;
+      }
+    }
+
+    if (existing.request_hash !== requestHash) {
+      throw new Error(
+        "Idempotency key was already used for a different request",
+      );
+    }
+    if (existing.status === "processing") {
+      throw new Error(
+        "A request with this idempotency key is still being processed",
+      );
+    }
+    return {
+      record: existing,
+      replay: {
+        status: existing.response_status,
+        body: existing.response_body,
+      },
+    };
+  }
+
+  /**
+   * Gia hạn khóa "processing" trong khi thao tác còn chạy, để request chậm
+   * không bị retry chiếm khóa và chạy lại. Trả về hàm dừng gia hạn.
+   */
+  static keepAlive(record) {
+    const timer = setInterval(() => {
+      this.IdempotencyKeyModel.update(
+        { status: "processing" },
+        { where: { id: record.id, status: "processing" } },
+      ).catch((error) =>
+        console.error("Failed to extend idempotency key:", error),
+      );
+    }, HEARTBEAT_SECONDS * 1000);
+    timer.unref();
+    return () => clearInterval(timer);
+  }
+
+  static async complete(record, status, body) {
+    await record.update({
+      status: "completed",
+      response_status: status,
+      response_body: body,
+      completed_at: new Date(),
+    });
+    return record;
+  }
+
+  /**
+   * Bỏ khóa khi thao tác không thành công để client retry được.
+   */
+  static async release(record) {
+    await record.destroy();
+  }
+
+  static async purgeExpired() {
+    try {
+      return await this.IdempotencyKeyModel.destroy({
+        where: { expires_at: { [Op.lte]: new Date() } },
+      });
+    } catch (error) {
+      console.error("Idempotency key purge failed:", error);
+      return 0;
+    }
+  }
+
+  static startWatcher() {
+    if (sweepTimer) return;
+    sweepTimer = setInterval(
+      () => this.purgeExpired(),
+      env.IDEMPOTENCY.SWEEP_INTERVAL_SECONDS * 1000,
+    );
+    sweepTimer.unref();
+    console.log(
+      `🔑 Idempotency key purge started (every ${env.IDEMPOTENCY.SWEEP_INTERVAL_SECONDS}s)`,
+    );
+  }
+
+  static stopWatcher() {
+    if (sweepTimer) clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+}
+
+module.exports = IdempotencyService;
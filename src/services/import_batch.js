@@ -1,5 +1,9 @@
 const { db, transaction } = require("../config/database");
 const CharityService = require("./charity");
+const RealtimeService = require("./realtime");
+const SupplyTraceService = require("./supply_trace");
+const SupplyExpiryService = require("./supply_expiry");
+const WarehouseService = require("./warehouse");
 
 // Regex đơn giản cho SĐT VN: bắt đầu bằng 0 và đủ 10 chữ số.
 const isValidVNPhone = (phone) => /^0\d{9}$/.test(String(phone || ""));
@@ -15,11 +19,12 @@ class ImportBatchService {
 
   static async getAllBatches(filters = {}, page = 1, limit = 20) {
     try {
-      const { source, status } = filters;
+      const { source, status, warehouse_id } = filters;
       const offset = (page - 1) * limit;
       const where = {};
       if (source) where.source = source;
       if (status) where.status = status;
+      if (warehouse_id) where.warehouse_id = warehouse_id;
 
       const { count, rows } = await this.BatchModel.findAndCountAll({
         where,
@@ -32,6 +37,12 @@ class ImportBatchService {
             as: "manager",
             attributes: ["id", "username", "email"],
           },
+          {
+            model: db.Warehouse,
+            as: "warehouse",
+            attributes: ["id", "name", "province_city"],
+            paranoid: false,
+          },
           {
             model: db.SupplyImport,
             as: "items",
@@ -69,6 +80,12 @@ class ImportBatchService {
             as: "manager",
             attributes: ["id", "username", "email"],
           },
+          {
+            model: db.Warehouse,
+            as: "warehouse",
+            attributes: ["id", "name", "province_city"],
+            paranoid: false,
+          },
           {
             model: db.SupplyImport,
             as: "items",
@@ -89,6 +106,13 @@ class ImportBatchService {
     }
   }
 
+  /**
+   * Hàng của đợt nhập đã xuất cho đội nào, dùng cho nhiệm vụ nào
+   */
+  static async getBatchTrace(id) {
+    return await SupplyTraceService.getBatchTrace(id);
+  }
+
   static async createBatch(data, managerId) {
     try {
       const {
@@ -99,11 +123,17 @@ class ImportBatchService {
         import_date,
         notes,
         items,
+        warehouse_id,
       } = data;
 
       if (!name || !source || !import_date) {
         throw new Error("Missing required fields: name, source, import_date");
       }
+      // Đợt nhập nhập vào một kho cụ thể. Client cũ chưa gửi warehouse_id thì
+      // đợt nháp chưa có kho, chọn kho lúc hoàn tất (completeBatch)
+      const warehouse = warehouse_id
+        ? await WarehouseService.getWarehouseById(warehouse_id)
+        : null;
 
       if (source === "donate" && !donor_name) {
         throw new Error("Donor name is required for donate source");
@@ -134,6 +164,7 @@ class ImportBatchService {
             notes,
             status: "draft",
             created_by: managerId,
+            warehouse_id: warehouse?.id || null,
           },
           { transaction: t },
         );
@@ -165,6 +196,7 @@ class ImportBatchService {
               expiry_date: expiry_date || null,
               condition: condition || "new",
               notes: itemNotes || null,
+              warehouse_id: warehouse?.id || null,
             },
             { transaction: t },
           );
@@ -179,7 +211,7 @@ class ImportBatchService {
     }
   }
 
-  static async completeBatch(id, managerId = null) {
+  static async completeBatch(id, managerId = null, options = {}) {
     try {
       return await transaction(async (t) => {
         const batch = await this.getBatchById(id);
@@ -189,8 +221,34 @@ class ImportBatchService {
         if (batch.items.length === 0) {
           throw new Error("Cannot complete batch with no items");
         }
+        // Đợt nháp tạo trước khi có nhiều kho: chọn kho lúc hoàn tất
+        const warehouseId = batch.warehouse_id || options.warehouse_id;
+        if (!warehouseId) {
+          throw new Error("warehouse_id is required to complete this batch");
+        }
+        const warehouse = await WarehouseService.getWarehouseById(warehouseId);
+
+        await batch.update(
+          { status: "completed", warehouse_id: warehouse.id },
+          { transaction: t },
+        );
+        await this.SupplyImportModel.update(
+          { warehouse_id: warehouse.id },
+          { where: { batch_id: batch.id }, transaction: t },
+        );
 
-        await batch.update({ status: "completed" }, { transaction: t });
+        // Lô hoàn tất → tồn kho khả dụng thay đổi
+        batch.items.forEach((item) =>
+          RealtimeService.publishSupply(item.supply_id, "stock_imported", {
+            transaction: t,
+            actor: managerId ? { id: managerId } : null,
+            data: {
+              batch_id: batch.id,
+              import_id: item.id,
+              quantity: item.quantity,
+            },
+          }),
+        );
 
         // Side effect for donate: ghi nhận charity history + receipt_code
         if (batch.source === "donate") {
@@ -231,6 +289,7 @@ class ImportBatchService {
         expiry_date: expiry_date || null,
         condition: condition || "new",
         notes: notes || null,
+        warehouse_id: batch.warehouse_id,
       });
 
       return item;
@@ -259,10 +318,13 @@ class ImportBatchService {
   }
 
   // Lấy tồn kho thực tế của 1 supply (tổng remaining từ các lô đã completed)
-  static async getStockBySupply(supplyId) {
+  static async getStockBySupply(supplyId, filters = {}) {
     try {
+      const where = { supply_id: supplyId };
+      if (filters.warehouse_id) where.warehouse_id = filters.warehouse_id;
+
       const imports = await this.SupplyImportModel.findAll({
-        where: { supply_id: supplyId },
+        where,
         include: [
           {
             model: db.ImportBatch,
@@ -270,36 +332,86 @@ class ImportBatchService {
             where: { status: "completed" },
             attributes: ["id", "name", "import_date"],
           },
+          {
+            model: db.Warehouse,
+            as: "warehouse",
+            attributes: ["id", "name", "province_city"],
+            paranoid: false,
+          },
         ],
         order: [["expiry_date", "ASC"]], // FIFO theo hạn SD
       });
 
-      const totalRemaining = imports.reduce((sum, i) => sum + i.remaining, 0);
+      // Lô quá hạn (chờ job hủy) không tính vào tồn kho
+      const expiredItems = imports.filter(
+        (i) => SupplyExpiryService.isExpired(i) && i.remaining > 0,
+      );
+      const usable = imports.filter((i) => !SupplyExpiryService.isExpired(i));
+      const totalRemaining = usable.reduce((sum, i) => sum + i.remaining, 0);
 
       // Cảnh báo sắp hết hạn (trong 7 ngày)
       const today = new Date();
       const warningDate = new Date();
       warningDate.setDate(today.getDate() + 7);
 
-      const expiringItems = imports.filter((i) => {
+      const expiringItems = usable.filter((i) => {
         if (!i.expiry_date) return false;
         const expiry = new Date(i.expiry_date);
         return expiry <= warningDate && i.remaining > 0;
       });
 
+      // Tồn theo kho (warehouse = null: hàng chưa phân kho)
+      const byWarehouse = new Map();
+      usable.forEach((i) => {
+        const key = i.warehouse_id || null;
+        const entry = byWarehouse.get(key) || {
+          warehouse: i.warehouse?.toJSON() || null,
+          total_remaining: 0,
+        };
+        entry.total_remaining += i.remaining;
+        byWarehouse.set(key, entry);
+      });
+
       return {
         supply_id: supplyId,
         total_remaining: totalRemaining,
+        by_warehouse: [...byWarehouse.values()].filter(
+          (w) => w.total_remaining > 0,
+        ),
         lots: imports.map((i) => i.toJSON()),
         expiring_soon: expiringItems.map((i) => i.toJSON()),
+        expired: expiredItems.map((i) => i.toJSON()),
       };
     } catch (error) {
       throw error;
     }
   }
 
-  // Lấy tổng quan kho
-  static async getWarehouseOverview() {
+  // Lịch hết hạn theo tỉnh/thành — ưu tiên xuất hàng sắp hết hạn
+  static async getExpiryCalendar(filters = {}) {
+    return await SupplyExpiryService.getExpiryCalendar(filters);
+  }
+
+  static async getWriteOffs(filters = {}, page = 1, limit = 20) {
+    return await SupplyExpiryService.getWriteOffs(filters, page, limit);
+  }
+
+  // Hủy hàng của một lô (hư hỏng, thất lạc, hết hạn)
+  static async writeOffItem(batchId, itemId, data, managerId) {
+    try {
+      const item = await this.SupplyImportModel.findOne({
+        where: { id: itemId, batch_id: batchId },
+      });
+      if (!item) throw new Error("Item not found in this batch");
+
+      return await SupplyExpiryService.writeOff(item.id, data, managerId);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Lấy tổng quan kho (?warehouse_id= để xem riêng một kho)
+  static async getWarehouseOverview(filters = {}) {
     try {
       const supplies = await db.Supply.findAll({
         paranoid: true,
@@ -307,7 +419,7 @@ class ImportBatchService {
 
       const overview = await Promise.all(
         supplies.map(async (supply) => {
-          const stock = await this.getStockBySupply(supply.id);
+          const stock = await this.getStockBySupply(supply.id, filters);
           return {
             ...supply.toJSON(),
             total_remaining: stock.total_remaining,
@@ -322,6 +434,8 @@ class ImportBatchService {
         low_stock: overview.filter((s) => s.is_low_stock).length,
         expiring_soon: overview.filter((s) => s.expiring_soon > 0).length,
         supplies: overview,
+        // Tồn kho từng kho
+        warehouses: await WarehouseService.getStockByWarehouse(filters),
       };
     } catch (error) {
       throw error;
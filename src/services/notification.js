@@ -0,0 +1,209 @@
+const { Op } = require("sequelize");
+const { db } = require("../config/database");
+
+/**
+ * Trung tâm thông báo in-app: mọi thông báo gửi cho user đều được lưu vào
+ * bảng notifications rồi giao cho NotificationDispatcher gửi qua các kênh
+ * (socket `notification:new`, Expo push, email...) theo tuỳ chọn của user.
+ */
+class NotificationService {
+  static get NotificationModel() {
+    return db.Notification;
+  }
+
+  /**
+   * Thay cho UserService.sendPushNotification — cùng tham số, nhưng nhận
+   * user (hoặc user id) thay vì push token. Không throw: thông báo là
+   * side effect, lỗi chỉ được log.
+   */
+  static async notify(recipient, title, body, data = {}) {
+    try {
+      const userId =
+        recipient && typeof recipient === "object" ? recipient.id : recipient;
+      // Luôn đọc lại user: cần email, push token, tuỳ chọn kênh mới nhất
+      const user = userId ? await db.User.findByPk(userId) : null;
+      if (!user) return null;
+
+      const notification = await this.NotificationModel.create({
+        user_id: user.id,
+        type: data?.type || "general",
+        title,
+        body,
+        data,
+      });
+
+      const NotificationDispatcher = require("./notification_dispatcher");
+      await NotificationDispatcher.dispatch(notification, user);
+
+      return notification;
+    } catch (error) {
+      console.error("Failed to create notification:", error);
+      return null;
+    }
+  }
+
+  static async notifyMany(recipients, title, body, data = {}) {
+    const results = [];
+    for (const recipient of recipients) {
+      results.push(await this.notify(recipient, title, body, data));
+    }
+    return results.filter(Boolean);
+  }
+
+  static async getNotifications(userId, filters = {}, page = 1, limit = 20) {
+    try {
+      const { unread_only, type, since } = filters;
+      const offset = (page - 1) * limit;
+
+      const where = { user_id: userId };
+      if (unread_only === true || unread_only === "true") {
+        where.read_at = null;
+      }
+      if (type) where.type = type;
+      if (since) {
+        const sinceDate = new Date(since);
+        if (Number.isNaN(sinceDate.getTime())) {
+          throw new Error("Invalid 'since' parameter");
+        }
+        where.created_at = { [Op.gt]: sinceDate };
+      }
+
+      const { count, rows } = await this.NotificationModel.findAndCountAll({
+        where,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        order: [["created_at", "DESC"]],
+      });
+
+      return {
+        notifications: rows.map((n) => n.toJSON()),
+        unread_count: await this.getUnreadCount(userId),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: count,
+          totalPages: Math.ceil(count / limit),
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  static async getUnreadCount(userId) {
+    return await this.NotificationModel.count({
+      where: { user_id: userId, read_at: null },
+    });
+  }
+
+  static async markAsRead(id, userId) {
+    try {
+      const notification = await this.NotificationModel.findOne({
+        where: { id, user_id: userId },
+      });
+      if (!notification) throw new Error("Notification not found");
+      if (!notification.read_at) {
+        await notification.update({ read_at: new Date() });
+      }
+      return notification;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // ==================== PREFERENCES ====================
+
+  static async getPreferences(userId) {
+    try {
+      const NotificationDispatcher = require("./notification_dispatcher");
+      const user = await db.User.findByPk(userId);
+      if (!user) throw new Error("User not found");
+      return {
+        ...NotificationDispatcher.resolvePreferences(user),
+        available_channels: Object.keys(
+          NotificationDispatcher.USER_CHANNEL_DEFAULTS,
+        ).filter((c) =>
+          NotificationDispatcher.getEnabledChannels().includes(c),
+        ),
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * prefs: { channels?: { expo?: bool, email?: bool, socket?: bool },
+   *          types?: { <type>: [channel, ...] | null } } — null để xoá tuỳ chọn theo type.
+   */
+  static async updatePreferences(userId, { channels, types } = {}) {
+    try {
+      const NotificationDispatcher = require("./notification_dispatcher");
+      const userChannels = Object.keys(
+        NotificationDispatcher.USER_CHANNEL_DEFAULTS,
+      );
+      const user = await db.User.findByPk(userId);
+      if (!user) throw new Error("User not found");
+
+      const current = user.notification_preferences || {};
+      const next = {
+        channels: { ...(current.channels || {}) },
+        types: { ...(current.types || {}) },
+      };
+
+      if (channels !== undefined) {
+        if (!channels || typeof channels !== "object") {
+          throw new Error("'channels' must be an object");
+        }
+        Object.entries(channels).forEach(([name, enabled]) => {
+          if (!userChannels.includes(name)) {
+            throw new Error(`Unknown channel '${name}'`);
+          }
+          if (typeof enabled !== "boolean") {
+            throw new Error(`channels.${name} must be a boolean`);
+          }
+          next.channels[name] = enabled;
+        });
+      }
+
+      if (types !== undefined) {
+        if (!types || typeof types !== "object") {
+          throw new Error("'types' must be an object");
+        }
+        Object.entries(types).forEach(([type, list]) => {
+          if (list === null) {
+            delete next.types[type];
+            return;
+          }
+          if (
+            !Array.isArray(list) ||
+            list.some((name) => !userChannels.includes(name))
+          ) {
+            throw new Error(
+              `types.${type} must be an array of: ${userChannels.join(", ")}`,
+            );
+          }
+          next.types[type] = [...new Set(list)];
+        });
+      }
+
+      await user.update({ notification_preferences: next });
+      return await this.getPreferences(userId);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  static async markAllAsRead(userId) {
+    try {
+      const [updated] = await this.NotificationModel.update(
+        { read_at: new Date() },
+        { where: { user_id: userId, read_at: null } },
+      );
+      return { updated };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = NotificationService;
@@ -0,0 +1,183 @@
+const fs = require("fs");
+const { env } = require("../config/env");
+
+const EXPO_PUSH_URL = "https://exp.host/--/api/v2/push/send";
+const EXPO_RECEIPTS_URL = "https://exp.host/--/api/v2/push/getReceipts";
+
+// Lỗi không nên retry (token chết, cấu hình sai, ...)
+const permanentError = (message, code = null) => {
+  const error = new Error(message);
+  error.permanent = true;
+  if (code) error.code = code;
+  return error;
+};
+
+/**
+ * Mỗi kênh gửi:
+ * - resolveTarget(user): địa chỉ nhận (token, email, room...) hoặc null nếu
+ *   user không nhận được qua kênh này
+ * - send({ notification, user, target }): trả { status: "sent" | "delivered",
+ *   ticketId? }; throw để retry, throw permanentError để bỏ luôn
+ */
+
+// ==================== EXPO PUSH ====================
+
+const expoHeaders = () => ({
+  Accept: "application/json",
+  "Accept-Encoding": "gzip, deflate",
+  "Content-Type": "application/json",
+  ...(env.NOTIFICATIONS.EXPO_ACCESS_TOKEN && {
+    Authorization: `Bearer ${env.NOTIFICATIONS.EXPO_ACCESS_TOKEN}`,
+  }),
+});
+
+const expoRequest = async (url, body) => {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: expoHeaders(),
+    body: JSON.stringify(body),
+  });
+  if (!res.ok) {
+    const error = new Error(`Expo HTTP ${res.status}`);
+    // 4xx (trừ 429) là lỗi request — gửi lại cũng vậy
+    error.permanent =
+      res.status >= 400 && res.status < 500 && res.status !== 429;
+    throw error;
+  }
+  const json = await res.json();
+  if (Array.isArray(json.errors) && json.errors.length > 0) {
+    throw new Error(json.errors.map((e) => e.message || e.code).join("; "));
+  }
+  return json.data;
+};
+
+const expoChannel = {
+  name: "expo",
+
+  resolveTarget(user) {
+    return user?.expo_push_token || null;
+  },
+
+  /**
+   * Gửi danh sách message, trả về mảng ticket theo đúng thứ tự.
+   */
+  async pushMessages(messages) {
+    const data = await expoRequest(EXPO_PUSH_URL, messages);
+    return Array.isArray(data) ? data : [data];
+  },
+
+  async send({ notification, target }) {
+    const [ticket] = await this.pushMessages([
+      {
+        to: target,
+        sound: "default",
+        title: notification.title,
+        body: notification.body,
+        data: {
+          ...(notification.data || {}),
+          type: notification.type,
+          notification_id: notification.id,
+        },
+      },
+    ]);
+    if (ticket?.status === "ok") return { status: "sent", ticketId: ticket.id };
+
+    const code = ticket?.details?.error || null;
+    const message = ticket?.message || "Expo push ticket error";
+    if (code === "MessageRateExceeded") {
+      const error = new Error(message);
+      error.code = code;
+      throw error;
+    }
+    throw permanentError(message, code);
+  },
+
+  /**
+   * Receipt theo ticket id: { [id]: { status: "ok" } | { status: "error", details } }
+   */
+  async getReceipts(ticketIds) {
+    if (ticketIds.length === 0) return {};
+    return (await expoRequest(EXPO_RECEIPTS_URL, { ids: ticketIds })) || {};
+  },
+};
+
+// ==================== EMAIL ====================
+
+const emailChannel = {
+  name: "email",
+
+  resolveTarget(user) {
+    // Chưa cấu hình SMTP thì coi như kênh không khả dụng
+    if (!env.MAIL.USER || !env.MAIL.PASS) return null;
+    return user?.email || null;
+  },
+
+  async send({ notification, target }) {
+    const { transporter } = require("../config/mail");
+    const info = await transporter.sendMail({
+      from: `"${env.MAIL.FROM_NAME}" <${env.MAIL.FROM_EMAIL}>`,
+      to: target,
+      subject: notification.title,
+      text: notification.body || notification.title,
+    });
+    return { status: "sent", ticketId: info?.messageId || null };
+  },
+};
+
+// ==================== SOCKET ====================
+
+const socketChannel = {
+  name: "socket",
+
+  resolveTarget(user) {
+    return user?.id ? `user:${user.id}` : null;
+  },
+
+  async send({ notification, target }) {
+    let io;
+    try {
+      io = require("../config/socket").getIO();
+    } catch (e) {
+      // Thông báo realtime gửi trễ không còn ý nghĩa — đã có trong notifications
+      throw permanentError(e.message);
+    }
+    io.to(target).emit("notification:new", notification.toJSON());
+    return { status: "sent" };
+  },
+};
+
+// ==================== LOG (dev / test) ====================
+
+const logChannel = {
+  name: "log",
+
+  resolveTarget() {
+    return env.NOTIFICATIONS.LOG_FILE || "console";
+  },
+
+  async send({ notification, user, target }) {
+    const line = JSON.stringify({
+      at: new Date().toISOString(),
+      user_id: user?.id || notification.user_id,
+      notification_id: notification.id,
+      type: notification.type,
+      title: notification.title,
+      body: notification.body,
+      data: notification.data,
+    });
+    if (target === "console") {
+      console.log("🔔 Notification:", line);
+    } else {
+      await fs.promises.appendFile(target, `${line}\n`);
+    }
+    return { status: "delivered" };
+  },
+};
+
+module.exports = {
+  permanentError,
+  expoChannel,
+  emailChannel,
+  socketChannel,
+  logChannel,
+};
@@ -0,0 +1,305 @@
+const { Op } = require("sequelize");
+const { db } = require("../config/database");
+const { env } = require("../config/env");
+const {
+  permanentError,
+  expoChannel,
+  emailChannel,
+  socketChannel,
+  logChannel,
+} = require("./notification_channels");
+
+let workerTimer = null;
+let workerRunning = false;
+
+const channels = new Map();
+
+// Kênh user tự bật / tắt được và mặc định khi chưa cấu hình
+const USER_CHANNEL_DEFAULTS = { expo: true, socket: true, email: false };
+
+const MAX_BACKOFF_SECONDS = 60 * 60;
+// Expo chỉ giữ receipt khoảng 24 giờ
+const RECEIPT_TTL_MS = 24 * 60 * 60 * 1000;
+const RECEIPT_BATCH_SIZE = 1000;
+
+/**
+ * Gửi Notification qua các kênh (Expo push, email, socket, log) theo cấu
+ * hình hệ thống và tuỳ chọn của từng user. Mỗi kênh là một bản ghi
+ * NotificationDelivery — lỗi được retry với backoff luỹ thừa bởi worker nền,
+ * worker cũng đối chiếu receipt của Expo và xoá token DeviceNotRegistered.
+ */
+class NotificationDispatcher {
+  static get DeliveryModel() {
+    return db.NotificationDelivery;
+  }
+
+  static registerChannel(channel) {
+    if (!channel?.name || typeof channel.send !== "function") {
+      throw new Error("Channel must have a name and a send() function");
+    }
+    channels.set(channel.name, channel);
+  }
+
+  static getChannel(name) {
+    return channels.get(name) || null;
+  }
+
+  // Kênh bật toàn hệ thống (NOTIFICATION_CHANNELS) và đã đăng ký
+  static getEnabledChannels() {
+    return env.NOTIFICATIONS.CHANNELS.filter((name) => channels.has(name));
+  }
+
+  static get USER_CHANNEL_DEFAULTS() {
+    return USER_CHANNEL_DEFAULTS;
+  }
+
+  static resolvePreferences(user) {
+    const prefs = user?.notification_preferences || {};
+    return {
+      channels: { ...USER_CHANNEL_DEFAULTS, ...(prefs.channels || {}) },
+      types: prefs.types || {},
+    };
+  }
+
+  /**
+   * Kênh sẽ dùng cho 1 thông báo: tuỳ chọn theo type (nếu có) ưu tiên hơn
+   * tuỳ chọn chung. Kênh hệ thống (log) không phụ thuộc tuỳ chọn user.
+   */
+  static resolveChannels(user, type) {
+    const prefs = this.resolvePreferences(user);
+    const perType = prefs.types[type];
+    return this.getEnabledChannels().filter((name) => {
+      if (!(name in USER_CHANNEL_DEFAULTS)) return true;
+      if (Array.isArray(perType)) return perType.includes(name);
+      return prefs.channels[name] === true;
+    });
+  }
+
+  /**
+   * Tạo delivery cho từng kênh và thử gửi ngay; lỗi để worker retry.
+   */
+  static async dispatch(notification, user) {
+    const deliveries = [];
+    for (const name of this.resolveChannels(user, notification.type)) {
+      const target = this.getChannel(name).resolveTarget(user);
+      if (!target) continue;
+      deliveries.push(
+        await this.DeliveryModel.create({
+          notification_id: notification.id,
+          user_id: user.id,
+          channel: name,
+          target,
+          status: "pending",
+          next_attempt_at: new Date(),
+        }),
+      );
+    }
+    for (const delivery of deliveries) {
+      await this.attempt(delivery, { notification, user });
+    }
+    return deliveries;
+  }
+
+  static backoffSeconds(attempts) {
+    return Math.min(
+      env.NOTIFICATIONS.RETRY_BASE_SECONDS * 2 ** Math.max(attempts - 1, 0),
+      MAX_BACKOFF_SECONDS,
+    );
+  }
+
+  static async attempt(delivery, { notification = null, user = null } = {}) {
+    const now = new Date();
+    try {
+      const channel = this.getChannel(delivery.channel);
+      if (!channel) {
+        throw permanentError(`Unknown channel '${delivery.channel}'`);
+      }
+      const record = notification || (await delivery.getNotification());
+      if (!record) throw permanentError("Notification not found");
+      const recipient = user || (await db.User.findByPk(delivery.user_id));
+      if (!recipient) throw permanentError("User not found");
+
+      const result = await channel.send({
+        notification: record,
+        user: recipient,
+        target: delivery.target,
+      });
+      const status = result?.status || "sent";
+      await delivery.update({
+        status,
+        attempts: delivery.attempts + 1,
+        sent_at: now,
+        delivered_at: status === "delivered" ? now : null,
+        provider_ticket_id: result?.ticketId || null,
+        next_attempt_at: null,
+        last_error: null,
+      });
+    } catch (error) {
+      const attempts = delivery.attempts + 1;
+      const dead =
+        error.permanent || attempts >= env.NOTIFICATIONS.MAX_ATTEMPTS;
+      await delivery.update({
+        status: dead ? "dead" : "failed",
+        attempts,
+        last_error: error.code
+          ? `${error.code}: ${error.message}`
+          : error.message,
+        next_attempt_at: dead
+          ? null
+          : new Date(now.getTime() + this.backoffSeconds(attempts) * 1000),
+      });
+      if (error.code === "DeviceNotRegistered") {
+        await this.removeInvalidPushToken(delivery.user_id, delivery.target);
+      }
+    }
+    return delivery;
+  }
+
+  /**
+   * Xoá expo_push_token không còn hợp lệ (chỉ khi user chưa đổi token khác).
+   */
+  static async removeInvalidPushToken(userId, token) {
+    if (!token) return false;
+    const [count] = await db.User.update(
+      { expo_push_token: null },
+      { where: { id: userId, expo_push_token: token } },
+    );
+    if (count > 0) {
+      console.log(`🔕 Removed unregistered Expo push token of user ${userId}`);
+    }
+    return count > 0;
+  }
+
+  /**
+   * Gửi lại các delivery đến hạn (pending / failed).
+   */
+  static async processQueue(now = new Date(), limit = 100) {
+    const due = await this.DeliveryModel.findAll({
+      where: {
+        status: { [Op.in]: ["pending", "failed"] },
+        next_attempt_at: { [Op.lte]: now },
+      },
+      order: [["next_attempt_at", "ASC"]],
+      limit,
+    });
+    for (const delivery of due) {
+      await this.attempt(delivery);
+    }
+    return due.length;
+  }
+
+  /**
+   * Đối chiếu receipt Expo cho các ticket đã gửi quá RECEIPT_DELAY_MINUTES.
+   */
+  static async processExpoReceipts(now = new Date()) {
+    const channel = this.getChannel("expo");
+    if (!channel?.getReceipts) return { checked: 0 };
+
+    const cutoff = new Date(
+      now.getTime() - env.NOTIFICATIONS.RECEIPT_DELAY_MINUTES * 60 * 1000,
+    );
+    const pending = await this.DeliveryModel.findAll({
+      where: {
+        channel: "expo",
+        status: "sent",
+        provider_ticket_id: { [Op.ne]: null },
+        receipt_checked_at: null,
+        sent_at: { [Op.lte]: cutoff },
+      },
+      order: [["sent_at", "ASC"]],
+      limit: RECEIPT_BATCH_SIZE,
+    });
+    if (pending.length === 0) return { checked: 0 };
+
+    const receipts = await channel.getReceipts(
+      pending.map((d) => d.provider_ticket_id),
+    );
+
+    const summary = { checked: pending.length, delivered: 0, failed: 0 };
+    for (const delivery of pending) {
+      const receipt = receipts[delivery.provider_ticket_id];
+      if (!receipt) {
+        // Receipt chưa sẵn sàng — chờ lần sau, quá hạn thì thôi đối chiếu
+        if (now - new Date(delivery.sent_at) > RECEIPT_TTL_MS) {
+          await delivery.update({ receipt_checked_at: now });
+        }
+        continue;
+      }
+
+      if (receipt.status === "ok") {
+        await delivery.update({
+          status: "delivered",
+          delivered_at: now,
+          receipt_checked_at: now,
+        });
+        summary.delivered += 1;
+        continue;
+      }
+
+      summary.failed += 1;
+      const code = receipt.details?.error || null;
+      const lastError = `${code || "error"}: ${receipt.message || ""}`.trim();
+      if (code === "MessageRateExceeded") {
+        // Gửi lại sau (tính là một lần thử)
+        const attempts = delivery.attempts + 1;
+        const dead = attempts >= env.NOTIFICATIONS.MAX_ATTEMPTS;
+        await delivery.update({
+          status: dead ? "dead" : "failed",
+          attempts,
+          last_error: lastError,
+          receipt_checked_at: now,
+          next_attempt_at: dead
+            ? null
+            : new Date(now.getTime() + this.backoffSeconds(attempts) * 1000),
+        });
+        continue;
+      }
+
+      await delivery.update({
+        status: "dead",
+        last_error: lastError,
+        receipt_checked_at: now,
+      });
+      if (code === "DeviceNotRegistered") {
+        await this.removeInvalidPushToken(delivery.user_id, delivery.target);
+      }
+    }
+    return summary;
+  }
+
+  static async runOnce(now = new Date()) {
+    if (workerRunning) return;
+    workerRunning = true;
+    try {
+      await this.processQueue(now);
+      await this.processExpoReceipts(now);
+    } catch (error) {
+      console.error("Notification worker failed:", error);
+    } finally {
+      workerRunning = false;
+    }
+  }
+
+  static startWorker() {
+    if (!env.NOTIFICATIONS.WORKER_ENABLED || workerTimer) return;
+    workerTimer = setInterval(
+      () => this.runOnce(),
+      env.NOTIFICATIONS.WORKER_INTERVAL_SECONDS * 1000,
+    );
+    workerTimer.unref();
+    console.log(
+      `🔔 Notification worker started (every ${env.NOTIFICATIONS.WORKER_INTERVAL_SECONDS}s)`,
+    );
+  }
+
+  static stopWorker() {
+    if (workerTimer) clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
+
+[expoChannel, emailChannel, socketChannel, logChannel].forEach((channel) =>
+  NotificationDispatcher.registerChannel(channel),
+);
+
+module.exports = NotificationDispatcher;
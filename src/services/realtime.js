@@ -0,0 +1,187 @@
+// Room nhận mọi thay đổi theo từng loại đối tượng (xem canJoinRoom trong config/socket)
+const ENTITY_ROLE_ROOMS = {
+  rescue_request: ["role:coordinator", "role:admin"],
+  vehicle_request: ["role:manager", "role:coordinator", "role:admin"],
+  supply: ["role:manager", "role:admin"],
+};
+
+// Các key trong payload event chứa id đội liên quan (đội cũ / đội mới)
+const TEAM_ID_KEYS = [
+  "team_id",
+  "released_team_id",
+  "from_team_id",
+  "to_team_id",
+  "promoted_team_id",
+];
+
+const pick = (source, keys) =>
+  Object.fromEntries(
+    keys.filter((k) => source?.[k] !== undefined).map((k) => [k, source[k]]),
+  );
+
+/**
+ * Event bus realtime: mọi thay đổi nghiệp vụ phát qua đây với cùng một
+ * khuôn dạng, tới đúng room. Socket event name là `<entity>:changed`.
+ *
+ * {
+ *   type: "rescue_request.approve", entity, entity_id, action,
+ *   from_status, to_status, actor: { id, role } | null, data, timestamp
+ * }
+ */
+class RealtimeService {
+  static buildEnvelope(
+    entity,
+    action,
+    { id, fromStatus = null, toStatus = null, actor = null, data = null },
+  ) {
+    return {
+      type: `${entity}.${action}`,
+      entity,
+      entity_id: id,
+      action,
+      from_status: fromStatus,
+      to_status: toStatus,
+      actor: actor ? { id: actor.id || null, role: actor.role || null } : null,
+      data,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  static publish(entity, action, { rooms = [], ...options } = {}) {
+    try {
+      const targets = [
+        ...new Set([...(ENTITY_ROLE_ROOMS[entity] || []), ...rooms]),
+      ].filter(Boolean);
+      if (targets.length === 0) return null;
+
+      const envelope = this.buildEnvelope(entity, action, options);
+      const { getIO } = require("../config/socket");
+      // io.to([...]) gửi mỗi socket đúng 1 lần dù ở nhiều room
+      getIO().to(targets).emit(`${entity}:changed`, envelope);
+      return envelope;
+    } catch (e) {
+      console.error(`Realtime publish ${entity}.${action}:`, e.message);
+      return null;
+    }
+  }
+
+  /**
+   * Phát sau khi transaction commit — client không nhận event của thay đổi
+   * bị rollback, và đọc lại API sẽ thấy dữ liệu mới.
+   */
+  static publishAfterCommit(t, entity, action, options) {
+    if (t) {
+      t.afterCommit(() => this.publish(entity, action, options));
+      return;
+    }
+    this.publish(entity, action, options);
+  }
+
+  // ==================== RESCUE REQUEST ====================
+
+  static rescueRequestRooms(request, payload = null) {
+    const teamIds = [
+      request.assigned_team_id,
+      ...TEAM_ID_KEYS.map((k) => payload?.[k]),
+      // Mọi đội trên yêu cầu nhiều đội (xác nhận / hoàn thành)
+      ...(Array.isArray(payload?.team_ids) ? payload.team_ids : []),
+    ].filter(Boolean);
+    return [
+      `rescue_request:${request.id}`,
+      request.user_id ? `user:${request.user_id}` : null,
+      ...new Set(teamIds.map((id) => `team:${id}`)),
+    ];
+  }
+
+  /**
+   * Gọi từ RescueRequestEventService.log — mọi event trong timeline đều
+   * được phát realtime.
+   */
+  static publishRescueRequestEvent(
+    request,
+    event,
+    { actor, fromStatus, toStatus, payload, transaction },
+  ) {
+    this.publishAfterCommit(transaction, "rescue_request", event, {
+      id: request.id,
+      fromStatus,
+      toStatus,
+      actor,
+      rooms: this.rescueRequestRooms(request, payload),
+      data: {
+        request: pick(request, [
+          "id",
+          "status",
+          "priority",
+          "category",
+          "district",
+          "num_people",
+          "assigned_team_id",
+          "merged_into_id",
+          "updated_at",
+        ]),
+        payload,
+      },
+    });
+  }
+
+  // ==================== VEHICLE REQUEST ====================
+
+  static publishVehicleRequest(request, action, options = {}) {
+    const { transaction = null, fromStatus = null, actor = null } = options;
+    this.publishAfterCommit(transaction, "vehicle_request", action, {
+      id: request.id,
+      fromStatus,
+      toStatus: request.status,
+      actor,
+      rooms: [
+        request.team_id ? `team:${request.team_id}` : null,
+        request.rescue_request_id
+          ? `rescue_request:${request.rescue_request_id}`
+          : null,
+      ],
+      data: {
+        request: pick(request, [
+          "id",
+          "status",
+          "rescue_request_id",
+          "team_id",
+          "vehicle_type",
+          "quantity_needed",
+          "requested_by",
+          "approved_by",
+        ]),
+        ...(options.data || {}),
+      },
+    });
+  }
+
+  // ==================== SUPPLY ====================
+
+  /**
+   * action: created | updated | deleted | stock_imported | distributed |
+   * usage_reported.
+   * teamIds: đội nhận / báo cáo sử dụng (tồn kho của đội thay đổi),
+   * rooms: room bổ sung (vd. rescue_request:<id> khi báo cáo sử dụng).
+   */
+  static publishSupply(supplyId, action, options = {}) {
+    const {
+      transaction = null,
+      actor = null,
+      teamIds = [],
+      rooms = [],
+      data = null,
+    } = options;
+    this.publishAfterCommit(transaction, "supply", action, {
+      id: supplyId,
+      actor,
+      rooms: [
+        ...[...new Set(teamIds.filter(Boolean))].map((id) => `team:${id}`),
+        ...rooms,
+      ],
+      data,
+    });
+  }
+}
+
+module.exports = RealtimeService;
@@ -1,5 +1,30 @@
 const { Op } = require("sequelize");
 const { db, transaction } = require("../config/database");
+const RescueRequestStateMachine = require("./rescue_request_state");
+const RescueRequestEventService = require("./rescue_request_event");
+const RescueRequestTriageService = require("./rescue_request_triage");
+const RescueRequestTeamService = require("./rescue_request_team");
+const TeamWorkloadService = require("./team_workload");
+const SupplyTraceService = require("./supply_trace");
+const { buildGeoQuery, haversineDistance } = require("../utils/geo");
+const { normalizePhone, generateTrackingCode } = require("../utils");
+const { env } = require("../config/env");
+
+// Nhãn trạng thái cho người dân (tra cứu công khai)
+const PUBLIC_STATUS_LABELS = {
+  new: "Đã tiếp nhận",
+  pending_verification: "Đang xác minh",
+  verified: "Đã xác minh, đang tìm đội cứu hộ",
+  assigned: "Đã phân công đội, chờ đội xác nhận",
+  on_mission: "Đội cứu hộ đang trên đường đến",
+  awaiting_confirmation: "Đội đã báo cáo, đang xác nhận kết quả",
+  completed: "Đã hoàn thành",
+  partially_completed: "Hoàn thành một phần",
+  rejected: "Không được chấp nhận",
+};
+
+// Chỉ tính ETA khi đội đã nhận / đang đi làm nhiệm vụ
+const ETA_STATUSES = ["assigned", "on_mission"];
 
 class RescueRequestService {
   static get RescueRequestModel() {
@@ -133,7 +158,11 @@ class RescueRequestService {
     }
   }
 
-  static async createRescueRequest(requestData, userId = null) {
+  /**
+   * options.source: kênh tiếp nhận ("app" | "sms") — do server đặt, không
+   * lấy từ body của client.
+   */
+  static async createRescueRequest(requestData, userId = null, options = {}) {
     try {
       const {
         category,
@@ -179,15 +208,43 @@ class RescueRequestService {
         throw new Error("relief_needs must not be sent for rescue requests");
       }
 
+      const creator = userId ? await this.UserModel.findByPk(userId) : null;
+      const source = options.source || "app";
+
+      // Triage theo luật — priority không gửi lên thì lấy theo đề xuất
+      const triageInput =
+        RescueRequestTriageService.normalizeInput(requestData);
+      const triage = RescueRequestTriageService.score({
+        ...triageInput,
+        num_people,
+        description,
+      });
+
+      // Cờ trùng lặp — lỗi phát hiện không được chặn việc tạo yêu cầu
+      let possibleDuplicates = [];
+      try {
+        const RescueRequestDuplicateService = require(
+          "./rescue_request_duplicate",
+        );
+        possibleDuplicates =
+          await RescueRequestDuplicateService.findPossibleDuplicates({
+            ...requestData,
+            latitude: location_type === "gps" ? latitude : null,
+            longitude: location_type === "gps" ? longitude : null,
+          });
+      } catch (e) {
+        console.error("Duplicate detection failed:", e);
+      }
+
       const rescueRequest = await transaction(async (t) => {
-        return await this.RescueRequestModel.create(
+        const created = await this.RescueRequestModel.create(
           {
             category,
             district,
             phone_number,
             description,
             num_people: num_people || 1,
-            priority: priority || "medium",
+            priority: priority || triage.suggested_priority,
             status: "new",
             location_type,
             latitude: location_type === "gps" ? latitude : null,
@@ -196,11 +253,44 @@ class RescueRequestService {
             media_urls: media_urls || [],
             user_id: userId,
             relief_needs: reliefNeedsPayload,
+            possible_duplicates: possibleDuplicates,
+            source,
+            ...triageInput,
+            triage,
           },
           { transaction: t },
         );
+        await RescueRequestEventService.log(created, "created", {
+          actor: creator,
+          actorRole: "guest",
+          payload: {
+            category: created.category,
+            priority: created.priority,
+            district: created.district,
+            num_people: created.num_people,
+            location_type: created.location_type,
+            source,
+            triage_score: triage.score,
+            suggested_priority: triage.suggested_priority,
+            possible_duplicate_ids: possibleDuplicates.map((d) => d.id),
+          },
+          transaction: t,
+        });
+        return created;
       });
 
+      if (rescueRequest.priority === "urgent") {
+        try {
+          const AutoDispatchService = require("./auto_dispatch");
+          if (AutoDispatchService.isEnabled()) {
+            await AutoDispatchService.startForRequest(rescueRequest.id);
+            await rescueRequest.reload();
+          }
+        } catch (e) {
+          console.error("Auto-dispatch failed to start:", e);
+        }
+      }
+
       return rescueRequest;
     } catch (error) {
       throw error;
@@ -217,13 +307,26 @@ class RescueRequestService {
       if (district) where.district = district;
       if (priority) where.priority = priority;
       if (user_id) where.user_id = user_id;
+      if (filters.parent_request_id) {
+        where.parent_request_id = filters.parent_request_id;
+      }
+
+      // ?near=lat,lng&radius_km=3, ?bbox=minLng,minLat,maxLng,maxLat, ?sort=distance
+      const geo = buildGeoQuery(filters, {
+        latColumn: '"RescueRequest"."latitude"',
+        lngColumn: '"RescueRequest"."longitude"',
+      });
+      if (geo.active) where[Op.and] = geo.conditions;
 
       const { count, rows: requests } =
         await this.RescueRequestModel.findAndCountAll({
           where,
+          ...(geo.distanceAttribute && {
+            attributes: { include: [geo.distanceAttribute] },
+          }),
           limit: parseInt(limit),
           offset: parseInt(offset),
-          order: [["created_at", "DESC"]],
+          order: geo.order || [["created_at", "DESC"]],
           include: [
             {
               model: this.UserModel,
@@ -264,14 +367,28 @@ class RescueRequestService {
       const team = await db.RescueTeam.findOne({ where: { user_id: userId } });
       if (!team) throw new Error("No team associated with this account");
 
+      // Dòng phân công của đội (kể cả vai trò hỗ trợ), bỏ lần đã từ chối
+      const assignments = await db.RescueRequestTeam.findAll({
+        where: { team_id: team.id, status: { [Op.ne]: "rejected" } },
+        order: [["assigned_at", "ASC"]],
+      });
+      const assignmentByRequest = new Map(
+        assignments.map((a) => [a.rescue_request_id, a]),
+      );
+
       const missions = await this.RescueRequestModel.findAll({
         where: {
-          assigned_team_id: team.id,
-          // Bao gồm cả trạng thái chờ coordinator xác nhận báo cáo team (verified)
+          [Op.or]: [
+            { assigned_team_id: team.id },
+            { id: { [Op.in]: [...assignmentByRequest.keys()] } },
+          ],
+          // Bao gồm cả trạng thái chờ coordinator xác nhận báo cáo team
+          // (awaiting_confirmation; "verified" là dữ liệu cũ)
           status: {
             [Op.in]: [
               "assigned",
               "on_mission",
+              "awaiting_confirmation",
               "verified",
               "completed",
               "partially_completed",
@@ -288,7 +405,13 @@ class RescueRequestService {
         order: [["assigned_at", "DESC"]],
       });
 
-      return { team: team.toJSON(), missions: missions.map((m) => m.toJSON()) };
+      return {
+        team: team.toJSON(),
+        missions: missions.map((m) => ({
+          ...m.toJSON(),
+          my_assignment: assignmentByRequest.get(m.id)?.toJSON() || null,
+        })),
+      };
     } catch (error) {
       throw error;
     }
@@ -314,6 +437,18 @@ class RescueRequestService {
             attributes: ["id", "username", "email", "role"],
           },
           { model: db.RescueTeam, as: "assigned_team" },
+          {
+            model: this.RescueRequestModel,
+            as: "sub_requests",
+            attributes: [
+              "id",
+              "tracking_code",
+              "status",
+              "priority",
+              "num_people",
+              "assigned_team_id",
+            ],
+          },
         ],
       });
       if (!request) throw new Error("Rescue request not found");
@@ -323,24 +458,271 @@ class RescueRequestService {
     }
   }
 
+  /**
+   * Ngữ cảnh actor cho state machine: user + đội (nếu là tài khoản rescue_team)
+   * + dòng phân công của đội trên request (lead hoặc hỗ trợ).
+   */
+  static async buildActorContext(userId, request = null) {
+    const user = await this.UserModel.findByPk(userId);
+    if (!user) throw new Error("User not found");
+    const team =
+      user.role === "rescue_team"
+        ? await db.RescueTeam.findOne({ where: { user_id: userId } })
+        : null;
+    const assignment =
+      team && request
+        ? await RescueRequestTeamService.getTeamAssignment(request, team.id)
+        : null;
+    return { user, team, assignment };
+  }
+
+  static async mergeRescueRequests(
+    primaryId,
+    duplicateIds,
+    coordinatorId,
+    options,
+  ) {
+    const RescueRequestDuplicateService = require("./rescue_request_duplicate");
+    return await RescueRequestDuplicateService.mergeRequests(
+      primaryId,
+      duplicateIds,
+      coordinatorId,
+      options,
+    );
+  }
+
+  static async splitRescueRequest(requestId, coordinatorId, options) {
+    const RescueRequestSplitService = require("./rescue_request_split");
+    return await RescueRequestSplitService.splitRequest(
+      requestId,
+      coordinatorId,
+      options,
+    );
+  }
+
+  static async getTimeline(requestId, options = {}) {
+    return await RescueRequestEventService.getTimeline(requestId, options);
+  }
+
+  static async getTriage(requestId) {
+    return await RescueRequestTriageService.getTriage(requestId);
+  }
+
+  static async getProvenance(requestId) {
+    return await SupplyTraceService.getMissionProvenance(requestId);
+  }
+
+  static async recomputeTriage(requestId, actor) {
+    return await RescueRequestTriageService.recompute(requestId, actor);
+  }
+
+  static async overrideTriagePriority(requestId, actor, data) {
+    return await RescueRequestTriageService.overridePriority(
+      requestId,
+      actor,
+      data,
+    );
+  }
+
+  static async getRequestTeams(requestId) {
+    return await RescueRequestTeamService.getRequestTeams(requestId);
+  }
+
+  static async addSupportTeam(requestId, teamId, coordinatorId, options) {
+    return await RescueRequestTeamService.addTeam(
+      requestId,
+      teamId,
+      coordinatorId,
+      options,
+    );
+  }
+
+  static async releaseSupportTeam(requestId, teamId, coordinatorId, reason) {
+    return await RescueRequestTeamService.releaseTeam(
+      requestId,
+      teamId,
+      coordinatorId,
+      reason,
+    );
+  }
+
+  static async getMissionTrack(requestId, user) {
+    const TeamLocationService = require("./team_location");
+    return await TeamLocationService.getMissionTrack(requestId, user);
+  }
+
+  /**
+   * Tra cứu công khai (không cần đăng nhập) theo mã + số điện thoại trên
+   * yêu cầu. Chỉ trả thông tin tối thiểu: trạng thái, tên đội, ETA, lần
+   * cập nhật cuối — không có mô tả, địa chỉ, toạ độ hay liên hệ.
+   */
+  static async getPublicTrackingView(code, phoneNumber) {
+    try {
+      const trackingCode = String(code ?? "")
+        .trim()
+        .toUpperCase();
+      const phone = normalizePhone(phoneNumber);
+      if (!trackingCode) throw new Error("Tracking code is required");
+      if (!phone) throw new Error("phone_number is required");
+
+      const request = await this.RescueRequestModel.findOne({
+        where: { tracking_code: trackingCode },
+      });
+      // Sai số điện thoại cũng trả "not found" — không lộ mã nào tồn tại
+      if (!request || normalizePhone(request.phone_number) !== phone) {
+        throw new Error("Rescue request not found");
+      }
+
+      // Yêu cầu đã gộp: người dân theo dõi tiến độ của yêu cầu chính
+      let current = request;
+      if (request.status === "merged" && request.merged_into_id) {
+        current =
+          (await this.RescueRequestModel.findByPk(request.merged_into_id)) ||
+          request;
+      }
+
+      const team = current.assigned_team_id
+        ? await db.RescueTeam.findByPk(current.assigned_team_id, {
+            attributes: [
+              "id",
+              "name",
+              "latitude",
+              "longitude",
+              "location_updated_at",
+            ],
+          })
+        : null;
+
+      // Phần còn lại đã tách thành nhiệm vụ con (cùng SĐT, mã riêng)
+      const subRequests = await this.RescueRequestModel.findAll({
+        where: { parent_request_id: current.id },
+        attributes: ["tracking_code", "status", "num_people"],
+        order: [["created_at", "ASC"]],
+      });
+
+      return {
+        tracking_code: request.tracking_code,
+        status: current.status,
+        status_label: PUBLIC_STATUS_LABELS[current.status] || current.status,
+        merged: current !== request,
+        category: request.category,
+        district: request.district,
+        num_people: request.num_people,
+        created_at: request.created_at,
+        status_changed_at: current.status_changed_at,
+        last_updated_at: current.updated_at,
+        assigned_team: team ? { name: team.name } : null,
+        eta: this.estimateArrival(current, team),
+        sub_missions: subRequests.map((sub) => ({
+          tracking_code: sub.tracking_code,
+          status: sub.status,
+          status_label: PUBLIC_STATUS_LABELS[sub.status] || sub.status,
+          num_people: sub.num_people,
+        })),
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * ETA theo đường chim bay từ vị trí GPS mới nhất của đội, tốc độ
+   * PUBLIC_TRACKING.ETA_SPEED_KMH. null nếu thiếu toạ độ.
+   */
+  static estimateArrival(request, team) {
+    if (!team || !ETA_STATUSES.includes(request.status)) return null;
+    const distance = haversineDistance(
+      team.latitude,
+      team.longitude,
+      request.latitude,
+      request.longitude,
+    );
+    if (distance == null) return null;
+    const speedMps = (env.PUBLIC_TRACKING.ETA_SPEED_KMH * 1000) / 3600;
+    return {
+      minutes: Math.max(1, Math.round(distance / speedMps / 60)),
+      distance_km: Math.round(distance / 100) / 10,
+      team_location_updated_at: team.location_updated_at,
+    };
+  }
+
+  /**
+   * Cấp tracking_code cho các yêu cầu tạo trước khi có mã (chạy lúc khởi động).
+   */
+  static async backfillTrackingCodes(batchSize = 500) {
+    let total = 0;
+    for (;;) {
+      const rows = await this.RescueRequestModel.findAll({
+        where: { tracking_code: null },
+        attributes: ["id"],
+        limit: batchSize,
+        paranoid: false,
+      });
+      if (rows.length === 0) break;
+      for (const row of rows) {
+        try {
+          await this.RescueRequestModel.update(
+            { tracking_code: generateTrackingCode() },
+            { where: { id: row.id }, paranoid: false, hooks: false },
+          );
+          total += 1;
+        } catch (error) {
+          // Trùng mã (rất hiếm) — vòng sau thử lại với mã khác
+          if (error.name !== "SequelizeUniqueConstraintError") throw error;
+        }
+      }
+    }
+    return total;
+  }
+
+  /**
+   * Các hành động user hiện tại được phép thực hiện trên request (dùng cho UI).
+   */
+  static async getAllowedActions(requestId, userId) {
+    try {
+      const request = await this.getRescueRequestById(requestId);
+      const ctx = await this.buildActorContext(userId, request);
+      return {
+        rescue_request_id: request.id,
+        status: request.status,
+        actions: RescueRequestStateMachine.getAllowedActions(request, ctx),
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
   static async approveRescueRequest(id, coordinatorId, notes = null) {
     try {
       const request = await this.getRescueRequestById(id);
-      if (request.status !== "new") {
-        throw new Error(
-          `Cannot approve request with status '${request.status}'.`,
-        );
-      }
       const coordinator = await this.UserModel.findByPk(coordinatorId);
       if (!coordinator) throw new Error("Coordinator not found");
-      if (!["coordinator", "admin"].includes(coordinator.role)) {
-        throw new Error("Only coordinators or admins can approve requests");
-      }
-      await request.update({
-        status: "pending_verification",
-        verified_by: coordinatorId,
-        verified_at: new Date(),
-        notes: notes || "Request approved by coordinator",
+      const ctx = { user: coordinator };
+      RescueRequestStateMachine.assertCanFire(request, "approve", ctx);
+
+      const fromStatus = request.status;
+      await transaction(async (t) => {
+        await request.update(
+          {
+            status: "pending_verification",
+            verified_by: coordinatorId,
+            verified_at: new Date(),
+            notes: notes || "Request approved by coordinator",
+          },
+          { transaction: t },
+        );
+        await RescueRequestEventService.log(request, "approve", {
+          actor: coordinator,
+          fromStatus,
+          payload: { notes: notes || null },
+          transaction: t,
+        });
+      });
+      await RescueRequestStateMachine.runHooks("approve", {
+        request,
+        from: fromStatus,
+        to: request.status,
+        ctx,
       });
       await request.reload({
         include: [
@@ -367,21 +749,47 @@ class RescueRequestService {
       if (!reason || reason.trim().length === 0)
         throw new Error("Rejection reason is required");
       const request = await this.getRescueRequestById(id);
-      if (!["new", "pending_verification"].includes(request.status)) {
-        throw new Error(
-          `Cannot reject request with status '${request.status}'.`,
-        );
-      }
       const coordinator = await this.UserModel.findByPk(coordinatorId);
       if (!coordinator) throw new Error("Coordinator not found");
-      if (!["coordinator", "admin"].includes(coordinator.role)) {
-        throw new Error("Only coordinators or admins can reject requests");
-      }
-      await request.update({
-        status: "rejected",
-        verified_by: coordinatorId,
-        verified_at: new Date(),
-        notes: `Rejected: ${reason}`,
+      const ctx = { user: coordinator };
+      RescueRequestStateMachine.assertCanFire(request, "reject", ctx);
+
+      const fromStatus = request.status;
+      const stopsAutoDispatch = !!request.auto_dispatch?.active;
+      await transaction(async (t) => {
+        await request.update(
+          {
+            status: "rejected",
+            verified_by: coordinatorId,
+            verified_at: new Date(),
+            notes: `Rejected: ${reason}`,
+            ...(stopsAutoDispatch && {
+              auto_dispatch: {
+                ...request.auto_dispatch,
+                active: false,
+                stopped_at: new Date(),
+                stopped_by: coordinatorId,
+                stop_reason: "coordinator_rejected",
+              },
+            }),
+          },
+          { transaction: t },
+        );
+        await RescueRequestEventService.log(request, "reject", {
+          actor: coordinator,
+          fromStatus,
+          payload: {
+            reason: reason.trim(),
+            auto_dispatch_stopped: stopsAutoDispatch,
+          },
+          transaction: t,
+        });
+      });
+      await RescueRequestStateMachine.runHooks("reject", {
+        request,
+        from: fromStatus,
+        to: request.status,
+        ctx,
       });
       await request.reload({
         include: [
@@ -403,33 +811,57 @@ class RescueRequestService {
     }
   }
 
+  /**
+   * Đề xuất đội cho request (xếp hạng + breakdown điểm) để coordinator
+   * phân công nhanh trên màn hình tác chiến.
+   */
+  static async getRecommendedTeams(requestId, options = {}) {
+    try {
+      const request = await this.getRescueRequestById(requestId);
+      if (["completed", "rejected"].includes(request.status)) {
+        throw new Error(
+          `Cannot recommend teams for request with status '${request.status}'.`,
+        );
+      }
+      const RescueTeamService = require("./rescue_team");
+      const recommendations = await RescueTeamService.getRecommendedTeams(
+        request,
+        options,
+      );
+      return {
+        rescue_request: {
+          id: request.id,
+          category: request.category,
+          district: request.district,
+          priority: request.priority,
+          num_people: request.num_people,
+          status: request.status,
+          latitude: request.latitude,
+          longitude: request.longitude,
+          assigned_team_id: request.assigned_team_id,
+        },
+        recommendations,
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
   // SỬA: assignTeamToRequest giờ chuyển sang "assigned" thay vì "on_mission"
   static async assignTeamToRequest(
     requestId,
     teamId,
     coordinatorId,
     reason = null,
+    { overrideFatigue = false } = {},
   ) {
     try {
       const request = await this.getRescueRequestById(requestId);
-      if (
-        ![
-          "pending_verification",
-          "assigned",
-          "on_mission",
-          "verified",
-          "partially_completed",
-        ].includes(request.status)
-      ) {
-        throw new Error(
-          `Cannot assign team to request with status '${request.status}'.`,
-        );
-      }
       const coordinator = await this.UserModel.findByPk(coordinatorId);
       if (!coordinator) throw new Error("Coordinator not found");
-      if (!["coordinator", "admin"].includes(coordinator.role)) {
-        throw new Error("Only coordinators or admins can assign teams");
-      }
+      RescueRequestStateMachine.assertCanFire(request, "assign_team", {
+        user: coordinator,
+      });
       const RescueTeamService = require("./rescue_team");
       const team = await RescueTeamService.getTeamById(teamId);
 
@@ -439,76 +871,36 @@ class RescueRequestService {
         throw new Error("Reason is required when reassigning team");
       }
 
-      if (team.status !== "available") {
-        throw new Error(
-          `Team '${team.name}' is not available. Current status: ${team.status}`,
-        );
-      }
-
-      const assignedAt = new Date();
-      const historyEntry = {
-        from_team_id: previousTeamId,
-        to_team_id: teamId,
-        reason: reason || null,
-        assigned_by: coordinatorId,
-        assigned_at: assignedAt,
-        previous_status: request.status,
-      };
+      RescueTeamService.assertCanDispatch(team);
+      const fatigue = await TeamWorkloadService.checkAssignment(team, {
+        override: overrideFatigue,
+      });
 
-      await transaction(async (t) => {
-        if (isReassigning) {
-          const previousTeam = await db.RescueTeam.findByPk(previousTeamId, {
-            transaction: t,
-          });
-          if (previousTeam) {
-            await previousTeam.update(
-              { status: "available" },
-              { transaction: t },
-            );
+      // Coordinator phân công thủ công → dừng auto-dispatch (override)
+      const autoDispatchState = request.auto_dispatch?.active
+        ? {
+            ...request.auto_dispatch,
+            active: false,
+            stopped_at: new Date(),
+            stopped_by: coordinatorId,
+            stop_reason: "coordinator_override",
           }
-        }
-
-        const assignmentHistory = Array.isArray(request.assignment_history)
-          ? [...request.assignment_history]
-          : [];
-        assignmentHistory.push(historyEntry);
-
-        const requestUpdatePayload = {
-          status: "assigned",
-          assigned_team_id: teamId,
-          assigned_at: assignedAt,
-          assigned_by: coordinatorId,
-          team_reject_reason: null,
-          assignment_history: assignmentHistory,
-        };
-
-        if (["verified", "on_mission"].includes(request.status)) {
-          requestUpdatePayload.team_report = null;
-          requestUpdatePayload.coordinator_confirmation = null;
-        }
-
-        await request.update(requestUpdatePayload, { transaction: t });
+        : undefined;
+
+      await this.applyTeamAssignment(request, team, {
+        assignedBy: coordinatorId,
+        reason,
+        autoDispatch: autoDispatchState,
+        // Cảnh báo mệt mỏi lưu vào assignment_history + event assign_team
+        historyExtra: fatigue.warnings.length
+          ? {
+              fatigue_warnings: fatigue.warnings,
+              fatigue_override: fatigue.overridden,
+            }
+          : {},
+        ctx: { user: coordinator },
       });
 
-      // Gửi push notification cho team lead
-      try {
-        const UserService = require("./user");
-        const teamUser = await db.User.findByPk(team.user_id);
-        if (teamUser?.expo_push_token) {
-          await UserService.sendPushNotification(
-            teamUser.expo_push_token,
-            "🚨 Nhiệm vụ mới được giao",
-            `Đội ${team.name} được phân công nhiệm vụ tại ${request.district}. Vui lòng xác nhận hoặc từ chối.`,
-            {
-              type: "mission_assigned",
-              rescue_request_id: requestId,
-            },
-          );
-        }
-      } catch (e) {
-        console.error("Failed to send push notification to team:", e);
-      }
-
       await request.reload({
         include: [
           {
@@ -535,50 +927,196 @@ class RescueRequestService {
     }
   }
 
+  /**
+   * Ghi phân công đội vào request (status → assigned), cập nhật
+   * assignment_history và báo push cho trưởng đội. Dùng chung cho
+   * phân công thủ công và auto-dispatch; validate do nơi gọi đảm nhận.
+   */
+  static async applyTeamAssignment(
+    request,
+    team,
+    {
+      assignedBy = null,
+      reason = null,
+      autoDispatch,
+      historyExtra = {},
+      ctx = { user: { id: null, role: "system" } },
+    } = {},
+  ) {
+    RescueRequestStateMachine.assertCanFire(request, "assign_team", ctx);
+
+    const fromStatus = request.status;
+    const previousTeamId = request.assigned_team_id || null;
+    const isReassigning = !!previousTeamId && previousTeamId !== team.id;
+
+    const assignedAt = new Date();
+    const historyEntry = {
+      from_team_id: previousTeamId,
+      to_team_id: team.id,
+      reason: reason || null,
+      assigned_by: assignedBy,
+      assigned_at: assignedAt,
+      previous_status: request.status,
+      ...historyExtra,
+    };
+
+    await transaction(async (t) => {
+      if (isReassigning) {
+        const previousTeam = await db.RescueTeam.findByPk(previousTeamId, {
+          transaction: t,
+        });
+        if (previousTeam) {
+          await previousTeam.update(
+            { status: "available" },
+            { transaction: t },
+          );
+        }
+      }
+
+      const assignmentHistory = Array.isArray(request.assignment_history)
+        ? [...request.assignment_history]
+        : [];
+      assignmentHistory.push(historyEntry);
+
+      // Đội hỗ trợ đang làm thì request vẫn on_mission khi đổi đội lead
+      const status = await RescueRequestTeamService.replaceLead(
+        request,
+        team.id,
+        { assignedBy, assignedAt, reason, transaction: t },
+      );
+
+      const requestUpdatePayload = {
+        status,
+        assigned_team_id: team.id,
+        assigned_at: assignedAt,
+        assigned_by: assignedBy,
+        team_reject_reason: null,
+        assignment_history: assignmentHistory,
+      };
+
+      if (
+        ["verified", "awaiting_confirmation", "on_mission"].includes(
+          request.status,
+        )
+      ) {
+        requestUpdatePayload.team_report = null;
+        requestUpdatePayload.coordinator_confirmation = null;
+      }
+
+      if (autoDispatch !== undefined) {
+        requestUpdatePayload.auto_dispatch = autoDispatch;
+      }
+
+      await request.update(requestUpdatePayload, { transaction: t });
+      await RescueRequestEventService.log(request, "assign_team", {
+        actor: ctx.user,
+        fromStatus,
+        payload: {
+          ...historyEntry,
+          team_name: team.name,
+          cleared_team_report: "team_report" in requestUpdatePayload,
+          ...(autoDispatch !== undefined && { auto_dispatch: autoDispatch }),
+        },
+        transaction: t,
+      });
+    });
+
+    // Gửi thông báo cho team lead
+    try {
+      const NotificationService = require("./notification");
+      await NotificationService.notify(
+        team.user_id,
+        "🚨 Nhiệm vụ mới được giao",
+        `Đội ${team.name} được phân công nhiệm vụ tại ${request.district}. Vui lòng xác nhận hoặc từ chối.`,
+        {
+          type: "mission_assigned",
+          rescue_request_id: request.id,
+        },
+      );
+    } catch (e) {
+      console.error("Failed to send push notification to team:", e);
+    }
+
+    await RescueRequestStateMachine.runHooks("assign_team", {
+      request,
+      from: fromStatus,
+      to: request.status,
+      ctx,
+    });
+
+    return request;
+  }
+
   // THÊM MỚI: Team xác nhận nhận nhiệm vụ → chuyển sang on_mission
   static async teamAcceptMission(requestId, userId) {
     try {
-      const team = await db.RescueTeam.findOne({ where: { user_id: userId } });
-      if (!team) throw new Error("No team associated with this account");
-
       const request = await this.getRescueRequestById(requestId);
+      const ctx = await this.buildActorContext(userId, request);
+      const { team } = ctx;
+      if (!team) throw new Error("No team associated with this account");
 
-      if (request.status !== "assigned") {
-        throw new Error(
-          `Cannot accept mission with status '${request.status}'.`,
-        );
-      }
-      if (request.assigned_team_id !== team.id) {
-        throw new Error("This mission is not assigned to your team");
+      RescueRequestStateMachine.assertCanFire(request, "team_accept", ctx);
+      if (ctx.assignment?.role === "support") {
+        await RescueRequestTeamService.supportAccept(request, ctx);
+        return await this.getRescueRequestById(requestId);
       }
+      const fromStatus = request.status;
 
       const result = await transaction(async (t) => {
-        await request.update({ status: "on_mission" }, { transaction: t });
+        await RescueRequestTeamService.updateLead(
+          request,
+          { status: "accepted", responded_at: new Date() },
+          { transaction: t },
+        );
+        await request.update(
+          {
+            status: "on_mission",
+            ...(request.auto_dispatch?.active && {
+              auto_dispatch: {
+                ...request.auto_dispatch,
+                active: false,
+                stopped_at: new Date(),
+                stop_reason: "accepted",
+              },
+            }),
+          },
+          { transaction: t },
+        );
         await team.update({ status: "on_mission" }, { transaction: t });
+        await RescueRequestEventService.log(request, "team_accept", {
+          actor: ctx.user,
+          fromStatus,
+          payload: { team_id: team.id, team_name: team.name },
+          transaction: t,
+        });
         return { request, team };
       });
 
-      // Gửi push notification cho coordinator
+      // Gửi thông báo cho coordinator
       try {
-        const UserService = require("./user");
+        const NotificationService = require("./notification");
         if (request.assigned_by) {
-          const coordinator = await db.User.findByPk(request.assigned_by);
-          if (coordinator?.expo_push_token) {
-            await UserService.sendPushNotification(
-              coordinator.expo_push_token,
-              "✅ Đội đã nhận nhiệm vụ",
-              `Đội ${team.name} đã xác nhận nhận nhiệm vụ tại ${request.district}.`,
-              {
-                type: "mission_accepted",
-                rescue_request_id: requestId,
-              },
-            );
-          }
+          await NotificationService.notify(
+            request.assigned_by,
+            "✅ Đội đã nhận nhiệm vụ",
+            `Đội ${team.name} đã xác nhận nhận nhiệm vụ tại ${request.district}.`,
+            {
+              type: "mission_accepted",
+              rescue_request_id: requestId,
+            },
+          );
         }
       } catch (e) {
         console.error("Failed to send push notification to coordinator:", e);
       }
 
+      await RescueRequestStateMachine.runHooks("team_accept", {
+        request,
+        from: fromStatus,
+        to: request.status,
+        ctx,
+      });
+
       await result.request.reload({
         include: [
           {
@@ -607,19 +1145,21 @@ class RescueRequestService {
         throw new Error("Rejection reason is required");
       }
 
-      const team = await db.RescueTeam.findOne({ where: { user_id: userId } });
-      if (!team) throw new Error("No team associated with this account");
-
       const request = await this.getRescueRequestById(requestId);
+      const ctx = await this.buildActorContext(userId, request);
+      const { team } = ctx;
+      if (!team) throw new Error("No team associated with this account");
 
-      if (request.status !== "assigned") {
-        throw new Error(
-          `Cannot reject mission with status '${request.status}'.`,
+      RescueRequestStateMachine.assertCanFire(request, "team_reject", ctx);
+      if (ctx.assignment?.role === "support") {
+        await RescueRequestTeamService.supportReject(
+          request,
+          ctx,
+          reason.trim(),
         );
+        return await this.getRescueRequestById(requestId);
       }
-      if (request.assigned_team_id !== team.id) {
-        throw new Error("This mission is not assigned to your team");
-      }
+      const fromStatus = request.status;
 
       const now = new Date();
       const reasonTrim = reason.trim();
@@ -644,37 +1184,77 @@ class RescueRequestService {
         reported_by: userId,
       };
 
-      await request.update({
-        status: "pending_verification",
-        assigned_team_id: null,
-        assigned_at: null,
-        assigned_by: request.assigned_by,
-        team_reject_reason: reasonTrim,
-        mission_incomplete_reason: reasonTrim,
-        mission_incomplete_media_urls: [],
-        team_report: teamReportPayload,
-        coordinator_confirmation: null,
-        notes: `${request.notes || ""}\n${normalizedReport}`.trim(),
+      // Còn đội hỗ trợ → đội hỗ trợ lên làm lead thay vì trả về chờ phân công
+      const nextLead = await transaction(async (t) => {
+        const next = await RescueRequestTeamService.handOverLead(
+          request,
+          {
+            status: "rejected",
+            responded_at: now,
+            reject_reason: reasonTrim,
+            end_reason: reasonTrim,
+          },
+          { transaction: t },
+        );
+        await request.update(
+          {
+            status: "pending_verification",
+            assigned_team_id: null,
+            assigned_at: null,
+            assigned_by: request.assigned_by,
+            team_reject_reason: reasonTrim,
+            mission_incomplete_reason: reasonTrim,
+            mission_incomplete_media_urls: [],
+            team_report: teamReportPayload,
+            coordinator_confirmation: null,
+            notes: `${request.notes || ""}\n${normalizedReport}`.trim(),
+            ...next,
+          },
+          { transaction: t },
+        );
+        await RescueRequestEventService.log(request, "team_reject", {
+          actor: ctx.user,
+          fromStatus,
+          payload: {
+            team_id: team.id,
+            team_name: team.name,
+            reason: reasonTrim,
+            team_report: teamReportPayload,
+            promoted_team_id: next?.assigned_team_id || null,
+          },
+          transaction: t,
+        });
+        return next;
+      });
+      if (nextLead) {
+        await RescueRequestTeamService.notifyPromoted(
+          request,
+          nextLead.assigned_team_id,
+        );
+      }
+
+      await RescueRequestStateMachine.runHooks("team_reject", {
+        request,
+        from: fromStatus,
+        to: request.status,
+        ctx,
       });
 
-      // Push notification (giữ nguyên như cũ)
+      // Thông báo (push + in-app)
       try {
-        const UserService = require("./user");
+        const NotificationService = require("./notification");
         if (request.assigned_by) {
-          const coordinator = await db.User.findByPk(request.assigned_by);
-          if (coordinator?.expo_push_token) {
-            await UserService.sendPushNotification(
-              coordinator.expo_push_token,
-              "❌ Đội từ chối nhiệm vụ",
-              `Đội ${team.name} từ chối nhiệm vụ tại ${request.district}. Lý do: ${reason}`,
-              {
-                type: "mission_rejected_by_team",
-                rescue_request_id: requestId,
-                team_name: team.name,
-                reason,
-              },
-            );
-          }
+          await NotificationService.notify(
+            request.assigned_by,
+            "❌ Đội từ chối nhiệm vụ",
+            `Đội ${team.name} từ chối nhiệm vụ tại ${request.district}. Lý do: ${reason}`,
+            {
+              type: "mission_rejected_by_team",
+              rescue_request_id: requestId,
+              team_name: team.name,
+              reason,
+            },
+          );
 
           // THÊM MỚI: emit socket cho coordinator trên web
           try {
@@ -717,8 +1297,7 @@ class RescueRequestService {
     }
   }
 
-  // Team báo cáo đã/không thực hiện nhiệm vụ -> chờ coordinator xác nhận
-  // NOTE: dùng status "verified" làm trạng thái trung gian để tránh thay đổi schema enum.
+  // Team báo cáo đã/không thực hiện nhiệm vụ -> awaiting_confirmation (chờ coordinator xác nhận)
   static async teamReportExecution(
     requestId,
     userId,
@@ -776,23 +1355,17 @@ class RescueRequestService {
         }
       }
 
-      const team = await db.RescueTeam.findOne({ where: { user_id: userId } });
+      const request = await this.getRescueRequestById(requestId);
+      const ctx = await this.buildActorContext(userId, request);
+      const { team } = ctx;
       if (!team) throw new Error("No team associated with this account");
 
-      const request = await this.getRescueRequestById(requestId);
-      if (request.status !== "on_mission") {
-        throw new Error(
-          `Cannot report execution for request with status '${request.status}'.`,
-        );
-      }
-      if (request.assigned_team_id !== team.id) {
-        throw new Error("This mission is not assigned to your team");
-      }
-      if (team.status !== "on_mission") {
-        throw new Error(
-          `Cannot report execution when team status is '${team.status}'.`,
-        );
-      }
+      RescueRequestStateMachine.assertCanFire(
+        request,
+        "team_report_execution",
+        ctx,
+      );
+      const fromStatus = request.status;
 
       const normalizedReport = [
         "--- Team execution report ---",
@@ -832,6 +1405,18 @@ class RescueRequestService {
         reported_by: userId,
       };
 
+      // Đội hỗ trợ: chỉ cập nhật dòng phân công của đội; vật tư tự trừ theo
+      // relief_needs chỉ tính một lần cho đội lead
+      if (ctx.assignment?.role === "support") {
+        await RescueRequestTeamService.supportReport(
+          request,
+          ctx,
+          teamReportPayload,
+          { event: "team_report_execution" },
+        );
+        return await this.getRescueRequestById(requestId);
+      }
+
       if (["completed", "partially_completed"].includes(normalizedOutcome)) {
         const requestWithCurrentReport = {
           ...request.toJSON(),
@@ -846,10 +1431,40 @@ class RescueRequestService {
       }
 
       if (["completed", "partially_completed"].includes(normalizedOutcome)) {
-        await request.update({
-          status: "verified",
-          notes: `${request.notes || ""}\n${normalizedReport}`.trim(),
-          team_report: teamReportPayload,
+        await transaction(async (t) => {
+          await RescueRequestTeamService.updateLead(
+            request,
+            {
+              status: "reported",
+              team_report: teamReportPayload,
+              reported_at: teamReportPayload.reported_at,
+            },
+            { transaction: t },
+          );
+          // Chỉ chờ xác nhận khi mọi đội đã báo cáo
+          const status = RescueRequestTeamService.deriveStatus(
+            await RescueRequestTeamService.getActiveAssignments(request, {
+              transaction: t,
+            }),
+          );
+          await request.update(
+            {
+              status: status || "awaiting_confirmation",
+              notes: `${request.notes || ""}\n${normalizedReport}`.trim(),
+              team_report: teamReportPayload,
+            },
+            { transaction: t },
+          );
+          await RescueRequestEventService.log(
+            request,
+            "team_report_execution",
+            {
+              actor: ctx.user,
+              fromStatus,
+              payload: { team_id: team.id, team_report: teamReportPayload },
+              transaction: t,
+            },
+          );
         });
       } else {
         const failedReason =
@@ -857,7 +1472,17 @@ class RescueRequestService {
             ? String(normalizedReportNotes).trim()
             : "Team reported cannot execute mission";
 
-        await transaction(async (t) => {
+        const nextLead = await transaction(async (t) => {
+          const next = await RescueRequestTeamService.handOverLead(
+            request,
+            {
+              status: "failed",
+              team_report: teamReportPayload,
+              reported_at: teamReportPayload.reported_at,
+              end_reason: failedReason,
+            },
+            { transaction: t },
+          );
           await request.update(
             {
               status: "pending_verification",
@@ -873,30 +1498,49 @@ class RescueRequestService {
               )
                 ? normalizedReportMediaUrls.filter(Boolean)
                 : [],
+              ...next,
             },
             { transaction: t },
           );
           await team.update({ status: "available" }, { transaction: t });
+          await RescueRequestEventService.log(
+            request,
+            "team_report_execution",
+            {
+              actor: ctx.user,
+              fromStatus,
+              payload: {
+                team_id: team.id,
+                team_report: teamReportPayload,
+                promoted_team_id: next?.assigned_team_id || null,
+              },
+              transaction: t,
+            },
+          );
+          return next;
         });
+        if (nextLead) {
+          await RescueRequestTeamService.notifyPromoted(
+            request,
+            nextLead.assigned_team_id,
+          );
+        }
 
         // Notify coordinator when team reports failed execution
         try {
-          const UserService = require("./user");
+          const NotificationService = require("./notification");
           if (request.assigned_by) {
-            const coordinator = await db.User.findByPk(request.assigned_by);
-            if (coordinator?.expo_push_token) {
-              await UserService.sendPushNotification(
-                coordinator.expo_push_token,
-                "⚠️ Đội báo cáo không thể hoàn thành",
-                `${team.name} báo cáo không thể hoàn thành nhiệm vụ tại ${request.district}.`,
-                {
-                  type: "mission_incomplete",
-                  rescue_request_id: requestId,
-                  team_name: team.name,
-                  reason: failedReason,
-                },
-              );
-            }
+            await NotificationService.notify(
+              request.assigned_by,
+              "⚠️ Đội báo cáo không thể hoàn thành",
+              `${team.name} báo cáo không thể hoàn thành nhiệm vụ tại ${request.district}.`,
+              {
+                type: "mission_incomplete",
+                rescue_request_id: requestId,
+                team_name: team.name,
+                reason: failedReason,
+              },
+            );
 
             try {
               const { getIO } = require("../config/socket");
@@ -932,6 +1576,13 @@ class RescueRequestService {
         }
       }
 
+      await RescueRequestStateMachine.runHooks("team_report_execution", {
+        request,
+        from: fromStatus,
+        to: request.status,
+        ctx,
+      });
+
       await request.reload({
         include: [
           {
@@ -967,18 +1618,15 @@ class RescueRequestService {
 
       const coordinator = await this.UserModel.findByPk(coordinatorId);
       if (!coordinator) throw new Error("Coordinator not found");
-      if (!["coordinator", "admin"].includes(coordinator.role)) {
-        throw new Error(
-          "Only coordinators or admins can confirm mission execution",
-        );
-      }
+      const ctx = { user: coordinator };
 
       const request = await this.getRescueRequestById(requestId);
-      if (request.status !== "verified") {
-        throw new Error(
-          `Cannot confirm execution for request with status '${request.status}'.`,
-        );
-      }
+      RescueRequestStateMachine.assertCanFire(
+        request,
+        "confirm_execution",
+        ctx,
+      );
+      const fromStatus = request.status;
 
       const confirmationLine = [
         "--- Coordinator confirmation ---",
@@ -995,12 +1643,16 @@ class RescueRequestService {
         confirmed_by: coordinatorId,
       };
 
+      // Mọi đội còn trên nhiệm vụ (lead + hỗ trợ) kết thúc cùng lần xác nhận
+      const assignments =
+        await RescueRequestTeamService.getActiveAssignments(request);
+
       if (confirmed) {
         const teamReportOutcome = request.team_report?.outcome;
-        const finalStatus =
-          teamReportOutcome === "partially_completed"
-            ? "partially_completed"
-            : "completed";
+        const finalStatus = RescueRequestTeamService.deriveOutcome(
+          assignments,
+          teamReportOutcome,
+        );
 
         const completedAt = new Date();
         const completionLine = [
@@ -1023,6 +1675,19 @@ class RescueRequestService {
 
         await transaction(async (t) => {
           await request.update(requestUpdatePayload, { transaction: t });
+          await RescueRequestEventService.log(request, "confirm_execution", {
+            actor: coordinator,
+            fromStatus,
+            payload: {
+              coordinator_confirmation: coordinatorConfirmationPayload,
+              team_report_outcome: teamReportOutcome || null,
+              team_ids: assignments.map((a) => a.team_id),
+            },
+            transaction: t,
+          });
+          await RescueRequestTeamService.completeAssignments(assignments, {
+            transaction: t,
+          });
 
           if (request.assigned_team_id) {
             const team = await db.RescueTeam.findByPk(
@@ -1036,8 +1701,6 @@ class RescueRequestService {
             }
           }
         });
-
-        await this.notifyTeamToReturnVehicleIfNeeded(requestId);
       } else {
         await transaction(async (t) => {
           const assignedTeamId = request.assigned_team_id;
@@ -1053,6 +1716,24 @@ class RescueRequestService {
             },
             { transaction: t },
           );
+          await RescueRequestEventService.log(request, "confirm_execution", {
+            actor: coordinator,
+            fromStatus,
+            payload: {
+              coordinator_confirmation: coordinatorConfirmationPayload,
+              released_team_id: assignedTeamId || null,
+              team_ids: assignments.map((a) => a.team_id),
+            },
+            transaction: t,
+          });
+          await RescueRequestTeamService.endAssignments(
+            assignments,
+            "released",
+            {
+              reason: "Coordinator did not confirm team execution",
+              transaction: t,
+            },
+          );
 
           if (assignedTeamId) {
             const team = await db.RescueTeam.findByPk(assignedTeamId, {
@@ -1065,6 +1746,13 @@ class RescueRequestService {
         });
       }
 
+      await RescueRequestStateMachine.runHooks("confirm_execution", {
+        request,
+        from: fromStatus,
+        to: request.status,
+        ctx,
+      });
+
       await request.reload({
         include: [
           {
@@ -1103,18 +1791,11 @@ class RescueRequestService {
   ) {
     try {
       const request = await this.getRescueRequestById(requestId);
-      if (request.status !== "on_mission") {
-        throw new Error(
-          `Cannot complete request with status '${request.status}'.`,
-        );
-      }
       const coordinator = await this.UserModel.findByPk(coordinatorId);
       if (!coordinator) throw new Error("Coordinator not found");
-      if (!["coordinator", "admin"].includes(coordinator.role)) {
-        throw new Error("Only coordinators or admins can complete missions");
-      }
-      if (!request.assigned_team_id)
-        throw new Error("No team assigned to this request");
+      const ctx = { user: coordinator };
+      RescueRequestStateMachine.assertCanFire(request, "complete", ctx);
+      const fromStatus = request.status;
       const RescueTeamService = require("./rescue_team");
       const team = await RescueTeamService.getTeamById(
         request.assigned_team_id,
@@ -1173,13 +1854,45 @@ class RescueRequestService {
         requestUpdatePayload.completed_at = completedAt;
       }
 
+      const assignments =
+        await RescueRequestTeamService.getActiveAssignments(request);
+
       const result = await transaction(async (t) => {
         await request.update(requestUpdatePayload, { transaction: t });
         await team.update({ status: "available" }, { transaction: t });
+        await RescueRequestTeamService.completeAssignments(assignments, {
+          reason: completionNotes,
+          transaction: t,
+        });
+        await RescueRequestEventService.log(request, "complete", {
+          actor: coordinator,
+          fromStatus,
+          payload: {
+            team_id: team.id,
+            team_ids: assignments.map((a) => a.team_id),
+            completion_outcome,
+            unmet_people_count:
+              completion_outcome === "partially_completed"
+                ? Number(unmet_people_count)
+                : 0,
+            partial_reason:
+              completion_outcome === "partially_completed"
+                ? String(partial_reason).trim()
+                : null,
+            completion_notes: completionNotes,
+            completion_media_urls: requestUpdatePayload.completion_media_urls,
+          },
+          transaction: t,
+        });
         return { request, team };
       });
 
-      await this.notifyTeamToReturnVehicleIfNeeded(requestId);
+      await RescueRequestStateMachine.runHooks("complete", {
+        request,
+        from: fromStatus,
+        to: request.status,
+        ctx,
+      });
 
       await result.request.reload({
         include: [
@@ -1220,37 +1933,20 @@ class RescueRequestService {
     if (!reason || !String(reason).trim()) {
       throw new Error("Reason is required");
     }
-    const user = await this.UserModel.findByPk(userId);
-    if (!user) throw new Error("User not found");
-    if (!["rescue_team", "admin"].includes(user.role)) {
-      throw new Error(
-        "Only rescue team or admin can report incomplete mission",
-      );
-    }
-
     const request = await this.getRescueRequestById(requestId);
-    if (request.status !== "on_mission") {
-      throw new Error(
-        `Cannot report incomplete for status '${request.status}'`,
-      );
-    }
-    if (!request.assigned_team_id) {
-      throw new Error("No team assigned to this request");
+    const ctx = await this.buildActorContext(userId, request);
+    if (ctx.user.role === "rescue_team" && !ctx.team) {
+      throw new Error("No team associated with this account");
     }
 
-    const RescueTeamService = require("./rescue_team");
-    let team = await db.RescueTeam.findOne({ where: { user_id: userId } });
+    RescueRequestStateMachine.assertCanFire(request, "report_incomplete", ctx);
+    const fromStatus = request.status;
 
-    if (user.role === "rescue_team") {
-      if (!team) throw new Error("No team associated with this account");
-      if (request.assigned_team_id !== team.id) {
-        throw new Error("This mission is not assigned to your team");
-      }
-    } else if (user.role === "admin") {
-      team = await RescueTeamService.getTeamById(request.assigned_team_id);
-    } else {
-      throw new Error("Not allowed");
-    }
+    const RescueTeamService = require("./rescue_team");
+    const team =
+      ctx.user.role === "rescue_team"
+        ? ctx.team
+        : await RescueTeamService.getTeamById(request.assigned_team_id);
 
     const ts = new Date().toISOString();
     const reasonTrim = String(reason).trim();
@@ -1283,9 +1979,29 @@ class RescueRequestService {
       reported_by: userId,
     };
 
+    if (ctx.assignment?.role === "support") {
+      await RescueRequestTeamService.supportReport(
+        request,
+        ctx,
+        teamReportPayload,
+        { event: "report_incomplete" },
+      );
+      return await this.getRescueRequestById(requestId);
+    }
+
     const coordinatorIdForNotify = request.assigned_by;
 
     const result = await transaction(async (t) => {
+      const next = await RescueRequestTeamService.handOverLead(
+        request,
+        {
+          status: "failed",
+          team_report: teamReportPayload,
+          reported_at: teamReportPayload.reported_at,
+          end_reason: reasonTrim,
+        },
+        { transaction: t },
+      );
       await request.update(
         {
           status: "pending_verification",
@@ -1297,29 +2013,45 @@ class RescueRequestService {
           mission_incomplete_media_urls: mediaArr,
           assigned_team_id: null,
           assigned_at: null,
+          ...next,
         },
         { transaction: t },
       );
       await team.update({ status: "available" }, { transaction: t });
-      return { request, team };
+      await RescueRequestEventService.log(request, "report_incomplete", {
+        actor: ctx.user,
+        fromStatus,
+        payload: {
+          team_id: team.id,
+          reason: reasonTrim,
+          media_urls: mediaArr,
+          team_report: teamReportPayload,
+          promoted_team_id: next?.assigned_team_id || null,
+        },
+        transaction: t,
+      });
+      return { request, team, next };
     });
+    if (result.next) {
+      await RescueRequestTeamService.notifyPromoted(
+        request,
+        result.next.assigned_team_id,
+      );
+    }
 
     try {
-      const UserService = require("./user");
+      const NotificationService = require("./notification");
       if (coordinatorIdForNotify) {
-        const coordinator = await db.User.findByPk(coordinatorIdForNotify);
-        if (coordinator?.expo_push_token) {
-          await UserService.sendPushNotification(
-            coordinator.expo_push_token,
-            "⚠️ Đội báo cáo không hoàn thành",
-            `${team.name} báo cáo không hoàn thành nhiệm vụ tại ${request.district}.`,
-            {
-              type: "mission_incomplete",
-              rescue_request_id: requestId,
-              team_name: team.name,
-            },
-          );
-        }
+        await NotificationService.notify(
+          coordinatorIdForNotify,
+          "⚠️ Đội báo cáo không hoàn thành",
+          `${team.name} báo cáo không hoàn thành nhiệm vụ tại ${request.district}.`,
+          {
+            type: "mission_incomplete",
+            rescue_request_id: requestId,
+            team_name: team.name,
+          },
+        );
         try {
           const { getIO } = require("../config/socket");
           getIO()
@@ -1339,6 +2071,13 @@ class RescueRequestService {
       console.error("Notify coordinator mission_incomplete:", e);
     }
 
+    await RescueRequestStateMachine.runHooks("report_incomplete", {
+      request,
+      from: fromStatus,
+      to: request.status,
+      ctx,
+    });
+
     await result.request.reload({
       include: [
         {
@@ -1381,7 +2120,7 @@ class RescueRequestService {
             db.sequelize.fn(
               "SUM",
               db.sequelize.literal(
-                `CASE WHEN status IN ('pending_verification','assigned','on_mission','verified') THEN 1 ELSE 0 END`,
+                `CASE WHEN status IN ('pending_verification','assigned','on_mission','awaiting_confirmation','verified') THEN 1 ELSE 0 END`,
               ),
             ),
             "active",
@@ -1396,9 +2135,46 @@ class RescueRequestService {
             "new_requests",
           ],
         ],
+        // Nhiệm vụ con được tính vào yêu cầu gốc, không đếm trùng
+        where: { parent_request_id: null },
+        group: ["district"],
+        raw: true,
+      });
+
+      // Yêu cầu gốc đã tách (partially_completed) vẫn active khi còn
+      // nhiệm vụ con đang xử lý
+      const activeSplitFamilies = await this.RescueRequestModel.findAll({
+        attributes: [
+          "district",
+          [
+            db.sequelize.fn(
+              "COUNT",
+              db.sequelize.fn("DISTINCT", db.sequelize.col("root_request_id")),
+            ),
+            "active",
+          ],
+        ],
+        where: {
+          parent_request_id: { [Op.ne]: null },
+          status: {
+            [Op.in]: [
+              "pending_verification",
+              "assigned",
+              "on_mission",
+              "awaiting_confirmation",
+              "verified",
+            ],
+          },
+        },
         group: ["district"],
         raw: true,
       });
+      for (const family of activeSplitFamilies) {
+        const row = requestHeatmapByDistrict.find(
+          (r) => r.district === family.district,
+        );
+        if (row) row.active = Number(row.active) + Number(family.active);
+      }
 
       const teamAvailabilityByDistrict = await db.RescueTeam.findAll({
         attributes: [
@@ -1523,12 +2299,9 @@ class RescueRequestService {
       const team = await db.RescueTeam.findByPk(request.assigned_team_id);
       if (!team?.user_id) return;
 
-      const teamUser = await db.User.findByPk(team.user_id);
-      if (!teamUser?.expo_push_token) return;
-
-      const UserService = require("./user");
-      await UserService.sendPushNotification(
-        teamUser.expo_push_token,
+      const NotificationService = require("./notification");
+      await NotificationService.notify(
+        team.user_id,
         "✅ Nhiệm vụ đã hoàn thành",
         "Vui lòng thực hiện trả phương tiện về kho khi kết thúc nhiệm vụ.",
         {
@@ -1548,11 +2321,24 @@ class RescueRequestService {
       return { linked: 0, request_ids: [] };
     }
     const ids = [...new Set(requestIds)].filter(Boolean);
-    const updated = await this.RescueRequestModel.update(
-      { user_id: userId },
-      { where: { id: ids, user_id: null } },
-    );
-    return { linked: updated[0] || 0, request_ids: ids };
+    const user = await this.UserModel.findByPk(userId);
+    const linked = await transaction(async (t) => {
+      const guestRequests = await this.RescueRequestModel.findAll({
+        where: { id: ids, user_id: null },
+        transaction: t,
+      });
+      for (const request of guestRequests) {
+        await request.update({ user_id: userId }, { transaction: t });
+        await RescueRequestEventService.log(request, "linked_to_user", {
+          actor: user,
+          fromStatus: request.status,
+          payload: { user_id: userId },
+          transaction: t,
+        });
+      }
+      return guestRequests.length;
+    });
+    return { linked, request_ids: ids };
   }
 
   static async updateRescueRequest(id, updateData, userId = null) {
@@ -1565,12 +2351,20 @@ class RescueRequestService {
       }
 
       const filteredData = {};
+      const triageFields = [
+        "vulnerability_flags",
+        "water_level",
+        "hazard_flags",
+      ];
+      // Các trường ảnh hưởng điểm triage (mô tả: chấm theo từ khoá)
+      const scoredFields = [...triageFields, "description"];
 
       if (["admin", "coordinator"].includes(requesterRole)) {
         const allowedFields = [
           "status",
           "priority",
           "notes",
+          "description",
           "verified_by",
           "verified_at",
         ];
@@ -1592,6 +2386,19 @@ class RescueRequestService {
             updateData.relief_needs,
           );
         }
+
+        if (triageFields.some((field) => updateData[field] !== undefined)) {
+          const triageInput = RescueRequestTriageService.normalizeInput({
+            vulnerability_flags: updateData.vulnerability_flags,
+            water_level: updateData.water_level,
+            hazard_flags: updateData.hazard_flags,
+          });
+          triageFields.forEach((field) => {
+            if (updateData[field] !== undefined) {
+              filteredData[field] = triageInput[field];
+            }
+          });
+        }
       } else {
         const hasRestrictedFields =
           updateData.status !== undefined ||
@@ -1626,7 +2433,63 @@ class RescueRequestService {
         throw new Error("No valid fields to update");
       }
 
-      await request.update(filteredData);
+      // Đổi flag / mô tả → chấm lại; coordinator đổi priority → ghi nhận là
+      // ghi đè triage
+      const priorityChanged =
+        filteredData.priority !== undefined &&
+        filteredData.priority !== request.priority;
+      const flagsChanged = scoredFields.some(
+        (field) => filteredData[field] !== undefined,
+      );
+      if (priorityChanged || flagsChanged) {
+        const triage = flagsChanged
+          ? RescueRequestTriageService.score({
+              ...request.get({ plain: true }),
+              ...filteredData,
+            })
+          : { ...(request.triage || {}) };
+        triage.override = priorityChanged
+          ? RescueRequestTriageService.buildOverride(
+              request,
+              filteredData.priority,
+              { id: userId, role: requesterRole },
+              updateData.priority_reason || null,
+            )
+          : request.triage?.override;
+        if (!triage.override) {
+          filteredData.priority = RescueRequestTriageService.resolvePriority(
+            request,
+            triage.suggested_priority,
+          );
+        }
+        filteredData.triage = triage;
+      }
+
+      const fromStatus = request.status;
+      const changes = Object.fromEntries(
+        Object.keys(filteredData)
+          .filter((field) => field !== "triage")
+          .map((field) => [
+            field,
+            { from: request.get(field), to: filteredData[field] },
+          ]),
+      );
+      await transaction(async (t) => {
+        await request.update(filteredData, { transaction: t });
+        await RescueRequestEventService.log(request, "updated", {
+          actor: userId ? { id: userId, role: requesterRole } : null,
+          actorRole: requesterRole,
+          fromStatus,
+          payload: {
+            changes,
+            ...(filteredData.triage && {
+              triage_score: filteredData.triage.score,
+              priority_override: !!filteredData.triage.override,
+            }),
+          },
+          transaction: t,
+        });
+      });
       return request;
     } catch (error) {
       throw error;
@@ -1644,16 +2507,9 @@ class RescueRequestService {
       }
 
       const request = await this.getRescueRequestById(requestId);
-
-      if (request.status !== "completed") {
-        throw new Error(
-          `Cannot confirm rescue for request with status '${request.status}'.`,
-        );
-      }
-
-      if (!userId || request.user_id !== userId) {
-        throw new Error("Only the request creator can confirm rescue");
-      }
+      const citizen = userId ? await this.UserModel.findByPk(userId) : null;
+      const ctx = { user: citizen };
+      RescueRequestStateMachine.assertCanFire(request, "citizen_confirm", ctx);
 
       const confirmedAt = new Date();
       const citizenConfirmationPayload = {
@@ -1672,10 +2528,28 @@ class RescueRequestService {
         .filter(Boolean)
         .join("\n");
 
-      await request.update({
-        status: "completed",
-        citizen_confirmation: citizenConfirmationPayload,
-        notes: `${request.notes || ""}\n${confirmationLine}`.trim(),
+      await transaction(async (t) => {
+        await request.update(
+          {
+            status: "completed",
+            citizen_confirmation: citizenConfirmationPayload,
+            notes: `${request.notes || ""}\n${confirmationLine}`.trim(),
+          },
+          { transaction: t },
+        );
+        await RescueRequestEventService.log(request, "citizen_confirm", {
+          actor: citizen,
+          fromStatus: "completed",
+          payload: { citizen_confirmation: citizenConfirmationPayload },
+          transaction: t,
+        });
+      });
+
+      await RescueRequestStateMachine.runHooks("citizen_confirm", {
+        request,
+        from: "completed",
+        to: "completed",
+        ctx,
       });
 
       await request.reload({
@@ -1705,24 +2579,40 @@ class RescueRequestService {
     }
   }
 
-  static async deleteRescueRequest(id) {
+  static async deleteRescueRequest(id, user = null) {
     try {
       const request = await this.getRescueRequestById(id);
-      await request.destroy();
+      await transaction(async (t) => {
+        await RescueRequestEventService.log(request, "deleted", {
+          actor: user,
+          fromStatus: request.status,
+          toStatus: null,
+          transaction: t,
+        });
+        await request.destroy({ transaction: t });
+      });
       return { message: "Rescue request deleted successfully" };
     } catch (error) {
       throw error;
     }
   }
 
+  static async getSlaReport(filters = {}) {
+    const RescueRequestSlaService = require("./rescue_request_sla");
+    return await RescueRequestSlaService.getSlaReport(filters);
+  }
+
   static async getStatistics() {
     try {
-      const total = await this.RescueRequestModel.count();
+      // Chỉ đếm yêu cầu gốc; nhiệm vụ con tách ra thống kê riêng
+      const roots = { parent_request_id: null };
+      const total = await this.RescueRequestModel.count({ where: roots });
       const byStatus = await this.RescueRequestModel.findAll({
         attributes: [
           "status",
           [db.sequelize.fn("COUNT", db.sequelize.col("id")), "count"],
         ],
+        where: roots,
         group: ["status"],
       });
       const byCategory = await this.RescueRequestModel.findAll({
@@ -1730,12 +2620,28 @@ class RescueRequestService {
           "category",
           [db.sequelize.fn("COUNT", db.sequelize.col("id")), "count"],
         ],
+        where: roots,
         group: ["category"],
       });
+      const subMissionsByStatus = await this.RescueRequestModel.findAll({
+        attributes: [
+          "status",
+          [db.sequelize.fn("COUNT", db.sequelize.col("id")), "count"],
+        ],
+        where: { parent_request_id: { [Op.ne]: null } },
+        group: ["status"],
+      });
       return {
         total,
         by_status: byStatus.map((s) => s.toJSON()),
         by_category: byCategory.map((c) => c.toJSON()),
+        sub_missions: {
+          total: subMissionsByStatus.reduce(
+            (sum, s) => sum + Number(s.get("count")),
+            0,
+          ),
+          by_status: subMissionsByStatus.map((s) => s.toJSON()),
+        },
       };
     } catch (error) {
       throw error;
@@ -1743,4 +2649,32 @@ class RescueRequestService {
   }
 }
 
+// Side-effect sau transition
+RescueRequestStateMachine.on("team_reject", async ({ request, ctx }) => {
+  // Auto-dispatch: đội lead từ chối → thử ngay ứng viên kế tiếp. Đội hỗ trợ
+  // từ chối, hoặc đã có đội hỗ trợ lên thay lead → giữ nguyên đội lead.
+  if (!request.auto_dispatch?.active) return;
+  if (ctx?.assignment?.role === "support" || request.assigned_team_id) return;
+  const AutoDispatchService = require("./auto_dispatch");
+  await AutoDispatchService.dispatchNext(request.id, "team_rejected");
+});
+
+RescueRequestStateMachine.on(
+  ["complete", "confirm_execution"],
+  async ({ request, to }) => {
+    if (!["completed", "partially_completed"].includes(to)) return;
+    await RescueRequestService.notifyTeamToReturnVehicleIfNeeded(request.id);
+  },
+);
+
+// Nhiệm vụ con đổi trạng thái → cập nhật tiến độ / hoàn thành yêu cầu cha
+RescueRequestStateMachine.on(
+  Object.keys(RescueRequestStateMachine.TRANSITIONS),
+  async ({ request }) => {
+    if (!request.parent_request_id) return;
+    const RescueRequestSplitService = require("./rescue_request_split");
+    await RescueRequestSplitService.refreshParent(request.parent_request_id);
+  },
+);
+
 module.exports = RescueRequestService;
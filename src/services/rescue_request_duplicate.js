@@ -0,0 +1,365 @@
+const { Op } = require("sequelize");
+const { db, transaction } = require("../config/database");
+const { env } = require("../config/env");
+const {
+  normalizeText,
+  normalizePhone,
+  isSameDistrict,
+  haversineDistance,
+  textSimilarity,
+} = require("../utils");
+const RescueRequestStateMachine = require("./rescue_request_state");
+const RescueRequestEventService = require("./rescue_request_event");
+const RescueRequestTeamService = require("./rescue_request_team");
+
+// Trạng thái còn đang xử lý — chỉ so trùng / gộp trong nhóm này
+const OPEN_STATUSES = [
+  "new",
+  "pending_verification",
+  "assigned",
+  "on_mission",
+  "awaiting_confirmation",
+  "verified",
+];
+
+// Điểm trùng lặp (cờ khi >= DUPLICATE_DETECTION.MIN_SCORE)
+const DUPLICATE_WEIGHTS = {
+  phone: 50,
+  location: 30,
+  district: 10,
+  description: 30,
+  time: 10,
+};
+
+const PRIORITY_RANK = { low: 1, medium: 2, high: 3, urgent: 4 };
+
+/**
+ * Phát hiện yêu cầu cứu hộ trùng (cùng SĐT, gần nhau, mô tả giống, gửi
+ * gần cùng lúc) và gộp các bản trùng vào một yêu cầu chính.
+ */
+class RescueRequestDuplicateService {
+  static get RescueRequestModel() {
+    return db.RescueRequest;
+  }
+
+  /**
+   * Chấm điểm 2 yêu cầu có phải cùng một sự việc không.
+   * candidate/existing là plain object (hoặc model) có các field của RescueRequest.
+   */
+  static scoreDuplicate(candidate, existing, now = new Date()) {
+    const config = env.DUPLICATE_DETECTION;
+    const reasons = [];
+    let score = 0;
+
+    const phone = normalizePhone(candidate.phone_number);
+    if (phone && phone === normalizePhone(existing.phone_number)) {
+      score += DUPLICATE_WEIGHTS.phone;
+      reasons.push("same_phone");
+    }
+
+    const distance = haversineDistance(
+      candidate.latitude,
+      candidate.longitude,
+      existing.latitude,
+      existing.longitude,
+    );
+    if (distance != null && distance <= config.RADIUS_METERS) {
+      score += DUPLICATE_WEIGHTS.location;
+      reasons.push("nearby_location");
+    } else if (
+      distance == null &&
+      isSameDistrict(candidate.district, existing.district)
+    ) {
+      score += DUPLICATE_WEIGHTS.district;
+      reasons.push("same_district");
+    }
+
+    const similarity = textSimilarity(
+      `${candidate.description || ""} ${candidate.address || ""}`,
+      `${existing.description || ""} ${existing.address || ""}`,
+    );
+    if (similarity > 0) {
+      score += Math.round(similarity * DUPLICATE_WEIGHTS.description);
+      if (similarity >= 0.5) reasons.push("similar_description");
+    }
+
+    const windowMs = config.WINDOW_HOURS * 60 * 60 * 1000;
+    const ageMs = now - new Date(existing.created_at || now);
+    if (ageMs >= 0 && ageMs <= windowMs) {
+      score += Math.round((1 - ageMs / windowMs) * DUPLICATE_WEIGHTS.time);
+    }
+
+    return {
+      score,
+      reasons,
+      distance_m: distance == null ? null : Math.round(distance),
+      similarity: Math.round(similarity * 100) / 100,
+    };
+  }
+
+  /**
+   * Tìm yêu cầu đang mở trong cửa sổ thời gian có khả năng trùng với data.
+   */
+  static async findPossibleDuplicates(
+    data,
+    { excludeIds = [], limit = 5 } = {},
+  ) {
+    try {
+      const config = env.DUPLICATE_DETECTION;
+      const now = new Date();
+      const where = {
+        status: { [Op.in]: OPEN_STATUSES },
+        created_at: {
+          [Op.gte]: new Date(now - config.WINDOW_HOURS * 60 * 60 * 1000),
+        },
+      };
+      if (excludeIds.length > 0) where.id = { [Op.notIn]: excludeIds };
+
+      const recent = await this.RescueRequestModel.findAll({
+        where,
+        attributes: [
+          "id",
+          "category",
+          "district",
+          "phone_number",
+          "description",
+          "address",
+          "latitude",
+          "longitude",
+          "num_people",
+          "status",
+          "priority",
+          "created_at",
+        ],
+        order: [["created_at", "DESC"]],
+        limit: 200,
+      });
+
+      return recent
+        .map((existing) => ({
+          id: existing.id,
+          status: existing.status,
+          category: existing.category,
+          district: existing.district,
+          created_at: existing.created_at,
+          ...this.scoreDuplicate(data, existing, now),
+        }))
+        .filter((match) => match.score >= config.MIN_SCORE)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Gộp relief_needs theo label + unit (không phân biệt dấu / hoa thường).
+   */
+  static mergeReliefNeeds(lists, strategy) {
+    const merged = new Map();
+    lists.flat().forEach((item) => {
+      if (!item?.label) return;
+      const key = `${normalizeText(item.label)}|${normalizeText(item.unit)}`;
+      const existing = merged.get(key);
+      if (!existing) {
+        merged.set(key, { ...item });
+        return;
+      }
+      existing.quantity =
+        strategy === "sum"
+          ? existing.quantity + item.quantity
+          : Math.max(existing.quantity, item.quantity);
+      if (!existing.supply_id && item.supply_id) {
+        existing.supply_id = item.supply_id;
+      }
+    });
+    return [...merged.values()];
+  }
+
+  /**
+   * Coordinator gộp các yêu cầu trùng vào yêu cầu chính.
+   * numPeopleStrategy: "max" (mặc định, cùng một nhóm người) | "sum".
+   */
+  static async mergeRequests(
+    primaryId,
+    duplicateIds,
+    coordinatorId,
+    { numPeopleStrategy = "max", notes = null } = {},
+  ) {
+    try {
+      if (!Array.isArray(duplicateIds) || duplicateIds.length === 0) {
+        throw new Error("duplicate_ids must be a non-empty array");
+      }
+      if (!["max", "sum"].includes(numPeopleStrategy)) {
+        throw new Error("num_people_strategy must be 'max' or 'sum'");
+      }
+      const ids = [...new Set(duplicateIds)].filter(Boolean);
+      if (ids.includes(primaryId)) {
+        throw new Error("Cannot merge a request into itself");
+      }
+
+      const RescueRequestService = require("./rescue_request");
+      const primary =
+        await RescueRequestService.getRescueRequestById(primaryId);
+      if (!OPEN_STATUSES.includes(primary.status)) {
+        throw new Error(
+          `Cannot merge into request with status '${primary.status}'.`,
+        );
+      }
+
+      const coordinator = await db.User.findByPk(coordinatorId);
+      if (!coordinator) throw new Error("Coordinator not found");
+      const ctx = { user: coordinator };
+
+      const duplicates = await this.RescueRequestModel.findAll({
+        where: { id: { [Op.in]: ids } },
+      });
+      if (duplicates.length !== ids.length) {
+        throw new Error("One or more duplicate requests not found");
+      }
+      duplicates.forEach((duplicate) =>
+        RescueRequestStateMachine.assertCanFire(duplicate, "merge_into", ctx),
+      );
+
+      const all = [primary, ...duplicates];
+      const peopleCounts = all.map((r) => Number(r.num_people) || 1);
+      const numPeople =
+        numPeopleStrategy === "sum"
+          ? peopleCounts.reduce((sum, n) => sum + n, 0)
+          : Math.max(...peopleCounts);
+      const mediaUrls = [
+        ...new Set(all.flatMap((r) => r.media_urls || []).filter(Boolean)),
+      ];
+      const priority = all
+        .map((r) => r.priority)
+        .filter(Boolean)
+        .sort((a, b) => (PRIORITY_RANK[b] || 0) - (PRIORITY_RANK[a] || 0))[0];
+
+      const primaryUpdate = {
+        num_people: numPeople,
+        media_urls: mediaUrls,
+        priority: priority || primary.priority,
+        merged_request_ids: [
+          ...new Set([...(primary.merged_request_ids || []), ...ids]),
+        ],
+        possible_duplicates: (primary.possible_duplicates || []).filter(
+          (match) => !ids.includes(match.id),
+        ),
+        notes: [
+          primary.notes,
+          `--- Merged ${ids.length} duplicate request(s) (${new Date().toISOString()}) ---`,
+          ...duplicates.map(
+            (d) => `${d.id}: ${d.phone_number} — ${d.description}`,
+          ),
+          notes ? `notes: ${notes}` : null,
+        ]
+          .filter(Boolean)
+          .join("\n"),
+      };
+      if (primary.category === "relief") {
+        primaryUpdate.relief_needs = this.mergeReliefNeeds(
+          all
+            .filter((r) => r.category === "relief")
+            .map((r) => r.relief_needs || []),
+          numPeopleStrategy,
+        );
+      }
+      if (!primary.user_id) {
+        const withUser = duplicates.find((d) => d.user_id);
+        if (withUser) primaryUpdate.user_id = withUser.user_id;
+      }
+
+      const before = {
+        num_people: primary.num_people,
+        priority: primary.priority,
+        media_count: (primary.media_urls || []).length,
+      };
+
+      await transaction(async (t) => {
+        const mergedAt = new Date();
+        for (const duplicate of duplicates) {
+          const fromStatus = duplicate.status;
+          const releasedTeamId = duplicate.assigned_team_id;
+          await RescueRequestTeamService.endAssignments(
+            await RescueRequestTeamService.getActiveAssignments(duplicate, {
+              transaction: t,
+            }),
+            "released",
+            { reason: "merged", transaction: t },
+          );
+          await duplicate.update(
+            {
+              status: "merged",
+              merged_into_id: primary.id,
+              merged_at: mergedAt,
+              assigned_team_id: null,
+              assigned_at: null,
+              ...(duplicate.auto_dispatch?.active && {
+                auto_dispatch: {
+                  ...duplicate.auto_dispatch,
+                  active: false,
+                  stopped_at: mergedAt,
+                  stopped_by: coordinatorId,
+                  stop_reason: "merged",
+                },
+              }),
+            },
+            { transaction: t },
+          );
+          await RescueRequestEventService.log(duplicate, "merge_into", {
+            actor: coordinator,
+            fromStatus,
+            payload: {
+              merged_into_id: primary.id,
+              released_team_id: releasedTeamId,
+              notes,
+            },
+            transaction: t,
+          });
+        }
+
+        await primary.update(primaryUpdate, { transaction: t });
+        await RescueRequestEventService.log(primary, "merge", {
+          actor: coordinator,
+          fromStatus: primary.status,
+          payload: {
+            merged_request_ids: ids,
+            num_people_strategy: numPeopleStrategy,
+            before,
+            after: {
+              num_people: primary.num_people,
+              priority: primary.priority,
+              media_count: mediaUrls.length,
+            },
+            notes,
+          },
+          transaction: t,
+        });
+      });
+
+      await primary.reload({
+        include: [
+          {
+            model: db.RescueRequest,
+            as: "merged_requests",
+            attributes: [
+              "id",
+              "phone_number",
+              "description",
+              "num_people",
+              "user_id",
+              "merged_at",
+              "created_at",
+            ],
+          },
+          { model: db.RescueTeam, as: "assigned_team" },
+        ],
+      });
+      return primary;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = RescueRequestDuplicateService;
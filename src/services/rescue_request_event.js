@@ -0,0 +1,86 @@
+const { db } = require("../config/database");
+const RealtimeService = require("./realtime");
+
+class RescueRequestEventService {
+  static get EventModel() {
+    return db.RescueRequestEvent;
+  }
+
+  /**
+   * Ghi một sự kiện vào timeline của request.
+   * actor: user (hoặc { id, role }); null = hệ thống / guest (role truyền qua actorRole).
+   * Truyền transaction để sự kiện commit/rollback cùng thay đổi trạng thái;
+   * event realtime `rescue_request:changed` chỉ phát sau khi commit.
+   */
+  static async log(
+    request,
+    event,
+    {
+      actor = null,
+      actorRole = null,
+      fromStatus = null,
+      toStatus = undefined,
+      payload = null,
+      transaction = null,
+    } = {},
+  ) {
+    const record = await this.EventModel.create(
+      {
+        rescue_request_id: request.id,
+        event,
+        actor_id: actor?.id || null,
+        actor_role: actor?.role || actorRole || "system",
+        from_status: fromStatus,
+        to_status: toStatus === undefined ? request.status : toStatus,
+        payload,
+      },
+      { transaction },
+    );
+
+    // Phát realtime (sau commit nếu có transaction)
+    RealtimeService.publishRescueRequestEvent(request, event, {
+      actor: { id: record.actor_id, role: record.actor_role },
+      fromStatus: record.from_status,
+      toStatus: record.to_status,
+      payload,
+      transaction,
+    });
+
+    return record;
+  }
+
+  static async getTimeline(requestId, { event = null } = {}) {
+    try {
+      const request = await db.RescueRequest.findByPk(requestId, {
+        attributes: ["id", "status", "created_at"],
+        paranoid: false,
+      });
+      if (!request) throw new Error("Rescue request not found");
+
+      const where = { rescue_request_id: requestId };
+      if (event) where.event = event;
+
+      const events = await this.EventModel.findAll({
+        where,
+        include: [
+          {
+            model: db.User,
+            as: "actor",
+            attributes: ["id", "username", "email", "role"],
+          },
+        ],
+        order: [["created_at", "ASC"]],
+      });
+
+      return {
+        rescue_request_id: request.id,
+        status: request.status,
+        events: events.map((e) => e.toJSON()),
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = RescueRequestEventService;
@@ -0,0 +1,357 @@
+const { Op } = require("sequelize");
+const { db, transaction } = require("../config/database");
+const { env } = require("../config/env");
+const RescueRequestEventService = require("./rescue_request_event");
+
+let sweepTimer = null;
+
+// Giai đoạn SLA theo status hiện tại của request
+const SLA_STAGES = {
+  new: "approval", // new → pending_verification (duyệt)
+  pending_verification: "assignment", // đã duyệt → assigned
+  assigned: "acceptance", // assigned → on_mission (đội nhận)
+  on_mission: "execution", // on_mission → đội báo cáo
+};
+
+// Ngưỡng SLA (phút) theo priority và giai đoạn
+const SLA_TARGET_MINUTES = {
+  urgent: { approval: 5, assignment: 10, acceptance: 10, execution: 120 },
+  high: { approval: 15, assignment: 30, acceptance: 20, execution: 240 },
+  medium: { approval: 30, assignment: 60, acceptance: 30, execution: 480 },
+  low: { approval: 60, assignment: 120, acceptance: 60, execution: 720 },
+};
+
+const PRIORITY_ORDER = ["low", "medium", "high", "urgent"];
+
+// Giai đoạn tính cho đội (dùng trong báo cáo theo team)
+const TEAM_STAGES = ["acceptance", "execution"];
+
+/**
+ * Theo dõi SLA từng giai đoạn của RescueRequest: job nền quét các request
+ * đang mở, ghi nhận vi phạm vào `sla_breaches`, nâng priority và báo
+ * coordinator (socket + Expo push).
+ */
+class RescueRequestSlaService {
+  static get RescueRequestModel() {
+    return db.RescueRequest;
+  }
+
+  static isEnabled() {
+    return env.SLA.ENABLED;
+  }
+
+  static get TARGETS() {
+    return SLA_TARGET_MINUTES;
+  }
+
+  /**
+   * Mốc bắt đầu giai đoạn hiện tại. Dữ liệu cũ chưa có status_changed_at
+   * thì suy ra từ các mốc thời gian sẵn có.
+   */
+  static getStageStartedAt(request) {
+    if (request.status_changed_at) return new Date(request.status_changed_at);
+    const fallback = {
+      new: request.created_at,
+      pending_verification: request.verified_at || request.created_at,
+      assigned: request.assigned_at,
+      on_mission: request.assigned_at,
+    }[request.status];
+    return fallback ? new Date(fallback) : null;
+  }
+
+  /**
+   * Kiểm tra SLA giai đoạn hiện tại. Trả về null nếu status không có SLA.
+   */
+  static evaluate(request, now = new Date()) {
+    const stage = SLA_STAGES[request.status];
+    if (!stage) return null;
+    const startedAt = this.getStageStartedAt(request);
+    if (!startedAt) return null;
+
+    const priority = SLA_TARGET_MINUTES[request.priority]
+      ? request.priority
+      : "medium";
+    const targetMinutes = SLA_TARGET_MINUTES[priority][stage];
+    const elapsedMinutes = Math.floor((now - startedAt) / 60000);
+
+    return {
+      stage,
+      priority,
+      target_minutes: targetMinutes,
+      started_at: startedAt,
+      elapsed_minutes: elapsedMinutes,
+      breached: elapsedMinutes >= targetMinutes,
+    };
+  }
+
+  static nextPriority(priority) {
+    const index = PRIORITY_ORDER.indexOf(priority || "medium");
+    return PRIORITY_ORDER[Math.min(index + 1, PRIORITY_ORDER.length - 1)];
+  }
+
+  /**
+   * Quét các request đang mở, ghi nhận vi phạm SLA mới (mỗi giai đoạn
+   * chỉ ghi một lần cho mỗi lần vào status).
+   */
+  static async sweepBreaches(now = new Date()) {
+    const breached = [];
+    try {
+      const candidates = await this.RescueRequestModel.findAll({
+        where: { status: { [Op.in]: Object.keys(SLA_STAGES) } },
+        attributes: [
+          "id",
+          "status",
+          "priority",
+          "district",
+          "assigned_team_id",
+          "created_at",
+          "verified_at",
+          "assigned_at",
+          "status_changed_at",
+          "sla_breaches",
+        ],
+      });
+
+      for (const request of candidates) {
+        const result = this.evaluate(request, now);
+        if (!result?.breached) continue;
+
+        const breaches = Array.isArray(request.sla_breaches)
+          ? request.sla_breaches
+          : [];
+        const alreadyFlagged = breaches.some(
+          (b) =>
+            b.stage === result.stage &&
+            new Date(b.started_at).getTime() === result.started_at.getTime(),
+        );
+        if (alreadyFlagged) continue;
+
+        try {
+          breached.push(await this.recordBreach(request, result, now));
+        } catch (e) {
+          console.error(`SLA escalation failed for ${request.id}:`, e);
+        }
+      }
+    } catch (error) {
+      console.error("SLA sweep failed:", error);
+    }
+    return breached;
+  }
+
+  static async recordBreach(request, result, now = new Date()) {
+    const fromPriority = request.priority || "medium";
+    const toPriority = env.SLA.ESCALATE_PRIORITY
+      ? this.nextPriority(fromPriority)
+      : fromPriority;
+
+    const breach = {
+      stage: result.stage,
+      status: request.status,
+      priority: result.priority,
+      target_minutes: result.target_minutes,
+      started_at: result.started_at,
+      breached_at: now,
+      elapsed_minutes: result.elapsed_minutes,
+      team_id: TEAM_STAGES.includes(result.stage)
+        ? request.assigned_team_id
+        : null,
+      escalated_from: fromPriority,
+      escalated_to: toPriority,
+    };
+
+    await transaction(async (t) => {
+      // Chỉ ghi sla_breaches / priority — không đụng status_changed_at
+      await request.update(
+        {
+          sla_breaches: [...(request.sla_breaches || []), breach],
+          priority: toPriority,
+        },
+        { transaction: t },
+      );
+      await RescueRequestEventService.log(request, "sla_breach", {
+        fromStatus: request.status,
+        payload: breach,
+        transaction: t,
+      });
+    });
+
+    await this.notifyCoordinators(request, breach);
+    return { rescue_request_id: request.id, ...breach };
+  }
+
+  static async notifyCoordinators(request, breach) {
+    try {
+      const NotificationService = require("./notification");
+      const coordinators = await db.User.findAll({
+        where: { role: { [Op.in]: ["coordinator", "admin"] } },
+        attributes: ["id", "expo_push_token"],
+      });
+
+      const socketPayload = {
+        rescue_request_id: request.id,
+        district: request.district,
+        status: request.status,
+        ...breach,
+        timestamp: new Date().toISOString(),
+      };
+      try {
+        const { getIO } = require("../config/socket");
+        const io = getIO();
+        coordinators.forEach((coordinator) =>
+          io.to(`user:${coordinator.id}`).emit("sla_breach", socketPayload),
+        );
+      } catch (e) {
+        console.error("Socket emit sla_breach:", e);
+      }
+
+      for (const coordinator of coordinators) {
+        await NotificationService.notify(
+          coordinator,
+          "⏰ Yêu cầu quá hạn SLA",
+          `Yêu cầu tại ${request.district} đã ở trạng thái '${request.status}' ${breach.elapsed_minutes} phút (SLA ${breach.target_minutes} phút).`,
+          {
+            type: "sla_breach",
+            rescue_request_id: request.id,
+            stage: breach.stage,
+            priority: breach.escalated_to,
+          },
+        );
+      }
+    } catch (e) {
+      console.error("Failed to notify coordinators sla_breach:", e);
+    }
+  }
+
+  /**
+   * Báo cáo tỉ lệ vi phạm SLA theo quận và theo đội.
+   * Lọc theo created_at của request (from/to).
+   */
+  static async getSlaReport({ from = null, to = null } = {}) {
+    try {
+      const where = {};
+      if (from || to) {
+        where.created_at = {};
+        if (from) where.created_at[Op.gte] = new Date(from);
+        if (to) where.created_at[Op.lte] = new Date(to);
+      }
+      const requests = await this.RescueRequestModel.findAll({
+        where: { ...where, status: { [Op.ne]: "merged" } },
+        attributes: [
+          "id",
+          "district",
+          "assigned_team_id",
+          "assignment_history",
+          "sla_breaches",
+        ],
+      });
+
+      const emptyStages = () =>
+        Object.fromEntries(
+          Object.values(SLA_STAGES).map((stage) => [stage, 0]),
+        );
+      const newBucket = (extra) => ({
+        ...extra,
+        total: 0,
+        breached: 0,
+        breach_rate: 0,
+        by_stage: emptyStages(),
+      });
+      const overall = newBucket({});
+      const districts = new Map();
+      const teams = new Map();
+
+      for (const request of requests) {
+        const breaches = Array.isArray(request.sla_breaches)
+          ? request.sla_breaches
+          : [];
+
+        const districtKey = request.district || "unknown";
+        if (!districts.has(districtKey)) {
+          districts.set(districtKey, newBucket({ district: districtKey }));
+        }
+        [overall, districts.get(districtKey)].forEach((bucket) => {
+          bucket.total += 1;
+          if (breaches.length > 0) bucket.breached += 1;
+          breaches.forEach((b) => {
+            if (b.stage in bucket.by_stage) bucket.by_stage[b.stage] += 1;
+          });
+        });
+
+        // Đội được tính nếu từng được giao request
+        const teamIds = new Set(
+          (request.assignment_history || [])
+            .map((h) => h.to_team_id)
+            .concat(request.assigned_team_id || [])
+            .filter(Boolean),
+        );
+        teamIds.forEach((teamId) => {
+          if (!teams.has(teamId)) {
+            teams.set(teamId, newBucket({ team_id: teamId }));
+          }
+          const bucket = teams.get(teamId);
+          const teamBreaches = breaches.filter((b) => b.team_id === teamId);
+          bucket.total += 1;
+          if (teamBreaches.length > 0) bucket.breached += 1;
+          teamBreaches.forEach((b) => {
+            if (b.stage in bucket.by_stage) bucket.by_stage[b.stage] += 1;
+          });
+        });
+      }
+
+      const teamRecords = await db.RescueTeam.findAll({
+        where: { id: { [Op.in]: [...teams.keys()] } },
+        attributes: ["id", "name", "district"],
+        paranoid: false,
+      });
+      const teamNames = Object.fromEntries(
+        teamRecords.map((t) => [t.id, t]),
+      );
+
+      const withRate = (bucket) => ({
+        ...bucket,
+        breach_rate:
+          bucket.total > 0
+            ? Math.round((bucket.breached / bucket.total) * 10000) / 10000
+            : 0,
+      });
+      const byRate = (a, b) => b.breach_rate - a.breach_rate || b.total - a.total;
+
+      return {
+        period: { from, to },
+        targets_minutes: SLA_TARGET_MINUTES,
+        overall: withRate(overall),
+        by_district: [...districts.values()].map(withRate).sort(byRate),
+        by_team: [...teams.values()]
+          .map((bucket) =>
+            withRate({
+              ...bucket,
+              team_name: teamNames[bucket.team_id]?.name || null,
+              team_district: teamNames[bucket.team_id]?.district || null,
+            }),
+          )
+          .sort(byRate),
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  static startWatcher() {
+    if (!this.isEnabled() || sweepTimer) return;
+    sweepTimer = setInterval(
+      () => this.sweepBreaches(),
+      env.SLA.SWEEP_INTERVAL_SECONDS * 1000,
+    );
+    sweepTimer.unref();
+    console.log(
+      `⏰ SLA watcher started (every ${env.SLA.SWEEP_INTERVAL_SECONDS}s)`,
+    );
+  }
+
+  static stopWatcher() {
+    if (sweepTimer) clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+}
+
+module.exports = RescueRequestSlaService;
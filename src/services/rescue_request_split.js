@@ -0,0 +1,409 @@
+const { db, transaction } = require("../config/database");
+const RescueRequestStateMachine = require("./rescue_request_state");
+const RescueRequestEventService = require("./rescue_request_event");
+const RescueRequestTriageService = require("./rescue_request_triage");
+
+// Nhiệm vụ con đã kết thúc (không còn cần đội)
+const CLOSED_STATUSES = [
+  "completed",
+  "partially_completed",
+  "rejected",
+  "merged",
+];
+
+const MAX_CHILDREN = 20;
+const SYSTEM_CTX = { user: { id: null, role: "system" } };
+
+/**
+ * Tách phần việc còn lại của yêu cầu partially_completed thành các nhiệm vụ
+ * con (parent_request_id) phân công độc lập. Yêu cầu gốc giữ tiến độ gộp
+ * của các nhiệm vụ con trong `split_progress` và tự hoàn thành khi mọi
+ * nhiệm vụ con hoàn thành.
+ */
+class RescueRequestSplitService {
+  static get RescueRequestModel() {
+    return db.RescueRequest;
+  }
+
+  /**
+   * Số người chưa được hỗ trợ theo báo cáo: tổng unmet của các đội báo cáo
+   * partially_completed, hoặc theo lần coordinator hoàn thành một phần.
+   * null nếu không xác định được.
+   */
+  static async getUnmetPeople(request) {
+    const rows = await db.RescueRequestTeam.findAll({
+      where: { rescue_request_id: request.id, status: "completed" },
+    });
+    const unmetByTeam = rows
+      .filter((row) => row.team_report?.outcome === "partially_completed")
+      .map((row) => Number(row.team_report.unmet_people_count) || 0);
+    if (unmetByTeam.length > 0) {
+      return unmetByTeam.reduce((sum, n) => sum + n, 0);
+    }
+    if (request.team_report?.outcome === "partially_completed") {
+      return Number(request.team_report.unmet_people_count) || null;
+    }
+    const completion = await db.RescueRequestEvent.findOne({
+      where: { rescue_request_id: request.id, event: "complete" },
+      order: [["created_at", "DESC"]],
+    });
+    return Number(completion?.payload?.unmet_people_count) || null;
+  }
+
+  /**
+   * relief_needs còn thiếu theo tỉ lệ người chưa được hỗ trợ (phần bù của
+   * buildAutoUsageItemsFromReliefNeeds — làm tròn lên).
+   */
+  static remainingReliefNeeds(request, unmetPeople) {
+    const needs = Array.isArray(request.relief_needs)
+      ? request.relief_needs
+      : [];
+    const total = Number(request.num_people) || 0;
+    const ratio =
+      total > 0 && unmetPeople ? Math.min(unmetPeople / total, 1) : 1;
+    return needs
+      .map((need) => ({
+        ...need,
+        quantity: Math.max(Math.ceil(Number(need.quantity || 0) * ratio), 1),
+      }))
+      .filter((need) => Number.isFinite(need.quantity));
+  }
+
+  /**
+   * Chuẩn hoá danh sách nhiệm vụ con từ body. Không gửi `children` → một
+   * nhiệm vụ con cho toàn bộ phần còn lại.
+   */
+  static buildChildSpecs(parent, children, unmetPeople) {
+    const RescueRequestService = require("./rescue_request");
+    const list =
+      children == null
+        ? [
+            {
+              num_people: unmetPeople,
+              ...(parent.category === "relief" && {
+                relief_needs: this.remainingReliefNeeds(parent, unmetPeople),
+              }),
+            },
+          ]
+        : children;
+    if (!Array.isArray(list) || list.length === 0) {
+      throw new Error("children must be a non-empty array");
+    }
+    if (list.length > MAX_CHILDREN) {
+      throw new Error(`Too many sub-missions (max ${MAX_CHILDREN})`);
+    }
+
+    return list.map((child, i) => {
+      const numPeople = Number(child?.num_people);
+      if (!Number.isInteger(numPeople) || numPeople < 1) {
+        throw new Error(
+          `children[${i}]: num_people must be an integer of at least 1`,
+        );
+      }
+      let reliefNeeds = null;
+      if (parent.category === "relief") {
+        reliefNeeds = RescueRequestService.normalizeReliefNeeds(
+          child.relief_needs ?? this.remainingReliefNeeds(parent, unmetPeople),
+        );
+      } else if (child.relief_needs != null) {
+        throw new Error(
+          `children[${i}]: relief_needs must not be sent for rescue requests`,
+        );
+      }
+      const description = child.description
+        ? String(child.description).trim()
+        : null;
+      if (description && description.length < 10) {
+        throw new Error(
+          `children[${i}]: description must be at least 10 characters`,
+        );
+      }
+      return {
+        num_people: numPeople,
+        relief_needs: reliefNeeds,
+        description,
+        priority: child.priority || null,
+        address: child.address ? String(child.address).trim() : null,
+        latitude: child.latitude ?? null,
+        longitude: child.longitude ?? null,
+      };
+    });
+  }
+
+  static async splitRequest(
+    parentId,
+    coordinatorId,
+    { children = null, reason = null } = {},
+  ) {
+    try {
+      const coordinator = await db.User.findByPk(coordinatorId);
+      if (!coordinator) throw new Error("Coordinator not found");
+      const ctx = { user: coordinator };
+
+      const parent = await this.RescueRequestModel.findByPk(parentId);
+      if (!parent) throw new Error("Rescue request not found");
+      RescueRequestStateMachine.assertCanFire(parent, "split", ctx);
+
+      // Nhiệm vụ con đã tách trước đó (trừ bị từ chối / gộp) vẫn tính
+      const existing = await this.RescueRequestModel.findAll({
+        where: { parent_request_id: parent.id },
+      });
+      const alreadySplit = existing
+        .filter((child) => !["rejected", "merged"].includes(child.status))
+        .reduce((sum, child) => sum + (Number(child.num_people) || 0), 0);
+
+      const unmetPeople = await this.getUnmetPeople(parent);
+      const limit = (unmetPeople ?? Number(parent.num_people)) - alreadySplit;
+      if (limit < 1) {
+        throw new Error("No unmet people left to split");
+      }
+      const specs = this.buildChildSpecs(parent, children, limit);
+      const requested = specs.reduce((sum, spec) => sum + spec.num_people, 0);
+      if (requested > limit) {
+        throw new Error(
+          `Sub-missions cover ${requested} people but only ${limit} remain unmet`,
+        );
+      }
+
+      const PRIORITIES = ["low", "medium", "high", "urgent"];
+      specs.forEach((spec, i) => {
+        if (spec.priority && !PRIORITIES.includes(spec.priority)) {
+          throw new Error(
+            `children[${i}]: priority must be one of: ${PRIORITIES.join(", ")}`,
+          );
+        }
+      });
+
+      const now = new Date();
+      const reasonTrim = reason ? String(reason).trim() : null;
+      const defaultDescription =
+        `Phần còn lại của yêu cầu ${parent.tracking_code}: ` +
+        parent.description;
+      const created = await transaction(async (t) => {
+        const rows = [];
+        for (const spec of specs) {
+          const hasGps =
+            spec.latitude != null && spec.longitude != null
+              ? true
+              : parent.location_type === "gps";
+          const data = {
+            category: parent.category,
+            district: parent.district,
+            phone_number: parent.phone_number,
+            description: spec.description || defaultDescription.slice(0, 5000),
+            num_people: spec.num_people,
+            status: "pending_verification",
+            location_type: hasGps ? "gps" : "manual",
+            latitude: hasGps ? (spec.latitude ?? parent.latitude) : null,
+            longitude: hasGps ? (spec.longitude ?? parent.longitude) : null,
+            address: spec.address || parent.address,
+            media_urls: [],
+            user_id: parent.user_id,
+            verified_by: coordinatorId,
+            verified_at: now,
+            notes: reasonTrim,
+            relief_needs: spec.relief_needs,
+            source: parent.source,
+            vulnerability_flags: parent.vulnerability_flags || [],
+            water_level: parent.water_level,
+            hazard_flags: parent.hazard_flags || [],
+            parent_request_id: parent.id,
+            root_request_id: parent.root_request_id || parent.id,
+          };
+          const triage = RescueRequestTriageService.score(data, now);
+          const child = await this.RescueRequestModel.create(
+            {
+              ...data,
+              priority:
+                spec.priority || parent.priority || triage.suggested_priority,
+              triage,
+            },
+            { transaction: t },
+          );
+          await RescueRequestEventService.log(child, "split_from", {
+            actor: coordinator,
+            payload: {
+              parent_request_id: parent.id,
+              parent_tracking_code: parent.tracking_code,
+              num_people: child.num_people,
+              relief_needs: child.relief_needs,
+              reason: reasonTrim,
+            },
+            transaction: t,
+          });
+          rows.push(child);
+        }
+
+        const progress = this.summarize([...existing, ...rows], now);
+        await parent.update({ split_progress: progress }, { transaction: t });
+        await RescueRequestEventService.log(parent, "split", {
+          actor: coordinator,
+          fromStatus: parent.status,
+          payload: {
+            child_ids: rows.map((r) => r.id),
+            child_tracking_codes: rows.map((r) => r.tracking_code),
+            num_people: requested,
+            unmet_people_count: unmetPeople,
+            reason: reasonTrim,
+          },
+          transaction: t,
+        });
+        return rows;
+      });
+
+      await RescueRequestStateMachine.runHooks("split", {
+        request: parent,
+        from: parent.status,
+        to: parent.status,
+        ctx,
+      });
+
+      return await this.getFamily(parent.id, { created });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Tiến độ gộp của các nhiệm vụ con (tính cả nhiệm vụ con đã tách tiếp).
+   */
+  static summarize(children, now = new Date()) {
+    const progress = {
+      children_total: children.length,
+      open_children: 0,
+      completed_children: 0,
+      closed_children: 0,
+      by_status: {},
+      people_total: 0,
+      people_rescued: 0,
+      people_open: 0,
+      updated_at: now,
+    };
+    for (const child of children) {
+      const people = Number(child.num_people) || 0;
+      const nested = child.split_progress || null;
+      progress.by_status[child.status] =
+        (progress.by_status[child.status] || 0) + 1;
+      if (["rejected", "merged"].includes(child.status)) {
+        progress.closed_children += 1;
+        continue;
+      }
+      progress.people_total += people;
+
+      const open =
+        !CLOSED_STATUSES.includes(child.status) || nested?.open_children > 0;
+      if (open) {
+        progress.open_children += 1;
+        progress.people_open += nested ? nested.people_open : people;
+        progress.people_rescued += nested
+          ? people - nested.people_total + nested.people_rescued
+          : 0;
+        continue;
+      }
+      if (child.status === "completed") {
+        progress.completed_children += 1;
+        progress.people_rescued += people;
+        continue;
+      }
+      // partially_completed, không còn nhiệm vụ con đang mở
+      progress.closed_children += 1;
+      const unmet = Number(child.team_report?.unmet_people_count) || 0;
+      progress.people_rescued += nested
+        ? people - nested.people_total + nested.people_rescued
+        : Math.max(people - unmet, 0);
+    }
+    return progress;
+  }
+
+  /**
+   * Gọi sau mỗi transition của nhiệm vụ con: cập nhật split_progress của
+   * yêu cầu cha; mọi nhiệm vụ con hoàn thành → yêu cầu cha completed.
+   */
+  static async refreshParent(parentId) {
+    const parent = await this.RescueRequestModel.findByPk(parentId);
+    if (!parent) return null;
+    const children = await this.RescueRequestModel.findAll({
+      where: { parent_request_id: parent.id },
+    });
+    const progress = this.summarize(children);
+    // Nhiệm vụ con bị từ chối / gộp không chặn yêu cầu cha hoàn thành
+    const allCompleted =
+      progress.completed_children > 0 &&
+      progress.completed_children ===
+        progress.children_total -
+          (progress.by_status.rejected || 0) -
+          (progress.by_status.merged || 0);
+
+    const fromStatus = parent.status;
+    const completes =
+      allCompleted &&
+      RescueRequestStateMachine.check(parent, "children_completed", SYSTEM_CTX)
+        .allowed;
+
+    await transaction(async (t) => {
+      await parent.update(
+        {
+          split_progress: progress,
+          ...(completes && { status: "completed" }),
+        },
+        { transaction: t },
+      );
+      if (completes) {
+        await RescueRequestEventService.log(parent, "children_completed", {
+          fromStatus,
+          payload: {
+            child_ids: children.map((c) => c.id),
+            people_rescued: progress.people_rescued,
+          },
+          transaction: t,
+        });
+      }
+    });
+
+    if (completes) {
+      // Lan lên yêu cầu ông / bà khi tách nhiều cấp
+      await RescueRequestStateMachine.runHooks("children_completed", {
+        request: parent,
+        from: fromStatus,
+        to: parent.status,
+        ctx: SYSTEM_CTX,
+      });
+    }
+    return parent;
+  }
+
+  static async getFamily(requestId, { created = null } = {}) {
+    try {
+      const request = await this.RescueRequestModel.findByPk(requestId);
+      if (!request) throw new Error("Rescue request not found");
+      const children = await this.RescueRequestModel.findAll({
+        where: { parent_request_id: request.id },
+        attributes: [
+          "id",
+          "tracking_code",
+          "status",
+          "priority",
+          "num_people",
+          "relief_needs",
+          "assigned_team_id",
+          "split_progress",
+          "created_at",
+        ],
+        order: [["created_at", "ASC"]],
+      });
+      return {
+        rescue_request_id: request.id,
+        status: request.status,
+        parent_request_id: request.parent_request_id,
+        root_request_id: request.root_request_id,
+        split_progress: request.split_progress,
+        ...(created && { created_ids: created.map((c) => c.id) }),
+        sub_requests: children.map((c) => c.toJSON()),
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = RescueRequestSplitService;
@@ -0,0 +1,262 @@
+const COORDINATOR_ROLES = ["coordinator", "admin"];
+
+// ctx.assignment: dòng RescueRequestTeam còn hoạt động của đội (lead hoặc
+// hỗ trợ), do RescueRequestService.buildActorContext nạp
+const isAssignedTeam = (request, ctx) =>
+  ctx.team &&
+  (ctx.assignment?.team_id === ctx.team.id ||
+    request.assigned_team_id === ctx.team.id)
+    ? null
+    : "This mission is not assigned to your team";
+
+// Đội phải ở đúng bước trên dòng phân công của mình (bỏ qua khi không có
+// dòng — request cũ, giữ hành vi theo status của request)
+const assignmentIn = (statuses, error) => (request, ctx) =>
+  isAssignedTeam(request, ctx) ||
+  (ctx.assignment && !statuses.includes(ctx.assignment.status) ? error : null);
+
+/**
+ * Bảng chuyển trạng thái RescueRequest.
+ * - from: các trạng thái được phép fire event
+ * - to: các trạng thái đích hợp lệ (service chọn 1 tuỳ nghiệp vụ)
+ * - roles: role được fire ("system" = auto-dispatch / job nền)
+ * - guard(request, ctx): trả về message lỗi hoặc null
+ * - statusError / roleError: giữ đúng message cũ để controller map status code
+ * - action: endpoint tương ứng cho client (allowed-actions)
+ */
+const TRANSITIONS = {
+  approve: {
+    from: ["new"],
+    to: ["pending_verification"],
+    roles: [...COORDINATOR_ROLES, "system"],
+    statusError: "Cannot approve request",
+    roleError: "Only coordinators or admins can approve requests",
+    action: { label: "Duyệt yêu cầu", path: "approve" },
+  },
+  reject: {
+    from: ["new", "pending_verification"],
+    to: ["rejected"],
+    roles: COORDINATOR_ROLES,
+    statusError: "Cannot reject request",
+    roleError: "Only coordinators or admins can reject requests",
+    action: { label: "Từ chối yêu cầu", path: "reject" },
+  },
+  assign_team: {
+    from: [
+      "pending_verification",
+      "assigned",
+      "on_mission",
+      "awaiting_confirmation",
+      "verified",
+      "partially_completed",
+    ],
+    // on_mission: đội hỗ trợ vẫn đang làm khi đổi đội lead
+    to: ["assigned", "on_mission"],
+    roles: [...COORDINATOR_ROLES, "system"],
+    guard: (request) =>
+      request.split_progress?.open_children > 0
+        ? "Request has been split; assign its sub-missions instead"
+        : null,
+    statusError: "Cannot assign team to request",
+    roleError: "Only coordinators or admins can assign teams",
+    action: { label: "Phân công đội", path: "assign-team" },
+  },
+  team_accept: {
+    // on_mission: đội khác trên cùng yêu cầu đã nhận trước
+    from: ["assigned", "on_mission"],
+    to: ["on_mission"],
+    roles: ["rescue_team"],
+    guard: assignmentIn(["assigned"], "Your team has already responded"),
+    statusError: "Cannot accept mission",
+    roleError: "Only rescue teams can accept missions",
+    action: { label: "Nhận nhiệm vụ", path: "team-accept" },
+  },
+  team_reject: {
+    from: ["assigned", "on_mission"],
+    to: ["pending_verification", "assigned", "on_mission"],
+    roles: ["rescue_team"],
+    guard: assignmentIn(["assigned"], "Your team has already responded"),
+    statusError: "Cannot reject mission",
+    roleError: "Only rescue teams can reject missions",
+    action: { label: "Từ chối nhiệm vụ", path: "team-reject" },
+  },
+  team_report_execution: {
+    from: ["on_mission"],
+    to: ["awaiting_confirmation", "on_mission", "pending_verification"],
+    roles: ["rescue_team"],
+    guard: (request, ctx) =>
+      assignmentIn(
+        ["accepted"],
+        "Your team has not accepted or has already reported",
+      )(request, ctx) ||
+      (ctx.team.status !== "on_mission"
+        ? `Cannot report execution when team status is '${ctx.team.status}'.`
+        : null),
+    statusError: "Cannot report execution for request",
+    roleError: "Only rescue teams can report mission execution",
+    action: { label: "Báo cáo thực hiện", path: "team-report-execution" },
+  },
+  confirm_execution: {
+    // "verified" = dữ liệu cũ trước khi có awaiting_confirmation
+    from: ["awaiting_confirmation", "verified"],
+    to: ["completed", "partially_completed", "pending_verification"],
+    roles: COORDINATOR_ROLES,
+    guard: (request) =>
+      request.team_report ? null : "No team execution report to confirm",
+    statusError: "Cannot confirm execution for request",
+    roleError: "Only coordinators or admins can confirm mission execution",
+    action: { label: "Xác nhận báo cáo", path: "confirm-execution" },
+  },
+  complete: {
+    from: ["on_mission"],
+    to: ["completed", "partially_completed"],
+    roles: COORDINATOR_ROLES,
+    guard: (request) =>
+      request.assigned_team_id ? null : "No team assigned to this request",
+    statusError: "Cannot complete request",
+    roleError: "Only coordinators or admins can complete missions",
+    action: { label: "Hoàn thành nhiệm vụ", path: "complete" },
+  },
+  report_incomplete: {
+    from: ["on_mission"],
+    to: ["pending_verification", "assigned", "on_mission"],
+    roles: ["rescue_team", "admin"],
+    guard: (request, ctx) => {
+      if (!request.assigned_team_id) return "No team assigned to this request";
+      if (ctx.user.role === "rescue_team") {
+        return assignmentIn(
+          ["accepted"],
+          "Your team has not accepted or has already reported",
+        )(request, ctx);
+      }
+      return null;
+    },
+    statusError: "Cannot report incomplete for request",
+    roleError: "Only rescue team or admin can report incomplete mission",
+    action: {
+      label: "Báo cáo không hoàn thành",
+      path: "report-mission-incomplete",
+    },
+  },
+  citizen_confirm: {
+    from: ["completed"],
+    to: ["completed"],
+    roles: null,
+    guard: (request, ctx) =>
+      ctx.user && request.user_id === ctx.user.id
+        ? null
+        : "Only the request creator can confirm rescue",
+    statusError: "Cannot confirm rescue for request",
+    action: { label: "Xác nhận đã được cứu", path: "citizen-confirm-rescue" },
+  },
+  split: {
+    // Phần còn lại (unmet_people_count / relief_needs) thành nhiệm vụ con
+    from: ["partially_completed"],
+    to: ["partially_completed"],
+    roles: COORDINATOR_ROLES,
+    statusError: "Cannot split request",
+    roleError: "Only coordinators or admins can split requests",
+    action: { label: "Tách nhiệm vụ còn lại", path: "split" },
+  },
+  children_completed: {
+    // Mọi nhiệm vụ con đã hoàn thành → yêu cầu gốc hoàn thành
+    from: ["partially_completed"],
+    to: ["completed"],
+    roles: ["system"],
+    statusError: "Cannot complete split request",
+    roleError: "Only the system can roll up sub-missions",
+    action: null,
+  },
+  merge_into: {
+    // Yêu cầu trùng bị gộp vào yêu cầu chính (POST /:primaryId/merge),
+    // không có nút riêng trên yêu cầu trùng nên action = null
+    from: ["new", "pending_verification", "assigned"],
+    to: ["merged"],
+    roles: COORDINATOR_ROLES,
+    statusError: "Cannot merge request",
+    roleError: "Only coordinators or admins can merge requests",
+    action: null,
+  },
+};
+
+const hooks = {};
+
+class RescueRequestStateMachine {
+  static get TRANSITIONS() {
+    return TRANSITIONS;
+  }
+
+  /**
+   * Kiểm tra event có fire được không.
+   * ctx = { user: { id, role }, team?, assignment? } — team là đội của user
+   * rescue_team, assignment là dòng phân công của đội trên request.
+   */
+  static check(request, event, ctx = {}) {
+    const transition = TRANSITIONS[event];
+    if (!transition) {
+      return { allowed: false, reason: `Unknown event '${event}'` };
+    }
+    if (!transition.from.includes(request.status)) {
+      return {
+        allowed: false,
+        reason: `${transition.statusError} with status '${request.status}'.`,
+      };
+    }
+    const role = ctx.user?.role;
+    if (transition.roles && !transition.roles.includes(role)) {
+      return { allowed: false, reason: transition.roleError };
+    }
+    if (transition.guard) {
+      const guardError = transition.guard(request, ctx);
+      if (guardError) return { allowed: false, reason: guardError };
+    }
+    return { allowed: true, reason: null };
+  }
+
+  static assertCanFire(request, event, ctx = {}) {
+    const { allowed, reason } = this.check(request, event, ctx);
+    if (!allowed) throw new Error(reason);
+    return TRANSITIONS[event];
+  }
+
+  /**
+   * Danh sách hành động user được phép thực hiện trên request hiện tại.
+   */
+  static getAllowedActions(request, ctx = {}) {
+    return Object.entries(TRANSITIONS)
+      .filter(
+        ([event, transition]) =>
+          transition.action && this.check(request, event, ctx).allowed,
+      )
+      .map(([event, transition]) => ({
+        event,
+        label: transition.action.label,
+        method: "POST",
+        path: `/api/rescue-requests/${request.id}/${transition.action.path}`,
+        to: transition.to,
+      }));
+  }
+
+  /**
+   * Đăng ký side-effect chạy sau khi transition đã commit.
+   * handler({ event, request, from, to, ctx })
+   */
+  static on(events, handler) {
+    [].concat(events).forEach((event) => {
+      if (!hooks[event]) hooks[event] = [];
+      hooks[event].push(handler);
+    });
+  }
+
+  static async runHooks(event, payload) {
+    for (const handler of hooks[event] || []) {
+      try {
+        await handler({ event, ...payload });
+      } catch (e) {
+        console.error(`State hook '${event}' failed:`, e);
+      }
+    }
+  }
+}
+
+module.exports = RescueRequestStateMachine;
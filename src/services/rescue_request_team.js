@@ -0,0 +1,816 @@
+const { Op } = require("sequelize");
+const { db, transaction } = require("../config/database");
+const RescueRequestStateMachine = require("./rescue_request_state");
+const RescueRequestEventService = require("./rescue_request_event");
+const RescueTeamService = require("./rescue_team");
+const TeamWorkloadService = require("./team_workload");
+
+// Dòng phân công còn tham gia nhiệm vụ
+const ACTIVE_STATUSES = ["assigned", "accepted", "reported"];
+
+// Trạng thái request khi chưa có bảng phân công → trạng thái dòng lead
+const LEGACY_LEAD_STATUS = {
+  assigned: "assigned",
+  on_mission: "accepted",
+  awaiting_confirmation: "reported",
+  verified: "reported",
+};
+
+// Request đang có đội làm việc — được thêm / gỡ đội hỗ trợ
+const ADD_TEAM_STATUSES = ["assigned", "on_mission"];
+
+/**
+ * Phân công nhiều đội cho một yêu cầu cứu hộ lớn. Đội lead vẫn là
+ * RescueRequest.assigned_team_id và đi theo các flow cũ (team-accept,
+ * team-report-execution...); đội hỗ trợ dùng cùng endpoint, service rẽ
+ * nhánh sang đây theo dòng phân công của đội. Status của request được suy
+ * ra từ mọi dòng còn hoạt động (deriveStatus).
+ */
+class RescueRequestTeamService {
+  static get AssignmentModel() {
+    return db.RescueRequestTeam;
+  }
+
+  static get ACTIVE_STATUSES() {
+    return ACTIVE_STATUSES;
+  }
+
+  /**
+   * Hàm thuần: dựng các dòng phân công của request tạo trước khi có bảng
+   * phân công, từ assignment_history + assigned_team_id + status. Đội bị
+   * coordinator thay → released; đội tự trả nhiệm vụ (request về chờ phân
+   * công, lần phân công sau không có from_team_id) → rejected; đội hiện tại
+   * → theo status của request.
+   */
+  static legacyRows(request) {
+    const entries = (
+      Array.isArray(request.assignment_history)
+        ? request.assignment_history
+        : []
+    )
+      .filter((entry) => entry?.to_team_id)
+      .map((entry) => ({
+        team_id: entry.to_team_id,
+        from_team_id: entry.from_team_id || null,
+        assigned_by: entry.assigned_by || null,
+        assigned_at: entry.assigned_at || null,
+      }));
+    const teamId = request.assigned_team_id;
+    if (teamId && entries[entries.length - 1]?.team_id !== teamId) {
+      entries.push({
+        team_id: teamId,
+        from_team_id: null,
+        assigned_by: request.assigned_by || null,
+        assigned_at: request.assigned_at || null,
+      });
+    }
+
+    const lastChange = request.status_changed_at || request.updated_at;
+    // Lý do từ chối trên request là của lần trả nhiệm vụ gần nhất
+    const lastLeft = entries.reduce(
+      (found, entry, i) =>
+        entries[i + 1]?.from_team_id === entry.team_id ||
+        (i === entries.length - 1 && teamId === entry.team_id)
+          ? found
+          : i,
+      -1,
+    );
+    return entries.map((entry, i) => {
+      const next = entries[i + 1];
+      const base = {
+        rescue_request_id: request.id,
+        team_id: entry.team_id,
+        role: "lead",
+        assigned_by: entry.assigned_by,
+        assigned_at: entry.assigned_at || request.created_at,
+      };
+      if (!next && teamId === entry.team_id) {
+        const finished = ["completed", "partially_completed"].includes(
+          request.status,
+        );
+        const status =
+          LEGACY_LEAD_STATUS[request.status] ||
+          (finished ? "completed" : "released");
+        const reported = ["reported", "completed"].includes(status);
+        return {
+          ...base,
+          status,
+          responded_at:
+            status === "assigned" || status === "released" ? null : lastChange,
+          team_report: reported ? request.team_report : null,
+          reported_at: reported
+            ? request.team_report?.reported_at || null
+            : null,
+          ended_at: ACTIVE_STATUSES.includes(status) ? null : lastChange,
+        };
+      }
+      const endedAt = next?.assigned_at || lastChange;
+      if (next?.from_team_id === entry.team_id) {
+        return {
+          ...base,
+          status: "released",
+          ended_at: endedAt,
+          end_reason: "Lead team reassigned",
+        };
+      }
+      return {
+        ...base,
+        status: "rejected",
+        responded_at: endedAt,
+        ended_at: endedAt,
+        reject_reason: i === lastLeft ? request.team_reject_reason : null,
+      };
+    });
+  }
+
+  /**
+   * Request chưa có dòng phân công nào: sinh các dòng từ dữ liệu cũ
+   * (legacyRows). Chỉ gọi từ luồng ghi (backfill lúc khởi động, đổi lead) —
+   * không gọi trong các hàm đọc.
+   */
+  static async ensureLegacyAssignments(
+    request,
+    { transaction: t = null } = {},
+  ) {
+    const existing = await this.AssignmentModel.count({
+      where: { rescue_request_id: request.id },
+      transaction: t,
+    });
+    if (existing > 0) return [];
+    const rows = this.legacyRows(request);
+    if (rows.length === 0) return [];
+    return await this.AssignmentModel.bulkCreate(rows, { transaction: t });
+  }
+
+  /**
+   * Sinh dòng phân công cho mọi request cũ đã từng có đội nhưng chưa có
+   * dòng nào (chạy lúc khởi động) — báo cáo hiệu suất đội và lịch sử đội
+   * tính cả dữ liệu trước khi có bảng phân công.
+   */
+  static async backfillLegacyAssignments(batchSize = 500) {
+    let total = 0;
+    let lastId = null;
+    for (;;) {
+      const requests = await db.RescueRequest.findAll({
+        where: {
+          ...(lastId && { id: { [Op.gt]: lastId } }),
+          // Đã từng có đội: đang giữ đội, hoặc đội đã trả nhiệm vụ
+          [Op.or]: [
+            { assigned_team_id: { [Op.ne]: null } },
+            { team_reject_reason: { [Op.ne]: null } },
+          ],
+          [Op.and]: [
+            {
+              id: {
+                [Op.notIn]: db.sequelize.literal(
+                  "(SELECT rescue_request_id FROM rescue_request_teams)",
+                ),
+              },
+            },
+          ],
+        },
+        order: [["id", "ASC"]],
+        limit: batchSize,
+        paranoid: false,
+      });
+      if (requests.length === 0) break;
+      for (const request of requests) {
+        const rows = await this.ensureLegacyAssignments(request);
+        if (rows.length > 0) total += 1;
+      }
+      lastId = requests[requests.length - 1].id;
+    }
+    return total;
+  }
+
+  static async getActiveAssignments(request, { transaction: t = null } = {}) {
+    return await this.AssignmentModel.findAll({
+      where: {
+        rescue_request_id: request.id,
+        status: { [Op.in]: ACTIVE_STATUSES },
+      },
+      order: [["assigned_at", "ASC"]],
+      transaction: t,
+    });
+  }
+
+  static async getTeamAssignment(
+    request,
+    teamId,
+    { transaction: t = null } = {},
+  ) {
+    const rows = await this.getActiveAssignments(request, { transaction: t });
+    return rows.find((row) => row.team_id === teamId) || null;
+  }
+
+  static async getLeadAssignment(request, { transaction: t = null } = {}) {
+    const rows = await this.getActiveAssignments(request, { transaction: t });
+    return rows.find((row) => row.role === "lead") || null;
+  }
+
+  /**
+   * Đội có đang (hoặc đã từng, với includePast) tham gia request không —
+   * dùng cho quyền vào room socket, xem lộ trình, báo cáo vật tư.
+   */
+  static async isTeamOnRequest(request, teamId, { includePast = false } = {}) {
+    if (!teamId) return false;
+    if (request.assigned_team_id === teamId) return true;
+    if (includePast) {
+      const history = Array.isArray(request.assignment_history)
+        ? request.assignment_history
+        : [];
+      if (history.some((h) => h.to_team_id === teamId)) return true;
+    }
+    const count = await this.AssignmentModel.count({
+      where: {
+        rescue_request_id: request.id,
+        team_id: teamId,
+        ...(!includePast && { status: { [Op.in]: ACTIVE_STATUSES } }),
+      },
+    });
+    return count > 0;
+  }
+
+  /**
+   * Status của request từ các dòng còn hoạt động: tất cả đã báo cáo →
+   * awaiting_confirmation; có đội đang làm → on_mission; còn lại assigned.
+   * Không còn đội nào → null (nơi gọi trả về pending_verification).
+   */
+  static deriveStatus(rows) {
+    if (rows.length === 0) return null;
+    if (rows.every((row) => row.status === "reported")) {
+      return "awaiting_confirmation";
+    }
+    if (rows.some((row) => ["accepted", "reported"].includes(row.status))) {
+      return "on_mission";
+    }
+    return "assigned";
+  }
+
+  /**
+   * Kết quả chung khi coordinator xác nhận: chỉ cần 1 đội báo cáo hoàn
+   * thành một phần thì cả yêu cầu là partially_completed.
+   */
+  static deriveOutcome(rows, fallback = null) {
+    const outcomes = rows
+      .map((row) => row.team_report?.outcome)
+      .filter(Boolean);
+    if (outcomes.length === 0) {
+      return fallback === "partially_completed"
+        ? "partially_completed"
+        : "completed";
+    }
+    return outcomes.includes("partially_completed")
+      ? "partially_completed"
+      : "completed";
+  }
+
+  static async freeTeam(teamId, { transaction: t = null } = {}) {
+    const team = await db.RescueTeam.findByPk(teamId, { transaction: t });
+    if (team && team.status !== "available") {
+      await team.update({ status: "available" }, { transaction: t });
+    }
+    return team;
+  }
+
+  /**
+   * Kết thúc các dòng (completed / released...) và trả đội về available.
+   */
+  static async endAssignments(
+    rows,
+    status,
+    { reason = null, transaction: t = null } = {},
+  ) {
+    const now = new Date();
+    for (const row of rows) {
+      await row.update(
+        { status, ended_at: now, end_reason: reason },
+        { transaction: t },
+      );
+      await this.freeTeam(row.team_id, { transaction: t });
+    }
+    return rows;
+  }
+
+  /**
+   * Kết thúc nhiệm vụ: đội đã nhận → completed, đội chưa nhận → released.
+   */
+  static async completeAssignments(
+    rows,
+    { reason = null, transaction: t = null } = {},
+  ) {
+    const pending = rows.filter((row) => row.status === "assigned");
+    await this.endAssignments(
+      rows.filter((row) => row.status !== "assigned"),
+      "completed",
+      { reason, transaction: t },
+    );
+    await this.endAssignments(pending, "released", {
+      reason: "Mission completed before team accepted",
+      transaction: t,
+    });
+    return rows;
+  }
+
+  /**
+   * Cập nhật dòng lead theo flow cũ của đội lead (accept, report...).
+   */
+  static async updateLead(request, changes, { transaction: t = null } = {}) {
+    await this.ensureLegacyAssignments(request, { transaction: t });
+    const lead = await this.getLeadAssignment(request, { transaction: t });
+    if (!lead) return null;
+    const ended = !ACTIVE_STATUSES.includes(changes.status);
+    await lead.update(
+      { ...changes, ...(ended && { ended_at: new Date() }) },
+      { transaction: t },
+    );
+    return lead;
+  }
+
+  /**
+   * Đội lead rời nhiệm vụ (từ chối / không thực hiện được / hết hạn): kết
+   * thúc dòng lead rồi đưa đội hỗ trợ lâu nhất (ưu tiên đội đã nhận) lên
+   * làm lead. Trả về các trường cần ghi vào request, hoặc null nếu không
+   * còn đội nào.
+   */
+  static async handOverLead(
+    request,
+    leadChanges,
+    { transaction: t = null } = {},
+  ) {
+    await this.updateLead(request, leadChanges, { transaction: t });
+    const remaining = await this.getActiveAssignments(request, {
+      transaction: t,
+    });
+    if (remaining.length === 0) return null;
+
+    const next =
+      remaining.find((row) => row.status !== "assigned") || remaining[0];
+    await next.update({ role: "lead" }, { transaction: t });
+    return {
+      status: this.deriveStatus(remaining),
+      assigned_team_id: next.team_id,
+      // Mốc mới cho timeout auto-dispatch — không kế thừa giờ giao đội hỗ trợ
+      assigned_at: new Date(),
+      team_report: next.status === "reported" ? next.team_report : null,
+    };
+  }
+
+  /**
+   * Phân công / đổi đội lead (assign-team, auto-dispatch): dòng lead cũ
+   * chuyển "released", tạo dòng lead mới. Trả về status mới của request.
+   */
+  static async replaceLead(
+    request,
+    teamId,
+    {
+      assignedBy = null,
+      assignedAt = new Date(),
+      reason = null,
+      transaction: t = null,
+    } = {},
+  ) {
+    await this.ensureLegacyAssignments(request, { transaction: t });
+    const active = await this.getActiveAssignments(request, {
+      transaction: t,
+    });
+    if (active.some((row) => row.team_id === teamId && row.role !== "lead")) {
+      throw new Error("Team is already assigned to this request as support");
+    }
+    const lead = active.find((row) => row.role === "lead");
+    if (lead) {
+      await lead.update(
+        {
+          status: "released",
+          ended_at: assignedAt,
+          end_reason: reason || "Lead team reassigned",
+        },
+        { transaction: t },
+      );
+    }
+    const created = await this.AssignmentModel.create(
+      {
+        rescue_request_id: request.id,
+        team_id: teamId,
+        role: "lead",
+        status: "assigned",
+        assigned_by: assignedBy,
+        assigned_at: assignedAt,
+      },
+      { transaction: t },
+    );
+    return this.deriveStatus([
+      ...active.filter((row) => row.role !== "lead"),
+      created,
+    ]);
+  }
+
+  static async notifyPromoted(request, teamId) {
+    try {
+      const team = await db.RescueTeam.findByPk(teamId);
+      if (!team) return;
+      const NotificationService = require("./notification");
+      await NotificationService.notify(
+        team.user_id,
+        "📣 Đội được chuyển làm đội chính",
+        `Đội ${team.name} trở thành đội chính của nhiệm vụ tại ${request.district}.`,
+        { type: "mission_lead_changed", rescue_request_id: request.id },
+      );
+    } catch (e) {
+      console.error("Failed to notify promoted team:", e);
+    }
+  }
+
+  static serialize(row) {
+    const data = row.toJSON();
+    if (row.team) {
+      data.team = {
+        id: row.team.id,
+        name: row.team.name,
+        status: row.team.status,
+        phone_number: row.team.phone_number,
+      };
+    }
+    return data;
+  }
+
+  static async getRequestTeams(requestId) {
+    try {
+      const request = await db.RescueRequest.findByPk(requestId);
+      if (!request) throw new Error("Rescue request not found");
+
+      const rows = await this.AssignmentModel.findAll({
+        where: { rescue_request_id: request.id },
+        include: [{ model: db.RescueTeam, as: "team", paranoid: false }],
+        order: [["assigned_at", "ASC"]],
+      });
+      const active = rows.filter((row) => ACTIVE_STATUSES.includes(row.status));
+      return {
+        rescue_request_id: request.id,
+        status: request.status,
+        lead_team_id: request.assigned_team_id,
+        derived_status: this.deriveStatus(active),
+        active: active.map((row) => this.serialize(row)),
+        history: rows
+          .filter((row) => !ACTIVE_STATUSES.includes(row.status))
+          .map((row) => this.serialize(row)),
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // ==================== COORDINATOR ====================
+
+  /**
+   * Thêm đội hỗ trợ cho request đã có đội lead.
+   */
+  static async addTeam(
+    requestId,
+    teamId,
+    coordinatorId,
+    { task = null, overrideFatigue = false } = {},
+  ) {
+    try {
+      if (!teamId) throw new Error("team_id is required");
+      const coordinator = await db.User.findByPk(coordinatorId);
+      if (!coordinator) throw new Error("Coordinator not found");
+      if (!["coordinator", "admin"].includes(coordinator.role)) {
+        throw new Error("Only coordinators or admins can assign teams");
+      }
+
+      const request = await db.RescueRequest.findByPk(requestId);
+      if (!request) throw new Error("Rescue request not found");
+      if (!ADD_TEAM_STATUSES.includes(request.status)) {
+        throw new Error(
+          `Cannot add team to request with status '${request.status}'. Assign a lead team first.`,
+        );
+      }
+
+      const team = await db.RescueTeam.findByPk(teamId);
+      if (!team) throw new Error("Team not found");
+      RescueTeamService.assertCanDispatch(team);
+      const fatigue = await TeamWorkloadService.checkAssignment(team, {
+        override: overrideFatigue,
+      });
+
+      const fromStatus = request.status;
+      const row = await transaction(async (t) => {
+        const active = await this.getActiveAssignments(request, {
+          transaction: t,
+        });
+        if (active.some((r) => r.team_id === team.id)) {
+          throw new Error("Team is already assigned to this request");
+        }
+        const created = await this.AssignmentModel.create(
+          {
+            rescue_request_id: request.id,
+            team_id: team.id,
+            role: "support",
+            status: "assigned",
+            task: task ? String(task).trim() : null,
+            assigned_by: coordinatorId,
+          },
+          { transaction: t },
+        );
+        await RescueRequestEventService.log(request, "team_added", {
+          actor: coordinator,
+          fromStatus,
+          payload: {
+            team_id: team.id,
+            team_name: team.name,
+            role: "support",
+            task: created.task,
+            ...(fatigue.warnings.length && {
+              fatigue_warnings: fatigue.warnings,
+              fatigue_override: fatigue.overridden,
+            }),
+          },
+          transaction: t,
+        });
+        return created;
+      });
+
+      try {
+        const NotificationService = require("./notification");
+        await NotificationService.notify(
+          team.user_id,
+          "🚨 Nhiệm vụ hỗ trợ mới",
+          `Đội ${team.name} được phân công hỗ trợ nhiệm vụ tại ${request.district}. Vui lòng xác nhận hoặc từ chối.`,
+          {
+            type: "mission_assigned",
+            rescue_request_id: request.id,
+            role: "support",
+          },
+        );
+      } catch (e) {
+        console.error("Failed to notify support team:", e);
+      }
+
+      return row;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Gỡ đội hỗ trợ (đội lead thay bằng assign-team). Status request được
+   * suy ra lại — gỡ đội chưa báo cáo có thể đưa request sang
+   * awaiting_confirmation.
+   */
+  static async releaseTeam(requestId, teamId, coordinatorId, reason = null) {
+    try {
+      const coordinator = await db.User.findByPk(coordinatorId);
+      if (!coordinator) throw new Error("Coordinator not found");
+      if (!["coordinator", "admin"].includes(coordinator.role)) {
+        throw new Error("Only coordinators or admins can release teams");
+      }
+      if (!reason || !String(reason).trim()) {
+        throw new Error("Reason is required when releasing a team");
+      }
+
+      const request = await db.RescueRequest.findByPk(requestId);
+      if (!request) throw new Error("Rescue request not found");
+      if (request.assigned_team_id === teamId) {
+        throw new Error(
+          "Cannot release the lead team; use assign-team to replace it",
+        );
+      }
+
+      const fromStatus = request.status;
+      await transaction(async (t) => {
+        const active = await this.getActiveAssignments(request, {
+          transaction: t,
+        });
+        const row = active.find((r) => r.team_id === teamId);
+        if (!row) throw new Error("Team is not assigned to this request");
+
+        await this.endAssignments([row], "released", {
+          reason: String(reason).trim(),
+          transaction: t,
+        });
+        const remaining = active.filter((r) => r.id !== row.id);
+        const status = this.deriveStatus(remaining);
+        if (status && status !== request.status) {
+          await request.update({ status }, { transaction: t });
+        }
+        await RescueRequestEventService.log(request, "team_released", {
+          actor: coordinator,
+          fromStatus,
+          payload: {
+            released_team_id: teamId,
+            role: row.role,
+            reason: String(reason).trim(),
+          },
+          transaction: t,
+        });
+      });
+
+      return await this.getRequestTeams(requestId);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // ==================== SUPPORT TEAM ====================
+
+  /**
+   * Các hàm dưới được RescueRequestService gọi khi đội thao tác trên
+   * request mà mình là đội hỗ trợ; state machine đã kiểm tra quyền.
+   */
+  static async supportAccept(request, ctx) {
+    const { team, assignment } = ctx;
+    const fromStatus = request.status;
+    await transaction(async (t) => {
+      await assignment.update(
+        { status: "accepted", responded_at: new Date() },
+        { transaction: t },
+      );
+      await team.update({ status: "on_mission" }, { transaction: t });
+      const status = this.deriveStatus(
+        await this.getActiveAssignments(request, { transaction: t }),
+      );
+      if (status !== request.status) {
+        await request.update({ status }, { transaction: t });
+      }
+      await RescueRequestEventService.log(request, "team_accept", {
+        actor: ctx.user,
+        fromStatus,
+        payload: { team_id: team.id, team_name: team.name, role: "support" },
+        transaction: t,
+      });
+    });
+    await this.notifyCoordinator(
+      request,
+      "✅ Đội hỗ trợ đã nhận nhiệm vụ",
+      `Đội ${team.name} đã xác nhận hỗ trợ nhiệm vụ tại ${request.district}.`,
+      { type: "mission_accepted", team_name: team.name },
+    );
+    await RescueRequestStateMachine.runHooks("team_accept", {
+      request,
+      from: fromStatus,
+      to: request.status,
+      ctx,
+    });
+    return request;
+  }
+
+  static async supportReject(request, ctx, reason) {
+    const { team, assignment } = ctx;
+    const fromStatus = request.status;
+    await transaction(async (t) => {
+      await assignment.update(
+        {
+          status: "rejected",
+          responded_at: new Date(),
+          ended_at: new Date(),
+          reject_reason: reason,
+        },
+        { transaction: t },
+      );
+      const status = this.deriveStatus(
+        await this.getActiveAssignments(request, { transaction: t }),
+      );
+      if (status && status !== request.status) {
+        await request.update({ status }, { transaction: t });
+      }
+      await RescueRequestEventService.log(request, "team_reject", {
+        actor: ctx.user,
+        fromStatus,
+        payload: {
+          team_id: team.id,
+          team_name: team.name,
+          role: "support",
+          reason,
+        },
+        transaction: t,
+      });
+    });
+    await this.notifyCoordinator(
+      request,
+      "❌ Đội hỗ trợ từ chối nhiệm vụ",
+      `Đội ${team.name} từ chối hỗ trợ nhiệm vụ tại ${request.district}. Lý do: ${reason}`,
+      { type: "mission_rejected_by_team", team_name: team.name, reason },
+    );
+    await RescueRequestStateMachine.runHooks("team_reject", {
+      request,
+      from: fromStatus,
+      to: request.status,
+      ctx,
+    });
+    return request;
+  }
+
+  /**
+   * Đội hỗ trợ báo cáo: hoàn thành → dòng "reported" (request sang
+   * awaiting_confirmation khi mọi đội đã báo cáo); không thực hiện được →
+   * dòng "failed", đội về available, các đội khác tiếp tục.
+   */
+  static async supportReport(request, ctx, teamReport, { event } = {}) {
+    const { team, assignment } = ctx;
+    const fromStatus = request.status;
+    const failed = teamReport.outcome === "failed";
+    await transaction(async (t) => {
+      await assignment.update(
+        {
+          status: failed ? "failed" : "reported",
+          team_report: teamReport,
+          reported_at: teamReport.reported_at,
+          ...(failed && {
+            ended_at: new Date(),
+            end_reason: teamReport.report_notes,
+          }),
+        },
+        { transaction: t },
+      );
+      if (failed) await this.freeTeam(team.id, { transaction: t });
+      const status = this.deriveStatus(
+        await this.getActiveAssignments(request, { transaction: t }),
+      );
+      if (status && status !== request.status) {
+        await request.update({ status }, { transaction: t });
+      }
+      await RescueRequestEventService.log(request, event, {
+        actor: ctx.user,
+        fromStatus,
+        payload: {
+          team_id: team.id,
+          role: "support",
+          team_report: teamReport,
+        },
+        transaction: t,
+      });
+    });
+    if (failed) {
+      await this.notifyCoordinator(
+        request,
+        "⚠️ Đội hỗ trợ không thể hoàn thành",
+        `${team.name} báo cáo không thể hoàn thành phần việc hỗ trợ tại ${request.district}.`,
+        {
+          type: "mission_incomplete",
+          team_name: team.name,
+          reason: teamReport.report_notes,
+        },
+      );
+    }
+    await RescueRequestStateMachine.runHooks(event, {
+      request,
+      from: fromStatus,
+      to: request.status,
+      ctx,
+    });
+    return request;
+  }
+
+  static async notifyCoordinator(request, title, body, data) {
+    if (!request.assigned_by) return;
+    try {
+      const NotificationService = require("./notification");
+      await NotificationService.notify(request.assigned_by, title, body, {
+        ...data,
+        rescue_request_id: request.id,
+      });
+    } catch (e) {
+      console.error("Failed to notify coordinator:", e);
+    }
+  }
+
+  /**
+   * Nhiệm vụ đội đang thực hiện (để ghi breadcrumb GPS): dòng "accepted"
+   * của request on_mission, hoặc request cũ chưa có bảng phân công.
+   */
+  static async findActiveMission(teamId) {
+    const row = await this.AssignmentModel.findOne({
+      where: { team_id: teamId, status: "accepted" },
+      include: [
+        {
+          model: db.RescueRequest,
+          as: "rescue_request",
+          where: { status: "on_mission" },
+          attributes: ["id", "status_changed_at"],
+        },
+      ],
+      order: [["responded_at", "DESC"]],
+    });
+    if (row) {
+      return {
+        id: row.rescue_request_id,
+        started_at: row.responded_at || row.rescue_request.status_changed_at,
+      };
+    }
+    const legacy = await db.RescueRequest.findOne({
+      where: { assigned_team_id: teamId, status: "on_mission" },
+      attributes: ["id", "status_changed_at"],
+    });
+    if (!legacy) return null;
+    // Lead đã báo cáo xong nhưng request còn chờ đội khác → thôi ghi vị trí
+    const tracked = await this.AssignmentModel.count({
+      where: { rescue_request_id: legacy.id, team_id: teamId },
+    });
+    return tracked > 0
+      ? null
+      : { id: legacy.id, started_at: legacy.status_changed_at };
+  }
+}
+
+module.exports = RescueRequestTeamService;
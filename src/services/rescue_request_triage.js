@@ -0,0 +1,409 @@
+const { db, transaction } = require("../config/database");
+const { normalizeText } = require("../utils");
+const RescueRequestEventService = require("./rescue_request_event");
+
+const TRIAGE_VERSION = 1;
+const MAX_SCORE = 100;
+
+const PRIORITIES = ["low", "medium", "high", "urgent"];
+
+// Điểm >= ngưỡng → priority đề xuất (xét từ cao xuống)
+const PRIORITY_THRESHOLDS = [
+  { priority: "urgent", min: 60 },
+  { priority: "high", min: 35 },
+  { priority: "medium", min: 15 },
+  { priority: "low", min: 0 },
+];
+
+const VULNERABILITY_WEIGHTS = {
+  children: 15,
+  elderly: 15,
+  disabled: 15,
+  injured: 25,
+  pregnant: 20,
+};
+
+const WATER_LEVEL_WEIGHTS = {
+  none: 0,
+  ankle: 0,
+  knee: 5,
+  waist: 15,
+  chest: 30,
+  roof: 40,
+};
+
+const HAZARD_WEIGHTS = {
+  trapped: 25,
+  rising_water: 15,
+  strong_current: 15,
+  electrical: 15,
+  landslide: 20,
+  building_collapse: 25,
+  isolated: 10,
+};
+
+// [số người tối thiểu, điểm]
+const PEOPLE_TIERS = [
+  [20, 20],
+  [10, 15],
+  [4, 10],
+  [2, 5],
+];
+
+/**
+ * Nhóm từ khoá trong mô tả (không dấu, khớp nguyên cụm từ). `skipIf`: bỏ
+ * qua nhóm nếu người gửi đã chọn flag tương ứng — không cộng điểm hai lần.
+ */
+const KEYWORD_GROUPS = [
+  {
+    key: "life_threat",
+    points: 30,
+    phrases: [
+      "nguy kich",
+      "sap chet",
+      "bat tinh",
+      "ngung tho",
+      "kho tho",
+      "chet duoi",
+      "duoi nuoc",
+      "drowning",
+      "unconscious",
+      "not breathing",
+      "dying",
+      "critical",
+    ],
+  },
+  {
+    key: "trapped",
+    points: 20,
+    phrases: [
+      "mac ket",
+      "ket tren mai",
+      "tren mai nha",
+      "khong ra duoc",
+      "bi co lap",
+      "trapped",
+      "stuck",
+      "on the roof",
+    ],
+    skipIf: ({ hazards }) => hazards.includes("trapped"),
+  },
+  {
+    key: "injury",
+    points: 15,
+    phrases: [
+      "bi thuong",
+      "chay mau",
+      "gay chan",
+      "gay tay",
+      "injured",
+      "injury",
+      "bleeding",
+      "broken leg",
+      "broken arm",
+    ],
+    skipIf: ({ flags }) => flags.includes("injured"),
+  },
+  {
+    key: "rising_water",
+    points: 15,
+    phrases: [
+      "nuoc dang len",
+      "nuoc len nhanh",
+      "nuoc xiet",
+      "nuoc chay xiet",
+      "lu ve",
+      "water rising",
+      "rising water",
+      "strong current",
+      "flash flood",
+    ],
+    skipIf: ({ hazards }) =>
+      hazards.includes("rising_water") || hazards.includes("strong_current"),
+  },
+  {
+    key: "vulnerable",
+    points: 10,
+    phrases: [
+      "tre em",
+      "tre so sinh",
+      "em be",
+      "con nho",
+      "nguoi gia",
+      "cu gia",
+      "ba bau",
+      "mang thai",
+      "khuyet tat",
+      "bai liet",
+      "baby",
+      "infant",
+      "child",
+      "children",
+      "elderly",
+      "pregnant",
+      "disabled",
+      "wheelchair",
+    ],
+    skipIf: ({ flags }) => flags.length > 0,
+  },
+  {
+    key: "no_supplies",
+    points: 5,
+    phrases: [
+      "het do an",
+      "het luong thuc",
+      "khong co nuoc",
+      "het nuoc uong",
+      "no food",
+      "no water",
+      "hungry",
+    ],
+  },
+];
+
+const toWords = (value) =>
+  ` ${normalizeText(value)
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()} `;
+
+const normalizeFlagList = (input, allowed, field) => {
+  if (input == null) return [];
+  if (!Array.isArray(input)) throw new Error(`${field} must be an array`);
+  const values = [...new Set(input.map((v) => String(v).trim()))];
+  const unknown = values.filter((v) => !allowed.includes(v));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown ${field}: ${unknown.join(", ")} (allowed: ${allowed.join(", ")})`,
+    );
+  }
+  return values;
+};
+
+/**
+ * Triage theo luật: chấm điểm mức độ nghiêm trọng (0-100) từ số người,
+ * nhóm dễ tổn thương, mực nước / nguy hiểm và từ khoá trong mô tả, rồi đề
+ * xuất priority. Coordinator có thể ghi đè; lần ghi đè được lưu trong
+ * `triage.override` và timeline.
+ */
+class RescueRequestTriageService {
+  static get RescueRequestModel() {
+    return db.RescueRequest;
+  }
+
+  static get VULNERABILITY_FLAGS() {
+    return Object.keys(VULNERABILITY_WEIGHTS);
+  }
+
+  static get HAZARD_FLAGS() {
+    return Object.keys(HAZARD_WEIGHTS);
+  }
+
+  static get WATER_LEVELS() {
+    return Object.keys(WATER_LEVEL_WEIGHTS);
+  }
+
+  /**
+   * Kiểm tra + chuẩn hoá các trường triage gửi lên khi tạo / cập nhật.
+   */
+  static normalizeInput({ vulnerability_flags, water_level, hazard_flags }) {
+    if (
+      water_level != null &&
+      !Object.keys(WATER_LEVEL_WEIGHTS).includes(water_level)
+    ) {
+      throw new Error(
+        `water_level must be one of: ${Object.keys(WATER_LEVEL_WEIGHTS).join(", ")}`,
+      );
+    }
+    return {
+      vulnerability_flags: normalizeFlagList(
+        vulnerability_flags,
+        this.VULNERABILITY_FLAGS,
+        "vulnerability_flags",
+      ),
+      water_level: water_level ?? null,
+      hazard_flags: normalizeFlagList(
+        hazard_flags,
+        this.HAZARD_FLAGS,
+        "hazard_flags",
+      ),
+    };
+  }
+
+  static suggestPriority(score) {
+    return PRIORITY_THRESHOLDS.find((t) => score >= t.min).priority;
+  }
+
+  /**
+   * Chấm điểm một yêu cầu (model hoặc plain object). Trả về object lưu vào
+   * cột `triage`: { score, suggested_priority, breakdown, version, computed_at }.
+   */
+  static score(request, now = new Date()) {
+    const flags = request.vulnerability_flags || [];
+    const hazards = request.hazard_flags || [];
+    const breakdown = [];
+    const add = (factor, points, detail = null) => {
+      if (points > 0) breakdown.push({ factor, points, detail });
+    };
+
+    const people = parseInt(request.num_people) || 1;
+    const tier = PEOPLE_TIERS.find(([min]) => people >= min);
+    add("num_people", tier ? tier[1] : 0, `${people}`);
+
+    flags.forEach((flag) =>
+      add(`vulnerability:${flag}`, VULNERABILITY_WEIGHTS[flag] || 0),
+    );
+    if (request.water_level) {
+      add(
+        "water_level",
+        WATER_LEVEL_WEIGHTS[request.water_level] || 0,
+        request.water_level,
+      );
+    }
+    hazards.forEach((hazard) =>
+      add(`hazard:${hazard}`, HAZARD_WEIGHTS[hazard] || 0),
+    );
+
+    const text = toWords(request.description);
+    KEYWORD_GROUPS.forEach((group) => {
+      if (group.skipIf?.({ flags, hazards })) return;
+      const matched = group.phrases.filter((p) => text.includes(` ${p} `));
+      if (matched.length > 0) {
+        add(`keyword:${group.key}`, group.points, matched.join(", "));
+      }
+    });
+
+    const raw = breakdown.reduce((sum, item) => sum + item.points, 0);
+    const score = Math.min(raw, MAX_SCORE);
+    return {
+      score,
+      suggested_priority: this.suggestPriority(score),
+      breakdown,
+      version: TRIAGE_VERSION,
+      computed_at: now,
+    };
+  }
+
+  static async getTriage(requestId) {
+    try {
+      const request = await this.RescueRequestModel.findByPk(requestId);
+      if (!request) throw new Error("Rescue request not found");
+      return {
+        rescue_request_id: request.id,
+        priority: request.priority,
+        vulnerability_flags: request.vulnerability_flags,
+        water_level: request.water_level,
+        hazard_flags: request.hazard_flags,
+        triage: request.triage,
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Priority khi coordinator chưa ghi đè: theo đề xuất, nhưng không thấp hơn
+   * mức SLA đã nâng (sla_breaches[].escalated_to) — chấm lại không được âm
+   * thầm hạ một yêu cầu đã leo thang.
+   */
+  static resolvePriority(request, suggestedPriority) {
+    const rank = (p) => PRIORITIES.indexOf(p);
+    return (request.sla_breaches || [])
+      .map((breach) => breach.escalated_to)
+      .filter((p) => PRIORITIES.includes(p))
+      .reduce((max, p) => (rank(p) > rank(max) ? p : max), suggestedPriority);
+  }
+
+  /**
+   * Chấm lại (sau khi cập nhật flag / mô tả). Chỉ đổi priority theo đề xuất
+   * khi coordinator chưa ghi đè.
+   */
+  static async recompute(requestId, actor = null) {
+    try {
+      const request = await this.RescueRequestModel.findByPk(requestId);
+      if (!request) throw new Error("Rescue request not found");
+
+      const previous = request.triage || {};
+      const next = { ...this.score(request), override: previous.override };
+      const updates = { triage: next };
+      if (!previous.override) {
+        updates.priority = this.resolvePriority(
+          request,
+          next.suggested_priority,
+        );
+      }
+
+      await transaction(async (t) => {
+        await request.update(updates, { transaction: t });
+        await RescueRequestEventService.log(request, "triage_recomputed", {
+          actor,
+          fromStatus: request.status,
+          payload: {
+            score: { from: previous.score ?? null, to: next.score },
+            suggested_priority: {
+              from: previous.suggested_priority ?? null,
+              to: next.suggested_priority,
+            },
+            priority: request.priority,
+          },
+          transaction: t,
+        });
+      });
+      return await this.getTriage(requestId);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Thông tin ghi đè lưu vào triage.override (dùng chung cho endpoint ghi
+   * đè và PUT /:id đổi priority).
+   */
+  static buildOverride(request, priority, actor, reason = null) {
+    return {
+      priority,
+      previous_priority: request.priority,
+      suggested_priority: request.triage?.suggested_priority ?? null,
+      score: request.triage?.score ?? null,
+      reason,
+      by: actor?.id || null,
+      at: new Date(),
+    };
+  }
+
+  static async overridePriority(requestId, actor, { priority, reason } = {}) {
+    try {
+      if (!PRIORITIES.includes(priority)) {
+        throw new Error(`priority must be one of: ${PRIORITIES.join(", ")}`);
+      }
+      if (!reason || !String(reason).trim()) {
+        throw new Error("Override reason is required");
+      }
+      const request = await this.RescueRequestModel.findByPk(requestId);
+      if (!request) throw new Error("Rescue request not found");
+
+      const override = this.buildOverride(
+        request,
+        priority,
+        actor,
+        String(reason).trim(),
+      );
+      await transaction(async (t) => {
+        await request.update(
+          { priority, triage: { ...(request.triage || {}), override } },
+          { transaction: t },
+        );
+        await RescueRequestEventService.log(request, "triage_override", {
+          actor,
+          fromStatus: request.status,
+          payload: override,
+          transaction: t,
+        });
+      });
+      return await this.getTriage(requestId);
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = RescueRequestTriageService;
@@ -1,4 +1,70 @@
+const { Op } = require("sequelize");
 const { db, transaction } = require("../config/database");
+const { normalizeText, isSameDistrict } = require("../utils");
+const { buildGeoQuery, haversineDistance } = require("../utils/geo");
+const TeamWorkloadService = require("./team_workload");
+const TeamPerformanceService = require("./team_performance");
+
+// Từ khoá trang bị phù hợp theo loại yêu cầu (so khớp không dấu)
+const EQUIPMENT_KEYWORDS = {
+  rescue: [
+    "xuong",
+    "ca no",
+    "thuyen",
+    "boat",
+    "ao phao",
+    "phao",
+    "life jacket",
+    "day thung",
+    "rope",
+    "den pin",
+    "flashlight",
+    "so cuu",
+    "first aid",
+  ],
+  relief: [
+    "xe tai",
+    "truck",
+    "xe ban tai",
+    "thung",
+    "kho",
+    "bat",
+    "tarp",
+    "loc nuoc",
+    "water filter",
+    "so cuu",
+    "first aid",
+  ],
+};
+
+// Trọng số điểm đề xuất theo mức ưu tiên (tổng = 100)
+const RECOMMENDATION_WEIGHTS = {
+  default: {
+    specialization: 30,
+    proximity: 25,
+    capacity: 20,
+    workload: 15,
+    equipment: 10,
+  },
+  urgent: {
+    specialization: 25,
+    proximity: 35,
+    capacity: 20,
+    workload: 10,
+    equipment: 10,
+  },
+};
+
+// Ước tính 1 thành viên hỗ trợ được bao nhiêu người dân
+const PEOPLE_PER_MEMBER = 3;
+// Số nhiệm vụ trong 24h coi như "quá tải" (điểm workload = 0)
+const WORKLOAD_SATURATION = 5;
+// Khoảng cách (mét) mà điểm proximity giảm về 0 khi cả đội và yêu cầu có GPS
+const PROXIMITY_MAX_METERS = 15000;
+// Đội có danh sách thành viên phải có người đang trực mới được điều động
+const ON_DUTY_WHERE = {
+  [Op.or]: [{ roster_managed: false }, { available_members: { [Op.gt]: 0 } }],
+};
 
 class RescueTeamService {
   static get RescueTeamModel() {
@@ -21,6 +87,8 @@ class RescueTeamService {
         capacity,
         available_members,
         district,
+        latitude,
+        longitude,
         notes,
         user_id,
       } = data;
@@ -52,6 +120,9 @@ class RescueTeamService {
         capacity,
         available_members: available_members || 0,
         district,
+        latitude: latitude ?? null,
+        longitude: longitude ?? null,
+        location_updated_at: latitude != null ? new Date() : null,
         notes,
         user_id,
         status: "available",
@@ -90,12 +161,21 @@ class RescueTeamService {
       if (specialization) where.specialization = specialization;
       if (district) where.district = district; // SỬA: province_city → district
 
+      const geo = buildGeoQuery(filters, {
+        latColumn: '"RescueTeam"."latitude"',
+        lngColumn: '"RescueTeam"."longitude"',
+      });
+      if (geo.active) where[Op.and] = geo.conditions;
+
       const { count, rows: teams } = await this.RescueTeamModel.findAndCountAll(
         {
           where,
+          ...(geo.distanceAttribute && {
+            attributes: { include: [geo.distanceAttribute] },
+          }),
           limit: parseInt(limit),
           offset: parseInt(offset),
-          order: [["created_at", "DESC"]],
+          order: geo.order || [["created_at", "DESC"]],
           include: [
             {
               model: db.User,
@@ -127,7 +207,7 @@ class RescueTeamService {
    */
   static async getAvailableTeams(district = null, specialization = null) {
     try {
-      const where = { status: "available" };
+      const where = { status: "available", ...ON_DUTY_WHERE };
 
       // SỬA: province_city → district
       if (district) {
@@ -160,6 +240,226 @@ class RescueTeamService {
     }
   }
 
+  /**
+   * Xếp hạng các đội available cho một rescue request.
+   * Mỗi đội trả về kèm score (0-100) và breakdown từng tiêu chí để
+   * coordinator thấy lý do đội được đề xuất.
+   */
+  static async getRecommendedTeams(
+    request,
+    { limit = 10, excludeFatigued = false, excludePending = false } = {},
+  ) {
+    try {
+      const teams = await this.RescueTeamModel.findAll({
+        where: { status: "available", ...ON_DUTY_WHERE },
+        include: [
+          {
+            model: db.User,
+            as: "leader_account",
+            attributes: ["id", "username", "email"],
+          },
+        ],
+      });
+      if (teams.length === 0) return [];
+
+      // Đội được giao nhưng chưa xác nhận vẫn "available" — auto-dispatch
+      // (excludePending) không giao thêm cho đội đó
+      const pendingTeamIds = new Set();
+      if (excludePending) {
+        const pending = await db.RescueRequestTeam.findAll({
+          where: {
+            team_id: { [Op.in]: teams.map((t) => t.id) },
+            status: "assigned",
+            rescue_request_id: { [Op.ne]: request.id },
+          },
+          attributes: ["team_id"],
+        });
+        pending.forEach((row) => pendingTeamIds.add(row.team_id));
+      }
+
+      // Nhiệm vụ đang làm / 24h qua / giờ làm việc, tính cả vai trò hỗ trợ
+      const workloads = await TeamWorkloadService.evaluateTeams(
+        teams.map((t) => t.id),
+      );
+      // block: đội vượt giới hạn mệt mỏi không được đề xuất;
+      // auto-dispatch (excludeFatigued) bỏ qua cả ở chế độ warn
+      const { enforcement } = TeamWorkloadService.limits;
+      const fatigueBlocks =
+        enforcement === "block" || (excludeFatigued && enforcement !== "off");
+
+      const ranked = teams
+        .filter((team) => !pendingTeamIds.has(team.id))
+        .filter(
+          (team) =>
+            !fatigueBlocks || workloads.get(team.id).violations.length === 0,
+        )
+        .map((team) => {
+          const workload = workloads.get(team.id);
+          const { score, breakdown } = this.scoreTeamForRequest(
+            team,
+            request,
+            workload,
+          );
+          return {
+            team: team.toJSON(),
+            score,
+            breakdown,
+            fatigue: {
+              status: workload.status,
+              mission_hours_24h: workload.mission_hours_24h,
+              consecutive_missions: workload.consecutive_missions,
+              violations: workload.violations,
+            },
+          };
+        });
+
+      ranked.sort((a, b) => b.score - a.score);
+
+      const safeLimit = Math.max(1, Math.min(parseInt(limit) || 10, 50));
+      return ranked.slice(0, safeLimit);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Tính điểm một đội cho một request. Hàm thuần (không truy vấn DB).
+   * workload = { active_missions, recent_missions, mission_hours_24h?,
+   * violations? } (xem TeamWorkloadService.summarize)
+   */
+  static scoreTeamForRequest(team, request, workload = {}) {
+    const weights =
+      ["urgent", "high"].includes(request.priority)
+        ? RECOMMENDATION_WEIGHTS.urgent
+        : RECOMMENDATION_WEIGHTS.default;
+
+    const breakdown = {};
+
+    // 1. Chuyên môn
+    const specializationMatch = team.specialization === request.category;
+    breakdown.specialization = {
+      score: specializationMatch ? weights.specialization : 0,
+      max: weights.specialization,
+      reason: specializationMatch
+        ? `Chuyên môn ${team.specialization} khớp loại yêu cầu`
+        : `Chuyên môn ${team.specialization} khác loại yêu cầu ${request.category}`,
+    };
+
+    // 2. Khoảng cách: theo GPS nếu cả 2 có toạ độ, ngược lại theo quận/huyện
+    const distance = haversineDistance(
+      team.latitude,
+      team.longitude,
+      request.latitude,
+      request.longitude,
+    );
+    if (distance != null) {
+      const ratio = Math.max(0, 1 - distance / PROXIMITY_MAX_METERS);
+      breakdown.proximity = {
+        score: Math.round(weights.proximity * ratio * 10) / 10,
+        max: weights.proximity,
+        method: "distance",
+        distance_m: Math.round(distance),
+        reason: `Cách yêu cầu ${(distance / 1000).toFixed(1)} km`,
+      };
+    } else {
+      const sameDistrict = isSameDistrict(team.district, request.district);
+      breakdown.proximity = {
+        score: sameDistrict ? weights.proximity : 0,
+        max: weights.proximity,
+        method: "district",
+        reason: sameDistrict
+          ? `Cùng khu vực ${request.district}`
+          : `Đội ở ${team.district}, yêu cầu ở ${request.district}`,
+      };
+    }
+
+    // 3. Năng lực: thành viên sẵn sàng so với số người cần hỗ trợ
+    const numPeople = Math.max(parseInt(request.num_people) || 1, 1);
+    const requiredMembers = Math.max(
+      1,
+      Math.ceil(numPeople / PEOPLE_PER_MEMBER),
+    );
+    const availableMembers = Math.min(
+      parseInt(team.available_members) || 0,
+      parseInt(team.capacity) || 0,
+    );
+    const capacityRatio = Math.min(availableMembers / requiredMembers, 1);
+    breakdown.capacity = {
+      score: Math.round(weights.capacity * capacityRatio * 10) / 10,
+      max: weights.capacity,
+      available_members: availableMembers,
+      required_members: requiredMembers,
+      reason: `${availableMembers}/${requiredMembers} thành viên cần cho ${numPeople} người`,
+    };
+
+    // 4. Khối lượng công việc hiện tại + 24h gần nhất
+    const activeMissions = workload.active_missions || 0;
+    const recentMissions = workload.recent_missions || 0;
+    const fatigueViolations = workload.violations || [];
+    const workloadRatio =
+      activeMissions > 0 || fatigueViolations.length > 0
+        ? 0
+        : Math.max(0, 1 - recentMissions / WORKLOAD_SATURATION);
+    breakdown.workload = {
+      score: Math.round(weights.workload * workloadRatio * 10) / 10,
+      max: weights.workload,
+      active_missions: activeMissions,
+      missions_last_24h: recentMissions,
+      mission_hours_24h: workload.mission_hours_24h ?? null,
+      reason:
+        activeMissions > 0
+          ? `Đang có ${activeMissions} nhiệm vụ chưa xong`
+          : fatigueViolations.length > 0
+            ? `Cần nghỉ: ${fatigueViolations.map((v) => v.message).join("; ")}`
+            : `${recentMissions} nhiệm vụ trong 24h qua`,
+    };
+
+    // 5. Trang bị
+    const keywords = EQUIPMENT_KEYWORDS[request.category] || [];
+    const equipmentList = Array.isArray(team.equipment) ? team.equipment : [];
+    const matchedEquipment = equipmentList.filter((item) => {
+      // So khớp nguyên từ: "bat" không khớp "batch", "kho" không khớp "khoan"
+      const label = ` ${normalizeText(
+        typeof item === "string" ? item : item?.name || item?.label,
+      )
+        .replace(/[^a-z0-9]+/g, " ")
+        .trim()} `;
+      return label.trim() && keywords.some((k) => label.includes(` ${k} `));
+    });
+    const equipmentRatio = Math.min(matchedEquipment.length / 2, 1);
+    breakdown.equipment = {
+      score: Math.round(weights.equipment * equipmentRatio * 10) / 10,
+      max: weights.equipment,
+      matched: matchedEquipment,
+      reason:
+        matchedEquipment.length > 0
+          ? `${matchedEquipment.length} trang bị phù hợp`
+          : "Không có trang bị phù hợp được khai báo",
+    };
+
+    const score =
+      Math.round(
+        Object.values(breakdown).reduce((sum, c) => sum + c.score, 0) * 10,
+      ) / 10;
+
+    return { score, breakdown };
+  }
+
+  /**
+   * Kiểm tra đội điều động được (phân công lead / thêm đội hỗ trợ /
+   * auto-dispatch).
+   */
+  static assertCanDispatch(team) {
+    if (team.roster_managed && !(team.available_members > 0)) {
+      throw new Error(`Team '${team.name}' has no members on duty`);
+    }
+    if (team.status !== "available") {
+      throw new Error(
+        `Team '${team.name}' is not available. Current status: ${team.status}`,
+      );
+    }
+  }
+
   /**
    * Get team by ID
    */
@@ -219,6 +519,8 @@ class RescueTeamService {
         capacity,
         available_members,
         district,
+        latitude,
+        longitude,
         notes,
         user_id,
         status,
@@ -239,6 +541,18 @@ class RescueTeamService {
         }
       }
 
+      // Đội có danh sách thành viên: số người trực suy ra từ ca trực. Status
+      // vẫn sửa tay được (vd. tạm ngừng), xem statusOverride bên dưới
+      if (
+        team.roster_managed &&
+        available_members !== undefined &&
+        available_members != team.available_members
+      ) {
+        throw new Error(
+          "available_members is derived from member shifts for teams with a roster",
+        );
+      }
+
       const allowedFields = {
         name,
         phone_number,
@@ -246,6 +560,8 @@ class RescueTeamService {
         capacity,
         available_members,
         district,
+        latitude,
+        longitude,
         notes,
         user_id,
         status,
@@ -254,8 +570,12 @@ class RescueTeamService {
       Object.keys(allowedFields).forEach((k) => {
         if (allowedFields[k] !== undefined) filtered[k] = allowedFields[k];
       });
+      if (latitude !== undefined || longitude !== undefined) {
+        filtered.location_updated_at = new Date();
+      }
 
-      await team.update(filtered);
+      // Status manager đặt tay không bị hook roster suy ra lại
+      await team.update(filtered, { statusOverride: true });
 
       await team.reload({
         include: [
@@ -273,6 +593,37 @@ class RescueTeamService {
     }
   }
 
+  /**
+   * Nhiệm vụ và số giờ làm nhiệm vụ gần đây của đội, so với giới hạn
+   */
+  static async getWorkload(teamId, options = {}) {
+    return await TeamWorkloadService.getWorkloadReport(teamId, options);
+  }
+
+  /**
+   * Hiệu suất của đội trong khoảng thời gian (from/to)
+   */
+  static async getPerformance(teamId, filters = {}) {
+    return await TeamPerformanceService.getTeamPerformance(teamId, filters);
+  }
+
+  /**
+   * Xếp hạng các đội theo hiệu suất
+   */
+  static async getLeaderboard(filters = {}) {
+    return await TeamPerformanceService.getLeaderboard(filters);
+  }
+
+  /**
+   * Đội tự cập nhật vị trí (REST fallback khi không giữ được socket)
+   */
+  static async updateMyLocation(userId, points) {
+    const TeamLocationService = require("./team_location");
+    return await TeamLocationService.recordLocation(userId, points, {
+      source: "rest",
+    });
+  }
+
   /**
    * Delete team (soft delete)
    */
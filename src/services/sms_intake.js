@@ -0,0 +1,243 @@
+const { Op } = require("sequelize");
+const { db } = require("../config/database");
+const { env } = require("../config/env");
+const { normalizeText, normalizePhone } = require("../utils");
+
+const CREATE_KEYWORDS = ["cuu"];
+const STATUS_KEYWORDS = ["tt", "tracuu"];
+
+// Từ đứng trước số nhưng là một phần địa danh ("Quan 7", "Phuong 12")
+const PLACE_PREFIXES = [
+  "quan",
+  "q",
+  "huyen",
+  "phuong",
+  "p",
+  "xa",
+  "to",
+  "ap",
+  "khu",
+  "thon",
+];
+
+const MAX_PEOPLE = 1000;
+
+// Trả lời không dấu — vừa 1 tin SMS (GSM-7, 160 ký tự)
+const STATUS_REPLIES = {
+  new: () => "Da tiep nhan, dang cho dieu phoi vien duyet",
+  pending_verification: () => "Dang xac minh thong tin",
+  verified: () => "Da xac minh, dang tim doi cuu ho",
+  assigned: (team) => `Da phan cong doi ${team}, cho doi xac nhan`,
+  on_mission: (team) => `Doi ${team} dang tren duong den`,
+  awaiting_confirmation: () => "Doi da bao cao, dang xac nhan ket qua",
+  completed: () => "Da hoan thanh",
+  partially_completed: () => "Da hoan thanh mot phan",
+  rejected: () => "Yeu cau khong duoc chap nhan. Goi 112 neu can ho tro",
+};
+
+const HELP_REPLY =
+  "Cu phap: CUU <quan/huyen> <so nguoi> <mo ta>. VD: CUU Quan 7 3 nha ngap sau. Tra cuu: TT <ma>";
+
+// Bỏ dấu nhưng giữ hoa / thường (normalizeText thì lowercase)
+const toAscii = (value) =>
+  String(value ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/đ/g, "d")
+    .replace(/Đ/g, "D");
+
+const parsePeople = (token) => {
+  const match = normalizeText(token).match(/^(\d{1,4})(nguoi|ng)?$/);
+  return match ? parseInt(match[1]) : null;
+};
+
+/**
+ * Tiếp nhận yêu cầu cứu hộ qua SMS cho người dùng điện thoại phổ thông.
+ * Không phụ thuộc nhà cung cấp: gateway chuyển tin đến thành { from, text }
+ * và gửi lại `reply` cho người gửi.
+ */
+class SmsIntakeService {
+  static get RescueRequestModel() {
+    return db.RescueRequest;
+  }
+
+  /**
+   * "CUU Quan 7 3 nha ngap sau" hoặc dạng có dấu phân cách
+   * "CUU Quan 7#3#nha ngap sau" → { command: "create", district, num_people,
+   * description }; "TT K7Q2MX" → { command: "status", code }.
+   */
+  static parseMessage(text) {
+    const message = String(text ?? "")
+      .replace(/\s+/g, " ")
+      .trim();
+    const [keyword = "", ...rest] = message.split(" ");
+    const command = normalizeText(keyword);
+    const body = rest.join(" ");
+
+    if (STATUS_KEYWORDS.includes(command)) {
+      const code = body.replace(/\s/g, "").toUpperCase();
+      if (!code) return { command: "invalid", error: "missing_code" };
+      return { command: "status", code };
+    }
+
+    if (!CREATE_KEYWORDS.includes(command)) return { command: "help" };
+
+    let district;
+    let numPeople;
+    let description;
+
+    if (/[#*]/.test(body)) {
+      const parts = body.split(/[#*]/).map((part) => part.trim());
+      district = parts[0];
+      numPeople = parsePeople(parts[1] || "");
+      description = parts.slice(2).filter(Boolean).join(" ");
+    } else {
+      const tokens = body.split(" ").filter(Boolean);
+      const index = tokens.findIndex(
+        (token, i) =>
+          i > 0 &&
+          parsePeople(token) !== null &&
+          !PLACE_PREFIXES.includes(normalizeText(tokens[i - 1])),
+      );
+      if (index > 0) {
+        district = tokens.slice(0, index).join(" ");
+        numPeople = parsePeople(tokens[index]);
+        description = tokens.slice(index + 1).join(" ");
+      }
+    }
+
+    if (!district) return { command: "invalid", error: "missing_district" };
+    if (!numPeople || numPeople < 1 || numPeople > MAX_PEOPLE) {
+      return { command: "invalid", error: "invalid_num_people" };
+    }
+    return {
+      command: "create",
+      district,
+      num_people: numPeople,
+      description: description || "",
+    };
+  }
+
+  /**
+   * Xử lý 1 tin nhắn đến. Luôn trả về `reply` (kể cả khi sai cú pháp) để
+   * gateway gửi lại cho người dân; chỉ throw khi thiếu from / text.
+   */
+  static async handleInbound({ from, text }) {
+    try {
+      const phoneDigits = normalizePhone(from);
+      if (!phoneDigits || !String(text ?? "").trim()) {
+        throw new Error("'from' and 'text' are required");
+      }
+      const phone = `0${phoneDigits}`;
+      const parsed = this.parseMessage(text);
+
+      if (parsed.command === "status") {
+        return await this.handleStatusQuery(parsed.code, phone);
+      }
+      if (parsed.command === "create") {
+        return await this.handleCreate(parsed, phone, text);
+      }
+      return {
+        action: parsed.command,
+        error: parsed.error || null,
+        reply: HELP_REPLY,
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  static async handleCreate(parsed, phone, rawText) {
+    // Mô tả quá ngắn thì vẫn tạo — đừng bắt người đang gặp nạn nhắn lại
+    const description =
+      parsed.description.length >= 10
+        ? parsed.description
+        : `Yêu cầu cứu hộ qua SMS${parsed.description ? `: ${parsed.description}` : ""}`;
+
+    // Gateway retry hoặc người dân gửi lại cùng tin → trả mã cũ
+    const since = new Date(
+      Date.now() - env.SMS.DUPLICATE_WINDOW_MINUTES * 60 * 1000,
+    );
+    const existing = await this.RescueRequestModel.findOne({
+      where: {
+        source: "sms",
+        phone_number: phone,
+        district: parsed.district,
+        description,
+        created_at: { [Op.gte]: since },
+      },
+      order: [["created_at", "DESC"]],
+    });
+    if (existing) {
+      return {
+        action: "duplicate",
+        rescue_request_id: existing.id,
+        tracking_code: existing.tracking_code,
+        reply: `Yeu cau da duoc ghi nhan truoc do. Ma: ${existing.tracking_code}. Tra cuu: TT ${existing.tracking_code}`,
+      };
+    }
+
+    try {
+      const RescueRequestService = require("./rescue_request");
+      const created = await RescueRequestService.createRescueRequest(
+        {
+          category: "rescue",
+          district: parsed.district,
+          phone_number: phone,
+          description,
+          num_people: parsed.num_people,
+          location_type: "manual",
+          address: parsed.district,
+        },
+        null,
+        { source: "sms" },
+      );
+      return {
+        action: "created",
+        rescue_request_id: created.id,
+        tracking_code: created.tracking_code,
+        reply: `Da nhan yeu cau cuu ho (${parsed.num_people} nguoi). Ma: ${created.tracking_code}. Giu may, doi cuu ho se lien he. Tra cuu: TT ${created.tracking_code}`,
+      };
+    } catch (error) {
+      console.error(`SMS intake from ${phone} failed (${rawText}):`, error);
+      return {
+        action: "error",
+        error: error.message,
+        reply: "He thong chua tao duoc yeu cau. Vui long gui lai hoac goi 112.",
+      };
+    }
+  }
+
+  /**
+   * Cùng quy tắc với tra cứu công khai: số gửi tin phải trùng số trên yêu cầu.
+   */
+  static async handleStatusQuery(code, phone) {
+    let view;
+    try {
+      const RescueRequestService = require("./rescue_request");
+      view = await RescueRequestService.getPublicTrackingView(code, phone);
+    } catch (error) {
+      if (error.message !== "Rescue request not found") throw error;
+      return {
+        action: "not_found",
+        reply: `Khong tim thay yeu cau ma ${code} cua so nay.`,
+      };
+    }
+
+    const describe = STATUS_REPLIES[view.status];
+    const statusText = describe
+      ? describe(toAscii(view.assigned_team?.name || "cuu ho"))
+      : view.status;
+    const prefix = view.merged ? "Da gop voi yeu cau cung khu vuc. " : "";
+    const eta = view.eta ? ` Du kien ~${view.eta.minutes} phut.` : "";
+
+    return {
+      action: "status",
+      tracking_code: view.tracking_code,
+      status: view.status,
+      reply: `Ma ${view.tracking_code}: ${prefix}${statusText}.${eta}`,
+    };
+  }
+}
+
+module.exports = SmsIntakeService;
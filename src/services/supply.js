@@ -1,6 +1,10 @@
 const { db, transaction } = require("../config/database");
 const { Op, fn, col, literal } = require("sequelize");
-const UserService = require("./user");
+const NotificationService = require("./notification");
+const RealtimeService = require("./realtime");
+const RescueRequestTeamService = require("./rescue_request_team");
+const SupplyExpiryService = require("./supply_expiry");
+const WarehouseService = require("./warehouse");
 
 class SupplyService {
   static get SupplyModel() {
@@ -19,11 +23,115 @@ class SupplyService {
     return db.SupplyUsage;
   }
 
+  static get DistributionLotModel() {
+    return db.SupplyDistributionLot;
+  }
+
+  static get UsageLotModel() {
+    return db.SupplyUsageLot;
+  }
+
+  /**
+   * Trừ FIFO phiếu xuất vào các lô (đã sắp theo hạn SD) và ghi lại phần
+   * lấy từ mỗi lô (SupplyDistributionLot) để truy vết.
+   */
+  static async allocateDistributionLots(distribution, imports, t) {
+    let remaining = distribution.quantity;
+    const lots = [];
+    for (const importItem of imports) {
+      if (remaining <= 0) break;
+      if (importItem.remaining <= 0) continue;
+
+      const toDeduct = Math.min(importItem.remaining, remaining);
+      await importItem.update(
+        { remaining: importItem.remaining - toDeduct },
+        { transaction: t },
+      );
+      const lot = await this.DistributionLotModel.create(
+        {
+          distribution_id: distribution.id,
+          import_id: importItem.id,
+          batch_id: importItem.batch_id,
+          supply_id: distribution.supply_id,
+          team_id: distribution.team_id,
+          quantity: toDeduct,
+          remaining: toDeduct,
+        },
+        { transaction: t },
+      );
+      lots.push(lot);
+      remaining -= toDeduct;
+    }
+    // Các lô phải được đọc dưới khóa trong cùng transaction (pickSourceLots)
+    if (remaining > 0) {
+      throw new Error(`Không đủ số lượng. Còn thiếu: ${remaining}`);
+    }
+    return lots;
+  }
+
+  /**
+   * Trừ usage vào các lô đội đang giữ (hạn SD gần nhất trước, rồi nhận
+   * trước). Hàng nhận trước khi có truy vết lô không có lô để trừ — phần
+   * đó không truy vết được.
+   */
+  static async allocateUsageLots(usage, t) {
+    const heldLots = await this.DistributionLotModel.findAll({
+      where: {
+        team_id: usage.team_id,
+        supply_id: usage.supply_id,
+        remaining: { [Op.gt]: 0 },
+      },
+      include: [
+        {
+          model: this.SupplyImportModel,
+          as: "import",
+          attributes: ["id", "expiry_date"],
+        },
+      ],
+      order: [["created_at", "ASC"]],
+      transaction: t,
+      // Khóa các lô đội giữ để hai báo cáo sử dụng đồng thời không trừ trùng
+      lock: { level: t.LOCK.UPDATE, of: this.DistributionLotModel },
+    });
+    const expiryOf = (lot) =>
+      lot.import?.expiry_date
+        ? new Date(lot.import.expiry_date).getTime()
+        : Infinity;
+    heldLots.sort((a, b) => expiryOf(a) - expiryOf(b));
+
+    let remaining = usage.quantity_used;
+    const lots = [];
+    for (const lot of heldLots) {
+      if (remaining <= 0) break;
+      const take = Math.min(lot.remaining, remaining);
+      await lot.update({ remaining: lot.remaining - take }, { transaction: t });
+      lots.push(
+        await this.UsageLotModel.create(
+          {
+            usage_id: usage.id,
+            distribution_lot_id: lot.id,
+            import_id: lot.import_id,
+            batch_id: lot.batch_id,
+            rescue_request_id: usage.rescue_request_id,
+            quantity: take,
+          },
+          { transaction: t },
+        ),
+      );
+      remaining -= take;
+    }
+    return lots;
+  }
+
   // Tính tồn kho thực tế từ các lô nhập (FIFO)
   static async getAvailableStock(supplyId) {
     try {
+      // Lô quá hạn không tính vào tồn kho
       const imports = await this.SupplyImportModel.findAll({
-        where: { supply_id: supplyId },
+        where: {
+          supply_id: supplyId,
+          ...SupplyExpiryService.usableLotWhere(),
+        },
         include: [
           {
             model: db.ImportBatch,
@@ -166,6 +274,9 @@ class SupplyService {
         notes,
         min_quantity: min_quantity || 10,
       });
+      RealtimeService.publishSupply(supply.id, "created", {
+        data: { supply: supply.toJSON() },
+      });
       return supply;
     } catch (error) {
       throw error;
@@ -188,6 +299,9 @@ class SupplyService {
         if (data[f] !== undefined) filtered[f] = data[f];
       });
       await supply.update(filtered);
+      RealtimeService.publishSupply(supply.id, "updated", {
+        data: { changes: filtered },
+      });
       return supply;
     } catch (error) {
       throw error;
@@ -202,6 +316,7 @@ class SupplyService {
         throw new Error(`Không thể xóa mặt hàng còn ${available} trong kho`);
       }
       await supply.destroy();
+      RealtimeService.publishSupply(supply.id, "deleted");
       return { message: "Supply deleted successfully" };
     } catch (error) {
       throw error;
@@ -209,47 +324,27 @@ class SupplyService {
   }
 
   // Phân phối theo FIFO — trừ từng lô theo hạn sử dụng
-  static async distributeSupply(supplyId, teamId, quantity, managerId, notes) {
+  static async distributeSupply(
+    supplyId,
+    teamId,
+    quantity,
+    managerId,
+    notes,
+    warehouseId = null,
+  ) {
     try {
       const supply = await this.getSupplyById(supplyId);
       const team = await db.RescueTeam.findByPk(teamId);
       if (!team) throw new Error("Team not found");
 
-      // Lấy các lô còn hàng, sắp xếp FIFO theo hạn SD
-      const imports = await this.SupplyImportModel.findAll({
-        where: { supply_id: supplyId },
-        include: [
-          {
-            model: db.ImportBatch,
-            as: "batch",
-            where: { status: "completed" },
-          },
-        ],
-        order: [["expiry_date", "ASC NULLS LAST"]],
-      });
-
-      const totalAvailable = imports.reduce((sum, i) => sum + i.remaining, 0);
-      if (totalAvailable < quantity) {
-        throw new Error(
-          `Không đủ số lượng. Hiện có: ${totalAvailable} ${supply.unit}`,
-        );
-      }
-
       const result = await transaction(async (t) => {
-        let remaining = quantity;
-
-        // Trừ FIFO từng lô
-        for (const importItem of imports) {
-          if (remaining <= 0) break;
-          if (importItem.remaining <= 0) continue;
-
-          const toDeduct = Math.min(importItem.remaining, remaining);
-          await importItem.update(
-            { remaining: importItem.remaining - toDeduct },
-            { transaction: t },
-          );
-          remaining -= toDeduct;
-        }
+        // Kho được chọn, hoặc kho gần đội nhất còn đủ hàng; các lô chưa hết
+        // hạn sắp FIFO theo hạn SD, khóa tới hết transaction
+        const source = await WarehouseService.pickSourceLots(supply, quantity, {
+          warehouseId,
+          team,
+          transaction: t,
+        });
 
         // Tạo phiếu xuất
         const distribution = await this.DistributionModel.create(
@@ -259,30 +354,42 @@ class SupplyService {
             quantity,
             distributed_by: managerId,
             notes,
+            warehouse_id: source.warehouse_id,
           },
           { transaction: t },
         );
 
+        // Trừ FIFO từng lô, ghi lô đã xuất cho phiếu
+        await this.allocateDistributionLots(distribution, source.imports, t);
+
+        RealtimeService.publishSupply(supplyId, "distributed", {
+          transaction: t,
+          actor: { id: managerId },
+          teamIds: [teamId],
+          data: {
+            distribution_id: distribution.id,
+            team_id: teamId,
+            quantity,
+          },
+        });
+
         return distribution;
       });
 
-      // Gửi push notification cho team leader
+      // Gửi thông báo cho team leader
       try {
-        const teamUser = await db.User.findByPk(team.user_id);
-        if (teamUser?.expo_push_token) {
-          await UserService.sendPushNotification(
-            teamUser.expo_push_token,
-            "📦 Nhận vật tư mới",
-            `Đội ${team.name} được cấp ${quantity} ${supply.unit} ${supply.name}.`,
-            {
-              type: "supply_distributed",
-              team_id: teamId,
-              supply_id: supplyId,
-              supply_name: supply.name,
-              quantity,
-            },
-          );
-        }
+        await NotificationService.notify(
+          team.user_id,
+          "📦 Nhận vật tư mới",
+          `Đội ${team.name} được cấp ${quantity} ${supply.unit} ${supply.name}.`,
+          {
+            type: "supply_distributed",
+            team_id: teamId,
+            supply_id: supplyId,
+            supply_name: supply.name,
+            quantity,
+          },
+        );
       } catch (pushErr) {
         console.error("Push notification error (distribute):", pushErr);
       }
@@ -293,7 +400,7 @@ class SupplyService {
     }
   }
   static async bulkDistribute(items, managerId) {
-    // items = [{ supply_id, team_id, quantity, notes }, ...]
+    // items = [{ supply_id, team_id, quantity, notes, warehouse_id? }, ...]
     try {
       if (!items || items.length === 0) {
         throw new Error("Danh sách mặt hàng không được rỗng");
@@ -303,7 +410,7 @@ class SupplyService {
         const distributions = [];
 
         for (const item of items) {
-          const { supply_id, team_id, quantity, notes } = item;
+          const { supply_id, team_id, quantity, notes, warehouse_id } = item;
 
           if (!supply_id || !team_id || !quantity) {
             throw new Error(
@@ -317,42 +424,12 @@ class SupplyService {
           const team = await db.RescueTeam.findByPk(team_id);
           if (!team) throw new Error(`Đội ${team_id} không tồn tại`);
 
-          // Lấy các lô còn hàng, FIFO theo hạn SD
-          const imports = await this.SupplyImportModel.findAll({
-            where: { supply_id },
-            include: [
-              {
-                model: db.ImportBatch,
-                as: "batch",
-                where: { status: "completed" },
-              },
-            ],
-            order: [["expiry_date", "ASC NULLS LAST"]],
-            transaction: t,
-          });
-
-          const totalAvailable = imports.reduce(
-            (sum, i) => sum + i.remaining,
-            0,
+          // Kho được chọn hoặc kho gần đội nhất, lô chưa hết hạn FIFO
+          const source = await WarehouseService.pickSourceLots(
+            supply,
+            quantity,
+            { warehouseId: warehouse_id || null, team, transaction: t },
           );
-          if (totalAvailable < quantity) {
-            throw new Error(
-              `Không đủ số lượng cho "${supply.name}". Hiện có: ${totalAvailable} ${supply.unit}`,
-            );
-          }
-
-          // Trừ FIFO
-          let remaining = quantity;
-          for (const importItem of imports) {
-            if (remaining <= 0) break;
-            if (importItem.remaining <= 0) continue;
-            const toDeduct = Math.min(importItem.remaining, remaining);
-            await importItem.update(
-              { remaining: importItem.remaining - toDeduct },
-              { transaction: t },
-            );
-            remaining -= toDeduct;
-          }
 
           // Tạo phiếu xuất
           const distribution = await this.DistributionModel.create(
@@ -362,10 +439,25 @@ class SupplyService {
               quantity,
               distributed_by: managerId,
               notes: notes || null,
+              warehouse_id: source.warehouse_id,
             },
             { transaction: t },
           );
 
+          // Trừ FIFO, ghi lô đã xuất cho phiếu
+          await this.allocateDistributionLots(distribution, source.imports, t);
+
+          RealtimeService.publishSupply(supply_id, "distributed", {
+            transaction: t,
+            actor: { id: managerId },
+            teamIds: [team_id],
+            data: {
+              distribution_id: distribution.id,
+              team_id,
+              quantity,
+            },
+          });
+
           distributions.push(distribution);
         }
 
@@ -390,16 +482,14 @@ class SupplyService {
 
         for (const [tid, supplyItems] of Object.entries(teamMap)) {
           const team = await db.RescueTeam.findByPk(tid);
-          if (!team) continue;
-          const teamUser = await db.User.findByPk(team.user_id);
-          if (!teamUser?.expo_push_token) continue;
+          if (!team?.user_id) continue;
 
           const itemSummary = supplyItems
             .map((s) => `${s.quantity} ${s.unit} ${s.name}`)
             .join(", ");
 
-          await UserService.sendPushNotification(
-            teamUser.expo_push_token,
+          await NotificationService.notify(
+            team.user_id,
             "📦 Nhận vật tư mới",
             `Đội ${team.name} được cấp: ${itemSummary}.`,
             {
@@ -425,12 +515,13 @@ class SupplyService {
 
   static async getDistributions(filters = {}, page = 1, limit = 20) {
     try {
-      const { team_id, supply_id } = filters;
+      const { team_id, supply_id, warehouse_id } = filters;
       const offset = (page - 1) * limit;
 
       const where = {};
       if (team_id) where.team_id = team_id;
       if (supply_id) where.supply_id = supply_id;
+      if (warehouse_id) where.warehouse_id = warehouse_id;
 
       const { count, rows } = await this.DistributionModel.findAndCountAll({
         where,
@@ -453,6 +544,12 @@ class SupplyService {
             as: "manager",
             attributes: ["id", "username", "email"],
           },
+          {
+            model: db.Warehouse,
+            as: "warehouse",
+            attributes: ["id", "name", "province_city"],
+            paranoid: false,
+          },
         ],
       });
 
@@ -478,10 +575,19 @@ class SupplyService {
    */
   static async reportUsage(data) {
     try {
-      const { supply_id, team_id, rescue_request_id, quantity_used, reported_by, notes } = data;
+      const {
+        supply_id,
+        team_id,
+        rescue_request_id,
+        quantity_used,
+        reported_by,
+        notes,
+      } = data;
 
       if (!supply_id || !team_id || !rescue_request_id || !quantity_used) {
-        throw new Error("Thiếu thông tin bắt buộc: supply_id, team_id, rescue_request_id, quantity_used");
+        throw new Error(
+          "Thiếu thông tin bắt buộc: supply_id, team_id, rescue_request_id, quantity_used",
+        );
       }
 
       const supply = await this.SupplyModel.findByPk(supply_id);
@@ -493,17 +599,27 @@ class SupplyService {
       const request = await db.RescueRequest.findByPk(rescue_request_id);
       if (!request) throw new Error("Nhiệm vụ không tồn tại");
 
-      if (request.assigned_team_id !== team_id) {
+      // Đội lead hoặc đội hỗ trợ của nhiệm vụ đều báo cáo vật tư của đội mình
+      const onRequest = await RescueRequestTeamService.isTeamOnRequest(
+        request,
+        team_id,
+        {
+          includePast: true,
+        },
+      );
+      if (!onRequest) {
         throw new Error("Nhiệm vụ này không được giao cho đội của bạn");
       }
 
-      const totalReceived = await this.DistributionModel.sum("quantity", {
-        where: { team_id, supply_id },
-      }) || 0;
+      const totalReceived =
+        (await this.DistributionModel.sum("quantity", {
+          where: { team_id, supply_id },
+        })) || 0;
 
-      const totalUsed = await this.UsageModel.sum("quantity_used", {
-        where: { team_id, supply_id },
-      }) || 0;
+      const totalUsed =
+        (await this.UsageModel.sum("quantity_used", {
+          where: { team_id, supply_id },
+        })) || 0;
 
       const remaining = totalReceived - totalUsed;
 
@@ -513,20 +629,47 @@ class SupplyService {
         );
       }
 
-      const usage = await this.UsageModel.create({
-        supply_id,
-        team_id,
-        rescue_request_id,
-        quantity_used,
-        reported_by,
-        notes: notes || null,
+      const usage = await transaction(async (t) => {
+        const created = await this.UsageModel.create(
+          {
+            supply_id,
+            team_id,
+            rescue_request_id,
+            quantity_used,
+            reported_by,
+            notes: notes || null,
+          },
+          { transaction: t },
+        );
+        await this.allocateUsageLots(created, t);
+        return created;
+      });
+
+      RealtimeService.publishSupply(supply_id, "usage_reported", {
+        actor: reported_by ? { id: reported_by } : null,
+        teamIds: [team_id],
+        rooms: [`rescue_request:${rescue_request_id}`],
+        data: {
+          usage_id: usage.id,
+          team_id,
+          rescue_request_id,
+          quantity_used,
+        },
       });
 
       await usage.reload({
         include: [
-          { model: db.Supply, as: "supply", attributes: ["id", "name", "category", "unit"] },
+          {
+            model: db.Supply,
+            as: "supply",
+            attributes: ["id", "name", "category", "unit"],
+          },
           { model: db.RescueTeam, as: "team", attributes: ["id", "name"] },
-          { model: db.RescueRequest, as: "rescue_request", attributes: ["id", "category", "status", "district"] },
+          {
+            model: db.RescueRequest,
+            as: "rescue_request",
+            attributes: ["id", "category", "status", "district"],
+          },
         ],
       });
 
@@ -552,7 +695,14 @@ class SupplyService {
       const request = await db.RescueRequest.findByPk(rescueRequestId);
       if (!request) throw new Error("Nhiệm vụ không tồn tại");
 
-      if (request.assigned_team_id !== teamId) {
+      const onRequest = await RescueRequestTeamService.isTeamOnRequest(
+        request,
+        teamId,
+        {
+          includePast: true,
+        },
+      );
+      if (!onRequest) {
         throw new Error("Nhiệm vụ này không được giao cho đội của bạn");
       }
 
@@ -569,15 +719,17 @@ class SupplyService {
           const supply = await this.SupplyModel.findByPk(supply_id);
           if (!supply) throw new Error(`Mặt hàng ${supply_id} không tồn tại`);
 
-          const totalReceived = await this.DistributionModel.sum("quantity", {
-            where: { team_id: teamId, supply_id },
-            transaction: t,
-          }) || 0;
+          const totalReceived =
+            (await this.DistributionModel.sum("quantity", {
+              where: { team_id: teamId, supply_id },
+              transaction: t,
+            })) || 0;
 
-          const totalUsed = await this.UsageModel.sum("quantity_used", {
-            where: { team_id: teamId, supply_id },
-            transaction: t,
-          }) || 0;
+          const totalUsed =
+            (await this.UsageModel.sum("quantity_used", {
+              where: { team_id: teamId, supply_id },
+              transaction: t,
+            })) || 0;
 
           const remaining = totalReceived - totalUsed;
 
@@ -598,6 +750,20 @@ class SupplyService {
             },
             { transaction: t },
           );
+          await this.allocateUsageLots(usage, t);
+
+          RealtimeService.publishSupply(supply_id, "usage_reported", {
+            transaction: t,
+            actor: reportedBy ? { id: reportedBy } : null,
+            teamIds: [teamId],
+            rooms: [`rescue_request:${rescueRequestId}`],
+            data: {
+              usage_id: usage.id,
+              team_id: teamId,
+              rescue_request_id: rescueRequestId,
+              quantity_used,
+            },
+          });
 
           usages.push(usage);
         }
@@ -696,10 +862,22 @@ class SupplyService {
         offset: parseInt(offset),
         order: [["created_at", "DESC"]],
         include: [
-          { model: db.Supply, as: "supply", attributes: ["id", "name", "category", "unit"] },
+          {
+            model: db.Supply,
+            as: "supply",
+            attributes: ["id", "name", "category", "unit"],
+          },
           { model: db.RescueTeam, as: "team", attributes: ["id", "name"] },
-          { model: db.RescueRequest, as: "rescue_request", attributes: ["id", "category", "status", "district"] },
-          { model: db.User, as: "reporter", attributes: ["id", "username", "email"] },
+          {
+            model: db.RescueRequest,
+            as: "rescue_request",
+            attributes: ["id", "category", "status", "district"],
+          },
+          {
+            model: db.User,
+            as: "reporter",
+            attributes: ["id", "username", "email"],
+          },
         ],
       });
 
@@ -728,9 +906,17 @@ class SupplyService {
       const usages = await this.UsageModel.findAll({
         where: { rescue_request_id: rescueRequestId },
         include: [
-          { model: db.Supply, as: "supply", attributes: ["id", "name", "category", "unit"] },
+          {
+            model: db.Supply,
+            as: "supply",
+            attributes: ["id", "name", "category", "unit"],
+          },
           { model: db.RescueTeam, as: "team", attributes: ["id", "name"] },
-          { model: db.User, as: "reporter", attributes: ["id", "username", "email"] },
+          {
+            model: db.User,
+            as: "reporter",
+            attributes: ["id", "username", "email"],
+          },
         ],
         order: [["created_at", "DESC"]],
       });
@@ -0,0 +1,439 @@
+const { Op } = require("sequelize");
+const { db, transaction } = require("../config/database");
+const { env } = require("../config/env");
+const RealtimeService = require("./realtime");
+
+const WRITE_OFF_REASONS = ["expired", "damaged", "lost"];
+const MAX_CALENDAR_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SUPPLY_ATTRIBUTES = ["id", "name", "category", "unit", "province_city"];
+const BATCH_ATTRIBUTES = ["id", "name", "source", "donor_name", "import_date"];
+
+// Ngày dạng YYYY-MM-DD (theo múi giờ hệ thống) để so với cột DATEONLY
+const dateFormatter = new Intl.DateTimeFormat("en-CA", {
+  timeZone: env.TIMEZONE,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+});
+const toDateOnly = (date) => dateFormatter.format(date);
+
+// Giá trị cột DATEONLY giữ nguyên ngày đã lưu, không quy đổi múi giờ
+const lotDate = (value) =>
+  value instanceof Date
+    ? value.toISOString().slice(0, 10)
+    : String(value).slice(0, 10);
+
+let sweepTimer = null;
+
+/**
+ * Hạn sử dụng của hàng trong kho: lô quá hạn không được xuất, job định kỳ
+ * hủy phần còn lại (phiếu hủy lý do "expired"), manager lập phiếu hủy cho
+ * hàng hư hỏng / thất lạc, và lịch hết hạn để ưu tiên xuất hàng sắp hết hạn.
+ */
+class SupplyExpiryService {
+  static get SupplyImportModel() {
+    return db.SupplyImport;
+  }
+
+  static get WriteOffModel() {
+    return db.SupplyWriteOff;
+  }
+
+  /**
+   * Điều kiện where cho lô còn dùng được: không có hạn hoặc hạn từ hôm nay
+   * trở đi. Dùng khi tính tồn kho và khi xuất FIFO.
+   */
+  static usableLotWhere(now = new Date()) {
+    return {
+      [Op.or]: [
+        { expiry_date: null },
+        { expiry_date: { [Op.gte]: toDateOnly(now) } },
+      ],
+    };
+  }
+
+  static isExpired(lot, now = new Date()) {
+    if (!lot.expiry_date) return false;
+    return lotDate(lot.expiry_date) < toDateOnly(now);
+  }
+
+  /**
+   * Job hết hạn: lô (đợt nhập đã hoàn tất) quá hạn mà còn hàng → lập phiếu
+   * hủy cho phần còn lại, đưa remaining về 0 và đánh dấu expired_at.
+   */
+  static async expireLots(now = new Date()) {
+    try {
+      const expiredWhere = {
+        expiry_date: { [Op.lt]: toDateOnly(now) },
+        expired_at: null,
+      };
+      const lots = await this.SupplyImportModel.findAll({
+        where: { ...expiredWhere, remaining: { [Op.gt]: 0 } },
+        include: [
+          {
+            model: db.ImportBatch,
+            as: "batch",
+            where: { status: "completed" },
+            attributes: ["id"],
+          },
+          {
+            model: db.Supply,
+            as: "supply",
+            attributes: SUPPLY_ATTRIBUTES,
+            paranoid: false,
+          },
+        ],
+        order: [["expiry_date", "ASC"]],
+      });
+
+      const writeOffs = [];
+      for (const lot of lots) {
+        const writeOff = await transaction(async (t) => {
+          // Đọc lại dưới khóa: lô có thể vừa được xuất / hủy / trả hàng về
+          const locked = await this.SupplyImportModel.findByPk(lot.id, {
+            transaction: t,
+            lock: t.LOCK.UPDATE,
+          });
+          if (!locked || locked.expired_at) return null;
+          if (locked.remaining <= 0) {
+            await locked.update({ expired_at: now }, { transaction: t });
+            return null;
+          }
+          const created = await this.WriteOffModel.create(
+            {
+              import_id: locked.id,
+              batch_id: locked.batch_id,
+              supply_id: locked.supply_id,
+              quantity: locked.remaining,
+              reason: "expired",
+              notes: `Tự động hủy: hết hạn sử dụng ngày ${locked.expiry_date}`,
+              created_by: null,
+            },
+            { transaction: t },
+          );
+          await locked.update(
+            { remaining: 0, expired_at: now },
+            { transaction: t },
+          );
+          RealtimeService.publishSupply(locked.supply_id, "written_off", {
+            transaction: t,
+            data: {
+              write_off_id: created.id,
+              import_id: locked.id,
+              reason: "expired",
+              quantity: created.quantity,
+            },
+          });
+          return created;
+        });
+        if (writeOff) writeOffs.push({ writeOff, lot });
+      }
+
+      // Lô quá hạn nhưng đã xuất hết: chỉ đánh dấu
+      await this.SupplyImportModel.update(
+        { expired_at: now },
+        { where: { ...expiredWhere, remaining: 0 } },
+      );
+
+      const quantity = writeOffs.reduce(
+        (total, { writeOff }) => total + writeOff.quantity,
+        0,
+      );
+      if (writeOffs.length > 0) {
+        console.log(
+          `🗑️  Expiry sweep: wrote off ${writeOffs.length} lots (${quantity} units)`,
+        );
+        await this.notifyManagers(writeOffs);
+      }
+      return { lots: writeOffs.length, quantity };
+    } catch (error) {
+      console.error("Supply expiry sweep failed:", error);
+      return { lots: 0, quantity: 0 };
+    }
+  }
+
+  static async notifyManagers(writeOffs) {
+    try {
+      const NotificationService = require("./notification");
+      const managers = await db.User.findAll({
+        where: { role: "manager" },
+        attributes: ["id"],
+      });
+      const summary = writeOffs
+        .map(({ writeOff, lot }) =>
+          `${writeOff.quantity} ${lot.supply?.unit || ""} ${lot.supply?.name || ""}`.trim(),
+        )
+        .join(", ");
+      await NotificationService.notifyMany(
+        managers,
+        "🗑️ Hủy hàng hết hạn",
+        `Đã tự động hủy ${writeOffs.length} lô hết hạn: ${summary}.`,
+        {
+          type: "supply_expired",
+          write_off_ids: writeOffs.map(({ writeOff }) => writeOff.id),
+        },
+      );
+    } catch (error) {
+      console.error("Failed to notify managers about expired lots:", error);
+    }
+  }
+
+  /**
+   * Manager lập phiếu hủy cho một lô trong kho.
+   */
+  static async writeOff(importId, data = {}, managerId) {
+    try {
+      const { reason, notes } = data;
+      const quantity = Number(data.quantity);
+      if (!WRITE_OFF_REASONS.includes(reason)) {
+        throw new Error(
+          `Invalid write-off reason. Allowed: ${WRITE_OFF_REASONS.join(", ")}`,
+        );
+      }
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        throw new Error("Quantity must be a positive integer");
+      }
+
+      return await transaction(async (t) => {
+        // Khóa lô rồi mới kiểm tra tồn, tránh trừ trùng với phiếu xuất /
+        // chuyển kho chạy cùng lúc
+        const lot = await this.SupplyImportModel.findByPk(importId, {
+          include: [
+            {
+              model: db.ImportBatch,
+              as: "batch",
+              attributes: ["id", "status"],
+            },
+          ],
+          transaction: t,
+          lock: { level: t.LOCK.UPDATE, of: this.SupplyImportModel },
+        });
+        if (!lot) throw new Error("Supply lot not found");
+        if (lot.batch?.status !== "completed") {
+          throw new Error(
+            "Only lots of completed import batches can be written off",
+          );
+        }
+        if (quantity > lot.remaining) {
+          throw new Error(
+            `Write-off quantity exceeds lot remaining (${lot.remaining})`,
+          );
+        }
+
+        const writeOff = await this.WriteOffModel.create(
+          {
+            import_id: lot.id,
+            batch_id: lot.batch_id,
+            supply_id: lot.supply_id,
+            quantity,
+            reason,
+            notes: notes || null,
+            created_by: managerId,
+          },
+          { transaction: t },
+        );
+        await lot.update(
+          { remaining: lot.remaining - quantity },
+          { transaction: t },
+        );
+        RealtimeService.publishSupply(lot.supply_id, "written_off", {
+          transaction: t,
+          actor: managerId ? { id: managerId } : null,
+          data: {
+            write_off_id: writeOff.id,
+            import_id: lot.id,
+            reason,
+            quantity,
+          },
+        });
+        return writeOff;
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  static async getWriteOffs(filters = {}, page = 1, limit = 20) {
+    try {
+      const { reason, supply_id, batch_id, from, to } = filters;
+      const offset = (page - 1) * limit;
+
+      const where = {};
+      if (reason) where.reason = reason;
+      if (supply_id) where.supply_id = supply_id;
+      if (batch_id) where.batch_id = batch_id;
+      if (from || to) {
+        where.created_at = {};
+        if (from) where.created_at[Op.gte] = new Date(from);
+        if (to) where.created_at[Op.lte] = new Date(to);
+      }
+
+      const { count, rows } = await this.WriteOffModel.findAndCountAll({
+        where,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        order: [["created_at", "DESC"]],
+        include: [
+          {
+            model: db.Supply,
+            as: "supply",
+            attributes: SUPPLY_ATTRIBUTES,
+            paranoid: false,
+          },
+          { model: db.ImportBatch, as: "batch", attributes: BATCH_ATTRIBUTES },
+          {
+            model: db.SupplyImport,
+            as: "import",
+            attributes: ["id", "expiry_date", "condition"],
+          },
+          {
+            model: db.User,
+            as: "manager",
+            attributes: ["id", "username", "email"],
+          },
+        ],
+      });
+
+      return {
+        write_offs: rows.map((w) => w.toJSON()),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: count,
+          totalPages: Math.ceil(count / limit),
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Lịch hết hạn: các lô còn hàng hết hạn trong `days` ngày tới, gom theo
+   * tỉnh/thành (của kho chứa lô) rồi theo ngày hết hạn.
+   */
+  static async getExpiryCalendar(filters = {}, now = new Date()) {
+    try {
+      const days =
+        filters.days === undefined
+          ? env.SUPPLY_EXPIRY.CALENDAR_DEFAULT_DAYS
+          : Number(filters.days);
+      if (!Number.isInteger(days) || days < 0 || days > MAX_CALENDAR_DAYS) {
+        throw new Error(
+          `days must be an integer between 0 and ${MAX_CALENDAR_DAYS}`,
+        );
+      }
+      const from = toDateOnly(now);
+      const to = toDateOnly(new Date(now.getTime() + days * DAY_MS));
+
+      const stocked = await this.SupplyImportModel.findAll({
+        where: {
+          remaining: { [Op.gt]: 0 },
+          expiry_date: { [Op.between]: [from, to] },
+        },
+        include: [
+          {
+            model: db.ImportBatch,
+            as: "batch",
+            where: { status: "completed" },
+            attributes: BATCH_ATTRIBUTES,
+          },
+          {
+            model: db.Supply,
+            as: "supply",
+            attributes: SUPPLY_ATTRIBUTES,
+          },
+          {
+            model: db.Warehouse,
+            as: "warehouse",
+            attributes: ["id", "name", "province_city"],
+            paranoid: false,
+          },
+        ],
+        order: [["expiry_date", "ASC"]],
+      });
+
+      // Tỉnh/thành của kho chứa lô; hàng chưa phân kho lấy theo mặt hàng
+      const provinceOf = (lot) =>
+        lot.warehouse?.province_city || lot.supply.province_city;
+      const lots = filters.province_city
+        ? stocked.filter((lot) => provinceOf(lot) === filters.province_city)
+        : stocked;
+
+      const provinces = new Map();
+      lots.forEach((lot) => {
+        const province = provinceOf(lot);
+        const entry = provinces.get(province) || {
+          province_city: province,
+          total_lots: 0,
+          total_quantity: 0,
+          dates: new Map(),
+        };
+        entry.total_lots += 1;
+        entry.total_quantity += lot.remaining;
+        const day = entry.dates.get(lot.expiry_date) || [];
+        day.push({
+          import_id: lot.id,
+          supply: lot.supply.toJSON(),
+          batch: lot.batch.toJSON(),
+          warehouse: lot.warehouse?.toJSON() || null,
+          remaining: lot.remaining,
+          condition: lot.condition,
+          days_left: Math.round(
+            (new Date(lot.expiry_date) - new Date(from)) / DAY_MS,
+          ),
+        });
+        entry.dates.set(lot.expiry_date, day);
+        provinces.set(province, entry);
+      });
+
+      return {
+        from,
+        to,
+        days,
+        total_lots: lots.length,
+        total_quantity: lots.reduce((total, lot) => total + lot.remaining, 0),
+        provinces: [...provinces.values()]
+          .sort((a, b) => a.province_city.localeCompare(b.province_city))
+          .map((entry) => ({
+            ...entry,
+            dates: [...entry.dates.entries()].map(([date, items]) => ({
+              date,
+              quantity: items.reduce(
+                (total, item) => total + item.remaining,
+                0,
+              ),
+              lots: items,
+            })),
+          })),
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  static startWatcher() {
+    if (!env.SUPPLY_EXPIRY.SWEEP_ENABLED || sweepTimer) return;
+    // Quét ngay khi khởi động để không bỏ sót lô hết hạn lúc server tắt
+    this.expireLots().catch((error) =>
+      console.error("Supply expiry sweep failed:", error.message),
+    );
+    sweepTimer = setInterval(
+      () => this.expireLots(),
+      env.SUPPLY_EXPIRY.SWEEP_INTERVAL_SECONDS * 1000,
+    );
+    sweepTimer.unref();
+    console.log(
+      `🗑️  Supply expiry watcher started (every ${env.SUPPLY_EXPIRY.SWEEP_INTERVAL_SECONDS}s)`,
+    );
+  }
+
+  static stopWatcher() {
+    if (sweepTimer) clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+}
+
+module.exports = SupplyExpiryService;
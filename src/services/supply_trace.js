@@ -0,0 +1,352 @@
+const { db } = require("../config/database");
+
+const SUPPLY_ATTRIBUTES = ["id", "name", "category", "unit"];
+const BATCH_ATTRIBUTES = ["id", "name", "source", "donor_name", "import_date"];
+const REQUEST_ATTRIBUTES = [
+  "id",
+  "tracking_code",
+  "category",
+  "district",
+  "status",
+  "num_people",
+];
+
+const sum = (rows, pick) => rows.reduce((total, row) => total + pick(row), 0);
+
+/**
+ * Truy vết vật tư theo lô: đợt nhập (ImportBatch) → lô (SupplyImport) →
+ * phiếu xuất cho đội (SupplyDistributionLot) → báo cáo sử dụng cho nhiệm vụ
+ * (SupplyUsageLot). Lô tách ra khi chuyển kho được gộp về lô gốc. Hàng
+ * xuất / dùng trước khi có bảng phân bổ lô không truy vết được và được báo
+ * riêng (untraced).
+ */
+class SupplyTraceService {
+  /**
+   * GET /api/import-batches/:id/trace — hàng của một đợt nhập đã đi đâu.
+   */
+  static async getBatchTrace(batchId) {
+    try {
+      const batch = await db.ImportBatch.findByPk(batchId, {
+        include: [
+          {
+            model: db.SupplyImport,
+            as: "items",
+            include: [
+              {
+                model: db.Supply,
+                as: "supply",
+                attributes: SUPPLY_ATTRIBUTES,
+                paranoid: false,
+              },
+            ],
+          },
+        ],
+      });
+      if (!batch) throw new Error("Import batch not found");
+
+      const distributionLots = await db.SupplyDistributionLot.findAll({
+        where: { batch_id: batch.id },
+        include: [
+          {
+            model: db.SupplyDistribution,
+            as: "distribution",
+            attributes: ["id", "created_at"],
+          },
+          {
+            model: db.RescueTeam,
+            as: "team",
+            attributes: ["id", "name", "district"],
+            paranoid: false,
+          },
+        ],
+        order: [["created_at", "ASC"]],
+      });
+      const usageLots = await db.SupplyUsageLot.findAll({
+        where: { batch_id: batch.id },
+        include: [
+          {
+            model: db.SupplyUsage,
+            as: "usage",
+            attributes: ["id", "team_id", "supply_id", "created_at"],
+          },
+          {
+            model: db.RescueRequest,
+            as: "rescue_request",
+            attributes: REQUEST_ATTRIBUTES,
+            paranoid: false,
+          },
+        ],
+        order: [["created_at", "ASC"]],
+      });
+
+      const writeOffs = await db.SupplyWriteOff.findAll({
+        where: { batch_id: batch.id },
+        attributes: ["import_id", "quantity", "reason"],
+      });
+
+      // Mọi lô của đợt nhập, kể cả lô tách ra khi chuyển kho
+      const allLots = await db.SupplyImport.findAll({
+        where: { batch_id: batch.id },
+        attributes: ["id", "source_import_id", "warehouse_id", "remaining"],
+        include: [
+          {
+            model: db.Warehouse,
+            as: "warehouse",
+            attributes: ["id", "name", "province_city"],
+            paranoid: false,
+          },
+        ],
+      });
+      const rootOf = new Map(
+        allLots.map((lot) => [lot.id, lot.source_import_id || lot.id]),
+      );
+      const transitLots = await db.WarehouseTransferLot.findAll({
+        where: { batch_id: batch.id },
+        attributes: ["import_id", "quantity"],
+        include: [
+          {
+            model: db.WarehouseTransfer,
+            as: "transfer",
+            where: { status: "in_transit" },
+            attributes: ["id"],
+          },
+        ],
+      });
+      const ofItem = (rows, item) =>
+        rows.filter((row) => rootOf.get(row.import_id) === item.id);
+
+      const teams = new Map(
+        distributionLots.map((lot) => [lot.team_id, lot.team?.toJSON()]),
+      );
+      const supplies = new Map(
+        batch.items.map((item) => [item.supply_id, item.supply?.toJSON()]),
+      );
+
+      const items = batch.items.map((item) => {
+        const lots = ofItem(distributionLots, item);
+        const distributed = sum(lots, (lot) => lot.quantity);
+        const held = sum(lots, (lot) => lot.remaining);
+        const writtenOff = sum(ofItem(writeOffs, item), (w) => w.quantity);
+        const inTransit = sum(ofItem(transitLots, item), (lot) => lot.quantity);
+
+        const stored = allLots.filter(
+          (lot) => rootOf.get(lot.id) === item.id && lot.remaining > 0,
+        );
+        const inWarehouse = sum(stored, (lot) => lot.remaining);
+        const byWarehouse = new Map();
+        stored.forEach((lot) => {
+          const entry = byWarehouse.get(lot.warehouse_id) || {
+            warehouse: lot.warehouse?.toJSON() || null,
+            remaining: 0,
+          };
+          entry.remaining += lot.remaining;
+          byWarehouse.set(lot.warehouse_id, entry);
+        });
+        return {
+          import_id: item.id,
+          supply: item.supply?.toJSON() || { id: item.supply_id },
+          quantity: item.quantity,
+          in_warehouse: inWarehouse,
+          warehouses: [...byWarehouse.values()],
+          // Đang chuyển giữa các kho
+          in_transit: inTransit,
+          expiry_date: item.expiry_date,
+          condition: item.condition,
+          distributed,
+          used: distributed - held,
+          held_by_teams: held,
+          // Hủy khỏi kho (hết hạn, hư hỏng, thất lạc)
+          written_off: writtenOff,
+          // Đã xuất khỏi kho nhưng trước khi có bảng phân bổ lô
+          distributed_untraced: Math.max(
+            0,
+            item.quantity - inWarehouse - inTransit - distributed - writtenOff,
+          ),
+          distributions: lots.map((lot) => ({
+            distribution_id: lot.distribution_id,
+            team: lot.team?.toJSON() || { id: lot.team_id },
+            quantity: lot.quantity,
+            used: lot.quantity - lot.remaining,
+            held: lot.remaining,
+            distributed_at: lot.distribution?.created_at || lot.created_at,
+          })),
+        };
+      });
+
+      // Gộp theo (nhiệm vụ, đội, mặt hàng)
+      const missions = new Map();
+      usageLots.forEach((lot) => {
+        const teamId = lot.usage?.team_id;
+        const supplyId = lot.usage?.supply_id;
+        const key = `${lot.rescue_request_id}:${teamId}:${supplyId}`;
+        const entry = missions.get(key) || {
+          rescue_request: lot.rescue_request?.toJSON() || {
+            id: lot.rescue_request_id,
+          },
+          team: teams.get(teamId) || { id: teamId },
+          supply: supplies.get(supplyId) || { id: supplyId },
+          quantity: 0,
+          last_used_at: null,
+        };
+        entry.quantity += lot.quantity;
+        const usedAt = lot.usage?.created_at || lot.created_at;
+        if (!entry.last_used_at || usedAt > entry.last_used_at) {
+          entry.last_used_at = usedAt;
+        }
+        missions.set(key, entry);
+      });
+
+      const byTeam = new Map();
+      distributionLots.forEach((lot) => {
+        const entry = byTeam.get(lot.team_id) || {
+          team: teams.get(lot.team_id) || { id: lot.team_id },
+          received: 0,
+          used: 0,
+          held: 0,
+        };
+        entry.received += lot.quantity;
+        entry.used += lot.quantity - lot.remaining;
+        entry.held += lot.remaining;
+        byTeam.set(lot.team_id, entry);
+      });
+
+      return {
+        batch: {
+          id: batch.id,
+          name: batch.name,
+          source: batch.source,
+          donor_name: batch.donor_name,
+          import_date: batch.import_date,
+          status: batch.status,
+        },
+        totals: {
+          imported: sum(items, (item) => item.quantity),
+          in_warehouse: sum(items, (item) => item.in_warehouse),
+          in_transit: sum(items, (item) => item.in_transit),
+          distributed: sum(items, (item) => item.distributed),
+          used: sum(items, (item) => item.used),
+          held_by_teams: sum(items, (item) => item.held_by_teams),
+          written_off: sum(items, (item) => item.written_off),
+          distributed_untraced: sum(items, (item) => item.distributed_untraced),
+          missions: new Set(usageLots.map((lot) => lot.rescue_request_id)).size,
+        },
+        items,
+        teams: [...byTeam.values()],
+        missions: [...missions.values()],
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * GET /api/rescue-requests/:id/provenance — vật tư dùng cho nhiệm vụ
+   * đến từ những đợt nhập / nhà tài trợ nào.
+   */
+  static async getMissionProvenance(requestId) {
+    try {
+      const request = await db.RescueRequest.findByPk(requestId, {
+        attributes: REQUEST_ATTRIBUTES,
+      });
+      if (!request) throw new Error("Rescue request not found");
+
+      const usages = await db.SupplyUsage.findAll({
+        where: { rescue_request_id: request.id },
+        include: [
+          {
+            model: db.Supply,
+            as: "supply",
+            attributes: SUPPLY_ATTRIBUTES,
+            paranoid: false,
+          },
+          {
+            model: db.RescueTeam,
+            as: "team",
+            attributes: ["id", "name"],
+            paranoid: false,
+          },
+          {
+            model: db.SupplyUsageLot,
+            as: "lots",
+            include: [
+              {
+                model: db.ImportBatch,
+                as: "batch",
+                attributes: BATCH_ATTRIBUTES,
+                paranoid: false,
+              },
+              {
+                model: db.SupplyImport,
+                as: "import",
+                attributes: ["id", "expiry_date", "condition"],
+              },
+            ],
+          },
+        ],
+        order: [["created_at", "ASC"]],
+      });
+
+      const batches = new Map();
+      const supplies = usages.map((usage) => {
+        const traced = sum(usage.lots, (lot) => lot.quantity);
+        usage.lots.forEach((lot) => {
+          const entry = batches.get(lot.batch_id) || {
+            batch: lot.batch?.toJSON() || { id: lot.batch_id },
+            quantity: 0,
+            supplies: new Map(),
+          };
+          entry.quantity += lot.quantity;
+          entry.supplies.set(
+            usage.supply_id,
+            (entry.supplies.get(usage.supply_id) || 0) + lot.quantity,
+          );
+          batches.set(lot.batch_id, entry);
+        });
+        return {
+          usage_id: usage.id,
+          supply: usage.supply?.toJSON() || { id: usage.supply_id },
+          team: usage.team?.toJSON() || { id: usage.team_id },
+          quantity_used: usage.quantity_used,
+          reported_at: usage.created_at,
+          traced_quantity: traced,
+          untraced_quantity: usage.quantity_used - traced,
+          lots: usage.lots.map((lot) => ({
+            batch: lot.batch?.toJSON() || { id: lot.batch_id },
+            import_id: lot.import_id,
+            expiry_date: lot.import?.expiry_date || null,
+            condition: lot.import?.condition || null,
+            quantity: lot.quantity,
+          })),
+        };
+      });
+
+      const supplyNames = new Map(
+        usages.map((usage) => [usage.supply_id, usage.supply?.name || null]),
+      );
+      const used = sum(supplies, (s) => s.quantity_used);
+      const traced = sum(supplies, (s) => s.traced_quantity);
+
+      return {
+        rescue_request: request.toJSON(),
+        totals: { used, traced, untraced: used - traced },
+        batches: [...batches.values()]
+          .sort((a, b) => b.quantity - a.quantity)
+          .map((entry) => ({
+            ...entry,
+            supplies: [...entry.supplies.entries()].map(
+              ([supplyId, quantity]) => ({
+                supply_id: supplyId,
+                name: supplyNames.get(supplyId),
+                quantity,
+              }),
+            ),
+          })),
+        supplies,
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = SupplyTraceService;
@@ -0,0 +1,285 @@
+const { db } = require("../config/database");
+const { haversineDistance } = require("../utils/geo");
+
+// Cho phép lệch đồng hồ thiết bị tối đa 5 phút về tương lai
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+// Số điểm tối đa mỗi lần gửi bù qua REST
+const MAX_BATCH_POINTS = 500;
+
+const toOptionalNumber = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+};
+
+/**
+ * Vị trí trực tiếp của đội: cập nhật vị trí hiện tại trên RescueTeam,
+ * lưu breadcrumb theo nhiệm vụ đang on_mission và phát realtime cho
+ * coordinator đang mở bản đồ (room MAP_ROOM).
+ */
+class TeamLocationService {
+  static get TeamLocationModel() {
+    return db.TeamLocation;
+  }
+
+  static normalizePoint(point = {}) {
+    const latitude = Number(point.latitude);
+    const longitude = Number(point.longitude);
+    if (
+      !Number.isFinite(latitude) ||
+      !Number.isFinite(longitude) ||
+      latitude < -90 ||
+      latitude > 90 ||
+      longitude < -180 ||
+      longitude > 180
+    ) {
+      throw new Error("Invalid latitude/longitude");
+    }
+
+    const now = Date.now();
+    let recordedAt = point.recorded_at ? new Date(point.recorded_at) : null;
+    if (!recordedAt || Number.isNaN(recordedAt.getTime())) {
+      recordedAt = new Date(now);
+    } else if (recordedAt.getTime() > now + MAX_CLOCK_SKEW_MS) {
+      recordedAt = new Date(now);
+    }
+
+    return {
+      latitude,
+      longitude,
+      accuracy_m: toOptionalNumber(point.accuracy ?? point.accuracy_m),
+      heading: toOptionalNumber(point.heading),
+      speed_mps: toOptionalNumber(point.speed ?? point.speed_mps),
+      recorded_at: recordedAt,
+    };
+  }
+
+  /**
+   * Ghi nhận 1 hoặc nhiều điểm GPS từ tài khoản rescue_team.
+   * points: object hoặc array (gửi bù khi mất kết nối socket).
+   */
+  static async recordLocation(userId, points, { source = "socket" } = {}) {
+    try {
+      const team = await db.RescueTeam.findOne({ where: { user_id: userId } });
+      if (!team) throw new Error("No team associated with this account");
+
+      const list = (Array.isArray(points) ? points : [points]).map((p) =>
+        this.normalizePoint(p),
+      );
+      if (list.length === 0) throw new Error("No location provided");
+      if (list.length > MAX_BATCH_POINTS) {
+        throw new Error(`Too many points (max ${MAX_BATCH_POINTS})`);
+      }
+      list.sort((a, b) => a.recorded_at - b.recorded_at);
+
+      // Đội chỉ làm 1 nhiệm vụ on_mission tại một thời điểm (lead hoặc hỗ trợ)
+      const RescueRequestTeamService = require("./rescue_request_team");
+      const mission = await RescueRequestTeamService.findActiveMission(team.id);
+
+      // Bỏ điểm ghi trước lúc nhận nhiệm vụ (dữ liệu gửi bù còn sót)
+      const missionPoints = mission
+        ? list.filter(
+            (p) =>
+              !mission.started_at ||
+              p.recorded_at >= new Date(mission.started_at),
+          )
+        : [];
+      if (missionPoints.length > 0) {
+        await this.TeamLocationModel.bulkCreate(
+          missionPoints.map((p) => ({
+            ...p,
+            team_id: team.id,
+            rescue_request_id: mission.id,
+            source,
+          })),
+        );
+      }
+
+      // Chỉ cập nhật vị trí hiện tại nếu điểm mới hơn điểm đã lưu
+      const latest = list[list.length - 1];
+      const isNewer =
+        !team.location_updated_at ||
+        latest.recorded_at >= new Date(team.location_updated_at);
+      if (isNewer) {
+        await team.update({
+          latitude: latest.latitude,
+          longitude: latest.longitude,
+          location_updated_at: latest.recorded_at,
+        });
+        this.broadcast(team, mission, latest);
+      }
+
+      return {
+        team_id: team.id,
+        rescue_request_id: mission?.id || null,
+        received: list.length,
+        stored: missionPoints.length,
+        latest,
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  static broadcast(team, mission, point) {
+    try {
+      const { getIO, MAP_ROOM } = require("../config/socket");
+      getIO()
+        .to(MAP_ROOM)
+        .emit("team:location", {
+          team_id: team.id,
+          team_name: team.name,
+          team_status: team.status,
+          rescue_request_id: mission?.id || null,
+          ...point,
+          recorded_at: point.recorded_at.toISOString(),
+        });
+    } catch (e) {
+      console.error("Socket emit team:location:", e);
+    }
+  }
+
+  /**
+   * Lộ trình các đội đã đi cho một nhiệm vụ (theo thứ tự thời gian).
+   * Tài khoản rescue_team chỉ xem được lộ trình của đội mình.
+   */
+  static async getMissionTrack(requestId, user) {
+    try {
+      const RescueRequestService = require("./rescue_request");
+      const request =
+        await RescueRequestService.getRescueRequestById(requestId);
+
+      const where = { rescue_request_id: request.id };
+      if (user?.role === "rescue_team") {
+        const team = await db.RescueTeam.findOne({
+          where: { user_id: user.id },
+        });
+        if (!team) throw new Error("No team associated with this account");
+        const RescueRequestTeamService = require("./rescue_request_team");
+        const wasAssigned = await RescueRequestTeamService.isTeamOnRequest(
+          request,
+          team.id,
+          { includePast: true },
+        );
+        if (!wasAssigned) {
+          throw new Error("This mission is not assigned to your team");
+        }
+        where.team_id = team.id;
+      }
+
+      const points = await this.TeamLocationModel.findAll({
+        where,
+        include: [
+          {
+            model: db.RescueTeam,
+            as: "team",
+            attributes: ["id", "name"],
+            paranoid: false,
+          },
+        ],
+        order: [["recorded_at", "ASC"]],
+      });
+
+      const tracks = new Map();
+      points.forEach((p) => {
+        if (!tracks.has(p.team_id)) {
+          tracks.set(p.team_id, {
+            team_id: p.team_id,
+            team_name: p.team?.name || null,
+            started_at: p.recorded_at,
+            ended_at: p.recorded_at,
+            point_count: 0,
+            distance_m: 0,
+            points: [],
+          });
+        }
+        const track = tracks.get(p.team_id);
+        const previous = track.points[track.points.length - 1];
+        const point = {
+          latitude: Number(p.latitude),
+          longitude: Number(p.longitude),
+          accuracy_m: p.accuracy_m,
+          heading: p.heading,
+          speed_mps: p.speed_mps,
+          recorded_at: p.recorded_at,
+        };
+        if (previous) {
+          track.distance_m += haversineDistance(
+            previous.latitude,
+            previous.longitude,
+            point.latitude,
+            point.longitude,
+          );
+        }
+        track.points.push(point);
+        track.point_count += 1;
+        track.ended_at = p.recorded_at;
+      });
+
+      return {
+        rescue_request_id: request.id,
+        status: request.status,
+        destination:
+          request.latitude != null && request.longitude != null
+            ? {
+                latitude: Number(request.latitude),
+                longitude: Number(request.longitude),
+              }
+            : null,
+        tracks: [...tracks.values()].map((t) => ({
+          ...t,
+          distance_m: Math.round(t.distance_m),
+        })),
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * GeoJSON: mỗi đội là 1 LineString, kèm điểm đến của yêu cầu.
+   */
+  static trackToGeoJSON(track) {
+    const features = track.tracks.map((t) => ({
+      type: "Feature",
+      id: t.team_id,
+      geometry: {
+        type: t.points.length > 1 ? "LineString" : "Point",
+        coordinates:
+          t.points.length > 1
+            ? t.points.map((p) => [p.longitude, p.latitude])
+            : [t.points[0].longitude, t.points[0].latitude],
+      },
+      properties: {
+        team_id: t.team_id,
+        team_name: t.team_name,
+        started_at: t.started_at,
+        ended_at: t.ended_at,
+        point_count: t.point_count,
+        distance_m: t.distance_m,
+        timestamps: t.points.map((p) => p.recorded_at),
+      },
+    }));
+    if (track.destination) {
+      features.push({
+        type: "Feature",
+        id: track.rescue_request_id,
+        geometry: {
+          type: "Point",
+          coordinates: [
+            track.destination.longitude,
+            track.destination.latitude,
+          ],
+        },
+        properties: { kind: "destination", status: track.status },
+      });
+    }
+    return {
+      type: "FeatureCollection",
+      rescue_request_id: track.rescue_request_id,
+      features,
+    };
+  }
+}
+
+module.exports = TeamLocationService;
@@ -0,0 +1,371 @@
+const { Op } = require("sequelize");
+const { db } = require("../config/database");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+// Số lý do từ chối phổ biến nhất trả về cho mỗi đội
+const TOP_REJECT_REASONS = 5;
+
+// Trọng số điểm tổng hợp trên leaderboard (các chỉ số thiếu dữ liệu bị bỏ qua)
+const SCORE_WEIGHTS = {
+  acceptance_rate: 0.3,
+  completion_rate: 0.4,
+  citizen_confirmation_rate: 0.3,
+};
+
+// Tiêu chí sắp xếp leaderboard → chiều tốt hơn
+const SORT_FIELDS = {
+  score: "desc",
+  missions_completed: "desc",
+  acceptance_rate: "desc",
+  completion_rate: "desc",
+  citizen_confirmation_rate: "desc",
+  avg_accept_minutes: "asc",
+  avg_complete_minutes: "asc",
+  supplies_per_mission: "asc",
+};
+
+const round = (value, digits = 1) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+const average = (values) =>
+  values.length
+    ? round(values.reduce((sum, v) => sum + v, 0) / values.length)
+    : null;
+const ratio = (count, total) => (total > 0 ? round(count / total, 4) : null);
+const minutesBetween = (from, to) =>
+  Math.max(0, (new Date(to) - new Date(from)) / 60000);
+
+/**
+ * Hiệu suất đội cứu hộ theo khoảng thời gian, tính từ các dòng phân công
+ * (RescueRequestTeam, lọc theo assigned_at): tỉ lệ nhận / từ chối, thời gian
+ * nhận và hoàn thành, kết quả nhiệm vụ, xác nhận của người dân và vật tư
+ * đã dùng (SupplyUsage). Yêu cầu tạo trước khi có bảng phân công được dựng
+ * dòng lúc khởi động (RescueRequestTeamService.backfillLegacyAssignments).
+ */
+class TeamPerformanceService {
+  static get AssignmentModel() {
+    return db.RescueRequestTeam;
+  }
+
+  static get UsageModel() {
+    return db.SupplyUsage;
+  }
+
+  /**
+   * from/to dạng ISO; mặc định 30 ngày gần nhất.
+   */
+  static parseRange({ from = null, to = null } = {}) {
+    const end = to ? new Date(to) : new Date();
+    const start = from
+      ? new Date(from)
+      : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      throw new Error("Invalid date range");
+    }
+    if (start > end) throw new Error("'from' must be before 'to'");
+    if (end - start > MAX_RANGE_DAYS * DAY_MS) {
+      throw new Error(`Date range must not exceed ${MAX_RANGE_DAYS} days`);
+    }
+    return { from: start, to: end };
+  }
+
+  static async loadRows(range, teamIds = null) {
+    const where = {
+      assigned_at: { [Op.between]: [range.from, range.to] },
+    };
+    if (teamIds) where.team_id = { [Op.in]: teamIds };
+    return await this.AssignmentModel.findAll({
+      where,
+      include: [
+        {
+          model: db.RescueRequest,
+          as: "rescue_request",
+          attributes: [
+            "id",
+            "status",
+            "team_reject_reason",
+            "citizen_confirmation",
+          ],
+          paranoid: false,
+        },
+      ],
+      order: [["assigned_at", "ASC"]],
+    });
+  }
+
+  static async loadUsages(rows) {
+    const requestIds = [...new Set(rows.map((row) => row.rescue_request_id))];
+    if (requestIds.length === 0) return [];
+    return await this.UsageModel.findAll({
+      where: { rescue_request_id: { [Op.in]: requestIds } },
+      include: [
+        {
+          model: db.Supply,
+          as: "supply",
+          attributes: ["id", "name", "category", "unit"],
+          paranoid: false,
+        },
+      ],
+    });
+  }
+
+  /**
+   * Kết quả của đội: ưu tiên báo cáo của chính đội, nếu không có thì lấy
+   * kết quả coordinator xác nhận cho cả yêu cầu.
+   */
+  static outcomeOf(row) {
+    const outcome = row.team_report?.outcome;
+    if (["completed", "partially_completed"].includes(outcome)) return outcome;
+    return row.rescue_request?.status === "partially_completed"
+      ? "partially_completed"
+      : "completed";
+  }
+
+  /**
+   * Hàm thuần: chỉ số của một đội từ các dòng phân công và SupplyUsage
+   * của đội đó.
+   */
+  static summarize(rows, usages = []) {
+    const accepted = rows.filter(
+      (row) => row.responded_at && row.status !== "rejected",
+    );
+    const rejected = rows.filter((row) => row.status === "rejected");
+    const completed = accepted.filter((row) => row.status === "completed");
+    const outcomes = completed.map((row) => this.outcomeOf(row));
+    const fullyCompleted = outcomes.filter((o) => o === "completed").length;
+
+    // Lý do từ chối: dòng phân công, dữ liệu cũ lấy team_reject_reason của yêu cầu
+    const reasons = new Map();
+    rejected.forEach((row) => {
+      const reason = (
+        row.reject_reason ||
+        row.rescue_request?.team_reject_reason ||
+        ""
+      ).trim();
+      if (!reason) return;
+      const key = reason.toLowerCase();
+      const entry = reasons.get(key) || { reason, count: 0 };
+      entry.count += 1;
+      reasons.set(key, entry);
+    });
+
+    const confirmations = completed.map(
+      (row) => row.rescue_request?.citizen_confirmation || null,
+    );
+    const citizenConfirmed = confirmations.filter(
+      (c) => c?.confirmed === true,
+    ).length;
+    const citizenDisputed = confirmations.filter(
+      (c) => c?.confirmed === false,
+    ).length;
+
+    // Vật tư: chỉ tính trên các nhiệm vụ đội đã nhận
+    const missionIds = new Set(accepted.map((row) => row.rescue_request_id));
+    const missionUsages = usages.filter((u) =>
+      missionIds.has(u.rescue_request_id),
+    );
+    const items = new Map();
+    missionUsages.forEach((usage) => {
+      const entry = items.get(usage.supply_id) || {
+        supply_id: usage.supply_id,
+        name: usage.supply?.name || null,
+        category: usage.supply?.category || null,
+        unit: usage.supply?.unit || null,
+        quantity: 0,
+      };
+      entry.quantity += usage.quantity_used;
+      items.set(usage.supply_id, entry);
+    });
+    const totalQuantity = missionUsages.reduce(
+      (sum, u) => sum + u.quantity_used,
+      0,
+    );
+    const perMission = (quantity) =>
+      missionIds.size > 0 ? round(quantity / missionIds.size, 2) : null;
+
+    const acceptanceRate = ratio(
+      accepted.length,
+      accepted.length + rejected.length,
+    );
+    const completionRate = ratio(fullyCompleted, completed.length);
+    const citizenConfirmationRate = ratio(citizenConfirmed, completed.length);
+
+    return {
+      missions_assigned: rows.length,
+      missions_accepted: accepted.length,
+      missions_rejected: rejected.length,
+      // Bị gỡ trước khi đội phản hồi (hết hạn auto-dispatch, đổi đội...)
+      missions_unanswered: rows.filter(
+        (row) => row.status === "released" && !row.responded_at,
+      ).length,
+      missions_pending: rows.filter((row) => row.status === "assigned").length,
+      missions_in_progress: accepted.filter((row) =>
+        ["accepted", "reported"].includes(row.status),
+      ).length,
+      missions_completed: completed.length,
+      missions_failed: accepted.filter((row) => row.status === "failed").length,
+      acceptance_rate: acceptanceRate,
+      reject_reasons: [...reasons.values()]
+        .sort((a, b) => b.count - a.count)
+        .slice(0, TOP_REJECT_REASONS),
+      avg_accept_minutes: average(
+        accepted.map((row) =>
+          minutesBetween(row.assigned_at, row.responded_at),
+        ),
+      ),
+      avg_complete_minutes: average(
+        completed.map((row) =>
+          minutesBetween(row.responded_at, row.reported_at || row.ended_at),
+        ),
+      ),
+      outcomes: {
+        completed: fullyCompleted,
+        partially_completed: completed.length - fullyCompleted,
+      },
+      completion_rate: completionRate,
+      citizen_confirmation: {
+        confirmed: citizenConfirmed,
+        disputed: citizenDisputed,
+        no_response: completed.length - citizenConfirmed - citizenDisputed,
+      },
+      citizen_confirmation_rate: citizenConfirmationRate,
+      supplies: {
+        total_quantity: totalQuantity,
+        per_mission: perMission(totalQuantity),
+        missions_with_usage: new Set(
+          missionUsages.map((u) => u.rescue_request_id),
+        ).size,
+        items: [...items.values()]
+          .sort((a, b) => b.quantity - a.quantity)
+          .map((item) => ({ ...item, per_mission: perMission(item.quantity) })),
+      },
+      score: this.score({
+        acceptance_rate: acceptanceRate,
+        completion_rate: completionRate,
+        citizen_confirmation_rate: citizenConfirmationRate,
+      }),
+    };
+  }
+
+  /**
+   * Điểm 0-100: trung bình có trọng số của các tỉ lệ có dữ liệu.
+   */
+  static score(rates) {
+    let total = 0;
+    let weight = 0;
+    Object.entries(SCORE_WEIGHTS).forEach(([key, w]) => {
+      if (rates[key] === null || rates[key] === undefined) return;
+      total += rates[key] * w;
+      weight += w;
+    });
+    return weight > 0 ? round((total / weight) * 100) : null;
+  }
+
+  /**
+   * GET /api/rescue-teams/:id/performance
+   */
+  static async getTeamPerformance(teamId, filters = {}) {
+    try {
+      const team = await db.RescueTeam.findByPk(teamId);
+      if (!team) throw new Error("Team not found");
+      const range = this.parseRange(filters);
+
+      const rows = await this.loadRows(range, [team.id]);
+      const usages = await this.loadUsages(rows);
+
+      return {
+        team: {
+          id: team.id,
+          name: team.name,
+          district: team.district,
+          status: team.status,
+        },
+        period: range,
+        ...this.summarize(
+          rows,
+          usages.filter((u) => u.team_id === team.id),
+        ),
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * GET /api/rescue-teams/leaderboard
+   * Xếp hạng đội theo `sort_by`; đội có ít hơn `min_missions` lượt phân công
+   * trong kỳ không được xếp hạng.
+   */
+  static async getLeaderboard(filters = {}) {
+    try {
+      const range = this.parseRange(filters);
+      const sortBy = filters.sort_by || "score";
+      if (!(sortBy in SORT_FIELDS)) {
+        throw new Error(
+          `Invalid sort_by. Allowed: ${Object.keys(SORT_FIELDS).join(", ")}`,
+        );
+      }
+      const limit = Math.max(1, Math.min(parseInt(filters.limit) || 20, 100));
+      const minMissions = Math.max(1, parseInt(filters.min_missions) || 1);
+
+      const teamWhere = {};
+      if (filters.district) teamWhere.district = filters.district;
+      const teams = await db.RescueTeam.findAll({
+        where: teamWhere,
+        attributes: ["id", "name", "district", "status"],
+      });
+      const teamIds = teams.map((team) => team.id);
+      const rows = teamIds.length ? await this.loadRows(range, teamIds) : [];
+      const usages = await this.loadUsages(rows);
+
+      const direction = SORT_FIELDS[sortBy] === "asc" ? 1 : -1;
+      const metric = (entry) =>
+        sortBy === "supplies_per_mission"
+          ? entry.supplies.per_mission
+          : entry[sortBy];
+
+      const ranked = teams
+        .map((team) => ({
+          team: team.toJSON(),
+          ...this.summarize(
+            rows.filter((row) => row.team_id === team.id),
+            usages.filter((u) => u.team_id === team.id),
+          ),
+        }))
+        .filter((entry) => entry.missions_assigned >= minMissions)
+        .sort((a, b) => {
+          const va = metric(a);
+          const vb = metric(b);
+          // Thiếu dữ liệu xếp cuối
+          if (va === null && vb === null) return 0;
+          if (va === null) return 1;
+          if (vb === null) return -1;
+          return (
+            (va - vb) * direction || b.missions_completed - a.missions_completed
+          );
+        });
+
+      return {
+        period: range,
+        sort_by: sortBy,
+        score_weights: SCORE_WEIGHTS,
+        total_ranked: ranked.length,
+        teams: ranked
+          .slice(0, limit)
+          .map(({ reject_reasons, supplies, ...entry }, index) => ({
+            rank: index + 1,
+            ...entry,
+            top_reject_reason: reject_reasons[0]?.reason || null,
+            supplies_per_mission: supplies.per_mission,
+          })),
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = TeamPerformanceService;
@@ -0,0 +1,560 @@
+const { Op } = require("sequelize");
+const { db, transaction } = require("../config/database");
+const { env } = require("../config/env");
+const { normalizeText } = require("../utils");
+
+let sweepTimer = null;
+
+const MEMBER_FIELDS = [
+  "full_name",
+  "phone_number",
+  "skills",
+  "certifications",
+  "notes",
+];
+// Ca còn hiệu lực — dùng để kiểm tra trùng giờ
+const OPEN_SHIFT_STATUSES = ["scheduled", "checked_in"];
+
+const parseDate = (value, field) => {
+  const date = new Date(value);
+  if (value == null || value === "" || Number.isNaN(date.getTime())) {
+    throw new Error(`${field} must be a valid date`);
+  }
+  return date;
+};
+
+/**
+ * Thành viên, ca trực và check-in / check-out của đội cứu hộ. Khi đội có
+ * thành viên (roster_managed), available_members = số thành viên đang
+ * check-in và status available / unavailable suy ra từ đó (hook của
+ * RescueTeam); on_mission vẫn do luồng nhiệm vụ quản lý.
+ */
+class TeamRosterService {
+  static get TeamMemberModel() {
+    return db.TeamMember;
+  }
+
+  static get TeamShiftModel() {
+    return db.TeamShift;
+  }
+
+  static async getTeam(teamId, options = {}) {
+    const team = await db.RescueTeam.findByPk(teamId, options);
+    if (!team) throw new Error("Team not found");
+    return team;
+  }
+
+  static async getTeamIdForUser(userId) {
+    const team = await db.RescueTeam.findOne({ where: { user_id: userId } });
+    if (!team) throw new Error("No team associated with this account");
+    return team.id;
+  }
+
+  static async getMember(teamId, memberId, options = {}) {
+    const member = await this.TeamMemberModel.findOne({
+      where: { id: memberId, team_id: teamId },
+      ...options,
+    });
+    if (!member) throw new Error("Member not found");
+    return member;
+  }
+
+  /**
+   * Chuẩn hoá body thành viên. partial = true khi cập nhật (chỉ field gửi lên).
+   */
+  static normalizeMemberInput(data = {}, { partial = false } = {}) {
+    const result = {};
+    MEMBER_FIELDS.forEach((field) => {
+      if (data[field] !== undefined) result[field] = data[field];
+    });
+
+    if (!partial || result.full_name !== undefined) {
+      const fullName = String(result.full_name ?? "").trim();
+      if (fullName.length < 2 || fullName.length > 100) {
+        throw new Error("full_name must be between 2 and 100 characters");
+      }
+      result.full_name = fullName;
+    }
+    if (result.phone_number !== undefined) {
+      result.phone_number = result.phone_number
+        ? String(result.phone_number).trim()
+        : null;
+    }
+    if (result.skills !== undefined) {
+      if (!Array.isArray(result.skills)) {
+        throw new Error("skills must be an array of strings");
+      }
+      const seen = new Set();
+      result.skills = result.skills
+        .map((skill) => String(skill ?? "").trim())
+        .filter((skill) => {
+          const key = normalizeText(skill);
+          if (!key || seen.has(key)) return false;
+          seen.add(key);
+          return true;
+        });
+    }
+    if (result.certifications !== undefined) {
+      if (!Array.isArray(result.certifications)) {
+        throw new Error("certifications must be an array");
+      }
+      result.certifications = result.certifications.map((cert, i) => {
+        const name = String(cert?.name ?? "").trim();
+        if (!name) throw new Error(`certifications[${i}].name is required`);
+        return {
+          name,
+          issued_by: cert.issued_by ? String(cert.issued_by).trim() : null,
+          number: cert.number ? String(cert.number).trim() : null,
+          expires_at: cert.expires_at
+            ? parseDate(
+                cert.expires_at,
+                `certifications[${i}].expires_at`,
+              ).toISOString()
+            : null,
+        };
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Đồng bộ available_members (và status qua hook) theo số thành viên
+   * đang trong ca.
+   */
+  static async refreshTeam(teamId, { transaction: t = null } = {}) {
+    const team = await this.getTeam(teamId, { transaction: t });
+    const onDuty = await this.TeamShiftModel.count({
+      where: { team_id: teamId, status: "checked_in" },
+      distinct: true,
+      col: "member_id",
+      transaction: t,
+    });
+    const changes = { available_members: onDuty };
+    if (!team.roster_managed) changes.roster_managed = true;
+    await team.update(changes, { transaction: t });
+    return team;
+  }
+
+  static async addMember(teamId, data) {
+    try {
+      const team = await this.getTeam(teamId);
+      const payload = this.normalizeMemberInput(data);
+      const activeCount = await this.TeamMemberModel.count({
+        where: { team_id: teamId, status: "active" },
+      });
+      if (activeCount >= team.capacity) {
+        throw new Error(
+          `Team '${team.name}' is at capacity (${team.capacity} members)`,
+        );
+      }
+
+      return await transaction(async (t) => {
+        const member = await this.TeamMemberModel.create(
+          { ...payload, team_id: teamId, status: "active" },
+          { transaction: t },
+        );
+        // Thành viên đầu tiên → đội chuyển sang tính sẵn sàng theo ca trực
+        await this.refreshTeam(teamId, { transaction: t });
+        return member;
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  static async updateMember(teamId, memberId, data) {
+    try {
+      const member = await this.getMember(teamId, memberId);
+      const payload = this.normalizeMemberInput(data, { partial: true });
+      await member.update(payload);
+      return member;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Ngừng hoạt động thành viên: check-out nếu đang trực, huỷ các ca chưa tới.
+   */
+  static async deactivateMember(teamId, memberId, actor, reason = null) {
+    try {
+      const member = await this.getMember(teamId, memberId);
+      if (member.status === "inactive") {
+        throw new Error("Member is already inactive");
+      }
+      const now = new Date();
+      await transaction(async (t) => {
+        await member.update({ status: "inactive" }, { transaction: t });
+        const onDuty = await this.TeamShiftModel.findOne({
+          where: { member_id: member.id, status: "checked_in" },
+          transaction: t,
+        });
+        if (onDuty) await this.closeShift(onDuty, actor, now, t);
+        await this.TeamShiftModel.update(
+          {
+            status: "cancelled",
+            notes: reason ? String(reason).trim() : "Member deactivated",
+          },
+          {
+            where: { member_id: member.id, status: "scheduled" },
+            transaction: t,
+          },
+        );
+        await this.refreshTeam(teamId, { transaction: t });
+      });
+      return member;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  static async listMembers(teamId, { includeInactive = false } = {}) {
+    await this.getTeam(teamId);
+    return await this.TeamMemberModel.findAll({
+      where: {
+        team_id: teamId,
+        ...(!includeInactive && { status: "active" }),
+      },
+      order: [["full_name", "ASC"]],
+    });
+  }
+
+  /**
+   * Xếp ca cho một hoặc nhiều thành viên. Không cho trùng giờ với ca
+   * scheduled / checked_in khác của cùng thành viên.
+   */
+  static async createShifts(teamId, data, actor) {
+    try {
+      await this.getTeam(teamId);
+      const memberIds = [
+        ...new Set(
+          Array.isArray(data.member_ids)
+            ? data.member_ids
+            : [data.member_id].filter(Boolean),
+        ),
+      ];
+      if (memberIds.length === 0) {
+        throw new Error("member_id or member_ids is required");
+      }
+      const startsAt = parseDate(data.starts_at, "starts_at");
+      const endsAt = parseDate(data.ends_at, "ends_at");
+      if (endsAt <= startsAt) {
+        throw new Error("ends_at must be after starts_at");
+      }
+      const maxMs = env.ROSTER.MAX_SHIFT_HOURS * 60 * 60 * 1000;
+      if (endsAt - startsAt > maxMs) {
+        throw new Error(
+          `Shift cannot be longer than ${env.ROSTER.MAX_SHIFT_HOURS} hours`,
+        );
+      }
+      if (endsAt <= new Date()) {
+        throw new Error("Cannot schedule a shift that has already ended");
+      }
+
+      const members = await this.TeamMemberModel.findAll({
+        where: { id: { [Op.in]: memberIds }, team_id: teamId },
+      });
+      for (const memberId of memberIds) {
+        const member = members.find((m) => m.id === memberId);
+        if (!member) throw new Error("Member not found");
+        if (member.status !== "active") {
+          throw new Error(`Member '${member.full_name}' is inactive`);
+        }
+      }
+
+      // Ca mở của thành viên giao với [startsAt, endsAt) (ca đột xuất
+      // đang trực không có ends_at → coi như chưa kết thúc)
+      const overlapping = await this.TeamShiftModel.findAll({
+        where: {
+          member_id: { [Op.in]: memberIds },
+          status: { [Op.in]: OPEN_SHIFT_STATUSES },
+          starts_at: { [Op.lt]: endsAt },
+          [Op.or]: [{ ends_at: null }, { ends_at: { [Op.gt]: startsAt } }],
+        },
+      });
+      if (overlapping.length > 0) {
+        const names = members
+          .filter((m) => overlapping.some((s) => s.member_id === m.id))
+          .map((m) => m.full_name);
+        throw new Error(
+          `Shift overlaps an existing shift for: ${names.join(", ")}`,
+        );
+      }
+
+      const notes = data.notes ? String(data.notes).trim() : null;
+      return await this.TeamShiftModel.bulkCreate(
+        memberIds.map((memberId) => ({
+          team_id: teamId,
+          member_id: memberId,
+          starts_at: startsAt,
+          ends_at: endsAt,
+          scheduled: true,
+          status: "scheduled",
+          created_by: actor?.id || null,
+          notes,
+        })),
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  static async cancelShift(teamId, shiftId, reason = null) {
+    try {
+      const shift = await this.TeamShiftModel.findOne({
+        where: { id: shiftId, team_id: teamId },
+      });
+      if (!shift) throw new Error("Shift not found");
+      if (shift.status !== "scheduled") {
+        throw new Error(`Cannot cancel shift with status '${shift.status}'`);
+      }
+      await shift.update({
+        status: "cancelled",
+        notes: reason ? String(reason).trim() : shift.notes,
+      });
+      return shift;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  static async listShifts(teamId, filters = {}) {
+    try {
+      await this.getTeam(teamId);
+      const where = { team_id: teamId };
+      if (filters.status) where.status = filters.status;
+      if (filters.member_id) where.member_id = filters.member_id;
+      // Mặc định: ca giao với 7 ngày tới
+      const from = filters.from ? parseDate(filters.from, "from") : new Date();
+      const to = filters.to
+        ? parseDate(filters.to, "to")
+        : new Date(from.getTime() + 7 * 24 * 60 * 60 * 1000);
+      where.starts_at = { [Op.lt]: to };
+      where[Op.or] = [
+        { ends_at: { [Op.gt]: from } },
+        { ends_at: null, status: "checked_in" },
+      ];
+
+      return await this.TeamShiftModel.findAll({
+        where,
+        include: [
+          {
+            model: this.TeamMemberModel,
+            as: "member",
+            attributes: ["id", "full_name", "phone_number", "skills"],
+          },
+        ],
+        order: [["starts_at", "ASC"]],
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Check-in: nhận ca có lịch đang diễn ra (cho phép sớm
+   * CHECK_IN_EARLY_MINUTES), không có thì mở ca đột xuất.
+   */
+  static async checkIn(teamId, memberId, actor) {
+    try {
+      const member = await this.getMember(teamId, memberId);
+      if (member.status !== "active") {
+        throw new Error(`Member '${member.full_name}' is inactive`);
+      }
+      const now = new Date();
+      const earliest = new Date(
+        now.getTime() + env.ROSTER.CHECK_IN_EARLY_MINUTES * 60 * 1000,
+      );
+
+      const shift = await transaction(async (t) => {
+        const onDuty = await this.TeamShiftModel.findOne({
+          where: { member_id: member.id, status: "checked_in" },
+          transaction: t,
+        });
+        if (onDuty) throw new Error("Member is already checked in");
+
+        const scheduled = await this.TeamShiftModel.findOne({
+          where: {
+            member_id: member.id,
+            status: "scheduled",
+            starts_at: { [Op.lte]: earliest },
+            ends_at: { [Op.gt]: now },
+          },
+          order: [["starts_at", "ASC"]],
+          transaction: t,
+        });
+        const checkedIn = {
+          status: "checked_in",
+          checked_in_at: now,
+          checked_in_by: actor?.id || null,
+        };
+        const row = scheduled
+          ? await scheduled.update(checkedIn, { transaction: t })
+          : await this.TeamShiftModel.create(
+              {
+                ...checkedIn,
+                team_id: teamId,
+                member_id: member.id,
+                starts_at: now,
+                ends_at: null,
+                scheduled: false,
+              },
+              { transaction: t },
+            );
+        await this.refreshTeam(teamId, { transaction: t });
+        return row;
+      });
+      return shift;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  static async checkOut(teamId, memberId, actor) {
+    try {
+      const member = await this.getMember(teamId, memberId);
+      const now = new Date();
+      return await transaction(async (t) => {
+        const shift = await this.TeamShiftModel.findOne({
+          where: { member_id: member.id, status: "checked_in" },
+          transaction: t,
+        });
+        if (!shift) throw new Error("Member is not checked in");
+        await this.closeShift(shift, actor, now, t);
+        await this.refreshTeam(teamId, { transaction: t });
+        return shift;
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Check-out một ca; ca đột xuất lấy giờ check-out làm giờ kết thúc.
+   */
+  static async closeShift(shift, actor, now = new Date(), t = null) {
+    return await shift.update(
+      {
+        status: "checked_out",
+        checked_out_at: now,
+        checked_out_by: actor?.id || null,
+        ...(shift.ends_at == null && { ends_at: now }),
+      },
+      { transaction: t },
+    );
+  }
+
+  /**
+   * Tổng quan trực của đội: ai đang trực, thành viên, ca sắp tới (24h).
+   */
+  static async getRoster(teamId, now = new Date()) {
+    try {
+      const team = await this.getTeam(teamId);
+      const members = await this.TeamMemberModel.findAll({
+        where: { team_id: teamId },
+        order: [["full_name", "ASC"]],
+      });
+      const activeShifts = await this.TeamShiftModel.findAll({
+        where: { team_id: teamId, status: "checked_in" },
+      });
+      const upcoming = await this.TeamShiftModel.findAll({
+        where: {
+          team_id: teamId,
+          status: "scheduled",
+          ends_at: { [Op.gt]: now },
+          starts_at: {
+            [Op.lt]: new Date(now.getTime() + 24 * 60 * 60 * 1000),
+          },
+        },
+        order: [["starts_at", "ASC"]],
+      });
+      const shiftByMember = new Map(activeShifts.map((s) => [s.member_id, s]));
+
+      const serialized = members.map((member) => {
+        const shift = shiftByMember.get(member.id);
+        const expired = (member.certifications || []).filter(
+          (cert) => cert.expires_at && new Date(cert.expires_at) < now,
+        );
+        return {
+          ...member.toJSON(),
+          on_duty: !!shift,
+          current_shift: shift ? shift.toJSON() : null,
+          expired_certifications: expired.map((cert) => cert.name),
+        };
+      });
+
+      return {
+        team: {
+          id: team.id,
+          name: team.name,
+          status: team.status,
+          capacity: team.capacity,
+          available_members: team.available_members,
+          roster_managed: team.roster_managed,
+        },
+        on_duty: serialized.filter((m) => m.on_duty),
+        members: serialized,
+        upcoming_shifts: upcoming.map((s) => s.toJSON()),
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Quét ca: ca có lịch đã hết mà không check-in → missed; ca đang trực
+   * quá giờ kết thúc AUTO_CHECK_OUT_GRACE_MINUTES → tự check-out.
+   */
+  static async sweepShifts(now = new Date()) {
+    try {
+      const [missed] = await this.TeamShiftModel.update(
+        { status: "missed" },
+        { where: { status: "scheduled", ends_at: { [Op.lte]: now } } },
+      );
+
+      const cutoff = new Date(
+        now.getTime() - env.ROSTER.AUTO_CHECK_OUT_GRACE_MINUTES * 60 * 1000,
+      );
+      const overdue = await this.TeamShiftModel.findAll({
+        where: { status: "checked_in", ends_at: { [Op.lte]: cutoff } },
+      });
+      const teamIds = new Set();
+      for (const shift of overdue) {
+        await this.closeShift(shift, null, now);
+        teamIds.add(shift.team_id);
+      }
+      for (const teamId of teamIds) {
+        await this.refreshTeam(teamId);
+      }
+
+      if (missed > 0 || overdue.length > 0) {
+        console.log(
+          `🕒 Roster sweep: ${missed} missed, ${overdue.length} auto checked out`,
+        );
+      }
+      return { missed, checked_out: overdue.length };
+    } catch (error) {
+      console.error("Roster sweep failed:", error);
+      return { missed: 0, checked_out: 0 };
+    }
+  }
+
+  static startWatcher() {
+    if (!env.ROSTER.SWEEP_ENABLED || sweepTimer) return;
+    sweepTimer = setInterval(
+      () => this.sweepShifts(),
+      env.ROSTER.SWEEP_INTERVAL_SECONDS * 1000,
+    );
+    sweepTimer.unref();
+    console.log(
+      `🕒 Roster watcher started (every ${env.ROSTER.SWEEP_INTERVAL_SECONDS}s)`,
+    );
+  }
+
+  static stopWatcher() {
+    if (sweepTimer) clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+}
+
+module.exports = TeamRosterService;
@@ -0,0 +1,401 @@
+const { Op, ValidationError } = require("sequelize");
+const { db } = require("../config/database");
+const IdempotencyService = require("./idempotency");
+const RescueRequestService = require("./rescue_request");
+const RescueRequestStateMachine = require("./rescue_request_state");
+const RescueRequestTeamService = require("./rescue_request_team");
+const SupplyService = require("./supply");
+const VehicleRequestService = require("./vehicle_request");
+
+// Số thao tác tối đa trong một lần sync
+const MAX_OPERATIONS = 100;
+// Dòng phân công đội còn tham gia nhiệm vụ
+const ACTIVE_ASSIGNMENT_STATUSES = ["assigned", "accepted", "reported"];
+
+// Lỗi nghiệp vụ / dữ liệu (service throw new Error, validate của model):
+// gửi lại vẫn lỗi nên lưu kết quả. Lỗi khác (mất kết nối DB, timeout, bug)
+// có thể thành công khi gửi lại nên không lưu.
+const isValidationError = (error) =>
+  error.name === "Error" || error instanceof ValidationError;
+
+/**
+ * Thao tác trên nhiệm vụ: trước khi chạy kiểm tra state machine với trạng
+ * thái hiện tại trên server — không hợp lệ nữa (coordinator đã đổi đội,
+ * đã hoàn thành...) thì trả conflict thay vì lỗi.
+ */
+const missionOperation = (event, run) => ({
+  async precheck(ctx, payload) {
+    const request = await db.RescueRequest.findByPk(payload.rescue_request_id);
+    if (!request) throw new Error("Rescue request not found");
+    const assignment = await RescueRequestTeamService.getTeamAssignment(
+      request,
+      ctx.team.id,
+    );
+    const { allowed, reason } = RescueRequestStateMachine.check(
+      request,
+      event,
+      { ...ctx, assignment },
+    );
+    if (allowed) return null;
+    return {
+      reason,
+      current: {
+        rescue_request_id: request.id,
+        status: request.status,
+        assigned_team_id: request.assigned_team_id,
+        my_assignment_status: assignment?.status || null,
+      },
+    };
+  },
+  async run(ctx, payload) {
+    const request = await run(ctx, payload);
+    return { rescue_request_id: request.id, status: request.status };
+  },
+});
+
+const OPERATIONS = {
+  team_accept_mission: missionOperation("team_accept", (ctx, p) =>
+    RescueRequestService.teamAcceptMission(p.rescue_request_id, ctx.user.id),
+  ),
+  team_reject_mission: missionOperation("team_reject", (ctx, p) =>
+    RescueRequestService.teamRejectMission(
+      p.rescue_request_id,
+      ctx.user.id,
+      p.reason,
+    ),
+  ),
+  team_report_execution: missionOperation("team_report_execution", (ctx, p) =>
+    RescueRequestService.teamReportExecution(p.rescue_request_id, ctx.user.id, {
+      executed: p.executed,
+      outcome: p.outcome,
+      unmet_people_count: p.unmet_people_count,
+      partial_reason: p.partial_reason,
+      reportNotes: p.report_notes,
+      reportMediaUrls: p.report_media_urls,
+    }),
+  ),
+  report_mission_incomplete: missionOperation("report_incomplete", (ctx, p) =>
+    RescueRequestService.reportMissionIncomplete(
+      p.rescue_request_id,
+      ctx.user.id,
+      p.reason,
+      p.failure_media_urls,
+    ),
+  ),
+
+  // = POST /api/supplies/usages/bulk-report
+  supply_usage_bulk_report: {
+    // Tồn kho đội trên server ít hơn lúc client ghi nhận → conflict
+    async precheck(ctx, payload) {
+      if (!Array.isArray(payload.items)) return null;
+      const { inventory } = await SupplyService.getTeamInventory(ctx.team.id);
+      const remaining = new Map(
+        inventory.map((item) => [item.supply.id, item.remaining]),
+      );
+      const requested = new Map();
+      payload.items.forEach(({ supply_id, quantity_used }) => {
+        requested.set(
+          supply_id,
+          (requested.get(supply_id) || 0) + (parseInt(quantity_used) || 0),
+        );
+      });
+      const short = [...requested.entries()]
+        .filter(([supplyId, qty]) => qty > (remaining.get(supplyId) || 0))
+        .map(([supplyId, qty]) => ({
+          supply_id: supplyId,
+          requested: qty,
+          remaining: remaining.get(supplyId) || 0,
+        }));
+      if (short.length === 0) return null;
+      return {
+        reason: "Team inventory is lower than the reported usage",
+        current: { inventory: short },
+      };
+    },
+    async run(ctx, payload) {
+      const usages = await SupplyService.bulkReportUsage(
+        payload.items,
+        ctx.team.id,
+        payload.rescue_request_id,
+        ctx.user.id,
+      );
+      return {
+        rescue_request_id: payload.rescue_request_id,
+        usage_ids: usages.map((usage) => usage.id),
+      };
+    },
+  },
+
+  // = POST /api/vehicle-requests/:id/report-return
+  vehicle_report_return: {
+    async precheck(ctx, payload) {
+      const request = await db.VehicleRequest.findByPk(
+        payload.vehicle_request_id,
+      );
+      if (!request || request.team_id !== ctx.team.id) return null;
+      if (request.status === "approved") return null;
+      return {
+        reason: `Cannot report return for request with status '${request.status}'`,
+        current: { vehicle_request_id: request.id, status: request.status },
+      };
+    },
+    async run(ctx, payload) {
+      const request = await VehicleRequestService.reportReturnByTeam(
+        payload.vehicle_request_id,
+        ctx.user.id,
+        payload,
+      );
+      return { vehicle_request_id: request.id, status: request.status };
+    },
+  },
+};
+
+/**
+ * Đồng bộ offline cho app đội cứu hộ: nhận hàng đợi thao tác ghi lại lúc
+ * mất mạng (mỗi thao tác có idempotency_key và client_timestamp), áp dụng
+ * lần lượt qua các service hiện có; và feed thay đổi từ mốc `since`.
+ */
+class TeamSyncService {
+  static async getContext(userId) {
+    const user = await db.User.findByPk(userId);
+    if (!user) throw new Error("User not found");
+    const team = await db.RescueTeam.findOne({ where: { user_id: userId } });
+    if (!team) throw new Error("No team associated with this account");
+    return { user, team };
+  }
+
+  static parseTimestamp(value, field) {
+    if (value === undefined || value === null || value === "") return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`Invalid '${field}' timestamp`);
+    }
+    return date;
+  }
+
+  /**
+   * Áp dụng một thao tác. Kết quả (applied / conflict / failed do dữ liệu
+   * không hợp lệ) được lưu theo idempotency_key — gửi lại cùng khóa nhận
+   * lại đúng kết quả đó. Lỗi tạm thời thì bỏ khóa, trả `retryable: true`.
+   */
+  static async applyOperation(ctx, operation, index) {
+    const base = {
+      index,
+      idempotency_key: operation?.idempotency_key ?? null,
+      type: operation?.type ?? null,
+    };
+    const handler = OPERATIONS[operation?.type];
+    if (!handler) {
+      return {
+        ...base,
+        status: "failed",
+        error: `Unknown operation type '${operation?.type}'. Allowed: ${Object.keys(OPERATIONS).join(", ")}`,
+      };
+    }
+    const payload = operation.payload || {};
+
+    let reservation;
+    try {
+      if (typeof payload !== "object" || Array.isArray(payload)) {
+        throw new Error("'payload' must be an object");
+      }
+      reservation = await IdempotencyService.begin(
+        ctx.user.id,
+        operation.idempotency_key,
+        {
+          scope: `sync:${operation.type}`,
+          payload,
+          clientTimestamp: this.parseTimestamp(
+            operation.client_timestamp,
+            "client_timestamp",
+          ),
+        },
+      );
+    } catch (error) {
+      return { ...base, status: "failed", error: error.message };
+    }
+    if (reservation.replay) {
+      return { ...base, ...reservation.replay.body, replayed: true };
+    }
+
+    let body;
+    let status;
+    const stopKeepAlive = IdempotencyService.keepAlive(reservation.record);
+    try {
+      // Thao tác trước trong batch có thể đã đổi trạng thái đội
+      await ctx.team.reload();
+      const conflict = await handler.precheck(ctx, payload);
+      if (conflict) {
+        body = { status: "conflict", conflict };
+        status = 409;
+      } else {
+        body = { status: "applied", data: await handler.run(ctx, payload) };
+        status = 200;
+      }
+    } catch (error) {
+      if (!isValidationError(error)) {
+        console.error(`Sync operation '${operation.type}' failed:`, error);
+        await IdempotencyService.release(reservation.record);
+        return {
+          ...base,
+          status: "failed",
+          error: error.message,
+          retryable: true,
+          replayed: false,
+        };
+      }
+      body = { status: "failed", error: error.message };
+      status = 400;
+    } finally {
+      stopKeepAlive();
+    }
+    await IdempotencyService.complete(reservation.record, status, body);
+    return { ...base, ...body, replayed: false };
+  }
+
+  /**
+   * POST /api/sync/batch
+   * Thao tác được áp dụng theo client_timestamp (cùng thời điểm giữ thứ tự
+   * gửi lên). stop_on_error: thao tác lỗi / conflict thì bỏ qua phần còn lại.
+   */
+  static async applyBatch(userId, { operations, stop_on_error = false } = {}) {
+    try {
+      if (!Array.isArray(operations) || operations.length === 0) {
+        throw new Error("'operations' must be a non-empty array");
+      }
+      if (operations.length > MAX_OPERATIONS) {
+        throw new Error(
+          `A sync batch can contain at most ${MAX_OPERATIONS} operations`,
+        );
+      }
+      const ctx = await this.getContext(userId);
+
+      const timeOf = (operation) => {
+        const time = new Date(operation?.client_timestamp).getTime();
+        return Number.isNaN(time) ? Infinity : time;
+      };
+      const ordered = operations
+        .map((operation, index) => ({ operation, index }))
+        .sort(
+          (a, b) =>
+            timeOf(a.operation) - timeOf(b.operation) || a.index - b.index,
+        );
+
+      const results = [];
+      let halted = false;
+      for (const { operation, index } of ordered) {
+        if (halted) {
+          results.push({
+            index,
+            idempotency_key: operation?.idempotency_key ?? null,
+            type: operation?.type ?? null,
+            status: "skipped",
+          });
+          continue;
+        }
+        const result = await this.applyOperation(ctx, operation, index);
+        results.push(result);
+        if (stop_on_error && ["conflict", "failed"].includes(result.status)) {
+          halted = true;
+        }
+      }
+
+      const summary = { applied: 0, conflict: 0, failed: 0, skipped: 0 };
+      results.forEach((result) => {
+        summary[result.status] += 1;
+      });
+      summary.replayed = results.filter((result) => result.replayed).length;
+
+      return { server_time: new Date(), summary, results };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * GET /api/sync/changes?since=
+   * Nhiệm vụ, phân phối vật tư và tồn kho của đội thay đổi sau `since`.
+   * Không có `since` → toàn bộ (lần sync đầu). Client lưu `server_time`
+   * làm `since` cho lần sau.
+   */
+  static async getChanges(userId, { since = null } = {}) {
+    try {
+      const { team } = await this.getContext(userId);
+      const serverTime = new Date();
+      const sinceDate = this.parseTimestamp(since, "since") || new Date(0);
+
+      const assignments = await db.RescueRequestTeam.findAll({
+        where: { team_id: team.id },
+        order: [["assigned_at", "ASC"]],
+      });
+      // Dòng mới nhất của đội trên mỗi nhiệm vụ
+      const latestByRequest = new Map(
+        assignments.map((row) => [row.rescue_request_id, row]),
+      );
+      const changedIds = assignments
+        .filter((row) => row.updated_at > sinceDate)
+        .map((row) => row.rescue_request_id);
+
+      const missions = await db.RescueRequest.findAll({
+        where: {
+          [Op.or]: [
+            { id: { [Op.in]: [...new Set(changedIds)] } },
+            {
+              id: { [Op.in]: [...latestByRequest.keys()] },
+              updated_at: { [Op.gt]: sinceDate },
+            },
+            { assigned_team_id: team.id, updated_at: { [Op.gt]: sinceDate } },
+          ],
+        },
+        order: [["updated_at", "ASC"]],
+      });
+
+      const distributions = await db.SupplyDistribution.findAll({
+        where: { team_id: team.id, created_at: { [Op.gt]: sinceDate } },
+        include: [
+          {
+            model: db.Supply,
+            as: "supply",
+            attributes: ["id", "name", "category", "unit"],
+          },
+        ],
+        order: [["created_at", "ASC"]],
+      });
+      const usages = await db.SupplyUsage.findAll({
+        where: { team_id: team.id, created_at: { [Op.gt]: sinceDate } },
+        attributes: ["supply_id"],
+      });
+
+      // Tồn kho: chỉ các mặt hàng có nhập / xuất mới (lần đầu: tất cả)
+      const changedSupplyIds = new Set(
+        [...distributions, ...usages].map((row) => row.supply_id),
+      );
+      const { inventory } = await SupplyService.getTeamInventory(team.id);
+
+      return {
+        server_time: serverTime,
+        since: since ? sinceDate : null,
+        team: { id: team.id, name: team.name, status: team.status },
+        missions: missions.map((mission) => {
+          const assignment = latestByRequest.get(mission.id);
+          return {
+            ...mission.toJSON(),
+            my_assignment: assignment?.toJSON() || null,
+            // false → đội không còn tham gia, app xóa khỏi danh sách đang làm
+            active: assignment
+              ? ACTIVE_ASSIGNMENT_STATUSES.includes(assignment.status)
+              : mission.assigned_team_id === team.id,
+          };
+        }),
+        distributions: distributions.map((d) => d.toJSON()),
+        inventory: since
+          ? inventory.filter((item) => changedSupplyIds.has(item.supply.id))
+          : inventory,
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = TeamSyncService;
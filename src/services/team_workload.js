@@ -0,0 +1,287 @@
+const { Op } = require("sequelize");
+const { db } = require("../config/database");
+const { env } = require("../config/env");
+
+const HOUR_MS = 60 * 60 * 1000;
+// Khoảng thời gian nhìn lại để tìm chuỗi nhiệm vụ liên tiếp
+const LOOKBACK_HOURS = 72;
+// Dòng phân công đội chưa xong việc
+const OPEN_STATUSES = ["assigned", "accepted"];
+
+/**
+ * Khối lượng công việc / mức mệt mỏi của đội, tính từ các dòng phân công
+ * (RescueRequestTeam, cả vai trò lead lẫn hỗ trợ). Một nhiệm vụ tính từ lúc
+ * đội nhận (responded_at) tới lúc báo cáo / kết thúc, hoặc tới hiện tại nếu
+ * đội đang làm.
+ *
+ * Giới hạn (env FATIGUE): tối đa MAX_MISSION_HOURS_24H giờ làm nhiệm vụ
+ * trong 24h; sau MAX_CONSECUTIVE_MISSIONS nhiệm vụ liên tiếp (nghỉ giữa
+ * 2 nhiệm vụ < MIN_REST_MINUTES) phải nghỉ đủ MIN_REST_MINUTES.
+ */
+class TeamWorkloadService {
+  static get AssignmentModel() {
+    return db.RescueRequestTeam;
+  }
+
+  static get limits() {
+    return {
+      enforcement: env.FATIGUE.ENFORCEMENT,
+      max_mission_hours_24h: env.FATIGUE.MAX_MISSION_HOURS_24H,
+      max_consecutive_missions: env.FATIGUE.MAX_CONSECUTIVE_MISSIONS,
+      min_rest_minutes: env.FATIGUE.MIN_REST_MINUTES,
+    };
+  }
+
+  /**
+   * Khoảng [start, end] đội thực sự làm nhiệm vụ; null nếu đội chưa nhận
+   * hoặc đã từ chối.
+   */
+  static missionInterval(row, now = new Date()) {
+    if (!row.responded_at || row.status === "rejected") return null;
+    const start = new Date(row.responded_at);
+    const end =
+      row.reported_at || row.ended_at
+        ? new Date(row.reported_at || row.ended_at)
+        : row.status === "accepted"
+          ? now
+          : start;
+    return { start, end: end < start ? start : end };
+  }
+
+  static async loadRows(teamIds, since, now = new Date()) {
+    return await this.AssignmentModel.findAll({
+      where: {
+        team_id: { [Op.in]: teamIds },
+        [Op.or]: [
+          { assigned_at: { [Op.gte]: since } },
+          { responded_at: { [Op.gte]: since } },
+          { status: { [Op.in]: OPEN_STATUSES } },
+        ],
+        assigned_at: { [Op.lte]: now },
+      },
+      order: [["assigned_at", "ASC"]],
+    });
+  }
+
+  /**
+   * Hàm thuần: tổng hợp các dòng phân công của một đội.
+   */
+  static summarize(rows, now = new Date(), windowHours = 24) {
+    const limits = this.limits;
+    const windowStart = new Date(now.getTime() - windowHours * HOUR_MS);
+    const dayStart = new Date(now.getTime() - 24 * HOUR_MS);
+    const restMs = limits.min_rest_minutes * 60 * 1000;
+
+    const missions = rows
+      .map((row) => ({ row, interval: this.missionInterval(row, now) }))
+      .filter((m) => m.interval)
+      .sort((a, b) => a.interval.start - b.interval.start);
+
+    // Gộp các khoảng chồng nhau (đội làm song song 2 yêu cầu) trước khi cộng giờ
+    const busyMs = (from) => {
+      let total = 0;
+      let current = null;
+      for (const { interval } of missions) {
+        const start = Math.max(interval.start.getTime(), from.getTime());
+        const end = Math.min(interval.end.getTime(), now.getTime());
+        if (end <= start) continue;
+        if (current && start <= current.end) {
+          current.end = Math.max(current.end, end);
+        } else {
+          if (current) total += current.end - current.start;
+          current = { start, end };
+        }
+      }
+      if (current) total += current.end - current.start;
+      return total;
+    };
+    const toHours = (ms) => Math.round((ms / HOUR_MS) * 100) / 100;
+
+    // Chuỗi nhiệm vụ liên tiếp tính ngược từ nhiệm vụ gần nhất
+    let consecutive = 0;
+    let chainStart = null;
+    for (let i = missions.length - 1; i >= 0; i--) {
+      const { interval } = missions[i];
+      if (chainStart && chainStart - interval.end >= restMs) break;
+      consecutive += 1;
+      chainStart =
+        chainStart && chainStart < interval.start ? chainStart : interval.start;
+    }
+
+    const onMission = missions.some(
+      ({ row }) => row.status === "accepted" && !row.reported_at,
+    );
+    const lastEnd = missions.length
+      ? new Date(Math.max(...missions.map((m) => m.interval.end.getTime())))
+      : null;
+    const missionHours24h = toHours(busyMs(dayStart));
+
+    const violations = [];
+    if (missionHours24h >= limits.max_mission_hours_24h) {
+      violations.push({
+        code: "max_mission_hours",
+        limit: limits.max_mission_hours_24h,
+        value: missionHours24h,
+        message: `${missionHours24h}h on mission in the last 24h (limit ${limits.max_mission_hours_24h}h)`,
+      });
+    }
+    let restRequiredUntil = null;
+    if (consecutive >= limits.max_consecutive_missions && lastEnd) {
+      const until = new Date(lastEnd.getTime() + restMs);
+      if (onMission || until > now) {
+        restRequiredUntil = onMission ? null : until;
+        violations.push({
+          code: "rest_required",
+          limit: limits.max_consecutive_missions,
+          value: consecutive,
+          rest_required_until: restRequiredUntil,
+          message: `${consecutive} consecutive missions; rest ${limits.min_rest_minutes} minutes required`,
+        });
+      }
+    }
+
+    const inWindow = missions.filter(
+      ({ interval }) => interval.end > windowStart,
+    );
+    return {
+      window_hours: windowHours,
+      mission_hours: toHours(busyMs(windowStart)),
+      mission_hours_24h: missionHours24h,
+      missions_count: inWindow.length,
+      active_missions: rows.filter((r) => OPEN_STATUSES.includes(r.status))
+        .length,
+      recent_missions: rows.filter((r) => new Date(r.assigned_at) >= dayStart)
+        .length,
+      consecutive_missions: consecutive,
+      last_mission_ended_at: onMission ? null : lastEnd,
+      rest_required_until: restRequiredUntil,
+      violations,
+      status:
+        violations.length === 0
+          ? "ok"
+          : limits.enforcement === "block"
+            ? "blocked"
+            : "warning",
+    };
+  }
+
+  /**
+   * Tổng hợp cho nhiều đội (danh sách đề xuất). Map teamId → summary.
+   */
+  static async evaluateTeams(teamIds, now = new Date()) {
+    const since = new Date(now.getTime() - LOOKBACK_HOURS * HOUR_MS);
+    const rows = teamIds.length ? await this.loadRows(teamIds, since, now) : [];
+    return new Map(
+      teamIds.map((teamId) => [
+        teamId,
+        this.summarize(
+          rows.filter((r) => r.team_id === teamId),
+          now,
+        ),
+      ]),
+    );
+  }
+
+  static async evaluateTeam(teamId, now = new Date()) {
+    return (await this.evaluateTeams([teamId], now)).get(teamId);
+  }
+
+  /**
+   * Kiểm tra trước khi phân công. enforcement = block → throw (trừ khi
+   * coordinator override); warn → trả danh sách cảnh báo để ghi vào lịch sử
+   * phân công; off → bỏ qua.
+   */
+  static async checkAssignment(team, { override = false } = {}) {
+    const { enforcement } = this.limits;
+    if (enforcement === "off") return { warnings: [], overridden: false };
+    const summary = await this.evaluateTeam(team.id);
+    const warnings = summary.violations.map(({ code, message }) => ({
+      code,
+      message,
+    }));
+    if (warnings.length > 0 && enforcement === "block" && !override) {
+      throw new Error(
+        `Team '${team.name}' exceeds fatigue limits: ${warnings
+          .map((w) => w.message)
+          .join("; ")}`,
+      );
+    }
+    return {
+      warnings,
+      overridden: warnings.length > 0 && enforcement === "block",
+    };
+  }
+
+  /**
+   * GET /api/rescue-teams/:id/workload
+   */
+  static async getWorkloadReport(teamId, { hours = 24 } = {}) {
+    try {
+      const team = await db.RescueTeam.findByPk(teamId);
+      if (!team) throw new Error("Team not found");
+      const windowHours = Math.max(1, Math.min(parseInt(hours) || 24, 168));
+      const now = new Date();
+      const since = new Date(
+        now.getTime() - Math.max(windowHours, LOOKBACK_HOURS) * HOUR_MS,
+      );
+
+      const rows = await this.AssignmentModel.findAll({
+        where: {
+          team_id: teamId,
+          [Op.or]: [
+            { assigned_at: { [Op.gte]: since } },
+            { status: { [Op.in]: OPEN_STATUSES } },
+          ],
+        },
+        include: [
+          {
+            model: db.RescueRequest,
+            as: "rescue_request",
+            attributes: [
+              "id",
+              "tracking_code",
+              "category",
+              "district",
+              "priority",
+              "status",
+            ],
+          },
+        ],
+        order: [["assigned_at", "DESC"]],
+      });
+      const summary = this.summarize(rows, now, windowHours);
+      const windowStart = new Date(now.getTime() - windowHours * HOUR_MS);
+
+      return {
+        team: {
+          id: team.id,
+          name: team.name,
+          status: team.status,
+          available_members: team.available_members,
+        },
+        limits: this.limits,
+        ...summary,
+        missions: rows
+          .filter((row) => new Date(row.assigned_at) >= windowStart)
+          .map((row) => {
+            const interval = this.missionInterval(row, now);
+            return {
+              rescue_request: row.rescue_request?.toJSON() || null,
+              role: row.role,
+              status: row.status,
+              assigned_at: row.assigned_at,
+              accepted_at: interval ? row.responded_at : null,
+              ended_at: row.reported_at || row.ended_at || null,
+              duration_minutes: interval
+                ? Math.round((interval.end - interval.start) / 60000)
+                : 0,
+            };
+          }),
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = TeamWorkloadService;
@@ -264,27 +264,22 @@ class UserService {
       throw error;
     }
   }
+
+  /**
+   * Gửi push trực tiếp tới 1 token, trả về Expo ticket. Thông báo cho user
+   * nên dùng NotificationService.notify (lưu lại, retry, receipt).
+   */
   static async sendPushNotification(expoPushToken, title, body, data = {}) {
     try {
-      if (!expoPushToken) return;
-      const message = {
-        to: expoPushToken,
-        sound: "default",
-        title,
-        body,
-        data,
-      };
-      await fetch("https://exp.host/--/api/v2/push/send", {
-        method: "POST",
-        headers: {
-          Accept: "application/json",
-          "Accept-Encoding": "gzip, deflate",
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify(message),
-      });
+      if (!expoPushToken) return null;
+      const { expoChannel } = require("./notification_channels");
+      const [ticket] = await expoChannel.pushMessages([
+        { to: expoPushToken, sound: "default", title, body, data },
+      ]);
+      return ticket || null;
     } catch (error) {
       console.error("Push notification error:", error);
+      return null;
     }
   }
 }
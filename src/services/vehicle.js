@@ -1,4 +1,6 @@
+const { Op } = require("sequelize");
 const { db, transaction } = require("../config/database");
+const { buildGeoQuery } = require("../utils/geo");
 
 class VehicleService {
   static get VehicleModel() {
@@ -15,11 +17,20 @@ class VehicleService {
       if (type) where.type = type;
       if (province_city) where.province_city = province_city;
 
+      const geo = buildGeoQuery(filters, {
+        latColumn: '"Vehicle"."latitude"',
+        lngColumn: '"Vehicle"."longitude"',
+      });
+      if (geo.active) where[Op.and] = geo.conditions;
+
       const { count, rows } = await this.VehicleModel.findAndCountAll({
         where,
+        ...(geo.distanceAttribute && {
+          attributes: { include: [geo.distanceAttribute] },
+        }),
         limit: parseInt(limit),
         offset: parseInt(offset),
-        order: [["created_at", "DESC"]],
+        order: geo.order || [["created_at", "DESC"]],
         include: [
           {
             model: db.RescueTeam,
@@ -64,7 +75,15 @@ class VehicleService {
 
   static async createVehicle(data) {
     try {
-      const { name, type, license_plate, province_city, notes } = data;
+      const {
+        name,
+        type,
+        license_plate,
+        province_city,
+        latitude,
+        longitude,
+        notes,
+      } = data;
       if (!name || !type || !province_city) {
         throw new Error("Missing required fields");
       }
@@ -73,6 +92,8 @@ class VehicleService {
         type,
         license_plate,
         province_city,
+        latitude: latitude ?? null,
+        longitude: longitude ?? null,
         notes,
         status: "available",
       });
@@ -92,6 +113,8 @@ class VehicleService {
         "status",
         "assigned_team_id",
         "province_city",
+        "latitude",
+        "longitude",
         "notes",
       ];
       const filtered = {};
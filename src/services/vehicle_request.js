@@ -1,4 +1,5 @@
 const { db, transaction } = require("../config/database");
+const RealtimeService = require("./realtime");
 
 class VehicleRequestService {
   static get VehicleRequestModel() {
@@ -162,6 +163,10 @@ class VehicleRequestService {
         status: "pending",
       });
 
+      RealtimeService.publishVehicleRequest(request, "created", {
+        actor: { id: coordinatorId },
+      });
+
       return await this.getRequestById(request.id);
     } catch (error) {
       throw error;
@@ -202,6 +207,12 @@ class VehicleRequestService {
           { status: "approved", approved_by: managerId },
           { transaction: t },
         );
+        RealtimeService.publishVehicleRequest(request, "approved", {
+          transaction: t,
+          fromStatus: "pending",
+          actor: { id: managerId },
+          data: { vehicle_ids: vehicles.map((v) => v.id) },
+        });
         for (const vehicle of vehicles) {
           await vehicle.update(
             {
@@ -217,24 +228,21 @@ class VehicleRequestService {
       const updatedRequest = await this.getRequestById(id);
 
       try {
-        const UserService = require("./user");
+        const NotificationService = require("./notification");
         const team = await db.RescueTeam.findByPk(updatedRequest.team_id);
         if (team?.user_id) {
-          const teamUser = await db.User.findByPk(team.user_id);
-          if (teamUser?.expo_push_token) {
-            const vehicleNames = updatedRequest.assigned_vehicles
-              .map((v) => v.name)
-              .join(", ");
-            await UserService.sendPushNotification(
-              teamUser.expo_push_token,
-              "🚗 Phương tiện đã được cấp",
-              `Đội ${updatedRequest.team?.name} đã được cấp: ${vehicleNames}. Vui lòng lên kho nhận phương tiện.`,
-              {
-                type: "vehicle_approved",
-                vehicle_request_id: id,
-              },
-            );
-          }
+          const vehicleNames = updatedRequest.assigned_vehicles
+            .map((v) => v.name)
+            .join(", ");
+          await NotificationService.notify(
+            team.user_id,
+            "🚗 Phương tiện đã được cấp",
+            `Đội ${updatedRequest.team?.name} đã được cấp: ${vehicleNames}. Vui lòng lên kho nhận phương tiện.`,
+            {
+              type: "vehicle_approved",
+              vehicle_request_id: id,
+            },
+          );
         }
       } catch (e) {
         console.error("Failed to send push notification:", e);
@@ -263,6 +271,11 @@ class VehicleRequestService {
         approved_by: managerId,
         reject_reason,
       });
+      RealtimeService.publishVehicleRequest(request, "rejected", {
+        fromStatus: "pending",
+        actor: { id: managerId },
+        data: { reject_reason },
+      });
 
       return await this.getRequestById(id);
     } catch (error) {
@@ -293,6 +306,7 @@ class VehicleRequestService {
         manager_notes: managerNotes,
       };
 
+      const fromStatus = request.status;
       await transaction(async (t) => {
         await request.update(
           {
@@ -315,6 +329,11 @@ class VehicleRequestService {
             transaction: t,
           },
         );
+        RealtimeService.publishVehicleRequest(request, "returned", {
+          transaction: t,
+          fromStatus,
+          actor: { id: managerId },
+        });
       });
 
       return await this.getRequestById(id);
@@ -386,6 +405,28 @@ class VehicleRequestService {
         return_reported_at: reportedAt,
         return_reported_by: userId,
       });
+      RealtimeService.publishVehicleRequest(request, "return_reported", {
+        fromStatus: "approved",
+        actor: { id: userId, role: "rescue_team" },
+        data: {
+          fuel_level: returnReportPayload.fuel_level,
+          has_damage: !!damage_report,
+        },
+      });
+
+      if (request.approved_by) {
+        const NotificationService = require("./notification");
+        await NotificationService.notify(
+          request.approved_by,
+          "🚗 Đội báo cáo trả phương tiện",
+          `Đội ${team.name} đã báo cáo trả phương tiện (${request.vehicle_type}). Vui lòng kiểm tra và xác nhận hoàn trả.`,
+          {
+            type: "vehicle_return_reported",
+            vehicle_request_id: request.id,
+            team_id: team.id,
+          },
+        );
+      }
 
       return await this.getRequestById(id);
     } catch (error) {
@@ -1,5 +1,6 @@
 const { db } = require("../config/database");
 const UserService = require("./user");
+const NotificationService = require("./notification");
 
 class VolunteerCampaignService {
   static get Campaign() {
@@ -260,8 +261,8 @@ class VolunteerCampaignService {
           invitation_id: invitations.find((i) => i.user_id === user.id)?.id,
         });
       }
-      await UserService.sendPushNotification(
-        user.expo_push_token,
+      await NotificationService.notify(
+        user,
         notificationTitle,
         notificationBody,
         {
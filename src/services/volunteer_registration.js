@@ -1,5 +1,6 @@
 const { db } = require("../config/database");
 const UserService = require("./user");
+const NotificationService = require("./notification");
 
 class VolunteerRegistrationService {
   static get Model() {
@@ -169,8 +170,8 @@ class VolunteerRegistrationService {
       });
     }
 
-    await UserService.sendPushNotification(
-      citizen.expo_push_token,
+    await NotificationService.notify(
+      citizen,
       notificationTitle,
       notificationBody,
       {
@@ -0,0 +1,424 @@
+const { Op } = require("sequelize");
+const { db } = require("../config/database");
+const { buildGeoQuery, haversineDistance } = require("../utils/geo");
+const SupplyExpiryService = require("./supply_expiry");
+
+// Cảnh báo sắp hết hạn (cùng ngưỡng với getStockBySupply)
+const EXPIRY_WARNING_DAYS = 7;
+
+const SUPPLY_ATTRIBUTES = ["id", "name", "category", "unit", "min_quantity"];
+const WAREHOUSE_ATTRIBUTES = ["id", "name", "province_city", "district"];
+
+/**
+ * Kho hàng và tồn kho theo kho. Lô có `warehouse_id` = null là hàng nhập
+ * trước khi có nhiều kho — được coi là một kho "chưa phân kho" riêng.
+ */
+class WarehouseService {
+  static get WarehouseModel() {
+    return db.Warehouse;
+  }
+
+  static get SupplyImportModel() {
+    return db.SupplyImport;
+  }
+
+  static async getAllWarehouses(filters = {}, page = 1, limit = 20) {
+    try {
+      const { province_city, district, manager_id } = filters;
+      const offset = (page - 1) * limit;
+
+      const where = {};
+      if (province_city) where.province_city = province_city;
+      if (district) where.district = district;
+      if (manager_id) where.manager_id = manager_id;
+
+      const geo = buildGeoQuery(filters, {
+        latColumn: '"Warehouse"."latitude"',
+        lngColumn: '"Warehouse"."longitude"',
+      });
+      if (geo.active) where[Op.and] = geo.conditions;
+
+      const { count, rows } = await this.WarehouseModel.findAndCountAll({
+        where,
+        ...(geo.distanceAttribute && {
+          attributes: { include: [geo.distanceAttribute] },
+        }),
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        order: geo.order || [["name", "ASC"]],
+        include: [
+          {
+            model: db.User,
+            as: "manager",
+            attributes: ["id", "username", "email"],
+          },
+        ],
+      });
+
+      return {
+        warehouses: rows.map((w) => w.toJSON()),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: count,
+          totalPages: Math.ceil(count / limit),
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  static async getWarehouseById(id) {
+    try {
+      const warehouse = await this.WarehouseModel.findByPk(id, {
+        include: [
+          {
+            model: db.User,
+            as: "manager",
+            attributes: ["id", "username", "email"],
+          },
+        ],
+      });
+      if (!warehouse) throw new Error("Warehouse not found");
+      return warehouse;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  static async validateManager(managerId) {
+    if (!managerId) return null;
+    const user = await db.User.findByPk(managerId);
+    if (!user || !["manager", "admin"].includes(user.role)) {
+      throw new Error("Warehouse manager must be a manager account");
+    }
+    return user;
+  }
+
+  static async createWarehouse(data) {
+    try {
+      const {
+        name,
+        province_city,
+        district,
+        address,
+        latitude,
+        longitude,
+        manager_id,
+        notes,
+      } = data;
+      if (!name || !province_city) {
+        throw new Error("Missing required fields: name, province_city");
+      }
+      await this.validateManager(manager_id);
+
+      return await this.WarehouseModel.create({
+        name,
+        province_city,
+        district: district || null,
+        address: address || null,
+        latitude: latitude ?? null,
+        longitude: longitude ?? null,
+        manager_id: manager_id || null,
+        notes: notes || null,
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  static async updateWarehouse(id, data) {
+    try {
+      const warehouse = await this.getWarehouseById(id);
+      const allowedFields = [
+        "name",
+        "province_city",
+        "district",
+        "address",
+        "latitude",
+        "longitude",
+        "manager_id",
+        "notes",
+      ];
+      const filtered = {};
+      allowedFields.forEach((f) => {
+        if (data[f] !== undefined) filtered[f] = data[f];
+      });
+      if (filtered.manager_id) await this.validateManager(filtered.manager_id);
+
+      await warehouse.update(filtered);
+      return await this.getWarehouseById(id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  static async deleteWarehouse(id) {
+    try {
+      const warehouse = await this.getWarehouseById(id);
+      const stock =
+        (await this.SupplyImportModel.sum("remaining", {
+          where: { warehouse_id: warehouse.id },
+        })) || 0;
+      if (stock > 0) {
+        throw new Error("Cannot delete warehouse that still has stock");
+      }
+      const openTransfers = await db.WarehouseTransfer.count({
+        where: {
+          status: { [Op.in]: ["requested", "in_transit"] },
+          [Op.or]: [
+            { from_warehouse_id: warehouse.id },
+            { to_warehouse_id: warehouse.id },
+          ],
+        },
+      });
+      if (openTransfers > 0) {
+        throw new Error("Cannot delete warehouse with open transfers");
+      }
+
+      await warehouse.destroy();
+      return { message: "Warehouse deleted successfully" };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Lô còn hàng, chưa hết hạn của đợt nhập đã hoàn tất, FIFO theo hạn SD.
+   * `warehouseId` undefined = mọi kho; null = hàng chưa phân kho.
+   */
+  static async getUsableLots(
+    supplyId,
+    { warehouseId, transaction: t = null, lock = false } = {},
+  ) {
+    const where = {
+      supply_id: supplyId,
+      remaining: { [Op.gt]: 0 },
+      ...SupplyExpiryService.usableLotWhere(),
+    };
+    if (warehouseId !== undefined) where.warehouse_id = warehouseId;
+
+    return await this.SupplyImportModel.findAll({
+      where,
+      include: [
+        {
+          model: db.ImportBatch,
+          as: "batch",
+          where: { status: "completed" },
+          attributes: ["id", "status"],
+        },
+      ],
+      order: [["expiry_date", "ASC NULLS LAST"]],
+      transaction: t,
+      // Khóa các lô (không khóa đợt nhập) khi sắp trừ tồn trong transaction
+      lock:
+        lock && t
+          ? { level: t.LOCK.UPDATE, of: this.SupplyImportModel }
+          : undefined,
+    });
+  }
+
+  /**
+   * Chọn kho xuất hàng cho đội: kho được chỉ định, hoặc kho gần đội nhất
+   * còn đủ hàng (hàng chưa phân kho xét sau cùng). Trả về
+   * { warehouse_id, imports } — imports là các lô để trừ FIFO. Gọi trong
+   * transaction thì các lô bị khóa, số tồn kiểm tra ở đây là số dưới khóa.
+   */
+  static async pickSourceLots(
+    supply,
+    quantity,
+    { warehouseId = null, team = null, transaction: t = null } = {},
+  ) {
+    if (warehouseId) {
+      const warehouse = await this.WarehouseModel.findByPk(warehouseId, {
+        transaction: t,
+      });
+      if (!warehouse) throw new Error("Warehouse not found");
+
+      const imports = await this.getUsableLots(supply.id, {
+        warehouseId,
+        transaction: t,
+        lock: true,
+      });
+      const available = imports.reduce((sum, i) => sum + i.remaining, 0);
+      if (available < quantity) {
+        throw new Error(
+          `Không đủ số lượng tại ${warehouse.name}. Hiện có: ${available} ${supply.unit}`,
+        );
+      }
+      return { warehouse_id: warehouse.id, imports };
+    }
+
+    const lots = await this.getUsableLots(supply.id, {
+      transaction: t,
+      lock: true,
+    });
+    const pools = new Map();
+    lots.forEach((lot) => {
+      const key = lot.warehouse_id || null;
+      const pool = pools.get(key) || {
+        warehouse_id: key,
+        imports: [],
+        available: 0,
+      };
+      pool.imports.push(lot);
+      pool.available += lot.remaining;
+      pools.set(key, pool);
+    });
+
+    const total = lots.reduce((sum, i) => sum + i.remaining, 0);
+    if (total < quantity) {
+      throw new Error(`Không đủ số lượng. Hiện có: ${total} ${supply.unit}`);
+    }
+
+    const warehouseIds = [...pools.keys()].filter(Boolean);
+    const warehouses = warehouseIds.length
+      ? await this.WarehouseModel.findAll({
+          where: { id: { [Op.in]: warehouseIds } },
+          transaction: t,
+        })
+      : [];
+    const distanceOf = (warehouseId) => {
+      if (!warehouseId) return Infinity;
+      const warehouse = warehouses.find((w) => w.id === warehouseId);
+      // Kho đã xoá: không xuất từ đó
+      if (!warehouse) return null;
+      const distance = team
+        ? haversineDistance(
+            team.latitude,
+            team.longitude,
+            warehouse.latitude,
+            warehouse.longitude,
+          )
+        : null;
+      // Thiếu toạ độ: xếp sau các kho biết khoảng cách
+      return distance ?? Number.MAX_SAFE_INTEGER;
+    };
+
+    const candidates = [...pools.values()]
+      .map((pool) => ({ ...pool, distance: distanceOf(pool.warehouse_id) }))
+      .filter((pool) => pool.distance !== null && pool.available >= quantity)
+      .sort((a, b) => a.distance - b.distance);
+    if (candidates.length === 0) {
+      throw new Error(
+        `Không kho nào đủ ${quantity} ${supply.unit} ${supply.name} (tổng tồn: ${total}). Hãy chuyển kho hoặc chia nhỏ phiếu xuất`,
+      );
+    }
+    return {
+      warehouse_id: candidates[0].warehouse_id,
+      imports: candidates[0].imports,
+    };
+  }
+
+  /**
+   * Gom lô theo mặt hàng: tồn dùng được, hàng quá hạn chờ hủy, sắp hết hạn.
+   */
+  static summarizeLots(lots, now = new Date()) {
+    const warningDate = new Date(now);
+    warningDate.setDate(warningDate.getDate() + EXPIRY_WARNING_DAYS);
+
+    const supplies = new Map();
+    lots.forEach((lot) => {
+      const entry = supplies.get(lot.supply_id) || {
+        supply: lot.supply?.toJSON() || { id: lot.supply_id },
+        total_remaining: 0,
+        expired: 0,
+        expiring_soon: 0,
+        lots: 0,
+      };
+      entry.lots += 1;
+      if (SupplyExpiryService.isExpired(lot, now)) {
+        entry.expired += lot.remaining;
+      } else {
+        entry.total_remaining += lot.remaining;
+        if (lot.expiry_date && new Date(lot.expiry_date) <= warningDate) {
+          entry.expiring_soon += lot.remaining;
+        }
+      }
+      supplies.set(lot.supply_id, entry);
+    });
+    return [...supplies.values()];
+  }
+
+  static async findStockedLots(where = {}) {
+    return await this.SupplyImportModel.findAll({
+      where: { ...where, remaining: { [Op.gt]: 0 } },
+      include: [
+        {
+          model: db.ImportBatch,
+          as: "batch",
+          where: { status: "completed" },
+          attributes: ["id", "name", "donor_name", "import_date"],
+        },
+        { model: db.Supply, as: "supply", attributes: SUPPLY_ATTRIBUTES },
+      ],
+      order: [["expiry_date", "ASC NULLS LAST"]],
+    });
+  }
+
+  /**
+   * GET /api/warehouses/:id/stock — tồn kho từng mặt hàng của một kho.
+   */
+  static async getWarehouseStock(id) {
+    try {
+      const warehouse = await this.getWarehouseById(id);
+      const lots = await this.findStockedLots({ warehouse_id: warehouse.id });
+      const supplies = this.summarizeLots(lots);
+
+      return {
+        warehouse: warehouse.toJSON(),
+        total_remaining: supplies.reduce((s, i) => s + i.total_remaining, 0),
+        supplies,
+        lots: lots.map((lot) => ({
+          ...lot.toJSON(),
+          is_expired: SupplyExpiryService.isExpired(lot),
+        })),
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Tồn kho theo từng kho (cho tổng quan kho). Hàng chưa phân kho đứng
+   * cuối với `warehouse` = null. `filters.warehouse_id` chỉ lấy một kho.
+   */
+  static async getStockByWarehouse(filters = {}) {
+    try {
+      const { warehouse_id } = filters;
+      const [warehouses, lots] = await Promise.all([
+        this.WarehouseModel.findAll({
+          where: warehouse_id ? { id: warehouse_id } : {},
+          attributes: WAREHOUSE_ATTRIBUTES,
+          order: [["name", "ASC"]],
+        }),
+        this.findStockedLots(warehouse_id ? { warehouse_id } : {}),
+      ]);
+
+      const report = (warehouse, warehouseLots) => {
+        const supplies = this.summarizeLots(warehouseLots);
+        return {
+          warehouse,
+          total_remaining: supplies.reduce((s, i) => s + i.total_remaining, 0),
+          expiring_soon: supplies.filter((s) => s.expiring_soon > 0).length,
+          supplies,
+        };
+      };
+
+      const result = warehouses.map((warehouse) =>
+        report(
+          warehouse.toJSON(),
+          lots.filter((lot) => lot.warehouse_id === warehouse.id),
+        ),
+      );
+      const unassigned = lots.filter((lot) => !lot.warehouse_id);
+      if (unassigned.length > 0) result.push(report(null, unassigned));
+      return result;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = WarehouseService;
@@ -0,0 +1,475 @@
+const { Op } = require("sequelize");
+const { db, transaction } = require("../config/database");
+const RealtimeService = require("./realtime");
+const WarehouseService = require("./warehouse");
+
+const MAX_ITEMS = 50;
+
+/**
+ * Chuyển hàng giữa các kho: requested → in_transit → received.
+ * Xuất (dispatch) trừ FIFO các lô ở kho nguồn và ghi WarehouseTransferLot;
+ * nhận (receive) tạo lô mới ở kho đích giữ nguyên đợt nhập / hạn SD /
+ * tình trạng, `source_import_id` trỏ về lô gốc của đợt nhập để truy vết.
+ */
+class WarehouseTransferService {
+  static get TransferModel() {
+    return db.WarehouseTransfer;
+  }
+
+  static get TransferItemModel() {
+    return db.WarehouseTransferItem;
+  }
+
+  static get TransferLotModel() {
+    return db.WarehouseTransferLot;
+  }
+
+  static get SupplyImportModel() {
+    return db.SupplyImport;
+  }
+
+  static detailIncludes() {
+    return [
+      {
+        model: db.Warehouse,
+        as: "from_warehouse",
+        attributes: ["id", "name", "province_city", "manager_id"],
+        paranoid: false,
+      },
+      {
+        model: db.Warehouse,
+        as: "to_warehouse",
+        attributes: ["id", "name", "province_city", "manager_id"],
+        paranoid: false,
+      },
+      {
+        model: this.TransferItemModel,
+        as: "items",
+        include: [
+          {
+            model: db.Supply,
+            as: "supply",
+            attributes: ["id", "name", "category", "unit"],
+            paranoid: false,
+          },
+        ],
+      },
+      {
+        model: this.TransferLotModel,
+        as: "lots",
+        include: [
+          {
+            model: db.ImportBatch,
+            as: "batch",
+            attributes: ["id", "name", "donor_name"],
+            paranoid: false,
+          },
+          {
+            model: this.SupplyImportModel,
+            as: "import",
+            attributes: ["id", "expiry_date", "condition"],
+          },
+        ],
+      },
+      { model: db.User, as: "requester", attributes: ["id", "username"] },
+      { model: db.User, as: "dispatcher", attributes: ["id", "username"] },
+      { model: db.User, as: "receiver", attributes: ["id", "username"] },
+    ];
+  }
+
+  static async getTransferById(id) {
+    try {
+      const transfer = await this.TransferModel.findByPk(id, {
+        include: this.detailIncludes(),
+      });
+      if (!transfer) throw new Error("Warehouse transfer not found");
+      return transfer;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  static async getTransfers(filters = {}, page = 1, limit = 20) {
+    try {
+      const { status, warehouse_id, from_warehouse_id, to_warehouse_id } =
+        filters;
+      const offset = (page - 1) * limit;
+
+      const where = {};
+      if (status) where.status = status;
+      if (from_warehouse_id) where.from_warehouse_id = from_warehouse_id;
+      if (to_warehouse_id) where.to_warehouse_id = to_warehouse_id;
+      if (warehouse_id) {
+        where[Op.or] = [
+          { from_warehouse_id: warehouse_id },
+          { to_warehouse_id: warehouse_id },
+        ];
+      }
+
+      const { count, rows } = await this.TransferModel.findAndCountAll({
+        where,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        order: [["created_at", "DESC"]],
+        distinct: true,
+        include: this.detailIncludes().filter((i) => i.as !== "lots"),
+      });
+
+      return {
+        transfers: rows.map((r) => r.toJSON()),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: count,
+          totalPages: Math.ceil(count / limit),
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Gộp các dòng trùng mặt hàng, kiểm tra số lượng và tồn kho kho nguồn.
+   */
+  static async normalizeItems(fromWarehouseId, items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error("At least one item is required");
+    }
+    if (items.length > MAX_ITEMS) {
+      throw new Error(`A transfer can contain at most ${MAX_ITEMS} items`);
+    }
+
+    const quantities = new Map();
+    for (const item of items) {
+      const quantity = Number(item?.quantity);
+      if (!item?.supply_id || !Number.isInteger(quantity) || quantity <= 0) {
+        throw new Error(
+          "Each item requires supply_id and a positive integer quantity",
+        );
+      }
+      quantities.set(
+        item.supply_id,
+        (quantities.get(item.supply_id) || 0) + quantity,
+      );
+    }
+
+    const normalized = [];
+    for (const [supplyId, quantity] of quantities) {
+      const supply = await db.Supply.findByPk(supplyId);
+      if (!supply) throw new Error(`Supply ${supplyId} not found`);
+      const lots = await WarehouseService.getUsableLots(supplyId, {
+        warehouseId: fromWarehouseId,
+      });
+      const available = lots.reduce((sum, lot) => sum + lot.remaining, 0);
+      if (available < quantity) {
+        throw new Error(
+          `Không đủ ${supply.name} tại kho nguồn. Hiện có: ${available} ${supply.unit}`,
+        );
+      }
+      normalized.push({ supply_id: supplyId, quantity });
+    }
+    return normalized;
+  }
+
+  static async createTransfer(data, userId) {
+    try {
+      const { from_warehouse_id, to_warehouse_id, items, notes } = data;
+      if (!from_warehouse_id || !to_warehouse_id) {
+        throw new Error(
+          "Missing required fields: from_warehouse_id, to_warehouse_id",
+        );
+      }
+      if (from_warehouse_id === to_warehouse_id) {
+        throw new Error("Source and destination warehouse must be different");
+      }
+      const from = await WarehouseService.getWarehouseById(from_warehouse_id);
+      const to = await WarehouseService.getWarehouseById(to_warehouse_id);
+      const normalized = await this.normalizeItems(from.id, items);
+
+      const transfer = await transaction(async (t) => {
+        const created = await this.TransferModel.create(
+          {
+            from_warehouse_id: from.id,
+            to_warehouse_id: to.id,
+            notes: notes || null,
+            requested_by: userId,
+          },
+          { transaction: t },
+        );
+        await this.TransferItemModel.bulkCreate(
+          normalized.map((item) => ({ ...item, transfer_id: created.id })),
+          { transaction: t },
+        );
+        return created;
+      });
+
+      await this.notifyWarehouseManager(
+        from,
+        userId,
+        "🚚 Yêu cầu chuyển kho",
+        `Có yêu cầu chuyển ${normalized.length} mặt hàng từ ${from.name} sang ${to.name}.`,
+        transfer,
+      );
+      return await this.getTransferById(transfer.id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Khóa phiếu trong transaction rồi mới kiểm tra trạng thái, để các thao
+   * tác xuất / nhận / hủy chạy đồng thời không cùng xử lý một phiếu.
+   */
+  static async lockTransfer(id, statuses, action, t) {
+    const locked = await this.TransferModel.findByPk(id, {
+      transaction: t,
+      lock: t.LOCK.UPDATE,
+    });
+    if (!locked) throw new Error("Warehouse transfer not found");
+    if (!statuses.includes(locked.status)) {
+      throw new Error(`Cannot ${action} transfer in status '${locked.status}'`);
+    }
+    return locked;
+  }
+
+  /**
+   * Kho nguồn xuất hàng: trừ FIFO (hạn SD gần nhất trước) các lô còn dùng
+   * được, ghi lại phần lấy từ mỗi lô.
+   */
+  static async dispatchTransfer(id, userId) {
+    try {
+      const transfer = await this.getTransferById(id);
+
+      await transaction(async (t) => {
+        const locked = await this.lockTransfer(
+          transfer.id,
+          ["requested"],
+          "dispatch",
+          t,
+        );
+        for (const item of transfer.items) {
+          const lots = await WarehouseService.getUsableLots(item.supply_id, {
+            warehouseId: transfer.from_warehouse_id,
+            transaction: t,
+            lock: true,
+          });
+          const available = lots.reduce((sum, lot) => sum + lot.remaining, 0);
+          if (available < item.quantity) {
+            throw new Error(
+              `Không đủ ${item.supply?.name || item.supply_id} tại kho nguồn. Hiện có: ${available}`,
+            );
+          }
+
+          let remaining = item.quantity;
+          for (const lot of lots) {
+            if (remaining <= 0) break;
+            const take = Math.min(lot.remaining, remaining);
+            await lot.update(
+              { remaining: lot.remaining - take },
+              { transaction: t },
+            );
+            await this.TransferLotModel.create(
+              {
+                transfer_id: transfer.id,
+                transfer_item_id: item.id,
+                import_id: lot.id,
+                batch_id: lot.batch_id,
+                supply_id: item.supply_id,
+                quantity: take,
+              },
+              { transaction: t },
+            );
+            remaining -= take;
+          }
+
+          RealtimeService.publishSupply(item.supply_id, "transfer_dispatched", {
+            transaction: t,
+            actor: { id: userId },
+            data: { transfer_id: transfer.id, quantity: item.quantity },
+          });
+        }
+
+        await locked.update(
+          {
+            status: "in_transit",
+            dispatched_by: userId,
+            dispatched_at: new Date(),
+          },
+          { transaction: t },
+        );
+      });
+
+      await this.notifyWarehouseManager(
+        transfer.to_warehouse,
+        userId,
+        "🚚 Hàng đang chuyển đến kho",
+        `${transfer.from_warehouse?.name} đã xuất ${transfer.items.length} mặt hàng chuyển đến ${transfer.to_warehouse?.name}.`,
+        transfer,
+      );
+      return await this.getTransferById(transfer.id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Kho đích nhận hàng: mỗi phần lô đã xuất thành một lô mới ở kho đích.
+   */
+  static async receiveTransfer(id, userId) {
+    try {
+      const transfer = await this.getTransferById(id);
+
+      await transaction(async (t) => {
+        const locked = await this.lockTransfer(
+          transfer.id,
+          ["in_transit"],
+          "receive",
+          t,
+        );
+        const transferLots = await this.TransferLotModel.findAll({
+          where: { transfer_id: transfer.id },
+          transaction: t,
+        });
+        for (const transferLot of transferLots) {
+          const source = await this.SupplyImportModel.findByPk(
+            transferLot.import_id,
+            { transaction: t },
+          );
+          const received = await this.SupplyImportModel.create(
+            {
+              batch_id: transferLot.batch_id,
+              supply_id: transferLot.supply_id,
+              quantity: transferLot.quantity,
+              remaining: transferLot.quantity,
+              expiry_date: source?.expiry_date || null,
+              condition: source?.condition || "good",
+              notes: `Chuyển từ ${transfer.from_warehouse?.name || "kho khác"}`,
+              warehouse_id: transfer.to_warehouse_id,
+              source_import_id: source?.source_import_id || source?.id || null,
+            },
+            { transaction: t },
+          );
+          await transferLot.update(
+            { received_import_id: received.id },
+            { transaction: t },
+          );
+        }
+
+        transfer.items.forEach((item) =>
+          RealtimeService.publishSupply(item.supply_id, "transfer_received", {
+            transaction: t,
+            actor: { id: userId },
+            data: { transfer_id: transfer.id, quantity: item.quantity },
+          }),
+        );
+
+        await locked.update(
+          { status: "received", received_by: userId, received_at: new Date() },
+          { transaction: t },
+        );
+      });
+
+      return await this.getTransferById(transfer.id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Hủy phiếu chưa nhận. Đang vận chuyển thì trả hàng về các lô nguồn; lô
+   * nguồn đã bị job hết hạn xử lý (expired_at) thì phần trả về được lập
+   * phiếu hủy "expired" luôn thay vì cộng lại vào tồn.
+   */
+  static async cancelTransfer(id, userId, reason = null) {
+    try {
+      const transfer = await this.getTransferById(id);
+
+      await transaction(async (t) => {
+        const locked = await this.lockTransfer(
+          transfer.id,
+          ["requested", "in_transit"],
+          "cancel",
+          t,
+        );
+        if (locked.status === "in_transit") {
+          const transferLots = await this.TransferLotModel.findAll({
+            where: { transfer_id: transfer.id },
+            transaction: t,
+          });
+          for (const transferLot of transferLots) {
+            const source = await this.SupplyImportModel.findByPk(
+              transferLot.import_id,
+              { transaction: t, lock: t.LOCK.UPDATE },
+            );
+            if (!source) continue;
+            if (source.expired_at) {
+              const writeOff = await db.SupplyWriteOff.create(
+                {
+                  import_id: source.id,
+                  batch_id: source.batch_id,
+                  supply_id: source.supply_id,
+                  quantity: transferLot.quantity,
+                  reason: "expired",
+                  notes: `Hàng hết hạn trả về khi hủy phiếu chuyển kho #${transfer.id}`,
+                  created_by: userId,
+                },
+                { transaction: t },
+              );
+              RealtimeService.publishSupply(source.supply_id, "written_off", {
+                transaction: t,
+                actor: { id: userId },
+                data: {
+                  write_off_id: writeOff.id,
+                  import_id: source.id,
+                  reason: "expired",
+                  quantity: writeOff.quantity,
+                },
+              });
+              continue;
+            }
+            await source.update(
+              { remaining: source.remaining + transferLot.quantity },
+              { transaction: t },
+            );
+          }
+        }
+        await locked.update(
+          {
+            status: "cancelled",
+            cancelled_by: userId,
+            cancelled_at: new Date(),
+            cancel_reason: reason || null,
+          },
+          { transaction: t },
+        );
+      });
+
+      return await this.getTransferById(transfer.id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  static async notifyWarehouseManager(
+    warehouse,
+    actorId,
+    title,
+    body,
+    transfer,
+  ) {
+    try {
+      if (!warehouse?.manager_id || warehouse.manager_id === actorId) return;
+      const NotificationService = require("./notification");
+      await NotificationService.notify(warehouse.manager_id, title, body, {
+        type: "warehouse_transfer",
+        transfer_id: transfer.id,
+        status: transfer.status,
+      });
+    } catch (error) {
+      console.error("Failed to notify warehouse manager:", error);
+    }
+  }
+}
+
+module.exports = WarehouseTransferService;
@@ -0,0 +1,200 @@
+const { Op, literal, where: sqlWhere } = require("sequelize");
+
+const EARTH_RADIUS_METERS = 6371000;
+const MAX_RADIUS_KM = 200;
+
+/**
+ * Khoảng cách (mét) giữa 2 toạ độ theo công thức haversine.
+ * Trả về null nếu thiếu toạ độ.
+ */
+const haversineDistance = (lat1, lon1, lat2, lon2) => {
+  if ([lat1, lon1, lat2, lon2].some((v) => v == null || v === "")) return null;
+  const toRad = (deg) => (Number(deg) * Math.PI) / 180;
+  const dLat = toRad(lat2) - toRad(lat1);
+  const dLon = toRad(lon2) - toRad(lon1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+const isValidLatLng = (lat, lng) =>
+  Number.isFinite(lat) &&
+  Number.isFinite(lng) &&
+  lat >= -90 &&
+  lat <= 90 &&
+  lng >= -180 &&
+  lng <= 180;
+
+/**
+ * "10.77,106.70" → { latitude, longitude }
+ */
+const parseNear = (value) => {
+  const [lat, lng] = String(value).split(",").map((v) => parseFloat(v));
+  if (!isValidLatLng(lat, lng)) {
+    throw new Error("Invalid 'near' parameter, expected 'lat,lng'");
+  }
+  return { latitude: lat, longitude: lng };
+};
+
+/**
+ * bbox theo thứ tự GeoJSON: "minLng,minLat,maxLng,maxLat"
+ */
+const parseBbox = (value) => {
+  const parts = String(value)
+    .split(",")
+    .map((v) => parseFloat(v));
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (
+    parts.length !== 4 ||
+    !isValidLatLng(minLat, minLng) ||
+    !isValidLatLng(maxLat, maxLng) ||
+    minLat > maxLat ||
+    minLng > maxLng
+  ) {
+    throw new Error(
+      "Invalid 'bbox' parameter, expected 'minLng,minLat,maxLng,maxLat'",
+    );
+  }
+  return { minLng, minLat, maxLng, maxLat };
+};
+
+/**
+ * Khung bao quanh 1 điểm với bán kính (mét) — lọc thô trước khi tính haversine.
+ */
+const boundingBox = ({ latitude, longitude }, radiusMeters) => {
+  const latDelta = (radiusMeters / EARTH_RADIUS_METERS) * (180 / Math.PI);
+  const lngDelta =
+    latDelta / Math.max(Math.cos((latitude * Math.PI) / 180), 0.000001);
+  return {
+    minLat: latitude - latDelta,
+    maxLat: latitude + latDelta,
+    minLng: longitude - lngDelta,
+    maxLng: longitude + lngDelta,
+  };
+};
+
+/**
+ * Biểu thức SQL (Postgres) tính khoảng cách haversine (mét) từ cột toạ độ
+ * tới 1 điểm. Toạ độ điểm đã được parseFloat nên an toàn khi nội suy.
+ */
+const distanceSql = (latColumn, lngColumn, { latitude, longitude }) =>
+  `(${2 * EARTH_RADIUS_METERS} * ASIN(SQRT(` +
+  `POWER(SIN(RADIANS(${latColumn} - ${Number(latitude)}) / 2), 2) + ` +
+  `COS(RADIANS(${Number(latitude)})) * COS(RADIANS(${latColumn})) * ` +
+  `POWER(SIN(RADIANS(${lngColumn} - ${Number(longitude)}) / 2), 2))))`;
+
+/**
+ * Dựng điều kiện where / attribute distance_m / order cho query
+ * ?near=lat,lng&radius_km=3, ?bbox=..., ?sort=distance.
+ * latColumn / lngColumn là tên cột đã quote, vd '"RescueRequest"."latitude"'.
+ */
+const buildGeoQuery = (
+  { near, radius_km, bbox, sort } = {},
+  { latColumn, lngColumn },
+) => {
+  const conditions = [];
+  let distanceAttribute = null;
+  let order = null;
+  let point = null;
+
+  if (sort === "distance" && !near) {
+    throw new Error("sort=distance requires the 'near' parameter");
+  }
+
+  const addBox = (box) => {
+    conditions.push(
+      sqlWhere(literal(latColumn), { [Op.between]: [box.minLat, box.maxLat] }),
+      sqlWhere(literal(lngColumn), { [Op.between]: [box.minLng, box.maxLng] }),
+    );
+  };
+
+  if (bbox) addBox(parseBbox(bbox));
+
+  if (near) {
+    point = parseNear(near);
+    const distance = literal(distanceSql(latColumn, lngColumn, point));
+    distanceAttribute = [distance, "distance_m"];
+
+    if (radius_km !== undefined && radius_km !== null && radius_km !== "") {
+      const radiusKm = parseFloat(radius_km);
+      if (
+        !Number.isFinite(radiusKm) ||
+        radiusKm <= 0 ||
+        radiusKm > MAX_RADIUS_KM
+      ) {
+        throw new Error(
+          `radius_km must be a number between 0 and ${MAX_RADIUS_KM}`,
+        );
+      }
+      addBox(boundingBox(point, radiusKm * 1000));
+      conditions.push(sqlWhere(distance, { [Op.lte]: radiusKm * 1000 }));
+    } else {
+      conditions.push(
+        sqlWhere(literal(latColumn), { [Op.ne]: null }),
+        sqlWhere(literal(lngColumn), { [Op.ne]: null }),
+      );
+    }
+
+    if (sort === "distance") order = [[distance, "ASC"]];
+  }
+
+  return {
+    active: conditions.length > 0,
+    conditions,
+    distanceAttribute,
+    order,
+    point,
+  };
+};
+
+/**
+ * Chuyển danh sách record (đã toJSON) thành GeoJSON FeatureCollection.
+ * Bỏ qua record không có toạ độ.
+ */
+const toFeatureCollection = (
+  items,
+  { latKey = "latitude", lngKey = "longitude", extra = {} } = {},
+) => ({
+  type: "FeatureCollection",
+  features: items
+    .filter((item) => item[latKey] != null && item[lngKey] != null)
+    .map((item) => {
+      const { [latKey]: lat, [lngKey]: lng, ...properties } = item;
+      return {
+        type: "Feature",
+        id: item.id,
+        geometry: {
+          type: "Point",
+          coordinates: [Number(lng), Number(lat)],
+        },
+        properties: {
+          ...properties,
+          ...(properties.distance_m != null && {
+            distance_m: Math.round(Number(properties.distance_m)),
+          }),
+        },
+      };
+    }),
+  ...extra,
+});
+
+/**
+ * Client muốn GeoJSON? (Accept: application/geo+json hoặc ?format=geojson)
+ */
+const wantsGeoJSON = (req) =>
+  req.query.format === "geojson" ||
+  req.accepts(["application/json", "application/geo+json"]) ===
+    "application/geo+json";
+
+module.exports = {
+  EARTH_RADIUS_METERS,
+  haversineDistance,
+  parseNear,
+  parseBbox,
+  boundingBox,
+  distanceSql,
+  buildGeoQuery,
+  toFeatureCollection,
+  wantsGeoJSON,
+};
@@ -0,0 +1,87 @@
+const crypto = require("crypto");
+const { haversineDistance } = require("./geo");
+
+/**
+ * Bỏ dấu tiếng Việt + lowercase để so khớp chuỗi (district, keyword...).
+ */
+const normalizeText = (value) =>
+  String(value ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/đ/g, "d")
+    .replace(/Đ/g, "D")
+    .toLowerCase()
+    .trim();
+
+/**
+ * Chuẩn hoá tên quận/huyện: "Quận 1", "quan 1", "Q.1", "Q1" → "1";
+ * "Huyện Bình Chánh" → "binhchanh".
+ */
+const normalizeDistrict = (value) =>
+  normalizeText(value)
+    .replace(/^(quan|huyen|thanh pho|tp|q)[\s.]*/, "")
+    .replace(/[^a-z0-9]/g, "");
+
+const isSameDistrict = (a, b) => {
+  const left = normalizeDistrict(a);
+  return !!left && left === normalizeDistrict(b);
+};
+
+/**
+ * Chuẩn hoá số điện thoại VN để so khớp: "+84 912 345 678", "0084912345678",
+ * "+84 0912 345 678", "0912345678" → "912345678". Gọi lại trên kết quả
+ * không đổi gì. Mã 84 chỉ bỏ khi số còn dài hơn số trong nước (9–10 chữ số),
+ * để số bắt đầu bằng 084... không bị cắt nhầm.
+ */
+const normalizePhone = (value) => {
+  let digits = String(value ?? "")
+    .replace(/\D/g, "")
+    .replace(/^0+/, "");
+  while (digits.length > 10 && digits.startsWith("84")) {
+    digits = digits.slice(2).replace(/^0+/, "");
+  }
+  return digits;
+};
+
+/**
+ * Độ giống nhau của 2 đoạn mô tả (Jaccard trên tập từ không dấu), 0..1.
+ */
+const textSimilarity = (a, b) => {
+  const tokenize = (value) =>
+    new Set(
+      normalizeText(value)
+        .split(/[^a-z0-9]+/)
+        .filter((word) => word.length > 1),
+    );
+  const left = tokenize(a);
+  const right = tokenize(b);
+  if (left.size === 0 || right.size === 0) return 0;
+  let common = 0;
+  left.forEach((word) => {
+    if (right.has(word)) common += 1;
+  });
+  return common / (left.size + right.size - common);
+};
+
+// Bỏ các ký tự dễ nhầm khi đọc / gõ lại trên điện thoại (0/O, 1/I/L)
+const TRACKING_CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+
+/**
+ * Mã tra cứu ngắn cho yêu cầu cứu hộ, vd. "K7Q2MX".
+ */
+const generateTrackingCode = (length = 6) =>
+  Array.from(
+    { length },
+    () =>
+      TRACKING_CODE_ALPHABET[crypto.randomInt(TRACKING_CODE_ALPHABET.length)],
+  ).join("");
+
+module.exports = {
+  normalizeText,
+  normalizeDistrict,
+  isSameDistrict,
+  normalizePhone,
+  haversineDistance,
+  textSimilarity,
+  generateTrackingCode,
+};